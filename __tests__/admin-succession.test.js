@@ -0,0 +1,139 @@
+/**
+ * Integration tests for handing a room on when its admin leaves
+ * Covers the grace period that holds the owner seat, including in a room the owner
+ * was alone in or one just restored after a restart, the owner coming back with their
+ * admin token, and the room going to whoever joins next once the grace period is over
+ *
+ * The socket.io client needs its Node build (over `ws`), not the browser one jsdom resolves:
+ * @jest-environment-options {"customExportConditions": ["node", "require"]}
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { next, startServer } = require('./helpers/server-process');
+
+jest.setTimeout(30000);
+
+const GRACE_MS = 1500;
+
+describe('Admin succession', () => {
+  let server;
+  const sockets = [];
+
+  const connect = async () => {
+    const socket = io(server.url, { transports: ['websocket'], forceNew: true });
+    sockets.push(socket);
+    await next(socket, 'connect');
+    return socket;
+  };
+
+  const join = (socket, payload) => {
+    const you = next(socket, 'you');
+    socket.emit('join', payload);
+    return you;
+  };
+
+  beforeAll(async () => {
+    server = await startServer({ ADMIN_GRACE_MS: String(GRACE_MS), IDENTITY_SECRET: 'succession-test' });
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach(socket => socket.close());
+  });
+
+  afterAll(async () => {
+    if (server) await server.stop();
+  });
+
+  test('should hold an empty room for its owner during the grace period', async () => {
+    const owner = await connect();
+    const first = await join(owner, { room: 'alone', name: 'Ann' });
+    expect(first.role).toBe('admin');
+    owner.close();
+
+    const newcomer = await join(await connect(), { room: 'alone', name: 'Bob' });
+    expect(newcomer.role).toBe('member');
+    expect(newcomer.adminToken).toBeUndefined();
+
+    const back = await join(await connect(), { room: 'alone', name: 'Ann', adminToken: first.adminToken });
+    expect(back.role).toBe('admin');
+    expect(back.adminToken).toBeDefined();
+  });
+
+  test('should give an empty room to whoever joins after the grace period', async () => {
+    const owner = await connect();
+    const first = await join(owner, { room: 'later', name: 'Ann' });
+    owner.close();
+    await new Promise(resolve => setTimeout(resolve, GRACE_MS + 300));
+
+    const newcomer = await join(await connect(), { room: 'later', name: 'Bob' });
+    expect(newcomer.role).toBe('admin');
+    expect(newcomer.adminToken).not.toBe(first.adminToken);
+  });
+
+  test('should let people waiting in the lobby in once nobody is left to admit them', async () => {
+    const owner = await connect();
+    await join(owner, { room: 'gated', name: 'Ann' });
+    await new Promise(resolve => owner.emit('set-lobby', { enabled: true }, resolve));
+    owner.close();
+
+    const guest = await connect();
+    const waiting = next(guest, 'lobby-waiting');
+    const admitted = next(guest, 'you', () => true, GRACE_MS + 3000);
+    guest.emit('join', { room: 'gated', name: 'Bob' });
+    await waiting;
+    expect((await admitted).role).toBe('admin');
+  });
+});
+
+describe('Admin succession after a restart', () => {
+  let dataDir;
+  let server;
+  const sockets = [];
+
+  const connect = async () => {
+    const socket = io(server.url, { transports: ['websocket'], forceNew: true });
+    sockets.push(socket);
+    await next(socket, 'connect');
+    return socket;
+  };
+
+  const join = (socket, payload) => {
+    const you = next(socket, 'you');
+    socket.emit('join', payload);
+    return you;
+  };
+
+  const restart = async () => {
+    sockets.splice(0).forEach(socket => socket.close());
+    if (server) await server.stop();
+    server = await startServer({ DATA_DIR: dataDir, ADMIN_GRACE_MS: '10000', IDENTITY_SECRET: 'succession-test' });
+  };
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamup-restart-'));
+  });
+
+  afterAll(async () => {
+    sockets.splice(0).forEach(socket => socket.close());
+    if (server) await server.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should hold a restored room for its owner', async () => {
+    await restart();
+    const first = await join(await connect(), { room: 'restored', name: 'Ann' });
+    expect(first.role).toBe('admin');
+
+    // Stopping saves the room; the next server loads it from the same data directory
+    await restart();
+    const stranger = await join(await connect(), { room: 'restored', name: 'Mallory' });
+    expect(stranger.role).toBe('member');
+    expect(stranger.adminToken).toBeUndefined();
+
+    const back = await join(await connect(), { room: 'restored', name: 'Ann', adminToken: first.adminToken });
+    expect(back.role).toBe('admin');
+  });
+});
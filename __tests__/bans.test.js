@@ -0,0 +1,79 @@
+/**
+ * Integration tests for room bans
+ * Covers a banned user coming back without a name, or under another one, with the
+ * identity their browser kept
+ *
+ * The socket.io client needs its Node build (over `ws`), not the browser one jsdom resolves:
+ * @jest-environment-options {"customExportConditions": ["node", "require"]}
+ */
+
+const { io } = require('socket.io-client');
+const { next, startServer } = require('./helpers/server-process');
+
+jest.setTimeout(30000);
+
+describe('Bans', () => {
+  let server;
+  const sockets = [];
+
+  const connect = async () => {
+    const socket = io(server.url, { transports: ['websocket'], forceNew: true });
+    sockets.push(socket);
+    await next(socket, 'connect');
+    return socket;
+  };
+
+  const join = (socket, payload) => {
+    const you = next(socket, 'you');
+    socket.emit('join', payload);
+    return you;
+  };
+
+  // Ann owns `room` and bans Bob by name only; Bob's browser keeps the identity it was given
+  const banBobByName = async (room) => {
+    const ann = await connect();
+    await join(ann, { room, name: 'Ann' });
+    const bob = await connect();
+    const bobYou = await join(bob, { room, name: 'Bob' });
+
+    const banned = next(bob, 'banned');
+    const ack = await new Promise(resolve => ann.emit('ban-user', { targetId: bob.id, scope: 'name' }, resolve));
+    expect(ack.ok).toBe(true);
+    expect(ack.ban.userId).toBeUndefined();
+    await banned;
+    return bobYou.identity;
+  };
+
+  beforeAll(async () => {
+    server = await startServer({ IDENTITY_SECRET: 'bans-test' });
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach(socket => socket.close());
+  });
+
+  afterAll(async () => {
+    if (server) await server.stop();
+  });
+
+  test('should keep out a name-banned user who rejoins without a name', async () => {
+    const identity = await banBobByName('no-name');
+
+    const again = await connect();
+    const refused = next(again, 'unauthorized');
+    again.emit('join', { room: 'no-name', name: '', identity });
+    expect((await refused).message).toMatch(/banned/);
+
+    const stranger = await join(await connect(), { room: 'no-name', name: '' });
+    expect(stranger.name).toMatch(/^Guest/);
+  });
+
+  test('should keep out a banned identity under another name', async () => {
+    const identity = await banBobByName('renamed');
+
+    const again = await connect();
+    const refused = next(again, 'unauthorized');
+    again.emit('join', { room: 'renamed', name: 'Robert', identity });
+    expect((await refused).message).toMatch(/banned/);
+  });
+});
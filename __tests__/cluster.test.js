@@ -0,0 +1,119 @@
+/**
+ * Integration tests for running several server instances
+ * Covers two server processes sharing rooms through the local Redis stand-in: user
+ * lists, the room list, chat, WebRTC signaling to a targetId on the other instance,
+ * kicks and HTTP routes served by the instance that owns the room, even when a client
+ * forges the header instances pass requests on with
+ *
+ * The socket.io client needs its Node build (over `ws`), not the browser one jsdom resolves:
+ * @jest-environment-options {"customExportConditions": ["node", "require"]}
+ */
+
+const { io } = require('socket.io-client');
+const { createRedisStandIn } = require('../utils/redis-standin');
+const { next, request, startServer } = require('./helpers/server-process');
+
+jest.setTimeout(30000);
+
+describe('Two instances behind one Redis', () => {
+  let redis;
+  let servers = [];
+  let ann;
+  let annYou;
+  let bob;
+
+  beforeAll(async () => {
+    redis = createRedisStandIn();
+    await new Promise(resolve => redis.listen(0, '127.0.0.1', resolve));
+    const env = { REDIS_URL: `redis://127.0.0.1:${redis.address().port}`, IDENTITY_SECRET: 'cluster-test' };
+    servers = await Promise.all([startServer(env), startServer(env)]);
+
+    ann = io(servers[0].url, { transports: ['websocket'] });
+    bob = io(servers[1].url, { transports: ['websocket'] });
+    await Promise.all([next(ann, 'connect'), next(bob, 'connect')]);
+  });
+
+  afterAll(async () => {
+    [ann, bob].forEach(socket => socket && socket.close());
+    await Promise.all(servers.map(server => server.stop()));
+    if (redis) await new Promise(resolve => redis.close(resolve));
+  });
+
+  test('should list users who joined through different instances', async () => {
+    const annJoined = next(ann, 'you');
+    ann.emit('join', { room: 'team', name: 'Ann' });
+    annYou = await annJoined;
+
+    const annList = next(ann, 'user-list', list => list.length === 2);
+    const bobList = next(bob, 'user-list', list => list.length === 2);
+    bob.emit('join', { room: 'team', name: 'Bob' });
+
+    expect((await annList).map(user => user.name).sort()).toEqual(['Ann', 'Bob']);
+    expect((await bobList).map(user => user.name).sort()).toEqual(['Ann', 'Bob']);
+  });
+
+  test('should broadcast chat to the other instance', async () => {
+    const received = next(ann, 'chat-message');
+    const ack = new Promise(resolve => bob.emit('chat-message', { text: 'hi from B' }, resolve));
+
+    expect((await ack).ok).toBe(true);
+    expect((await received).text).toBe('hi from B');
+  });
+
+  test('should deliver WebRTC signaling to a targetId on the other instance', async () => {
+    const offer = next(bob, 'webrtc-offer');
+    ann.emit('webrtc-offer', { targetId: bob.id, offer: { type: 'offer', sdp: 'x' } });
+    expect((await offer).fromId).toBe(ann.id);
+
+    const answer = next(ann, 'webrtc-answer');
+    bob.emit('webrtc-answer', { targetId: ann.id, answer: { type: 'answer', sdp: 'y' } });
+    expect((await answer).fromId).toBe(bob.id);
+  });
+
+  test('should serve room routes from either instance', async () => {
+    const base = `${servers[1].url}/rooms/team`;
+    const asAnn = { 'x-socket-id': ann.id, 'x-socket-token': annYou.requestToken };
+    const anonymous = await request(`${base}/import?format=txt&mode=replace`, { method: 'POST', body: { text: 'no' } });
+    expect(anonymous.status).toBe(403);
+
+    const imported = await request(`${base}/import?format=txt&mode=replace`, { method: 'POST', body: { text: 'shared notes' }, headers: asAnn });
+    expect(imported.status).toBe(200);
+
+    const exported = await request(`${base}/export?format=txt`);
+    expect(exported.status).toBe(200);
+    expect(exported.text).toContain('shared notes');
+  });
+
+  test('should pass on requests that only claim to have been forwarded', async () => {
+    const headers = { 'x-socket-id': ann.id, 'x-socket-token': annYou.requestToken, 'x-teamup-forwarded': 'someone' };
+    const imported = await request(`${servers[1].url}/rooms/team/import?format=txt&mode=replace`, {
+      method: 'POST', body: { text: 'owner copy' }, headers,
+    });
+    expect(imported.status).toBe(200);
+
+    const exported = await request(`${servers[0].url}/rooms/team/export?format=txt`);
+    expect(exported.text).toContain('owner copy');
+  });
+
+  test('should list rooms served by the other instance', async () => {
+    // Rooms reach the store a couple of seconds after they change
+    let team;
+    for (let tries = 0; !team && tries < 20; tries++) {
+      if (tries) await new Promise(resolve => setTimeout(resolve, 250));
+      const listed = await request(`${servers[1].url}/rooms`);
+      team = JSON.parse(listed.text).rooms.find(room => room.name === 'team');
+    }
+    expect(team).toMatchObject({ name: 'team', userCount: 2 });
+  });
+
+  test('should move a user kicked on another instance to the world room', async () => {
+    const kicked = next(bob, 'kicked');
+    const moved = next(bob, 'you', you => you.room === 'world');
+    const annList = next(ann, 'user-list', list => list.length === 1);
+    ann.emit('kick-user', { targetId: bob.id });
+
+    await kicked;
+    expect((await moved).room).toBe('world');
+    expect((await annList).map(user => user.name)).toEqual(['Ann']);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Helpers for tests that run the real server in a child process
+ * Starting and stopping it, plus waiting for socket events and making HTTP requests.
+ * Tests using them need the socket.io client's Node build; see the environment options
+ * at the top of cluster.test.js.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const freePort = () => new Promise((resolve) => {
+  const server = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+/**
+ * Start server.js on a free port with its own data directory
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<{child, port, url, stop: Function}>} Resolves once it listens
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamup-test-'));
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const stop = () => new Promise((resolve) => {
+    const done = () => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      resolve();
+    };
+    if (child.exitCode !== null || child.signalCode !== null) return done();
+    child.removeAllListeners('exit');
+    child.on('exit', done);
+    child.kill();
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server on ${port} did not start:\n${output}`)), 15000);
+    const collect = (chunk) => {
+      output += chunk;
+      if (output.includes('Server Started')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.on('exit', () => {
+      clearTimeout(timer);
+      reject(new Error(`Server on ${port} exited:\n${output}`));
+    });
+  }).catch(async (error) => {
+    await stop();
+    throw error;
+  });
+
+  return { child, port, url: `http://127.0.0.1:${port}`, stop };
+}
+
+const request = (url, { method = 'GET', body, headers = {} } = {}) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method, headers: body ? { 'content-type': 'application/json', ...headers } : headers }, (res) => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, text }));
+  });
+  req.on('error', reject);
+  req.end(body ? JSON.stringify(body) : undefined);
+});
+
+// The next `event` on a socket.io client socket that `matches`
+const next = (socket, event, matches = () => true, ms = 5000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${event} within ${ms}ms`)), ms);
+  const handler = (data) => {
+    if (!matches(data)) return;
+    clearTimeout(timer);
+    socket.off(event, handler);
+    resolve(data);
+  };
+  socket.on(event, handler);
+});
+
+module.exports = {
+  freePort,
+  next,
+  request,
+  startServer,
+};
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for user identity tokens
+ * Covers signing, verification and which client-made ids are accepted
+ */
+
+const {
+  createIdentityId,
+  createIdentitySecret,
+  identityTag,
+  isIdentityId,
+  signIdentity,
+  verifyIdentity
+} = require('../utils/identity');
+
+describe('identity tokens', () => {
+  const secret = createIdentitySecret();
+
+  test('should verify an id signed with the same secret', () => {
+    const id = createIdentityId();
+    expect(verifyIdentity(secret, signIdentity(secret, id))).toBe(id);
+  });
+
+  test('should reject tokens signed with another secret or tampered with', () => {
+    const token = signIdentity(createIdentitySecret(), 'abcdefghijklmnop');
+    expect(verifyIdentity(secret, token)).toBeNull();
+
+    const [, signature] = signIdentity(secret, 'abcdefghijklmnop').split('.');
+    expect(verifyIdentity(secret, `abcdefghijklmnoq.${signature}`)).toBeNull();
+  });
+
+  test('should ignore garbage', () => {
+    expect(verifyIdentity(secret, undefined)).toBeNull();
+    expect(verifyIdentity(secret, 'abcdefghijklmnop')).toBeNull();
+    expect(verifyIdentity(secret, 'short.sig')).toBeNull();
+    expect(verifyIdentity(null, signIdentity(secret, 'abcdefghijklmnop'))).toBeNull();
+  });
+});
+
+describe('identityTag()', () => {
+  test('should be stable per id and secret without revealing the id', () => {
+    const secret = createIdentitySecret();
+    const id = createIdentityId();
+    expect(identityTag(secret, id)).toBe(identityTag(secret, id));
+    expect(identityTag(secret, id)).not.toContain(id);
+    expect(identityTag(secret, createIdentityId())).not.toBe(identityTag(secret, id));
+    expect(identityTag(createIdentitySecret(), id)).not.toBe(identityTag(secret, id));
+    expect(identityTag(secret, undefined)).toBeNull();
+  });
+});
+
+describe('isIdentityId()', () => {
+  test('should accept UUIDs, hex and base64url ids', () => {
+    expect(isIdentityId('3f2b8c1e-4d5a-4b6c-8e9f-0a1b2c3d4e5f')).toBe(true);
+    expect(isIdentityId('0123456789abcdef0123456789abcdef')).toBe(true);
+    expect(isIdentityId(createIdentityId())).toBe(true);
+  });
+
+  test('should reject short, long and odd ids', () => {
+    expect(isIdentityId('abc')).toBe(false);
+    expect(isIdentityId('a'.repeat(65))).toBe(false);
+    expect(isIdentityId('has.a.dot.in.it.xxxx')).toBe(false);
+    expect(isIdentityId(42)).toBe(false);
+  });
+});
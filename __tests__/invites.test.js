@@ -0,0 +1,52 @@
+/**
+ * Unit tests for room invite tokens
+ * Covers signing, tampering, expiry and decoding
+ */
+
+const {
+  createInviteSecret,
+  createInviteToken,
+  decodeInviteToken,
+  verifyInviteToken
+} = require('../utils/invites');
+
+describe('invite tokens', () => {
+  const secret = createInviteSecret();
+  const invite = { room: 'team room', id: 3, expiresAt: 2000 };
+
+  test('should verify a token minted with the same secret', () => {
+    const token = createInviteToken(secret, invite);
+    expect(verifyInviteToken(secret, token, 1000)).toEqual(invite);
+  });
+
+  test('should be URL safe', () => {
+    const token = createInviteToken(secret, { room: 'ünïcode/room?', id: 1, expiresAt: 2000 });
+    expect(token).toMatch(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+  });
+
+  test('should reject tokens signed with another secret', () => {
+    const token = createInviteToken(createInviteSecret(), invite);
+    expect(verifyInviteToken(secret, token, 1000)).toBeNull();
+  });
+
+  test('should reject a tampered payload', () => {
+    const token = createInviteToken(secret, invite);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ room: 'team room', id: 3, exp: 9999999 })).toString('base64url');
+    expect(verifyInviteToken(secret, `${forged}.${signature}`, 1000)).toBeNull();
+  });
+
+  test('should reject expired tokens', () => {
+    const token = createInviteToken(secret, invite);
+    expect(verifyInviteToken(secret, token, 2000)).toBeNull();
+  });
+
+  test('should decode the room without the secret and ignore garbage', () => {
+    const token = createInviteToken(secret, invite);
+    expect(decodeInviteToken(token)).toEqual(invite);
+    expect(decodeInviteToken('not-a-token')).toBeNull();
+    expect(decodeInviteToken('a.b.c')).toBeNull();
+    expect(decodeInviteToken(`${Buffer.from('{"room":1}').toString('base64url')}.sig`)).toBeNull();
+    expect(verifyInviteToken(null, token, 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for MarkdownRenderer and SyntaxHighlighter
+ * Covers sanitization, task list checkboxes and fenced code highlighting
+ */
+
+const MarkdownRenderer = require('../public/js/markdown-renderer');
+const SyntaxHighlighter = require('../public/js/syntax-highlighter');
+
+const { render, renderCode, toggleTask } = MarkdownRenderer;
+
+describe('MarkdownRenderer', () => {
+  describe('render()', () => {
+    test('should render headings, emphasis and paragraphs', () => {
+      const html = render('# Title\n\nSome **bold**, *em* and ~~gone~~\nnext line');
+      expect(html).toContain('<h1>Title</h1>');
+      expect(html).toContain('<strong>bold</strong>');
+      expect(html).toContain('<em>em</em>');
+      expect(html).toContain('<del>gone</del>');
+      expect(html).toContain('gone</del><br>next line</p>');
+    });
+
+    test('should escape raw HTML instead of emitting it', () => {
+      const html = render('<script>alert(1)</script>\n\n<img src=x onerror="alert(1)">');
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('<img src=x');
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).toContain('onerror=&quot;alert(1)&quot;');
+    });
+
+    test('should only link safe URLs', () => {
+      expect(render('[site](https://example.com/a?b=1&c=2)'))
+        .toContain('<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">site</a>');
+      expect(render('[doc](docs/readme.md)')).toContain('href="docs/readme.md"');
+
+      const unsafe = render('[click](javascript:alert(1)) ![x](data:image/png;base64,AAA)');
+      expect(unsafe).not.toContain('href=');
+      expect(unsafe).not.toContain('<img');
+    });
+
+    test('should keep code spans literal', () => {
+      expect(render('use `**not bold** <b>`')).toContain('<code>**not bold** &lt;b&gt;</code>');
+    });
+
+    test('should render task list items with their source line', () => {
+      const html = render('Todo\n\n- [ ] first\n- [x] second\n- plain');
+      expect(html).toContain('<ul class="task-list">');
+      expect(html).toContain('<input type="checkbox" class="task-checkbox" data-line="2"> first');
+      expect(html).toContain('<input type="checkbox" class="task-checkbox" data-line="3" checked> second');
+      expect(html).toContain('<li>plain</li>');
+    });
+
+    test('should keep source lines for tasks inside blockquotes', () => {
+      expect(render('intro\n\n> - [ ] quoted')).toContain('data-line="2"');
+    });
+
+    test('should nest lists and keep ordered list numbering', () => {
+      const html = render('- a\n  - b\n- c\n\n3. three\n4. four');
+      expect(html).toContain('<ul><li>a<ul><li>b</li></ul></li><li>c</li></ul>');
+      expect(html).toContain('<ol start="3"><li>three</li><li>four</li></ol>');
+    });
+
+    test('should highlight fenced code blocks', () => {
+      const html = render('```js\nconst x = "<a>"; // note\n```');
+      expect(html).toContain('<pre class="md-code"><code class="language-javascript">');
+      expect(html).toContain('<span class="hl-keyword">const</span>');
+      expect(html).toContain('<span class="hl-string">&quot;&lt;a&gt;&quot;</span>');
+      expect(html).toContain('<span class="hl-comment">// note</span>');
+    });
+  });
+
+  describe('renderCode()', () => {
+    test('should render a whole document as one code block', () => {
+      expect(renderCode('SELECT 1', 'sql')).toBe(
+        '<pre class="md-code"><code class="language-sql"><span class="hl-keyword">SELECT</span> <span class="hl-number">1</span></code></pre>'
+      );
+    });
+
+    test('should only escape unknown languages', () => {
+      expect(renderCode('a < b', 'cobol')).toBe('<pre class="md-code"><code>a &lt; b</code></pre>');
+    });
+  });
+
+  describe('toggleTask()', () => {
+    const text = 'Todo\n- [ ] first\n> * [x] quoted\nplain';
+
+    test('should flip the checkbox on the given line', () => {
+      expect(toggleTask(text, 1)).toBe('Todo\n- [x] first\n> * [x] quoted\nplain');
+      expect(toggleTask(text, 2)).toBe('Todo\n- [ ] first\n> * [ ] quoted\nplain');
+    });
+
+    test('should return null for lines without a task', () => {
+      expect(toggleTask(text, 0)).toBeNull();
+      expect(toggleTask(text, 3)).toBeNull();
+      expect(toggleTask(text, 10)).toBeNull();
+    });
+  });
+});
+
+describe('SyntaxHighlighter', () => {
+  test('should resolve aliases', () => {
+    expect(SyntaxHighlighter.resolveLanguage('JS')).toBe('javascript');
+    expect(SyntaxHighlighter.resolveLanguage('py')).toBe('python');
+    expect(SyntaxHighlighter.resolveLanguage('nope')).toBeNull();
+  });
+
+  test('should highlight markup tags and attributes', () => {
+    expect(SyntaxHighlighter.highlight('<a href="x">', 'html')).toBe(
+      '<span class="hl-tag">&lt;a</span> <span class="hl-attr">href</span>=<span class="hl-string">&quot;x&quot;</span><span class="hl-tag">&gt;</span>'
+    );
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for network addresses
+ * Covers address normalization, trusted proxy ranges, X-Forwarded-For handling
+ * and subnet matching for LAN rooms
+ */
+
+const {
+  clientAddress,
+  createAddressMatcher,
+  isLanPrefix,
+  normalizeIp,
+  sameSubnet
+} = require('../utils/network');
+
+describe('normalizeIp()', () => {
+  test('should unwrap IPv4-mapped IPv6, brackets and zone ids', () => {
+    expect(normalizeIp('::ffff:192.168.1.20')).toBe('192.168.1.20');
+    expect(normalizeIp('[2001:DB8::1]')).toBe('2001:db8::1');
+    expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+  });
+
+  test('should reject anything that is not an address', () => {
+    expect(normalizeIp('unknown')).toBeNull();
+    expect(normalizeIp('192.168.1')).toBeNull();
+    expect(normalizeIp(undefined)).toBeNull();
+  });
+});
+
+describe('createAddressMatcher()', () => {
+  test('should match addresses, CIDR ranges and named groups', () => {
+    const matches = createAddressMatcher(['loopback', '10.1.0.0/16', '2001:db8::/32', '203.0.113.7']);
+    expect(matches('127.0.0.1')).toBe(true);
+    expect(matches('::1')).toBe(true);
+    expect(matches('10.1.200.3')).toBe(true);
+    expect(matches('10.2.0.1')).toBe(false);
+    expect(matches('2001:db8:ffff::5')).toBe(true);
+    expect(matches('2001:db9::5')).toBe(false);
+    expect(matches('203.0.113.7')).toBe(true);
+    expect(matches('203.0.113.8')).toBe(false);
+  });
+
+  test('should throw on entries it cannot read', () => {
+    expect(() => createAddressMatcher(['10.0.0.0/33'])).toThrow(/10\.0\.0\.0\/33/);
+    expect(() => createAddressMatcher(['proxy.local'])).toThrow();
+  });
+
+  test('should trust nothing when the list is empty', () => {
+    expect(createAddressMatcher([])('127.0.0.1')).toBe(false);
+  });
+});
+
+describe('clientAddress()', () => {
+  const isTrustedProxy = createAddressMatcher(['loopback', '10.0.0.0/8']);
+
+  test('should use the connection address when it is not a trusted proxy', () => {
+    expect(clientAddress('::ffff:198.51.100.4', '192.168.1.5', isTrustedProxy)).toBe('198.51.100.4');
+  });
+
+  test('should follow X-Forwarded-For back through trusted proxies', () => {
+    expect(clientAddress('127.0.0.1', '192.168.1.5', isTrustedProxy)).toBe('192.168.1.5');
+    expect(clientAddress('127.0.0.1', '192.168.1.5, 10.0.0.2', isTrustedProxy)).toBe('192.168.1.5');
+  });
+
+  test('should ignore hops a client could have made up', () => {
+    // The client sent "1.2.3.4" itself; the proxy appended the address it really came from
+    expect(clientAddress('127.0.0.1', '1.2.3.4, 198.51.100.4', isTrustedProxy)).toBe('198.51.100.4');
+    expect(clientAddress('127.0.0.1', 'garbage', isTrustedProxy)).toBe('127.0.0.1');
+  });
+});
+
+describe('sameSubnet()', () => {
+  test('should compare IPv4 addresses by the given prefix', () => {
+    expect(sameSubnet('192.168.1.10', '192.168.1.200')).toBe(true);
+    expect(sameSubnet('192.168.1.10', '192.168.2.10')).toBe(false);
+    expect(sameSubnet('192.168.1.10', '192.168.2.10', { ipv4: 16 })).toBe(true);
+    expect(sameSubnet('192.168.1.10', '192.168.1.11', { ipv4: 32 })).toBe(false);
+    expect(sameSubnet('10.0.0.17', '10.0.0.30', { ipv4: 28 })).toBe(true);
+    expect(sameSubnet('10.0.0.17', '10.0.0.30', { ipv4: 29 })).toBe(false);
+  });
+
+  test('should compare IPv6 addresses by the given prefix', () => {
+    expect(sameSubnet('2001:db8:0:1::a', '2001:db8:0:1:ffff::b')).toBe(true);
+    expect(sameSubnet('2001:db8:0:1::a', '2001:db8:0:2::a')).toBe(false);
+    expect(sameSubnet('2001:db8:0:1::a', '2001:db8:0:2::a', { ipv6: 48 })).toBe(true);
+  });
+
+  test('should never match across address families or on bad input', () => {
+    expect(sameSubnet('::ffff:192.168.1.10', '192.168.1.11')).toBe(true);
+    expect(sameSubnet('192.168.1.10', '2001:db8::1')).toBe(false);
+    expect(sameSubnet('', '192.168.1.10')).toBe(false);
+  });
+});
+
+describe('isLanPrefix()', () => {
+  test('should allow only prefixes narrow enough for a local network', () => {
+    expect(isLanPrefix('ipv4', 24)).toBe(true);
+    expect(isLanPrefix('ipv4', 4)).toBe(false);
+    expect(isLanPrefix('ipv6', 64)).toBe(true);
+    expect(isLanPrefix('ipv6', 129)).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for socket event rate limiting
+ * Covers token buckets, escalation from dropping to warning to disconnecting,
+ * operator counters and the RATE_LIMITS override
+ */
+
+const { TokenBucket, RateLimiter } = require('../utils/rate-limit');
+const { DEFAULT_RATE_LIMITS, loadRateLimits } = require('../sockets/rate-limits');
+
+describe('TokenBucket', () => {
+  test('should allow a burst, then refill over time', () => {
+    const bucket = new TokenBucket({ burst: 2, perSecond: 1 }, 0);
+    expect(bucket.take(0)).toBe(true);
+    expect(bucket.take(0)).toBe(true);
+    expect(bucket.take(0)).toBe(false);
+    expect(bucket.retryAfterMs()).toBe(1000);
+    expect(bucket.take(500)).toBe(false);
+    expect(bucket.take(1000)).toBe(true);
+  });
+
+  test('should not store more than the burst', () => {
+    const bucket = new TokenBucket({ burst: 2, perSecond: 10 }, 0);
+    bucket.take(60 * 1000);
+    expect(bucket.tokens).toBe(1);
+  });
+});
+
+describe('RateLimiter', () => {
+  let now;
+  let limiter;
+  const socket = {};
+
+  beforeEach(() => {
+    now = 0;
+    limiter = new RateLimiter(
+      { '*': { burst: 1, perSecond: 1 }, 'text': { burst: 2, perSecond: 1 }, 'disconnect': null },
+      { disconnectAfter: 4, strikeWindowMs: 10000, warnIntervalMs: 5000, now: () => now }
+    );
+  });
+
+  const actions = (client, event, count) =>
+    Array.from({ length: count }, () => limiter.check(client, event).action);
+
+  test('should keep separate buckets per client and event', () => {
+    expect(actions(socket, 'text', 2)).toEqual(['allow', 'allow']);
+    expect(actions(socket, 'typing', 1)).toEqual(['allow']);
+    expect(actions({}, 'text', 1)).toEqual(['allow']);
+  });
+
+  test('should fall back to the default limit and leave unlimited events alone', () => {
+    expect(actions(socket, 'who', 2)).toEqual(['allow', 'warn']);
+    expect(actions(socket, 'disconnect', 10).every(action => action === 'allow')).toBe(true);
+  });
+
+  test('should warn once, drop quietly, then disconnect a client that keeps flooding', () => {
+    expect(actions(socket, 'text', 6)).toEqual(['allow', 'allow', 'warn', 'drop', 'drop', 'disconnect']);
+  });
+
+  test('should warn again after the interval and forget old strikes', () => {
+    actions(socket, 'text', 4);
+    now = 20000; // Bucket full again, strikes expired
+    expect(actions(socket, 'text', 4)).toEqual(['allow', 'allow', 'warn', 'drop']);
+  });
+
+  test('should report the time until the next token', () => {
+    actions(socket, 'text', 2);
+    now = 250;
+    expect(limiter.check(socket, 'text')).toEqual({ action: 'warn', retryAfterMs: 750 });
+  });
+
+  test('should count what happened per event for operators', () => {
+    actions(socket, 'text', 6);
+    actions(socket, 'who', 1);
+    expect(limiter.stats()).toEqual({
+      since: 0,
+      totals: { allowed: 3, dropped: 4, warned: 1, disconnected: 1 },
+      events: {
+        text: { allowed: 2, dropped: 4, warned: 1, disconnected: 1 },
+        who: { allowed: 1, dropped: 0, warned: 0, disconnected: 0 },
+      },
+    });
+  });
+});
+
+describe('loadRateLimits()', () => {
+  test('should use the defaults when nothing is configured', () => {
+    expect(loadRateLimits(undefined)).toEqual(DEFAULT_RATE_LIMITS);
+  });
+
+  test('should apply overrides, including turning a limit off', () => {
+    const limits = loadRateLimits('{"text":{"burst":3,"perSecond":0.5},"typing":null}');
+    expect(limits.text).toEqual({ burst: 3, perSecond: 0.5 });
+    expect(limits.typing).toBeNull();
+    expect(limits['text-op']).toEqual(DEFAULT_RATE_LIMITS['text-op']);
+  });
+
+  test('should refuse malformed configuration', () => {
+    expect(() => loadRateLimits('{text')).toThrow('RATE_LIMITS must be JSON');
+    expect(() => loadRateLimits('{"text":{"burst":0,"perSecond":1}}')).toThrow('RATE_LIMITS: text.burst must be at least 1');
+    expect(() => loadRateLimits('{"text":{"burst":5}}')).toThrow('RATE_LIMITS: text.perSecond is required');
+  });
+});
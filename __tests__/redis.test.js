@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the Redis protocol, TCP client, local stand-in and Redis room store
+ * Covers parsing split replies, commands and pub/sub against the stand-in, expiring
+ * keys and room leases shared by two instances
+ */
+
+const { RespError, RespParser, encodeCommand, encodeReply } = require('../utils/resp');
+const { RespClient } = require('../utils/resp-client');
+const { createRedisStandIn, globToRegExp } = require('../utils/redis-standin');
+const { RedisRoomStore } = require('../utils/room-store');
+
+describe('RespParser', () => {
+  test('should decode every reply type', () => {
+    const parser = new RespParser();
+    const values = parser.push(Buffer.concat([
+      encodeReply({ status: 'OK' }),
+      encodeReply(42),
+      encodeReply('héllo'),
+      encodeReply(null),
+      encodeReply(['message', 'ch', '{"a":1}']),
+      encodeReply(new RespError('ERR nope')),
+    ]));
+
+    expect(values.slice(0, 5)).toEqual(['OK', 42, 'héllo', null, ['message', 'ch', '{"a":1}']]);
+    expect(values[5]).toBeInstanceOf(RespError);
+    expect(values[5].message).toBe('ERR nope');
+  });
+
+  test('should wait for replies split across chunks', () => {
+    const parser = new RespParser();
+    const bytes = encodeCommand(['SET', 'key', 'välue']);
+
+    expect(parser.push(bytes.subarray(0, 7))).toEqual([]);
+    expect(parser.push(bytes.subarray(7, 20))).toEqual([]);
+    expect(parser.push(bytes.subarray(20))).toEqual([['SET', 'key', 'välue']]);
+  });
+
+  test('should refuse bytes that are not the protocol', () => {
+    expect(() => new RespParser().push(Buffer.from('hello\r\n'))).toThrow('Protocol error');
+  });
+});
+
+describe('globToRegExp()', () => {
+  test('should match like KEYS patterns', () => {
+    expect(globToRegExp('room:*').test('room:team')).toBe(true);
+    expect(globToRegExp('room:?').test('room:ab')).toBe(false);
+    expect(globToRegExp('room:[ab]').test('room:b')).toBe(true);
+    expect(globToRegExp('room:\\*').test('room:x')).toBe(false);
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+});
+
+describe('RespClient against the stand-in', () => {
+  let server;
+  let url;
+  let now;
+  const clients = [];
+
+  const connect = () => {
+    const client = new RespClient(url);
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    now = 1000;
+    server = createRedisStandIn({ now: () => now });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `redis://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    clients.splice(0).forEach(client => client.close());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should run commands queued before the connection is up', async () => {
+    const client = connect();
+    const replies = await Promise.all([
+      client.command('SET', 'greeting', 'hello'),
+      client.command('GET', 'greeting'),
+      client.command('DEL', 'greeting', 'missing'),
+      client.command('GET', 'greeting'),
+    ]);
+    expect(replies).toEqual(['OK', 'hello', 1, null]);
+  });
+
+  test('should honour NX, XX and expiry on SET', async () => {
+    const client = connect();
+    expect(await client.command('SET', 'lease', 'a', 'NX', 'PX', 500)).toBe('OK');
+    expect(await client.command('SET', 'lease', 'b', 'NX', 'PX', 500)).toBeNull();
+    expect(await client.command('SET', 'other', 'b', 'XX')).toBeNull();
+    now += 500;
+    expect(await client.command('GET', 'lease')).toBeNull();
+    expect(await client.command('KEYS', '*')).toEqual([]);
+  });
+
+  test('should keep hashes field by field', async () => {
+    const client = connect();
+    expect(await client.command('HSET', 'index', 'a', '1', 'b', '2')).toBe(2);
+    expect(await client.command('HSET', 'index', 'a', '3')).toBe(0);
+    expect(await client.command('HGETALL', 'index')).toEqual(['a', '3', 'b', '2']);
+    await expect(client.command('GET', 'index')).rejects.toThrow('WRONGTYPE');
+
+    expect(await client.command('HDEL', 'index', 'a', 'missing')).toBe(1);
+    expect(await client.command('HDEL', 'index', 'b')).toBe(1);
+    expect(await client.command('HGETALL', 'index')).toEqual([]);
+    expect(await client.command('KEYS', '*')).toEqual([]);
+  });
+
+  test('should reject error replies', async () => {
+    await expect(connect().command('FLY')).rejects.toThrow("unknown command 'FLY'");
+  });
+
+  test('should deliver published messages to subscribers', async () => {
+    const publisher = connect();
+    const subscriber = connect();
+    const received = [];
+    await subscriber.subscribe('news', (message, channel) => received.push([channel, message]));
+    const delivered = new Promise(resolve => subscriber.subscribe('news', resolve));
+
+    expect(await publisher.publish('news', JSON.stringify({ text: 'ünïcode' }))).toBe(1);
+    await delivered;
+    expect(received).toEqual([['news', '{"text":"ünïcode"}']]);
+    expect(await publisher.publish('elsewhere', 'x')).toBe(0);
+  });
+
+  test('should fail commands once closed', async () => {
+    const client = connect();
+    client.close();
+    await expect(client.command('PING')).rejects.toThrow('closed');
+  });
+});
+
+describe('RedisRoomStore', () => {
+  let server;
+  let client;
+  let store;
+  const a = { id: 'a', url: 'http://a:3000' };
+  const b = { id: 'b', url: 'http://b:3000' };
+
+  beforeEach(async () => {
+    server = createRedisStandIn();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new RespClient(`redis://127.0.0.1:${server.address().port}`);
+    store = new RedisRoomStore(client, { prefix: 'test:' });
+  });
+
+  afterEach(async () => {
+    client.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('should save, load and remove snapshots', async () => {
+    await store.save('team', { text: 'one' });
+    await store.save('ops*', { text: 'two' });
+
+    expect(await store.load('team')).toEqual({ text: 'one' });
+    expect(await store.load('missing')).toBeNull();
+    expect(await store.loadAll()).toEqual({ team: { text: 'one' }, 'ops*': { text: 'two' } });
+
+    await store.remove('team');
+    expect(Object.keys(await store.loadAll())).toEqual(['ops*']);
+  });
+
+  test('should list rooms from their summaries without reading snapshots', async () => {
+    await store.save('team', { isPrivate: true, settings: { password: 'hash' }, createdAt: 5, documents: [] });
+    await store.save('lan_home', { isLAN: true, createdAt: 7, documents: [] });
+    await store.remove('lan_home');
+    jest.spyOn(client, 'command');
+
+    expect(await store.list()).toEqual({ team: { isPrivate: true, isLAN: false, createdAt: 5 } });
+    expect(client.command.mock.calls).toEqual([['HGETALL', 'test:rooms']]);
+    expect(Object.keys(await store.loadAll())).toEqual(['team']);
+  });
+
+  test('should hand a room to one instance until it releases it', async () => {
+    expect(await store.claim('team', a, 10000)).toEqual(a);
+    expect(await store.claim('team', b, 10000)).toEqual(a);
+    expect(await store.claim('team', a, 10000)).toEqual(a);
+
+    await store.release('team', b);
+    expect(await store.claim('team', b, 10000)).toEqual(a);
+    await store.release('team', a);
+    expect(await store.claim('team', b, 10000)).toEqual(b);
+  });
+});
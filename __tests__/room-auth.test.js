@@ -0,0 +1,108 @@
+/**
+ * Unit tests for room authentication
+ * Covers scrypt password hashing, admin and connection tokens and the exponential join lockout
+ */
+
+const {
+  JoinThrottle, createAdminToken, createLanCode, createSocketToken, hashPassword, isPasswordHash, tokenMatches, verifyPassword
+} = require('../utils/room-auth');
+
+describe('password hashing', () => {
+  test('should verify the right password and reject others', async () => {
+    const stored = await hashPassword('s3cret');
+    expect(isPasswordHash(stored)).toBe(true);
+    expect(stored).not.toContain('s3cret');
+    await expect(verifyPassword('s3cret', stored)).resolves.toBe(true);
+    await expect(verifyPassword('S3cret', stored)).resolves.toBe(false);
+    await expect(verifyPassword(undefined, stored)).resolves.toBe(false);
+  });
+
+  test('should salt every hash', async () => {
+    const [a, b] = await Promise.all([hashPassword('same'), hashPassword('same')]);
+    expect(a).not.toBe(b);
+  });
+
+  test('should only accept an empty password when none is stored', async () => {
+    await expect(verifyPassword('', null)).resolves.toBe(true);
+    await expect(verifyPassword('anything', null)).resolves.toBe(false);
+  });
+
+  test('should never match a plaintext value that is not a hash', async () => {
+    expect(isPasswordHash('s3cret')).toBe(false);
+    await expect(verifyPassword('s3cret', 's3cret')).resolves.toBe(false);
+  });
+});
+
+describe('createAdminToken()', () => {
+  test('should return a URL safe token with 256 random bits', () => {
+    const token = createAdminToken();
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(createAdminToken()).not.toBe(token);
+  });
+});
+
+describe('connection tokens', () => {
+  test('should only match the exact token', () => {
+    const token = createSocketToken();
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(tokenMatches(token, token)).toBe(true);
+    expect(tokenMatches(createSocketToken(), token)).toBe(false);
+    expect(tokenMatches(token.slice(1), token)).toBe(false);
+    expect(tokenMatches(undefined, token)).toBe(false);
+    expect(tokenMatches('', '')).toBe(false);
+  });
+});
+
+describe('createLanCode()', () => {
+  test('should make six digit codes', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(createLanCode()).toMatch(/^\d{6}$/);
+    }
+  });
+});
+
+describe('JoinThrottle', () => {
+  let now;
+  let throttle;
+
+  beforeEach(() => {
+    now = 1000000;
+    throttle = new JoinThrottle({ threshold: 3, baseDelayMs: 1000, maxDelayMs: 8000, resetAfterMs: 60000, now: () => now });
+  });
+
+  test('should allow failures up to the threshold without a lockout', () => {
+    expect(throttle.recordFailure('ip')).toBe(0);
+    expect(throttle.recordFailure('ip')).toBe(0);
+    expect(throttle.remaining('ip')).toBe(0);
+  });
+
+  test('should double the lockout on each failure past the threshold, up to the cap', () => {
+    throttle.recordFailure('ip');
+    throttle.recordFailure('ip');
+    const delays = [1, 2, 3, 4, 5].map(() => {
+      const delay = throttle.recordFailure('ip');
+      now += delay;
+      return delay;
+    });
+    expect(delays).toEqual([1000, 2000, 4000, 8000, 8000]);
+  });
+
+  test('should report the remaining lockout time', () => {
+    [1, 2, 3].forEach(() => throttle.recordFailure('room'));
+    now += 400;
+    expect(throttle.remaining('room')).toBe(600);
+    expect(throttle.remaining('other-room')).toBe(0);
+  });
+
+  test('should forget a key on success or after a quiet period', () => {
+    [1, 2, 3].forEach(() => throttle.recordFailure('a'));
+    throttle.recordSuccess('a');
+    expect(throttle.recordFailure('a')).toBe(0);
+
+    [1, 2, 3].forEach(() => throttle.recordFailure('b'));
+    now += 60000;
+    throttle.prune();
+    expect(throttle.entries.has('b')).toBe(false);
+    expect(throttle.recordFailure('b')).toBe(0);
+  });
+});
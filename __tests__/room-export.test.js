@@ -0,0 +1,98 @@
+/**
+ * Unit tests for room export / import
+ * Covers each export format and archive validation
+ */
+
+const { exportRoom, parseArchive, ARCHIVE_TYPE } = require('../utils/room-export');
+
+const sampleRoom = () => ({
+  documents: [
+    { id: 1, name: 'Notes', format: 'markdown', language: null, text: '# Plan\n- [x] <b>ship</b>', revision: 4, createdAt: 1 },
+    { id: 2, name: 'Snippet', format: 'code', language: 'js', text: 'const a = "```";', revision: 1, createdAt: 2 }
+  ],
+  exclusiveEditing: true,
+  files: [{ filename: '1700000000000-report.pdf', originalName: 'report.pdf', timestamp: 1700000000000 }],
+  password: 'secret',
+  isPrivate: true,
+  isLAN: false,
+  adminToken: 'token-123'
+});
+
+describe('exportRoom()', () => {
+  test('should join documents as plain text', () => {
+    const { body, contentType, filename } = exportRoom('team', sampleRoom(), { format: 'txt' });
+    expect(contentType).toBe('text/plain; charset=utf-8');
+    expect(filename).toBe('team.txt');
+    expect(body).toBe('===== Notes =====\n\n# Plan\n- [x] <b>ship</b>\n\n===== Snippet =====\n\nconst a = "```";');
+  });
+
+  test('should export a single document without headings', () => {
+    const room = sampleRoom();
+    const { body, filename } = exportRoom('team', room, { format: 'txt', documents: [room.documents[0]] });
+    expect(body).toBe('# Plan\n- [x] <b>ship</b>');
+    expect(filename).toBe('team-Notes.txt');
+  });
+
+  test('should fence code documents in Markdown with a longer fence than the code uses', () => {
+    const room = sampleRoom();
+    const { body } = exportRoom('team', room, { format: 'md', documents: [room.documents[1]] });
+    expect(body).toBe('````js\nconst a = "```";\n````');
+  });
+
+  test('should render an escaped standalone HTML page', () => {
+    const { body } = exportRoom('<team>', sampleRoom(), { format: 'html' });
+    expect(body).toMatch(/^<!DOCTYPE html>/);
+    expect(body).toContain('<title>&lt;team&gt;</title>');
+    expect(body).toContain('<h1>Plan</h1>');
+    expect(body).toContain('&lt;b&gt;ship&lt;/b&gt;');
+    expect(body).toContain('<span class="hl-keyword">const</span>');
+    expect(body).not.toContain('<b>ship');
+  });
+
+  test('should archive metadata and files but never secrets', () => {
+    const archive = JSON.parse(exportRoom('team', sampleRoom(), { format: 'json' }).body);
+    expect(archive.type).toBe(ARCHIVE_TYPE);
+    expect(archive.settings).toEqual({ exclusiveEditing: true, isPrivate: true, isLAN: false });
+    expect(archive.documents[1]).toMatchObject({ id: 2, name: 'Snippet', format: 'code', language: 'js', revision: 1 });
+    expect(archive.files).toEqual([{
+      filename: '1700000000000-report.pdf',
+      originalName: 'report.pdf',
+      timestamp: 1700000000000,
+      link: '/uploads/team/1700000000000-report.pdf'
+    }]);
+
+    const raw = JSON.stringify(archive);
+    expect(raw).not.toContain('secret');
+    expect(raw).not.toContain('token-123');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => exportRoom('team', sampleRoom(), { format: 'pdf' })).toThrow('Unknown export format');
+  });
+});
+
+describe('parseArchive()', () => {
+  test('should round trip an export', () => {
+    const archive = JSON.parse(exportRoom('team', sampleRoom(), { format: 'json' }).body);
+    expect(parseArchive(archive)).toEqual({
+      documents: [
+        { name: 'Notes', format: 'markdown', language: null, text: '# Plan\n- [x] <b>ship</b>' },
+        { name: 'Snippet', format: 'code', language: 'js', text: 'const a = "```";' }
+      ],
+      settings: { exclusiveEditing: true }
+    });
+  });
+
+  test('should fall back to plain text for unknown document formats', () => {
+    const parsed = parseArchive({ type: ARCHIVE_TYPE, version: 1, documents: [{ text: 'x', format: 'pdf', language: 'js' }] });
+    expect(parsed.documents[0]).toEqual({ name: '', format: 'plain', language: null, text: 'x' });
+  });
+
+  test('should reject malformed archives', () => {
+    expect(() => parseArchive(null)).toThrow('Not a room archive');
+    expect(() => parseArchive({ type: 'other' })).toThrow('Not a room archive');
+    expect(() => parseArchive({ type: ARCHIVE_TYPE, version: 99, documents: [] })).toThrow('Unsupported archive version');
+    expect(() => parseArchive({ type: ARCHIVE_TYPE, documents: [] })).toThrow('Archive has no documents');
+    expect(() => parseArchive({ type: ARCHIVE_TYPE, documents: [{ name: 'x' }] })).toThrow('Document 1 has no text');
+  });
+});
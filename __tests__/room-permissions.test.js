@@ -0,0 +1,70 @@
+/**
+ * Unit tests for RoomPermissions
+ * Covers the role/permission matrix and who may moderate whom
+ */
+
+const RoomPermissions = require('../public/js/room-permissions');
+
+const { can, canModerate, deniedMessage, isRole } = RoomPermissions;
+
+describe('can()', () => {
+  test('should let everyone but viewers edit, comment and upload', () => {
+    ['edit', 'comment', 'upload'].forEach(permission => {
+      expect(can('admin', permission)).toBe(true);
+      expect(can('moderator', permission)).toBe(true);
+      expect(can('member', permission)).toBe(true);
+      expect(can('viewer', permission)).toBe(false);
+    });
+    expect(can('viewer', 'chat')).toBe(true);
+  });
+
+  test('should let moderators moderate but not change settings or roles', () => {
+    expect(can('moderator', 'mute')).toBe(true);
+    expect(can('moderator', 'kick')).toBe(true);
+    expect(can('moderator', 'ban')).toBe(true);
+    expect(can('moderator', 'moderateMedia')).toBe(true);
+    expect(can('moderator', 'manageSettings')).toBe(false);
+    expect(can('moderator', 'manageRoles')).toBe(false);
+    expect(can('moderator', 'deleteDocuments')).toBe(false);
+    expect(can('moderator', 'admitUsers')).toBe(false);
+    expect(can('member', 'mute')).toBe(false);
+  });
+
+  test('should give admins every permission', () => {
+    Object.keys(RoomPermissions.PERMISSIONS).forEach(permission => {
+      expect(can('admin', permission)).toBe(true);
+    });
+  });
+
+  test('should deny unknown roles and permissions', () => {
+    expect(can(undefined, 'edit')).toBe(false);
+    expect(can('owner', 'edit')).toBe(false);
+    expect(can('admin', 'launchRockets')).toBe(false);
+    expect(isRole('moderator')).toBe(true);
+    expect(isRole('guest')).toBe(false);
+  });
+});
+
+describe('canModerate()', () => {
+  test('should only reach roles below the actor', () => {
+    expect(canModerate('moderator', 'member', 'kick')).toBe(true);
+    expect(canModerate('moderator', 'viewer', 'mute')).toBe(true);
+    expect(canModerate('moderator', 'moderator', 'kick')).toBe(false);
+    expect(canModerate('moderator', 'admin', 'mute')).toBe(false);
+    expect(canModerate('admin', 'moderator', 'kick')).toBe(true);
+    expect(canModerate('admin', 'admin', 'kick')).toBe(false);
+  });
+
+  test('should require the permission itself', () => {
+    expect(canModerate('member', 'viewer', 'kick')).toBe(false);
+    expect(canModerate('admin', 'member', 'manageRoles')).toBe(true);
+  });
+});
+
+describe('deniedMessage()', () => {
+  test('should name the role and the action', () => {
+    expect(deniedMessage('viewer', 'edit')).toBe('Viewers cannot edit documents');
+    expect(deniedMessage('moderator', 'manageSettings')).toBe('Moderators cannot change room settings');
+    expect(deniedMessage(null, 'upload')).toBe('You cannot share files');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for room search
+ * Covers matching across documents, file names and chat, and snippet highlighting
+ */
+
+const { searchRoom, makeSnippet, SEARCH_QUERY_MAX } = require('../utils/room-search');
+
+const sampleRoom = () => ({
+  documents: [
+    { id: 1, name: 'Notes', text: 'Budget review on Friday.\nThe budget is tight.', revision: 3 },
+    { id: 2, name: 'TODO', text: '- book room', revision: 1 }
+  ],
+  files: [
+    { filename: '1700000000000-budget.xlsx', originalName: 'Budget.xlsx', timestamp: 1700000000000 },
+    { filename: '1700000000001-photo.png', originalName: 'photo.png', timestamp: 1700000000001 }
+  ],
+  chat: [
+    { id: 1, userId: 'a', name: 'Ann', text: 'Who owns the budget?', timestamp: 1 },
+    { id: 2, userId: 'b', name: 'Bob', text: 'Lunch?', timestamp: 2 },
+    { id: 3, userId: 'a', name: 'Ann', text: 'budget approved', timestamp: 3 }
+  ]
+});
+
+describe('searchRoom()', () => {
+  test('should find every document match case-insensitively with its position', () => {
+    const { results } = searchRoom(sampleRoom(), 'BUDGET');
+    const documentHits = results.filter(r => r.type === 'document');
+    expect(documentHits.map(r => [r.docId, r.start, r.end, r.revision])).toEqual([
+      [1, 0, 6, 3],
+      [1, 29, 35, 3]
+    ]);
+  });
+
+  test('should match file original names and newest chat messages first', () => {
+    const { results, total } = searchRoom(sampleRoom(), 'budget');
+    expect(total).toBe(5);
+    expect(results.filter(r => r.type === 'file')).toEqual([{
+      type: 'file',
+      filename: '1700000000000-budget.xlsx',
+      name: 'Budget.xlsx',
+      snippet: { text: 'Budget.xlsx', highlight: { start: 0, end: 6 } }
+    }]);
+    expect(results.filter(r => r.type === 'message').map(r => r.messageId)).toEqual([3, 1]);
+  });
+
+  test('should cap results and report truncation', () => {
+    const { results, total, truncated } = searchRoom(sampleRoom(), 'budget', { limit: 2 });
+    expect(results).toHaveLength(2);
+    expect(total).toBe(5);
+    expect(truncated).toBe(true);
+  });
+
+  test('should reject empty and overly long queries', () => {
+    expect(() => searchRoom(sampleRoom(), '   ')).toThrow('Search text is required');
+    expect(() => searchRoom(sampleRoom(), 'x'.repeat(SEARCH_QUERY_MAX + 1))).toThrow('at most');
+  });
+
+  test('should return no results for rooms without chat or files', () => {
+    const { results } = searchRoom({ documents: [{ id: 1, name: 'A', text: 'abc', revision: 0 }] }, 'zzz');
+    expect(results).toEqual([]);
+  });
+});
+
+describe('makeSnippet()', () => {
+  test('should flatten whitespace and mark trimmed context with ellipses', () => {
+    const text = 'first line\n\nsecond line has the word here and continues for a while';
+    const start = text.indexOf('word');
+    const snippet = makeSnippet(text, start, start + 4, 12);
+    expect(snippet.text).toBe('…ine has the word here and co…');
+    expect(snippet.text.slice(snippet.highlight.start, snippet.highlight.end)).toBe('word');
+  });
+});
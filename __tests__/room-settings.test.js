@@ -0,0 +1,84 @@
+/**
+ * Unit tests for room settings
+ * Covers defaults, validation of admin changes, file type matching and what clients see
+ */
+
+const {
+  MAX_FILE_SIZE_MB,
+  createRoomSettings,
+  describeSettings,
+  isFileTypeAllowed,
+  validateSettingsUpdate
+} = require('../utils/room-settings');
+
+describe('createRoomSettings()', () => {
+  test('should keep files longer in private rooms', () => {
+    expect(createRoomSettings().fileRetentionMinutes).toBe(15);
+    expect(createRoomSettings({}, true).fileRetentionMinutes).toBe(30);
+    expect(createRoomSettings({ fileRetentionMinutes: 60 }, true).fileRetentionMinutes).toBe(60);
+  });
+
+  test('should fill in defaults around saved values', () => {
+    const settings = createRoomSettings({ password: 'hash' });
+    expect(settings).toMatchObject({ password: 'hash', maxFileSizeMB: MAX_FILE_SIZE_MB, muteOnJoin: false, topic: '' });
+  });
+});
+
+describe('validateSettingsUpdate()', () => {
+  test('should accept and normalize valid changes', () => {
+    const { values, error } = validateSettingsUpdate({
+      topic: '  Sprint   planning ',
+      allowedFileTypes: ['IMAGE/*', 'application/pdf', 'image/*'],
+      maxFileSizeMB: 5,
+      muteOnJoin: true,
+      password: ''
+    });
+
+    expect(error).toBeUndefined();
+    expect(values).toEqual({
+      topic: 'Sprint planning',
+      allowedFileTypes: ['image/*', 'application/pdf'],
+      maxFileSizeMB: 5,
+      muteOnJoin: true,
+      password: null
+    });
+  });
+
+  test('should reject out-of-range and unknown settings', () => {
+    expect(validateSettingsUpdate({ maxFileSizeMB: MAX_FILE_SIZE_MB + 1 }).error).toMatch(/1 to 10 MB/);
+    expect(validateSettingsUpdate({ fileRetentionMinutes: 0 }).error).toBeDefined();
+    expect(validateSettingsUpdate({ allowedFileTypes: [] }).error).toBeDefined();
+    expect(validateSettingsUpdate({ allowedFileTypes: ['exe'] }).error).toMatch(/"exe"/);
+    expect(validateSettingsUpdate({ muteOnJoin: 'yes' }).error).toBeDefined();
+    expect(validateSettingsUpdate({ topic: 'x'.repeat(201) }).error).toBeDefined();
+    expect(validateSettingsUpdate({ isAdmin: true }).error).toBe('Unknown setting: isAdmin');
+    expect(validateSettingsUpdate(null).error).toBeDefined();
+  });
+
+  test('should keep LAN prefixes within a local network', () => {
+    expect(validateSettingsUpdate({ lanIpv4Prefix: 16, lanIpv6Prefix: 48, lanCodeRequired: true }).values)
+      .toEqual({ lanIpv4Prefix: 16, lanIpv6Prefix: 48, lanCodeRequired: true });
+    expect(validateSettingsUpdate({ lanIpv4Prefix: 0 }).error).toMatch(/\/8 to \/32/);
+    expect(validateSettingsUpdate({ lanIpv6Prefix: 8 }).error).toMatch(/\/16 to \/128/);
+    expect(validateSettingsUpdate({ lanIpv4Prefix: '24' }).error).toBeDefined();
+  });
+});
+
+describe('isFileTypeAllowed()', () => {
+  test('should match exact types and whole families', () => {
+    const settings = createRoomSettings({ allowedFileTypes: ['text/*', 'application/pdf'] });
+    expect(isFileTypeAllowed(settings, 'text/markdown')).toBe(true);
+    expect(isFileTypeAllowed(settings, 'Application/PDF')).toBe(true);
+    expect(isFileTypeAllowed(settings, 'image/png')).toBe(false);
+    expect(isFileTypeAllowed(settings, undefined)).toBe(false);
+  });
+});
+
+describe('describeSettings()', () => {
+  test('should never include the password hash', () => {
+    const described = describeSettings(createRoomSettings({ password: 'scrypt$hash' }));
+    expect(described.password).toBeUndefined();
+    expect(described.hasPassword).toBe(true);
+    expect(describeSettings(createRoomSettings()).hasPassword).toBe(false);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Unit tests for room persistence
+ * Covers snapshot round trips, the JSON file store, leases in the memory store and
+ * debounced writes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  JsonFileRoomStore,
+  MemoryRoomStore,
+  RedisRoomStore,
+  RoomPersister,
+  createRoomStore,
+  toSnapshot,
+  fromSnapshot
+} = require('../utils/room-store');
+
+const sampleRoom = () => ({
+  documents: [{
+    id: 1,
+    name: 'Notes',
+    text: 'meeting notes',
+    revision: 4,
+    operations: [{ ops: [], userId: 'socket-1', timestamp: 0 }],
+    revisions: [{ id: 1, revision: 4, text: 'meeting notes', userName: 'Guest 1' }],
+    nextRevisionId: 2,
+    typingLock: { lockedBy: 'socket-1', lockedAt: 0, isActive: true }
+  }],
+  nextDocumentId: 2,
+  exclusiveEditing: true,
+  files: [{ filename: '1-a.txt', originalName: 'a.txt', timestamp: 1 }],
+  settings: { password: 'secret', topic: 'Planning' },
+  isPrivate: true,
+  isLAN: false,
+  lanIPs: [],
+  createdAt: 1000,
+  connectors: new Set(['10.0.0.1']),
+  users: new Map([['socket-1', { name: 'Guest 1', role: 'admin' }]]),
+  adminSocketId: 'socket-1'
+});
+
+describe('toSnapshot() / fromSnapshot()', () => {
+  test('should keep durable fields and drop live state', () => {
+    const snapshot = toSnapshot(sampleRoom());
+
+    expect(snapshot.documents[0].text).toBe('meeting notes');
+    expect(snapshot.files).toHaveLength(1);
+    expect(snapshot.connectors).toEqual(['10.0.0.1']);
+    expect(snapshot.users).toBeUndefined();
+    expect(snapshot.adminSocketId).toBeUndefined();
+    expect(snapshot.documents[0].typingLock).toBeUndefined();
+    expect(snapshot.documents[0].operations).toBeUndefined();
+  });
+
+  test('should survive a JSON round trip', () => {
+    const fields = fromSnapshot(JSON.parse(JSON.stringify(toSnapshot(sampleRoom()))));
+
+    expect(fields.documents[0]).toMatchObject({ id: 1, name: 'Notes', text: 'meeting notes', revision: 4 });
+    expect(fields.nextDocumentId).toBe(2);
+    expect(fields.settings).toEqual({ password: 'secret', topic: 'Planning' });
+    expect(fields.connectors).toEqual(new Set(['10.0.0.1']));
+  });
+
+  test('should migrate a single-buffer snapshot into the first document', () => {
+    const fields = fromSnapshot({
+      version: 1,
+      text: 'old notes',
+      revision: 7,
+      revisions: [],
+      nextRevisionId: 3,
+      isPrivate: false
+    });
+
+    expect(fields.documents).toEqual([{ id: 1, text: 'old notes', revision: 7, revisions: [], nextRevisionId: 3 }]);
+    expect(fields.nextDocumentId).toBe(2);
+  });
+
+  test('should move a top-level password into the settings', () => {
+    const fields = fromSnapshot({ version: 2, documents: [{ id: 1, text: '' }], password: 'hash', isPrivate: true });
+
+    expect(fields.settings).toEqual({ password: 'hash' });
+    expect(fields.password).toBeUndefined();
+  });
+});
+
+describe('JsonFileRoomStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'room-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should save, load and remove rooms', async () => {
+    const store = new JsonFileRoomStore(path.join(dir, 'rooms'));
+    await store.save('team/../alpha', { text: 'one' });
+    await store.save('beta', { text: 'two' });
+
+    expect(await store.loadAll()).toEqual({ 'team/../alpha': { text: 'one' }, beta: { text: 'two' } });
+    expect(fs.readdirSync(path.join(dir, 'rooms')).every(name => !name.includes('/'))).toBe(true);
+
+    await store.remove('beta');
+    await store.remove('missing');
+    expect(Object.keys(await store.loadAll())).toEqual(['team/../alpha']);
+    expect(await store.load('team/../alpha')).toEqual({ text: 'one' });
+    expect(await store.load('beta')).toBeNull();
+  });
+
+  test('should survive overlapping saves of the same room', async () => {
+    const store = new JsonFileRoomStore(dir);
+    await Promise.all([store.save('alpha', { text: 'one' }), store.save('alpha', { text: 'two' })]);
+
+    expect(['one', 'two']).toContain((await store.load('alpha')).text);
+    expect(fs.readdirSync(dir)).toEqual(['alpha.json']);
+  });
+
+  test('should list the summary of every room', async () => {
+    const store = new JsonFileRoomStore(dir);
+    await store.save('alpha', { isPrivate: true, settings: { password: null }, createdAt: 3 });
+
+    expect(await store.list()).toEqual({ alpha: { isPrivate: false, isLAN: false, createdAt: 3 } });
+  });
+
+  test('should return no rooms when the directory does not exist', async () => {
+    const store = new JsonFileRoomStore(path.join(dir, 'nope'));
+    expect(await store.loadAll()).toEqual({});
+  });
+
+  test('should skip unreadable snapshots', async () => {
+    const store = new JsonFileRoomStore(dir);
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{not json');
+    jest.spyOn(console, 'error').mockImplementation(() => { });
+
+    expect(await store.loadAll()).toEqual({});
+    console.error.mockRestore();
+  });
+});
+
+describe('MemoryRoomStore leases', () => {
+  const a = { id: 'a', url: 'http://a' };
+  const b = { id: 'b', url: 'http://b' };
+  let now;
+  let store;
+
+  beforeEach(() => {
+    now = 0;
+    store = new MemoryRoomStore({ now: () => now });
+  });
+
+  test('should give a room to the first claimant until the lease runs out', async () => {
+    expect(await store.claim('team', a, 1000)).toBe(a);
+    expect(await store.claim('team', b, 1000)).toBe(a);
+    now = 1500;
+    expect(await store.claim('team', b, 1000)).toBe(b);
+  });
+
+  test('should renew the holder\'s lease when it claims again', async () => {
+    await store.claim('team', a, 1000);
+    now = 900;
+    expect(await store.claim('team', a, 1000)).toBe(a);
+    now = 1500;
+    expect(await store.claim('team', b, 1000)).toBe(a);
+  });
+
+  test('should only let the holder release a lease', async () => {
+    await store.claim('team', a, 1000);
+    await store.release('team', b);
+    expect(await store.claim('team', b, 1000)).toBe(a);
+    await store.release('team', a);
+    expect(await store.claim('team', b, 1000)).toBe(b);
+  });
+});
+
+describe('createRoomStore()', () => {
+  test('should pick a store by type', () => {
+    expect(createRoomStore({ dir: '/tmp/rooms' })).toBeInstanceOf(JsonFileRoomStore);
+    expect(createRoomStore({ type: 'memory' })).toBeInstanceOf(MemoryRoomStore);
+    expect(createRoomStore({ type: 'redis', client: {} })).toBeInstanceOf(RedisRoomStore);
+    expect(() => createRoomStore({ type: 'redis' })).toThrow('Redis client is required');
+    expect(() => createRoomStore({ type: 'floppy' })).toThrow('Unknown room store');
+  });
+});
+
+describe('RoomPersister', () => {
+  let store;
+  let rooms;
+  let persister;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    store = new MemoryRoomStore();
+    jest.spyOn(store, 'save');
+    rooms = { alpha: sampleRoom() };
+    persister = new RoomPersister(store, (room) => rooms[room], { delay: 1000, maxDelay: 3000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should write once after a burst of changes', () => {
+    persister.schedule('alpha');
+    jest.advanceTimersByTime(500);
+    persister.schedule('alpha');
+    jest.advanceTimersByTime(500);
+    expect(store.save).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    expect(store.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not postpone a busy room past maxDelay', () => {
+    for (let elapsed = 0; elapsed < 3000; elapsed += 500) {
+      persister.schedule('alpha');
+      jest.advanceTimersByTime(500);
+    }
+    expect(store.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('should write pending rooms on flushAll', async () => {
+    persister.schedule('alpha');
+    await persister.flushAll();
+
+    expect(store.save).toHaveBeenCalledTimes(1);
+    expect((await store.loadAll()).alpha.documents[0].text).toBe('meeting notes');
+    expect(persister.pending.size).toBe(0);
+  });
+
+  test('should let a write still running finish before the next one starts', async () => {
+    let finishFirst;
+    store.save.mockImplementationOnce(() => new Promise(resolve => { finishFirst = resolve; }));
+    const first = persister.flush('alpha');
+    await Promise.resolve();
+    rooms.alpha.documents[0].text = 'final notes';
+    const second = persister.flush('alpha');
+    await Promise.resolve();
+    expect(store.save).toHaveBeenCalledTimes(1);
+
+    finishFirst();
+    await Promise.all([first, second]);
+    expect(store.save).toHaveBeenCalledTimes(2);
+    expect((await store.load('alpha')).documents[0].text).toBe('final notes');
+    expect(persister.writing.size).toBe(0);
+  });
+
+  test('should cancel pending writes for a removed room', async () => {
+    persister.schedule('alpha');
+    await persister.remove('alpha');
+    jest.advanceTimersByTime(5000);
+
+    expect(store.save).not.toHaveBeenCalled();
+  });
+
+  test('should drop a pending write on cancel and keep the stored snapshot', async () => {
+    await store.save('alpha', { version: 2, documents: [] });
+    persister.schedule('alpha');
+    expect(persister.cancel('alpha')).toBe(true);
+    expect(persister.cancel('alpha')).toBe(false);
+    jest.advanceTimersByTime(5000);
+
+    expect(store.save).toHaveBeenCalledTimes(1);
+    expect((await store.loadAll()).alpha.documents).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for payload schemas
+ * Covers type and limit checks, defaults, undeclared fields, query string coercion,
+ * the socket event schemas and the Express request middleware
+ */
+
+const { INVALID_PAYLOAD, validate, validateRequest } = require('../utils/schema');
+const { EVENT_SCHEMAS } = require('../sockets/schemas');
+
+describe('validate()', () => {
+  const schema = {
+    type: 'object',
+    fields: {
+      room: { type: 'string', required: true, min: 1, max: 10 },
+      count: { type: 'integer', min: 0 },
+      tags: { type: 'array', max: 2, items: { type: 'string' } },
+    },
+  };
+
+  test('should pass a valid payload and drop undeclared fields', () => {
+    expect(validate(schema, { room: 'team', count: 2, extra: 'x' })).toEqual({ value: { room: 'team', count: 2 } });
+  });
+
+  test('should name the field that is missing or has the wrong type', () => {
+    expect(validate(schema, {})).toEqual({ error: 'room is required', field: 'room' });
+    expect(validate(schema, { room: 42 })).toEqual({ error: 'room must be text', field: 'room' });
+    expect(validate(schema, { room: 'team', count: 1.5 })).toEqual({ error: 'count must be a whole number', field: 'count' });
+    expect(validate(schema, 'team').error).toBe('Payload must be an object');
+  });
+
+  test('should enforce lengths and ranges', () => {
+    expect(validate(schema, { room: '' }).error).toBe('room must not be empty');
+    expect(validate(schema, { room: 'x'.repeat(11) }).error).toBe('room must be at most 10 characters');
+    expect(validate(schema, { room: 'team', count: -1 }).error).toBe('count must be at least 0');
+    expect(validate(schema, { room: 'team', tags: ['a', 'b', 'c'] }).error).toBe('tags can have at most 2 items');
+  });
+
+  test('should check list items and nested objects by path', () => {
+    expect(validate(schema, { room: 'team', tags: ['a', 1] })).toEqual({ error: 'tags[1] must be text', field: 'tags[1]' });
+    const nested = { type: 'object', fields: { offer: { type: 'object', required: true, fields: { sdp: { type: 'string', required: true } } } } };
+    expect(validate(nested, { offer: {} })).toEqual({ error: 'offer.sdp is required', field: 'offer.sdp' });
+  });
+
+  test('should fill defaults and only allow null when nullable', () => {
+    expect(validate({ type: 'object', fields: {}, default: {} }, undefined)).toEqual({ value: {} });
+    expect(validate({ type: 'string', default: 'txt' }, undefined)).toEqual({ value: 'txt' });
+    expect(validate({ type: 'integer', nullable: true }, null)).toEqual({ value: null });
+    expect(validate({ type: 'integer' }, null).error).toBe('Payload must not be empty');
+  });
+
+  test('should check patterns and allowed values', () => {
+    expect(validate({ type: 'string', pattern: /^\d+$/ }, '12a').error).toBe('Payload is not valid');
+    expect(validate({ type: 'string', oneOf: ['a', 'b'] }, 'c').error).toBe('Payload must be one of: a, b');
+  });
+
+  test('should limit the keys of free-form objects', () => {
+    const settings = { type: 'object', maxKeys: 2 };
+    expect(validate(settings, { a: 1, b: 2 })).toEqual({ value: { a: 1, b: 2 } });
+    expect(validate(settings, { a: 1, b: 2, c: 3 }).error).toBe('Payload can have at most 2 entries');
+  });
+
+  test('should read numbers and booleans from strings only when told to', () => {
+    expect(validate({ type: 'integer', coerce: true }, '7')).toEqual({ value: 7 });
+    expect(validate({ type: 'boolean', coerce: true }, 'false')).toEqual({ value: false });
+    expect(validate({ type: 'integer', coerce: true }, 'seven').error).toBe('Payload must be a whole number');
+    expect(validate({ type: 'integer' }, '7').error).toBe('Payload must be a whole number');
+  });
+});
+
+describe('EVENT_SCHEMAS', () => {
+  test('should refuse a join without a room', () => {
+    expect(validate(EVENT_SCHEMAS.join, {}).error).toBe('room is required');
+    expect(validate(EVENT_SCHEMAS.join, undefined).error).toBe('room is required');
+    expect(validate(EVENT_SCHEMAS.join, { room: 'team\u0000' }).error).toBe('room is not valid');
+  });
+
+  test('should only accept files named by the upload route', () => {
+    const announce = (filename) => validate(EVENT_SCHEMAS['file-uploaded'], { filename, originalName: 'notes.txt' });
+    expect(announce('1700000000000-notes.txt').error).toBeUndefined();
+    expect(announce('../../server.js').error).toBe('filename is not valid');
+    expect(announce('1700000000000-a/b.txt').error).toBe('filename is not valid');
+  });
+
+  test('should require a well-formed WebRTC offer', () => {
+    const schema = EVENT_SCHEMAS['webrtc-offer'];
+    expect(validate(schema, { targetId: 'peer', offer: { type: 'offer', sdp: 'v=0' } }).error).toBeUndefined();
+    expect(validate(schema, { targetId: 'peer' }).error).toBe('offer is required');
+    expect(validate(schema, { targetId: 'peer', offer: { type: 'answer', sdp: 'v=0' } }).error).toBe('offer.type must be one of: offer');
+  });
+
+  test('should let payload-less events arrive without a payload', () => {
+    expect(validate(EVENT_SCHEMAS['get-rooms'], undefined)).toEqual({ value: {} });
+    expect(validate(EVENT_SCHEMAS.leave, undefined)).toEqual({ value: {} });
+  });
+});
+
+describe('validateRequest()', () => {
+  const createRes = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+  const middleware = validateRequest({
+    params: { room: { type: 'string', required: true, min: 1 } },
+    query: { limit: { type: 'integer', min: 1, coerce: true } },
+  });
+
+  test('should replace the request parts with their checked values', () => {
+    const req = { params: { room: 'team' }, query: { limit: '5', other: 'x' } };
+    const next = jest.fn();
+    middleware(req, createRes(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.query).toEqual({ limit: 5 });
+  });
+
+  test('should answer a bad request with a 400 naming the field', () => {
+    const res = createRes();
+    const next = jest.fn();
+    middleware({ params: { room: 'team' }, query: { limit: '0' } }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'limit must be at least 1', code: INVALID_PAYLOAD, field: 'limit' });
+  });
+});
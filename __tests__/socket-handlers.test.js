@@ -0,0 +1,491 @@
+/**
+ * Unit tests for the socket handler registry, its middleware and subsystem handlers
+ * Covers payload schemas, rate limiting, middleware refusals, ack shapes, and media and
+ * editor handlers run against a fake socket
+ */
+
+const { HandlerRegistry } = require('../sockets/registry');
+const { RateLimiter } = require('../utils/rate-limit');
+const { inRoom, requirePermission, requireAdmin, notMuted, moderatesTarget, withDocument, validate } = require('../sockets/middleware');
+const { registerMediaHandlers } = require('../sockets/media');
+const { registerEditorHandlers } = require('../sockets/editor');
+const { identityTag } = require('../utils/identity');
+
+// Records what the server sends, to whom
+function createFakeIo() {
+  const io = {
+    sent: [],
+    sockets: { sockets: new Map() },
+    to: (target) => ({ emit: (event, data) => io.sent.push({ to: target, event, data }) }),
+  };
+  return io;
+}
+
+class FakeSocket {
+  constructor(io, id) {
+    this.io = io;
+    this.id = id;
+    this.data = { room: '', pendingRoom: null };
+    this.connected = true;
+    this.listeners = new Map();
+    this.emitted = [];
+    io.sockets.sockets.set(id, this);
+  }
+
+  on(event, listener) {
+    this.listeners.set(event, listener);
+  }
+
+  emit(event, data) {
+    this.emitted.push({ event, data });
+  }
+
+  disconnect() {
+    this.connected = false;
+  }
+
+  // Everyone in the room but this socket
+  to(room) {
+    return { emit: (event, data) => this.io.sent.push({ to: room, except: this.id, event, data }) };
+  }
+}
+
+function createRoomInfo(users) {
+  return {
+    users: new Map(Object.entries(users)),
+    documents: [{ id: 1, name: 'Notes', text: '', revision: 0, comments: [] }],
+    nextDocumentId: 2,
+    limits: {},
+  };
+}
+
+function createApp(info) {
+  const io = createFakeIo();
+  return {
+    io,
+    roomData: { team: info },
+    findDocument: (roomInfo, docId) => (docId === undefined || docId === null)
+      ? roomInfo?.documents[0]
+      : roomInfo?.documents.find(doc => doc.id === docId),
+    mediaRefusal: () => null,
+    persistRoom: jest.fn(),
+  };
+}
+
+function joinedSocket(app, id) {
+  const socket = new FakeSocket(app.io, id);
+  socket.data.room = 'team';
+  return socket;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => { });
+  jest.spyOn(console, 'error').mockImplementation(() => { });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('HandlerRegistry', () => {
+  test('should run middleware in order before the handler', () => {
+    const registry = new HandlerRegistry({});
+    const calls = [];
+    registry.on('ping', () => { calls.push('first'); }, () => { calls.push('second'); }, ({ reply }) => {
+      calls.push('handler');
+      reply({ ok: true });
+    });
+
+    const ack = jest.fn();
+    registry.dispatch(new FakeSocket(createFakeIo(), 's1'), 'ping', {}, ack);
+    expect(calls).toEqual(['first', 'second', 'handler']);
+    expect(ack).toHaveBeenCalledWith({ ok: true });
+  });
+
+  test('should stop at the first middleware that returns an error', () => {
+    const registry = new HandlerRegistry({});
+    const handler = jest.fn();
+    registry.on('ping', () => 'Nope', handler);
+
+    const ack = jest.fn();
+    registry.dispatch(new FakeSocket(createFakeIo(), 's1'), 'ping', {}, ack);
+    expect(handler).not.toHaveBeenCalled();
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Nope', code: 'refused' });
+  });
+
+  test('should ack false for events registered with boolean acks', () => {
+    const registry = new HandlerRegistry({});
+    registry.on('ping', { ack: 'boolean' }, () => 'Nope', jest.fn());
+
+    const ack = jest.fn();
+    registry.dispatch(new FakeSocket(createFakeIo(), 's1'), 'ping', {}, ack);
+    expect(ack).toHaveBeenCalledWith(false);
+  });
+
+  test('should not require an ack', () => {
+    const registry = new HandlerRegistry({});
+    registry.on('ping', () => 'Nope', jest.fn());
+    expect(() => registry.dispatch(new FakeSocket(createFakeIo(), 's1'), 'ping', {})).not.toThrow();
+  });
+
+  test('should log and ack a handler that throws', () => {
+    const registry = new HandlerRegistry({});
+    registry.on('ping', () => { throw new Error('boom'); });
+
+    const ack = jest.fn();
+    registry.dispatch(new FakeSocket(createFakeIo(), 's1'), 'ping', {}, ack);
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Something went wrong', code: 'failed' });
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('should ack an async handler that rejects', async () => {
+    const registry = new HandlerRegistry({});
+    registry.on('ping', async () => { throw new Error('boom'); });
+
+    const ack = jest.fn();
+    await registry.dispatch(new FakeSocket(createFakeIo(), 's1'), 'ping', {}, ack);
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Something went wrong', code: 'failed' });
+  });
+
+  test('should refuse a second handler for the same event', () => {
+    const registry = new HandlerRegistry({});
+    registry.on('ping', jest.fn());
+    expect(() => registry.on('ping', jest.fn())).toThrow('ping already has a handler');
+  });
+
+  test('should check the payload against the event schema before any middleware', () => {
+    const registry = new HandlerRegistry({}, { schemas: { ping: { type: 'object', fields: { room: { type: 'string', required: true } } } } });
+    const middleware = jest.fn();
+    const handler = jest.fn();
+    registry.on('ping', middleware, handler);
+
+    const ack = jest.fn();
+    registry.dispatch(new FakeSocket(createFakeIo(), 's1'), 'ping', { room: 7 }, ack);
+    expect(middleware).not.toHaveBeenCalled();
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'room must be text', code: 'invalid-payload' });
+
+    registry.dispatch(new FakeSocket(createFakeIo(), 's2'), 'ping', { room: 'team', extra: true });
+    expect(handler.mock.calls[0][0].payload).toEqual({ room: 'team' });
+  });
+
+  test('should tell a client that sent no ack about a malformed payload', () => {
+    const registry = new HandlerRegistry({}, { schemas: { ping: { type: 'object', required: true } } });
+    registry.on('ping', jest.fn());
+
+    const socket = new FakeSocket(createFakeIo(), 's1');
+    registry.dispatch(socket, 'ping', 'hello');
+    expect(socket.emitted).toEqual([
+      { event: 'request-error', data: { event: 'ping', ok: false, error: 'Payload must be an object', code: 'invalid-payload' } },
+    ]);
+  });
+
+  test('should take a lone callback as the ack', () => {
+    const registry = new HandlerRegistry({}, { schemas: { ping: { type: 'object', fields: {}, default: {} } } });
+    registry.on('ping', ({ payload, reply }) => reply({ ok: true, payload }));
+
+    const ack = jest.fn();
+    registry.dispatch(new FakeSocket(createFakeIo(), 's1'), 'ping', ack);
+    expect(ack).toHaveBeenCalledWith({ ok: true, payload: {} });
+  });
+
+  test('should refuse events without a schema once schemas are given', () => {
+    const registry = new HandlerRegistry({}, { schemas: {} });
+    expect(() => registry.on('ping', jest.fn())).toThrow('No schema given for ping');
+  });
+
+  test('should drop rate-limited events before they are checked, warn, then disconnect', () => {
+    const rateLimiter = new RateLimiter({ ping: { burst: 1, perSecond: 0 } }, { disconnectAfter: 3 });
+    const registry = new HandlerRegistry({}, { rateLimiter });
+    const handler = jest.fn();
+    registry.on('ping', handler);
+
+    const socket = new FakeSocket(createFakeIo(), 's1');
+    for (let i = 0; i < 4; i++) registry.dispatch(socket, 'ping', {});
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(socket.emitted.map(({ event, data }) => [event, Boolean(data.disconnected)])).toEqual([
+      ['rate-limited', false],
+      ['rate-limited', true],
+    ]);
+    expect(socket.connected).toBe(false);
+  });
+
+  test('should still answer the ack of a rate-limited event', () => {
+    const rateLimiter = new RateLimiter({ ping: { burst: 1, perSecond: 2 }, flag: { burst: 1, perSecond: 2 } });
+    const registry = new HandlerRegistry({}, { rateLimiter });
+    registry.on('ping', ({ reply }) => reply({ ok: true }));
+    registry.on('flag', { ack: 'boolean' }, ({ reply }) => reply(true));
+
+    const socket = new FakeSocket(createFakeIo(), 's1');
+    const ack = jest.fn();
+    registry.dispatch(socket, 'ping', {}, ack);
+    registry.dispatch(socket, 'ping', {}, ack);
+    registry.dispatch(socket, 'flag', ack);
+    registry.dispatch(socket, 'flag', ack);
+    expect(ack.mock.calls).toEqual([
+      [{ ok: true }],
+      [{ ok: false, error: 'You are sending too fast', code: 'rate-limited', retryAfterMs: expect.any(Number) }],
+      [true],
+      [false],
+    ]);
+  });
+
+  test('should listen for every registered event on attach', () => {
+    const registry = new HandlerRegistry({});
+    registry.on('ping', jest.fn()).on('pong', jest.fn());
+
+    const socket = new FakeSocket(createFakeIo(), 's1');
+    registry.attach(socket);
+    expect(Array.from(socket.listeners.keys())).toEqual(['ping', 'pong']);
+  });
+});
+
+describe('middleware', () => {
+  const info = createRoomInfo({
+    admin: { name: 'Ann', role: 'admin' },
+    member: { name: 'Bob', role: 'member', muted: true },
+    viewer: { name: 'Cat', role: 'viewer' },
+  });
+  const app = createApp(info);
+  const context = (socket, payload = {}) => ({ app, socket, payload });
+
+  test('inRoom should add the room, its data and the user', () => {
+    const ctx = context(joinedSocket(app, 'admin'));
+    expect(inRoom(ctx)).toBeNull();
+    expect(ctx.room).toBe('team');
+    expect(ctx.info).toBe(info);
+    expect(ctx.user.name).toBe('Ann');
+  });
+
+  test('inRoom should refuse sockets that have not joined, or were pruned', () => {
+    expect(inRoom(context(new FakeSocket(app.io, 'admin')))).toBe('Not in a room');
+    expect(inRoom(context(joinedSocket(app, 'stranger')))).toBe('Not in a room');
+  });
+
+  test('requirePermission should explain what the role cannot do', () => {
+    const ctx = context(joinedSocket(app, 'viewer'));
+    inRoom(ctx);
+    expect(requirePermission('edit')(ctx)).toBe('Viewers cannot edit documents');
+    expect(requireAdmin(ctx)).toMatch(/cannot change room settings/);
+  });
+
+  test('notMuted should refuse muted users', () => {
+    const ctx = context(joinedSocket(app, 'member'));
+    inRoom(ctx);
+    expect(notMuted(ctx)).toBe('You are muted');
+  });
+
+  test('moderatesTarget should add the target only when the user outranks them', () => {
+    const ctx = context(joinedSocket(app, 'admin'), { targetId: 'member' });
+    inRoom(ctx);
+    expect(moderatesTarget('kick')(ctx)).toBeNull();
+    expect(ctx.target.name).toBe('Bob');
+
+    const upward = context(joinedSocket(app, 'member'), { targetId: 'admin' });
+    inRoom(upward);
+    expect(moderatesTarget('kick', 'Not allowed')(upward)).toBe('Not allowed');
+
+    const missing = context(joinedSocket(app, 'admin'), { targetId: 'nobody' });
+    inRoom(missing);
+    expect(moderatesTarget('kick')(missing)).toBe('User not found');
+  });
+
+  test('withDocument should fall back to the first document unless told not to', () => {
+    const ctx = context(joinedSocket(app, 'admin'));
+    inRoom(ctx);
+    expect(withDocument()(ctx)).toBeNull();
+    expect(ctx.doc.id).toBe(1);
+    expect(withDocument({ allowDefault: false })(ctx)).toBe('Document not found');
+
+    ctx.payload = { docId: 9 };
+    expect(withDocument()(ctx)).toBe('Document not found');
+  });
+
+  test('validate should pass the payload to the check', () => {
+    const check = validate(({ name }) => (name ? null : 'Name is required'));
+    expect(check(context(null, {}))).toBe('Name is required');
+    expect(check(context(null, { name: 'x' }))).toBeNull();
+    expect(check({ payload: undefined })).toBe('Name is required');
+  });
+});
+
+describe('media handlers', () => {
+  let info;
+  let app;
+  let registry;
+
+  beforeEach(() => {
+    info = createRoomInfo({
+      admin: { name: 'Ann', role: 'admin' },
+      member: { name: 'Bob', role: 'member' },
+    });
+    app = createApp(info);
+    registry = new HandlerRegistry(app);
+    registerMediaHandlers(registry, app);
+  });
+
+  test('should turn on video and tell the room', () => {
+    registry.dispatch(joinedSocket(app, 'member'), 'enable-video', {});
+    expect(info.users.get('member').videoEnabled).toBe(true);
+    expect(app.io.sent).toEqual([
+      expect.objectContaining({ to: 'team', event: 'user-video-enabled', data: expect.objectContaining({ userId: 'member', name: 'Bob' }) }),
+    ]);
+  });
+
+  test('should use the joined room, not one named in the payload', () => {
+    app.roomData.other = createRoomInfo({ member: { name: 'Bob', role: 'member' } });
+    registry.dispatch(joinedSocket(app, 'member'), 'enable-audio', { room: 'other' });
+    expect(app.io.sent[0].to).toBe('team');
+    expect(app.roomData.other.users.get('member').audioEnabled).toBeUndefined();
+  });
+
+  test('should refuse video over the room limit', () => {
+    app.mediaRefusal = () => 'Only 1 camera can be on at once in this room.';
+    registry = new HandlerRegistry(app);
+    registerMediaHandlers(registry, app);
+
+    const socket = joinedSocket(app, 'member');
+    registry.dispatch(socket, 'enable-video', {});
+    expect(info.users.get('member').videoEnabled).toBeUndefined();
+    expect(socket.emitted).toEqual([
+      { event: 'media-limit-reached', data: { room: 'team', kind: 'video', message: 'Only 1 camera can be on at once in this room.' } },
+    ]);
+    expect(app.io.sent).toEqual([]);
+  });
+
+  test('should not count a refused camera when the call mode changes to video', () => {
+    app.mediaRefusal = () => 'Only 1 camera can be on at once in this room.';
+    registry = new HandlerRegistry(app);
+    registerMediaHandlers(registry, app);
+
+    const socket = joinedSocket(app, 'member');
+    registry.dispatch(socket, 'enable-video', {});
+    registry.dispatch(socket, 'call-mode-change', { mode: 'video' });
+    expect(info.users.get('member')).toEqual(expect.objectContaining({ callMode: 'voice', audioEnabled: true }));
+    expect(info.users.get('member').videoEnabled).toBeUndefined();
+    expect(app.io.sent).toEqual([
+      expect.objectContaining({ to: 'team', event: 'user-call-mode-changed', data: expect.objectContaining({ mode: 'voice' }) }),
+    ]);
+  });
+
+  test('should keep the camera of someone a moderator turned it off for off', () => {
+    const socket = joinedSocket(app, 'member');
+    registry.dispatch(joinedSocket(app, 'admin'), 'admin-disable-video', { targetId: 'member' });
+    app.io.sent = [];
+
+    registry.dispatch(socket, 'enable-video', {});
+    registry.dispatch(socket, 'call-mode-change', { mode: 'video' });
+    expect(info.users.get('member').videoEnabled).toBe(false);
+    expect(socket.emitted).toEqual([
+      { event: 'media-limit-reached', data: { room: 'team', kind: 'video', message: 'A moderator has turned off your camera.' } },
+    ]);
+
+    registry.dispatch(joinedSocket(app, 'admin'), 'admin-enable-video', { targetId: 'member' });
+    registry.dispatch(socket, 'call-mode-change', { mode: 'video' });
+    expect(info.users.get('member').videoEnabled).toBe(true);
+  });
+
+  test('should ignore media events from sockets outside a room', () => {
+    registry.dispatch(new FakeSocket(app.io, 'member'), 'start-screen-share', {});
+    expect(app.io.sent).toEqual([]);
+  });
+
+  test('should only relay signaling to peers in the same room', () => {
+    const socket = joinedSocket(app, 'member');
+    registry.dispatch(socket, 'webrtc-offer', { targetId: 'admin', offer: { type: 'offer', sdp: 'v=0' } });
+    registry.dispatch(socket, 'webrtc-offer', { targetId: 'elsewhere', offer: { type: 'offer', sdp: 'v=0' } });
+    expect(app.io.sent).toEqual([
+      { to: 'admin', event: 'webrtc-offer', data: { fromId: 'member', offer: { type: 'offer', sdp: 'v=0' } } },
+    ]);
+  });
+
+  test('should let a moderator stop a screen share and ack true', () => {
+    info.users.get('member').screenShareEnabled = true;
+    info.screenShares = new Set(['member']);
+
+    const ack = jest.fn();
+    registry.dispatch(joinedSocket(app, 'admin'), 'admin-stop-screen-share', { targetId: 'member' }, ack);
+    expect(ack).toHaveBeenCalledWith(true);
+    expect(info.screenShares.has('member')).toBe(false);
+    expect(app.io.sent.map(({ to, event }) => [to, event])).toEqual([
+      ['member', 'screen-share-stopped-by-admin'],
+      ['team', 'user-screen-share-stopped'],
+    ]);
+  });
+
+  test('should ack false when a member tries to moderate media', () => {
+    const ack = jest.fn();
+    registry.dispatch(joinedSocket(app, 'member'), 'admin-disable-video', { targetId: 'admin' }, ack);
+    expect(ack).toHaveBeenCalledWith(false);
+    expect(info.users.get('admin').videoDisabledByAdmin).toBeUndefined();
+  });
+});
+
+describe('editor handlers', () => {
+  let info;
+  let app;
+  let registry;
+
+  beforeEach(() => {
+    info = createRoomInfo({
+      admin: { name: 'Ann', role: 'admin' },
+      viewer: { name: 'Cat', role: 'viewer' },
+    });
+    app = {
+      ...createApp(info),
+      identitySecret: 'secret',
+      MAX_DOCUMENTS: 2,
+      createDocument: (fields) => ({ text: '', revision: 0, comments: [], ...fields }),
+      sanitizeDocumentName: (name) => (name || '').trim(),
+      documentList: (roomInfo) => roomInfo.documents.map(({ id, name }) => ({ id, name })),
+      textSnapshot: (doc) => ({ docId: doc.id, text: doc.text, revision: doc.revision }),
+    };
+    registry = new HandlerRegistry(app);
+    registerEditorHandlers(registry, app);
+  });
+
+  test('should create a document and tell the room', () => {
+    const ack = jest.fn();
+    registry.dispatch(joinedSocket(app, 'admin'), 'create-document', { name: 'Tasks' }, ack);
+    expect(ack).toHaveBeenCalledWith({ ok: true, document: { id: 2, name: 'Tasks' } });
+    expect(app.io.sent.map(({ event }) => event)).toEqual(['documents', 'text']);
+    expect(app.persistRoom).toHaveBeenCalledWith('team');
+  });
+
+  test('should refuse documents past the room limit', () => {
+    const socket = joinedSocket(app, 'admin');
+    registry.dispatch(socket, 'create-document', { name: 'Tasks' });
+    const ack = jest.fn();
+    registry.dispatch(socket, 'create-document', { name: 'More' }, ack);
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'A room can hold at most 2 documents', code: 'refused' });
+  });
+
+  test('should refuse viewers before looking at the payload', () => {
+    const ack = jest.fn();
+    registry.dispatch(joinedSocket(app, 'viewer'), 'create-document', undefined, ack);
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Viewers cannot edit documents', code: 'refused' });
+    expect(info.documents).toHaveLength(1);
+  });
+
+  test('should let authors delete their comments after reconnecting', () => {
+    const comment = { id: 1, userId: 'old-socket', authorTag: identityTag('secret', 'bob-identity-0001'), replies: [] };
+    info.documents[0].comments.push(comment, { ...comment, id: 2 });
+    info.users.set('member', { name: 'Dan', role: 'member', userId: 'dan-identity-0001' });
+    info.users.set('new-socket', { name: 'Bob', role: 'member', userId: 'bob-identity-0001' });
+
+    const refused = jest.fn();
+    registry.dispatch(joinedSocket(app, 'member'), 'delete-comment', { docId: 1, commentId: 1 }, refused);
+    expect(refused).toHaveBeenCalledWith({ ok: false, error: 'Only the author or a moderator can delete this comment', code: 'refused' });
+
+    const ack = jest.fn();
+    registry.dispatch(joinedSocket(app, 'new-socket'), 'delete-comment', { docId: 1, commentId: 1 }, ack);
+    expect(ack).toHaveBeenCalledWith({ ok: true });
+    expect(info.documents[0].comments.map(c => c.id)).toEqual([2]);
+  });
+
+  test('should ack false when a non-admin toggles exclusive editing', () => {
+    const ack = jest.fn();
+    registry.dispatch(joinedSocket(app, 'viewer'), 'set-exclusive-editing', { enabled: true }, ack);
+    expect(ack).toHaveBeenCalledWith(false);
+    expect(info.exclusiveEditing).toBeUndefined();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for the line diff used by revision history
+ */
+
+const { diffLines, diffStats, MAX_DIFF_LINES } = require('../utils/text-diff');
+
+// Rebuild either side of a diff to check it is complete
+const oldSide = (diff) => diff.filter(l => l.type !== 'insert').map(l => l.text).join('\n');
+const newSide = (diff) => diff.filter(l => l.type !== 'delete').map(l => l.text).join('\n');
+
+describe('diffLines()', () => {
+  test('should mark identical text as equal', () => {
+    const diff = diffLines('a\nb', 'a\nb');
+    expect(diff).toEqual([{ type: 'equal', text: 'a' }, { type: 'equal', text: 'b' }]);
+  });
+
+  test('should find inserted and deleted lines', () => {
+    const diff = diffLines('one\ntwo\nthree\nfour', 'one\nthree\nthree and a half\nfour');
+    expect(diff).toEqual([
+      { type: 'equal', text: 'one' },
+      { type: 'delete', text: 'two' },
+      { type: 'equal', text: 'three' },
+      { type: 'insert', text: 'three and a half' },
+      { type: 'equal', text: 'four' }
+    ]);
+  });
+
+  test.each([
+    ['', 'new text'],
+    ['old text', ''],
+    ['a\nb\nc\nd\ne', 'e\nd\nc\nb\na'],
+    ['x\ny\nz', 'x\n1\ny\n2\nz\n3']
+  ])('should rebuild both sides for %j -> %j', (from, to) => {
+    const diff = diffLines(from, to);
+    expect(oldSide(diff)).toBe(from);
+    expect(newSide(diff)).toBe(to);
+  });
+
+  test('should fall back to a replacement for very large changes', () => {
+    const from = Array.from({ length: MAX_DIFF_LINES }, (_, i) => `old ${i}`).join('\n');
+    const to = Array.from({ length: MAX_DIFF_LINES }, (_, i) => `new ${i}`).join('\n');
+    const diff = diffLines(`head\n${from}\ntail`, `head\n${to}\ntail`);
+
+    expect(diff[0]).toEqual({ type: 'equal', text: 'head' });
+    expect(diff[diff.length - 1]).toEqual({ type: 'equal', text: 'tail' });
+    expect(diffStats(diff)).toEqual({ added: MAX_DIFF_LINES, removed: MAX_DIFF_LINES });
+  });
+});
+
+describe('diffStats()', () => {
+  test('should count added and removed lines', () => {
+    expect(diffStats(diffLines('a\nb\nc', 'a\nc\nd\ne'))).toEqual({ added: 2, removed: 1 });
+  });
+});
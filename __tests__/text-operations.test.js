@@ -0,0 +1,236 @@
+/**
+ * Unit tests for TextOperations and TextSyncClient
+ * Covers transform convergence and the client/server revision protocol
+ */
+
+const TextOperations = require('../public/js/text-operations');
+const TextSyncClient = require('../public/js/text-sync-client');
+
+const { applyOps, transform, diffToOps, transformIndex, transformRange, normalizeOps } = TextOperations;
+
+const ins = (pos, text) => ({ type: 'insert', pos, text });
+const del = (pos, length) => ({ type: 'delete', pos, length });
+
+describe('TextOperations', () => {
+  describe('applyOps()', () => {
+    test('should apply inserts and deletes in order', () => {
+      expect(applyOps('hello', [ins(5, ' world'), del(0, 1), ins(0, 'H')])).toBe('Hello world');
+    });
+
+    test('should reject out of range operations', () => {
+      expect(() => applyOps('abc', [del(2, 5)])).toThrow('out of range');
+      expect(() => applyOps('abc', [ins(4, 'x')])).toThrow('out of range');
+    });
+  });
+
+  describe('transform()', () => {
+    const cases = [
+      ['insert vs insert', 'abcdef', [ins(2, 'X')], [ins(4, 'Y')]],
+      ['insert vs insert at same position', 'abcdef', [ins(3, 'X')], [ins(3, 'Y')]],
+      ['insert vs delete around it', 'abcdef', [ins(3, 'X')], [del(1, 4)]],
+      ['delete vs insert inside it', 'abcdef', [del(1, 4)], [ins(3, 'XY')]],
+      ['overlapping deletes', 'abcdefg', [del(1, 3)], [del(2, 3)]],
+      ['identical deletes', 'abcdefg', [del(2, 2)], [del(2, 2)]],
+      ['replace vs replace', 'the quick fox', diffToOps('the quick fox', 'the slow fox'), diffToOps('the quick fox', 'a quick brown fox')],
+      ['multi-op lists', 'abcdefghij', [del(0, 2), ins(3, '123')], [ins(5, 'Z'), del(7, 2)]]
+    ];
+
+    test.each(cases)('should converge for %s', (name, base, a, b) => {
+      const [aPrime, bPrime] = transform(a, b, true);
+      const viaA = applyOps(applyOps(base, a), bPrime);
+      const viaB = applyOps(applyOps(base, b), aPrime);
+      expect(viaA).toBe(viaB);
+    });
+
+    test('should keep both inserted texts', () => {
+      const [aPrime, bPrime] = transform([ins(3, 'X')], [ins(3, 'Y')], true);
+      expect(applyOps(applyOps('abcdef', [ins(3, 'X')]), bPrime)).toBe('abcXYdef');
+      expect(applyOps(applyOps('abcdef', [ins(3, 'Y')]), aPrime)).toBe('abcXYdef');
+    });
+  });
+
+  describe('diffToOps()', () => {
+    test('should produce ops that rebuild the new text', () => {
+      const pairs = [['', 'abc'], ['abc', ''], ['abc', 'abXc'], ['aaaa', 'aa'], ['hello world', 'hello brave new world']];
+      pairs.forEach(([from, to]) => {
+        expect(applyOps(from, diffToOps(from, to))).toBe(to);
+      });
+    });
+
+    test('should return no ops for identical text', () => {
+      expect(diffToOps('same', 'same')).toEqual([]);
+    });
+  });
+
+  describe('transformIndex()', () => {
+    test('should shift an index past earlier inserts and deletes', () => {
+      expect(transformIndex(5, [ins(0, 'abc')])).toBe(8);
+      expect(transformIndex(5, [del(0, 2)])).toBe(3);
+      expect(transformIndex(5, [del(3, 10)])).toBe(3);
+      expect(transformIndex(2, [ins(4, 'x')])).toBe(2);
+    });
+  });
+
+  describe('transformRange()', () => {
+    test('should keep text typed at the edges outside the range', () => {
+      expect(transformRange(2, 5, [ins(2, 'ab')])).toEqual({ start: 4, end: 7 });
+      expect(transformRange(2, 5, [ins(5, 'ab')])).toEqual({ start: 2, end: 5 });
+    });
+
+    test('should grow with text typed inside the range', () => {
+      expect(transformRange(2, 5, [ins(3, 'ab')])).toEqual({ start: 2, end: 7 });
+    });
+
+    test('should shrink and collapse with deletions', () => {
+      expect(transformRange(2, 5, [del(0, 3)])).toEqual({ start: 0, end: 2 });
+      expect(transformRange(2, 5, [del(4, 4)])).toEqual({ start: 2, end: 4 });
+      expect(transformRange(2, 5, [del(1, 6)])).toEqual({ start: 1, end: 1 });
+    });
+  });
+
+  describe('normalizeOps()', () => {
+    test('should drop empty ops and reject malformed ones', () => {
+      expect(normalizeOps([ins(0, ''), del(1, 0), ins(2, 'a')])).toEqual([ins(2, 'a')]);
+      expect(normalizeOps([{ type: 'replace', pos: 0 }])).toBeNull();
+      expect(normalizeOps([{ type: 'insert', pos: -1, text: 'a' }])).toBeNull();
+      expect(normalizeOps('nope')).toBeNull();
+    });
+  });
+});
+
+describe('TextSyncClient', () => {
+  // Minimal server mirroring applyTextOperation() in server.js
+  function createServer(initialText) {
+    const server = { text: initialText, revision: 0, history: [], clients: [] };
+
+    server.receive = (client, revision, ops) => {
+      let transformed = ops;
+      for (const entry of server.history.slice(revision)) {
+        [transformed] = transform(transformed, entry.ops, false);
+      }
+      server.text = applyOps(server.text, transformed);
+      server.revision++;
+      server.history.push({ ops: transformed, client });
+
+      const rev = server.revision;
+      server.clients.forEach(other => {
+        if (other === client) {
+          other.inbox.push(() => other.sync.handleAck(rev));
+        } else {
+          other.inbox.push(() => other.sync.handleRemote(transformed, rev));
+        }
+      });
+    };
+
+    return server;
+  }
+
+  function createClient(server) {
+    const client = { text: server.text, inbox: [], outbox: [] };
+    client.sync = new TextSyncClient({
+      send: (revision, ops) => client.outbox.push(() => server.receive(client, revision, ops)),
+      onRemoteOps: (ops) => { client.text = applyOps(client.text, ops); }
+    });
+    client.edit = (newText) => {
+      const ops = diffToOps(client.text, newText);
+      client.text = newText;
+      client.sync.applyLocal(ops);
+    };
+    server.clients.push(client);
+    return client;
+  }
+
+  const flush = (queue) => { while (queue.length) queue.shift()(); };
+
+  test('should require a send function', () => {
+    expect(() => new TextSyncClient({})).toThrow('send function');
+  });
+
+  test('should converge when two clients type at the same time', () => {
+    const server = createServer('shared notes');
+    const alice = createClient(server);
+    const bob = createClient(server);
+
+    alice.edit('shared meeting notes');
+    bob.edit('shared notes!');
+    bob.edit('Shared notes!');
+
+    flush(bob.outbox);
+    flush(alice.outbox);
+    flush(alice.inbox);
+    flush(bob.inbox);
+    flush(bob.outbox);
+    flush(alice.inbox);
+    flush(bob.inbox);
+
+    expect(server.text).toBe('Shared meeting notes!');
+    expect(alice.text).toBe(server.text);
+    expect(bob.text).toBe(server.text);
+    expect(alice.sync.hasPendingChanges()).toBe(false);
+    expect(bob.sync.hasPendingChanges()).toBe(false);
+  });
+
+  test('should buffer edits while an operation is in flight', () => {
+    const send = jest.fn();
+    const sync = new TextSyncClient({ send });
+
+    sync.applyLocal([ins(0, 'a')]);
+    sync.applyLocal([ins(1, 'b')]);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    sync.handleAck(1);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send).toHaveBeenLastCalledWith(1, [ins(1, 'b')]);
+  });
+
+  test('should send a dropped operation again and keep syncing after it', () => {
+    jest.useFakeTimers();
+    try {
+      const server = createServer('notes');
+      const alice = createClient(server);
+      const bob = createClient(server);
+
+      alice.edit('my notes');
+      alice.outbox.length = 0;
+      alice.sync.handleRejected(200);
+      alice.edit('my notes.');
+      bob.edit('notes!');
+      flush(bob.outbox);
+      flush(alice.inbox);
+      expect(alice.outbox).toHaveLength(0);
+
+      jest.advanceTimersByTime(200);
+      expect(alice.outbox).toHaveLength(1);
+      flush(alice.outbox);
+      flush(alice.inbox);
+      flush(bob.inbox);
+      alice.edit(`${alice.text} Done`);
+      flush(alice.outbox);
+      flush(alice.inbox);
+      flush(bob.inbox);
+
+      expect(server.text).toBe('my notes!. Done');
+      expect(alice.text).toBe(server.text);
+      expect(bob.text).toBe(server.text);
+      expect(alice.sync.hasPendingChanges()).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should not resend a dropped operation after a resync', () => {
+    jest.useFakeTimers();
+    try {
+      const send = jest.fn();
+      const sync = new TextSyncClient({ send });
+
+      sync.applyLocal([ins(0, 'a')]);
+      sync.handleRejected(100);
+      sync.reset(3);
+      jest.advanceTimersByTime(100);
+      expect(send).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
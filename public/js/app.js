@@ -20,24 +20,56 @@ class TeamUpApp {
     this.state = {
       currentRoom: '',
       currentUserId: null,
+      currentUserTag: null, // Marks the comments this person wrote, in any tab or session
+      requestToken: null, // Sent with X-Socket-Id so HTTP requests act as this connection
       currentUserRole: null,
+      successorId: null,
+      lobbyEnabled: false,
+      lobbyQueue: [],
+      roomLimits: { locked: false, maxParticipants: null, maxVideo: null, maxScreenShares: null },
+      roomSettings: null, // What every member is told: topic, upload rules; never the password
       isMuted: false,
       isConnected: false,
       typingLockStatus: { isLocked: false, lockedBy: null, lockedByUser: null },
       hasTypingLock: false,
+      exclusiveEditing: false,
       adminTokens: {},
       mode: 'join',
+      activeDocumentId: null,
+      selectedRevisionId: null,
+      showPreview: false,
+      roomPassword: '', // Sent with export/import requests for private rooms
+      invite: null, // { room, token } from an invite link, used instead of the password
+      lanCode: '', // Code a LAN room shows on screen; entered by joiners, received by members
+      chatUnread: 0,
+      chatCollapsed: false,
+      showComments: true,
+      showResolvedComments: false,
+      activeCommentId: null,
       videoParticipants: [] // Track users with video enabled
     };
 
     this.timers = {
       typingLock: null,
       typingActivity: null,
-      connectionTimeout: null
+      connectionTimeout: null,
+      cursorBroadcast: null,
+      previewRender: null,
+      search: null,
+      joinLockout: null
     };
 
     this.elements = {};
     this.isCurrentlyTyping = false;
+    this.lastTypingSentAt = 0; // 'typing' goes out at most once a second, well under the server's rate limit
+
+    // Documents (tabs) in the room, each with its own operational transform sync
+    this.documents = new Map(); // docId -> { id, name, format, language, text, comments, sync: TextSyncClient }
+    this.documentOrder = [];
+    this.draggedDocumentId = null;
+    this.remoteCursors = null; // Other members' carets over the editor
+    this.commentDraft = null; // { docId, start, end, text } waiting for our edits to be acknowledged
+    this.searchRequestId = 0; // Ignore responses to searches that have been superseded
     this.previousUserList = [];
 
     // Video components (initialized when joining a room)
@@ -108,7 +140,22 @@ class TeamUpApp {
       'refreshRooms', 'clearActivity', 'toggleDarkMode', 'leaveRoomBtn',
       'currentRoomDisplay', 'currentRoomName', 'activityContent', 'userCount',
       'onlineUsers', 'activeRooms', 'toggleThemeSelector', 'themeSelectorPanel',
-      'closeThemePanel', 'btnJoinVoice', 'btnLeaveVoice', 'voiceStatus', 'voiceUserList'
+      'closeThemePanel', 'btnJoinVoice', 'btnLeaveVoice', 'voiceStatus', 'voiceUserList',
+      'exclusiveEditingToggle', 'historyToggle', 'historyPanel', 'historyList', 'historyDiff',
+      'historyPreviewTitle', 'historyRestoreBtn', 'closeHistoryPanel', 'documentTabList', 'addDocumentBtn',
+      'documentFormat', 'documentLanguage', 'previewToggle', 'previewPane',
+      'exportFormat', 'importBtn', 'importFileInput',
+      'chatMessages', 'chatForm', 'chatInput', 'chatUnread', 'chatToggle', 'chatContent',
+      'addCommentBtn', 'commentsToggle', 'commentCount', 'commentGutter', 'commentList', 'showResolvedComments',
+      'roomSearchForm', 'roomSearchInput', 'roomSearchResults',
+      'invitePanel', 'inviteForm', 'inviteExpiry', 'inviteMaxUses', 'inviteRole', 'inviteList',
+      'lobbyToggleLabel', 'lobbyToggle', 'lobbyQueue', 'banSection', 'banList',
+      'roomLimitsSection', 'roomLimitsForm', 'roomLockedToggle', 'maxParticipantsInput', 'maxVideoInput',
+      'maxScreenSharesInput', 'roomTopic', 'roomSettingsBtn', 'roomSettingsDialog', 'roomSettingsForm',
+      'settingsTopic', 'settingsPassword', 'settingsRemovePassword', 'settingsRetention', 'settingsMaxFileSize',
+      'settingsFileTypes', 'settingsMuteOnJoin', 'roomSettingsCancel', 'lanCodeBanner', 'lanCodeValue',
+      'settingsLanSection', 'settingsLanIpv4Prefix', 'settingsLanIpv6Prefix', 'settingsLanCodeRequired',
+      'settingsNewLanCode'
     ];
 
     elementIds.forEach(id => {
@@ -139,19 +186,56 @@ class TeamUpApp {
     this.socket.on('disconnect', () => this.handleDisconnect());
     this.socket.on('connect_error', (error) => this.handleConnectionError(error));
     this.socket.on('text', (payload) => this.handleTextUpdate(payload));
+    this.socket.on('text-op', (data) => this.handleRemoteTextOperation(data));
+    this.socket.on('documents', (data) => this.handleDocumentList(data));
+    this.socket.on('chat-history', (data) => this.handleChatHistory(data));
+    this.socket.on('chat-message', (message) => this.handleChatMessage(message));
+    this.socket.on('exclusive-editing-changed', ({ enabled }) => this.handleExclusiveEditingChanged(enabled));
+    this.socket.on('cursors', (data) => this.handleRemoteCursors(data));
+    this.socket.on('cursor-update', (data) => this.handleRemoteCursorUpdate(data));
+    this.socket.on('revision-restored', (data) => this.handleRevisionRestored(data));
+    this.socket.on('cursor-removed', ({ userId }) => this.remoteCursors && this.remoteCursors.removeCursor(userId));
+    this.socket.on('comments', (data) => this.handleComments(data));
+    this.socket.on('comment-changed', (data) => this.handleCommentChanged(data));
+    this.socket.on('comment-deleted', (data) => this.handleCommentDeleted(data));
     this.socket.on('unauthorized', (msg) => this.handleUnauthorized(msg));
+    this.socket.on('request-error', (data) => this.handleRequestError(data));
+    this.socket.on('rate-limited', (data) => this.handleRateLimited(data));
     this.socket.on('user-list', (users) => this.handleUserListUpdate(users));
     this.socket.on('you', (data) => this.handleUserData(data));
     this.socket.on('file-uploaded', (file) => this.handleFileUploaded(file));
     this.socket.on('file-list', (files) => this.handleFileList(files));
     this.socket.on('file-deleted', ({ filename }) => this.handleFileDeleted(filename));
-    this.socket.on('typing-lock-acquired', () => this.handleTypingLockAcquired());
-    this.socket.on('typing-lock-denied', ({ lockedByUser }) => this.handleTypingLockDenied(lockedByUser));
-    this.socket.on('typing-lock-changed', ({ lockedByUser }) => this.handleTypingLockChanged(lockedByUser));
-    this.socket.on('typing-lock-released', () => this.handleTypingLockReleased());
+    this.socket.on('typing-lock-acquired', (data) => this.handleTypingLockAcquired(data));
+    this.socket.on('typing-lock-denied', (data) => this.handleTypingLockDenied(data));
+    this.socket.on('typing-lock-changed', (data) => this.handleTypingLockChanged(data));
+    this.socket.on('typing-lock-released', (data) => this.handleTypingLockReleased(data));
     this.socket.on('typing-lock-status', (status) => this.handleTypingLockStatus(status));
     this.socket.on('kicked', ({ room, movedTo }) => this.handleKicked(room, movedTo));
     this.socket.on('muted', ({ room, muted }) => this.handleMuted(room, muted));
+    this.socket.on('role-changed', (data) => this.handleRoleChanged(data));
+    this.socket.on('admin-changed', (data) => this.handleAdminChanged(data));
+    this.socket.on('banned', ({ room, message }) => {
+      this.showNotification(message, 'error');
+      this.addRoomActivity(`You were banned from ${room}`, 'error');
+    });
+    this.socket.on('lobby-waiting', ({ room }) => this.handleLobbyWaiting(room));
+    this.socket.on('lobby-changed', ({ enabled }) => {
+      this.state.lobbyEnabled = enabled;
+      this.updateModerationPanel();
+    });
+    this.socket.on('room-limits-changed', (limits) => this.handleRoomLimitsChanged(limits));
+    this.socket.on('room-settings-changed', (settings) => this.handleRoomSettingsChanged(settings));
+    this.socket.on('lan-code', ({ code }) => this.handleLanCode(code));
+    this.socket.on('media-limit-reached', (data) => this.handleMediaLimitReached(data));
+    this.socket.on('lobby-list', ({ pending }) => {
+      this.state.lobbyQueue = pending;
+      this.renderLobbyQueue();
+    });
+    this.socket.on('successor-changed', ({ successorId }) => {
+      this.state.successorId = successorId;
+      if (this.previousUserList) this.renderUserList(this.previousUserList);
+    });
     this.socket.on('typing', (user) => this.handleTypingIndicator(user));
 
     // Video event listeners
@@ -206,10 +290,139 @@ class TeamUpApp {
     if (this.elements.connectionType) {
       this.elements.connectionType.addEventListener('change', () => this.updateDefaultRoom());
     }
+    if (this.elements.exclusiveEditingToggle) {
+      this.elements.exclusiveEditingToggle.addEventListener('click', () => this.toggleExclusiveEditing());
+    }
+    if (this.elements.addDocumentBtn) {
+      this.elements.addDocumentBtn.addEventListener('click', () => this.createDocument());
+    }
+    if (this.elements.documentFormat) {
+      this.elements.documentFormat.addEventListener('change', () => this.setDocumentFormat());
+    }
+    if (this.elements.documentLanguage) {
+      this.elements.documentLanguage.addEventListener('change', () => this.setDocumentFormat());
+    }
+    if (this.elements.previewToggle) {
+      this.elements.previewToggle.addEventListener('click', () => this.togglePreview());
+    }
+    if (this.elements.previewPane) {
+      // Ticking a task checkbox edits the source line it came from
+      this.elements.previewPane.addEventListener('change', (e) => {
+        if (e.target.classList.contains('task-checkbox')) {
+          this.toggleTaskItem(Number(e.target.dataset.line));
+        }
+      });
+    }
+    if (this.elements.exportFormat) {
+      this.elements.exportFormat.addEventListener('change', () => {
+        const format = this.elements.exportFormat.value;
+        this.elements.exportFormat.value = '';
+        if (format) this.exportNotes(format);
+      });
+    }
+    if (this.elements.importBtn && this.elements.importFileInput) {
+      this.elements.importBtn.addEventListener('click', () => this.elements.importFileInput.click());
+      this.elements.importFileInput.addEventListener('change', () => {
+        const file = this.elements.importFileInput.files[0];
+        this.elements.importFileInput.value = '';
+        if (file) this.importNotes(file);
+      });
+    }
+    if (this.elements.chatForm) {
+      this.elements.chatForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.sendChatMessage();
+      });
+    }
+    if (this.elements.chatToggle) {
+      this.elements.chatToggle.addEventListener('click', () => this.toggleChatPanel());
+    }
+    if (this.elements.chatMessages) {
+      this.elements.chatMessages.addEventListener('scroll', () => this.markChatReadIfVisible());
+    }
+    document.addEventListener('visibilitychange', () => this.markChatReadIfVisible());
+    if (this.elements.addCommentBtn) {
+      this.elements.addCommentBtn.addEventListener('click', () => this.addComment());
+    }
+    if (this.elements.commentsToggle) {
+      this.elements.commentsToggle.addEventListener('click', () => this.toggleComments());
+    }
+    if (this.elements.showResolvedComments) {
+      this.elements.showResolvedComments.addEventListener('change', () => {
+        this.state.showResolvedComments = this.elements.showResolvedComments.checked;
+        this.renderComments();
+      });
+    }
+    if (this.elements.inviteForm) {
+      this.elements.inviteForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.createInvite();
+      });
+    }
+    if (this.elements.lobbyToggle) {
+      this.elements.lobbyToggle.addEventListener('change', () => this.setLobby(this.elements.lobbyToggle.checked));
+    }
+    if (this.elements.roomSettingsBtn) {
+      this.elements.roomSettingsBtn.addEventListener('click', () => this.openRoomSettings());
+    }
+    if (this.elements.roomSettingsForm) {
+      this.elements.roomSettingsForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveRoomSettings();
+      });
+    }
+    if (this.elements.settingsNewLanCode) {
+      this.elements.settingsNewLanCode.addEventListener('click', () => this.regenerateLanCode());
+    }
+    if (this.elements.roomSettingsCancel) {
+      this.elements.roomSettingsCancel.addEventListener('click', () => this.elements.roomSettingsDialog.close());
+    }
+    if (this.elements.settingsRemovePassword) {
+      this.elements.settingsRemovePassword.addEventListener('change', () => {
+        this.elements.settingsPassword.disabled = this.elements.settingsRemovePassword.checked;
+      });
+    }
+    if (this.elements.roomLimitsForm) {
+      this.elements.roomLimitsForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveRoomLimits();
+      });
+    }
+    if (this.elements.banSection) {
+      this.elements.banSection.addEventListener('toggle', () => {
+        if (this.elements.banSection.open) this.loadBans();
+      });
+    }
+    if (this.elements.roomSearchForm && this.elements.roomSearchInput) {
+      this.elements.roomSearchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.runSearch();
+      });
+      this.elements.roomSearchInput.addEventListener('input', () => this.scheduleSearch());
+      this.elements.roomSearchForm.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+      document.addEventListener('click', (e) => {
+        if (!this.elements.roomSearchForm.contains(e.target)) this.closeSearchResults();
+      });
+    }
+    if (this.elements.historyToggle) {
+      this.elements.historyToggle.addEventListener('click', () => this.toggleHistoryPanel());
+    }
+    if (this.elements.closeHistoryPanel) {
+      this.elements.closeHistoryPanel.addEventListener('click', () => this.toggleHistoryPanel(false));
+    }
+    if (this.elements.historyRestoreBtn) {
+      this.elements.historyRestoreBtn.addEventListener('click', () => this.restoreSelectedRevision());
+    }
     if (this.elements.editor) {
       this.elements.editor.addEventListener('input', () => this.handleEditorInput());
       this.elements.editor.addEventListener('focus', () => this.handleEditorFocus());
       this.elements.editor.addEventListener('blur', () => this.handleEditorBlur());
+      ['keyup', 'mouseup', 'select', 'focus'].forEach(eventName => {
+        this.elements.editor.addEventListener(eventName, () => {
+          this.scheduleCursorBroadcast();
+          this.updateCommentButton();
+        });
+      });
     }
 
     this.setupFileUploadListeners();
@@ -320,6 +533,7 @@ class TeamUpApp {
     this.initializeTheme();
     this.updateDefaultRoom();
     this.createTypingIndicators();
+    this.initializeRemoteCursors();
     this.updateFooterStats(0); // Initialize footer stats
   }
 
@@ -358,6 +572,18 @@ class TeamUpApp {
     this.elements.typingLockIndicator = typingLockIndicator;
   }
 
+  initializeRemoteCursors() {
+    if (!this.elements.editor || typeof RemoteCursorsUI === 'undefined') return;
+
+    try {
+      this.remoteCursors = new RemoteCursorsUI(this.elements.editor, {
+        onLayout: () => this.layoutComments()
+      });
+    } catch (error) {
+      console.warn('Remote cursors unavailable:', error);
+    }
+  }
+
   loadUserPreferences() {
     try {
       const savedName = localStorage.getItem('displayName') || '';
@@ -366,6 +592,10 @@ class TeamUpApp {
       }
 
       this.state.adminTokens = JSON.parse(localStorage.getItem('adminTokens') || '{}');
+      this.state.showPreview = localStorage.getItem('showPreview') === 'true';
+      this.state.chatCollapsed = localStorage.getItem('chatCollapsed') === 'true';
+      this.state.showComments = localStorage.getItem('showComments') !== 'false';
+      this.updateChatPanel();
 
       const remember = localStorage.getItem('rememberLastRoom') === 'true';
       if (this.elements.rememberToggle) {
@@ -373,7 +603,7 @@ class TeamUpApp {
       }
 
       const lastRoom = localStorage.getItem('lastRoom') || '';
-      if (remember && lastRoom && this.elements.roomInput) {
+      if (!this.openInviteLink() && remember && lastRoom && this.elements.roomInput) {
         this.elements.roomInput.value = lastRoom;
         this.state.currentRoom = lastRoom;
         this.checkRoomExistsAndJoin(lastRoom);
@@ -401,7 +631,7 @@ class TeamUpApp {
     this.addRoomActivity('Connected to server', 'success');
 
     this.socket.emit('who');
-    this.socket.emit('get-typing-lock-status');
+    this.socket.emit('get-typing-lock-status', { docId: this.state.activeDocumentId });
   }
 
   handleDisconnect() {
@@ -491,458 +721,2607 @@ class TeamUpApp {
   }
 
   handleTextUpdate(payload) {
-    const incomingText = typeof payload === 'string' ? payload : payload && payload.text;
-    if (typeof incomingText === 'string' && this.elements.editor) {
-      this.elements.editor.value = incomingText;
+    if (typeof payload === 'string') {
+      payload = { text: payload, docId: this.state.activeDocumentId };
+    }
+
+    const { docId, text, revision } = payload || {};
+    if (typeof text === 'string' && docId !== undefined && docId !== null) {
+      const doc = this.ensureDocument(docId);
+      doc.text = text;
+      doc.sync.reset(revision);
+
+      if (this.state.activeDocumentId === null) {
+        this.state.activeDocumentId = this.documentOrder[0] || docId;
+        this.renderDocumentTabs();
+      }
+      if (docId === this.state.activeDocumentId && this.elements.editor) {
+        this.elements.editor.value = text;
+        this.schedulePreviewRender();
+      }
     }
 
-    if (this.elements.joinBtn && this.elements.joinBtn.disabled) {
+    if (this.elements.joinBtn && this.elements.joinBtn.disabled && !this.timers.joinLockout) {
       this.handleSuccessfulJoin();
     }
   }
 
-  handleSuccessfulJoin() {
-    this.clearConnectionTimeout();
-    this.showNotification(`Successfully joined room: ${this.state.currentRoom}`, 'success');
-    this.updateConnectionStatus('connected', 'Connected');
-    this.resetJoinButton();
+  handleRemoteTextOperation(data) {
+    const { docId, ops, revision } = data || {};
+    const doc = this.documents.get(docId);
+    if (!doc || !Array.isArray(ops)) return;
+    doc.sync.handleRemote(ops, revision);
+  }
 
-    if (this.elements.joinBtn) {
-      const btnText = this.elements.joinBtn.querySelector('.btn-text');
-      const btnIcon = this.elements.joinBtn.querySelector('.btn-content i');
-      if (btnText) btnText.textContent = 'Connected';
-      if (btnIcon) btnIcon.className = 'fas fa-check';
+  sendTextOperation(docId, revision, ops) {
+    this.socket.emit('text-op', { docId, revision, ops }, (response) => {
+      // On rejection the server follows up with a full 'text' snapshot, except for a
+      // rate-limited op, which it never saw: that one is sent again
+      const doc = this.documents.get(docId);
+      if (!doc || !response) return;
+      if (response.ok) {
+        doc.sync.handleAck(response.revision);
+      } else if (response.code === 'rate-limited') {
+        doc.sync.handleRejected(response.retryAfterMs);
+      }
+    });
+  }
+
+  applyRemoteTextOperations(docId, ops) {
+    const doc = this.documents.get(docId);
+    if (!doc) return;
+
+    let nextValue;
+    try {
+      nextValue = TextOperations.applyOps(doc.text, ops);
+    } catch (error) {
+      console.warn('Remote edit did not apply cleanly, requesting resync:', error);
+      this.socket.emit('request-text-sync', { docId });
+      return;
     }
+    doc.text = nextValue;
+    this.transformComments(doc, ops);
 
-    this.addRoomActivity(`Successfully joined room: ${this.state.currentRoom}`, 'success');
+    const editor = this.elements.editor;
+    if (!editor || docId !== this.state.activeDocumentId) return;
 
-    this.hideRoomConfig();
-    this.showLeaveRoomButton();
+    // Keep the local caret/selection anchored to the same text
+    const hadFocus = document.activeElement === editor;
+    const selectionStart = TextOperations.transformIndex(editor.selectionStart, ops);
+    const selectionEnd = TextOperations.transformIndex(editor.selectionEnd, ops);
 
-    // Update footer stats when joining a room
-    this.updateFooterStats(0);
+    editor.value = nextValue;
+    this.schedulePreviewRender();
 
-    this.socket.emit('who');
-    this.socket.emit('get-typing-lock-status');
+    if (hadFocus) {
+      editor.setSelectionRange(selectionStart, selectionEnd);
+    }
 
-    const savedName = localStorage.getItem('displayName');
-    if (savedName) {
-      this.socket.emit('set-name', { name: savedName, room: this.state.currentRoom });
+    if (this.remoteCursors) {
+      this.remoteCursors.transform(ops);
     }
+  }
 
-    // Initialize video components when joining a room
-    // Requirements: 1.4, 2.5, 3.5
-    this.initializeVideoComponents();
+  handleRemoteCursors(data) {
+    if (!this.remoteCursors || !data || data.docId !== this.state.activeDocumentId) return;
+
+    this.remoteCursors.clear();
+    (data.cursors || []).forEach(cursor => this.handleRemoteCursorUpdate(cursor));
   }
 
-  handleUnauthorized(msg) {
-    this.clearConnectionTimeout();
-    this.showNotification(msg || 'Incorrect password. Please try again.', 'error');
-    this.updateConnectionStatus('error', 'Authentication Failed');
-    this.resetJoinButton();
-    this.addRoomActivity(`Authentication failed: ${msg || 'Incorrect password'}`, 'error');
+  handleRemoteCursorUpdate(data) {
+    if (!this.remoteCursors || !data || data.userId === this.state.currentUserId) return;
+
+    // Someone moved to another tab
+    const doc = this.activeDocument();
+    if (!doc || data.docId !== doc.id) {
+      this.remoteCursors.removeCursor(data.userId);
+      return;
+    }
+
+    this.remoteCursors.updateCursor(data.userId, {
+      name: data.name,
+      start: doc.sync.transformIncomingIndex(data.start),
+      end: doc.sync.transformIncomingIndex(data.end)
+    });
   }
 
-  handleUserListUpdate(users) {
-    this.renderUserList(users || []);
-    this.updateUserCount((users && users.length) || 0);
+  scheduleCursorBroadcast() {
+    if (this.timers.cursorBroadcast) return;
+
+    this.timers.cursorBroadcast = setTimeout(() => {
+      this.timers.cursorBroadcast = null;
+      this.broadcastCursor();
+    }, 100);
   }
 
-  handleUserData(data) {
-    const { room, id, name, role, muted, adminToken: newAdminToken } = data;
+  broadcastCursor() {
+    const editor = this.elements.editor;
+    const doc = this.activeDocument();
+    if (!editor || !doc || !this.state.currentRoom || !this.state.isConnected) return;
 
-    if (this.elements.displayNameInput) {
-      this.elements.displayNameInput.value = name || '';
+    // Positions only mean something to the server once our pending edits are acknowledged
+    if (doc.sync.hasPendingChanges()) {
+      this.scheduleCursorBroadcast();
+      return;
     }
 
-    this.savePreference('displayName', name);
+    this.socket.emit('cursor-update', {
+      docId: doc.id,
+      start: editor.selectionStart,
+      end: editor.selectionEnd,
+      revision: doc.sync.revision
+    });
+  }
 
-    this.state.currentUserId = id || this.state.currentUserId;
-    this.state.currentUserRole = role || this.state.currentUserRole;
-    this.state.isMuted = Boolean(muted);
+  // Document (Tab) Methods
+  activeDocument() {
+    return this.documents.get(this.state.activeDocumentId) || null;
+  }
 
-    if (this.elements.editor) {
-      this.elements.editor.disabled = this.state.isMuted;
+  isActiveDocument(docId) {
+    return docId === undefined || docId === null || docId === this.state.activeDocumentId;
+  }
+
+  ensureDocument(docId, details = {}) {
+    let doc = this.documents.get(docId);
+    if (!doc) {
+      doc = {
+        id: docId,
+        name: details.name || 'Untitled',
+        format: details.format || 'plain',
+        language: details.language || null,
+        text: '',
+        comments: new Map(), // commentId -> comment with start/end in local positions
+        sync: new TextSyncClient({
+          send: (revision, ops) => this.sendTextOperation(docId, revision, ops),
+          onRemoteOps: (ops) => this.applyRemoteTextOperations(docId, ops)
+        })
+      };
+      this.documents.set(docId, doc);
+      if (!this.documentOrder.includes(docId)) this.documentOrder.push(docId);
+    } else {
+      if (details.name) doc.name = details.name;
+      if (details.format) {
+        doc.format = details.format;
+        doc.language = details.language || null;
+      }
     }
+    return doc;
+  }
 
-    if (newAdminToken && room) {
-      this.state.adminTokens[room] = newAdminToken;
-      this.savePreference('adminTokens', JSON.stringify(this.state.adminTokens));
+  handleDocumentList(data) {
+    const { documents = [], action } = data || {};
+    const ids = documents.map(d => d.id);
+
+    documents.forEach(d => this.ensureDocument(d.id, d));
+    for (const docId of Array.from(this.documents.keys())) {
+      if (!ids.includes(docId)) this.documents.delete(docId);
+    }
+    this.documentOrder = ids;
+
+    if (!this.documents.has(this.state.activeDocumentId)) {
+      if (this.state.activeDocumentId !== null && action && action.type === 'deleted') {
+        this.showNotification(`"${action.name}" was deleted by ${action.userName}`, 'warning');
+      }
+      this.state.activeDocumentId = null;
+      if (ids.length > 0) this.switchDocument(ids[0]);
+    }
+
+    if (action && action.userId !== this.state.currentUserId) {
+      const messages = {
+        created: `${action.userName} created "${action.name}"`,
+        renamed: `${action.userName} renamed "${action.previousName}" to "${action.name}"`,
+        deleted: `${action.userName} deleted "${action.name}"`,
+        reordered: `${action.userName} reordered the documents`,
+        imported: `${action.userName} ${action.mode === 'append' ? 'added' : 'replaced the room with'} ${action.count} document${action.count !== 1 ? 's' : ''}`,
+        format: `${action.userName} set "${action.name}" to ${this.describeFormat(action.format, action.language)}`
+      };
+      if (messages[action.type]) this.addRoomActivity(messages[action.type], 'info');
     }
+
+    this.renderDocumentTabs();
+    this.updateFormatControls();
   }
 
-  handleFileUploaded(file) {
-    const fileItem = this.renderFileItem(file);
-    if (this.elements.fileList) {
-      this.elements.fileList.appendChild(fileItem);
+  switchDocument(docId) {
+    const doc = this.documents.get(docId);
+    if (!doc || docId === this.state.activeDocumentId) return;
+
+    // Locks are per document: give up the one for the tab we are leaving
+    this.releaseTypingLock();
+
+    const previousId = this.state.activeDocumentId;
+    this.state.activeDocumentId = docId;
+    this.state.typingLockStatus = { isLocked: false, lockedBy: null, lockedByUser: null };
+    this.state.selectedRevisionId = null;
+
+    if (this.elements.editor) {
+      this.elements.editor.value = doc.text;
+      this.elements.editor.setSelectionRange(0, 0);
+    }
+
+    if (this.remoteCursors) {
+      this.remoteCursors.clear();
+    }
+
+    if (this.state.currentRoom && this.state.isConnected) {
+      this.socket.emit('get-cursors', { docId }, (response) => {
+        if (response && response.ok) this.handleRemoteCursors(response);
+      });
+      this.socket.emit('get-typing-lock-status', { docId });
+      // Move our caret out of the tab we left (nothing to move on the initial selection)
+      if (previousId !== null) this.broadcastCursor();
+    }
+
+    this.updateEditorLockStatus();
+    this.renderDocumentTabs();
+    this.updateFormatControls();
+    this.state.activeCommentId = null;
+    this.updateCommentGutter();
+
+    if (this.elements.historyPanel && !this.elements.historyPanel.classList.contains('hidden')) {
+      this.loadRevisions();
     }
-    this.updateFileCount();
-    this.addRoomActivity(`File shared: ${file.name}`, 'info');
   }
 
-  handleFileList(files) {
-    if (!this.elements.fileList) return;
+  renderDocumentTabs() {
+    const list = this.elements.documentTabList;
+    if (!list) return;
+
+    list.innerHTML = '';
+    const canDelete = this.can('deleteDocuments') && this.documentOrder.length > 1;
+
+    this.documentOrder.forEach(docId => {
+      const doc = this.documents.get(docId);
+      if (!doc) return;
+
+      const isActive = docId === this.state.activeDocumentId;
+      const tab = document.createElement('div');
+      tab.className = `document-tab ${isActive ? 'active' : ''}`;
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-selected', String(isActive));
+      tab.tabIndex = isActive ? 0 : -1;
+      tab.draggable = true;
+      tab.title = 'Double-click to rename, drag to reorder';
+
+      const label = document.createElement('span');
+      label.className = 'document-tab-name';
+      label.textContent = doc.name;
+      tab.appendChild(label);
+
+      if (canDelete) {
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'document-tab-close';
+        close.title = `Delete ${doc.name}`;
+        close.setAttribute('aria-label', `Delete ${doc.name}`);
+        close.innerHTML = '<i class="fas fa-times"></i>';
+        close.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.deleteDocument(docId);
+        });
+        tab.appendChild(close);
+      }
 
-    this.elements.fileList.innerHTML = '';
-    files.forEach(file => {
-      const fileItem = this.renderFileItem(file);
-      this.elements.fileList.appendChild(fileItem);
+      tab.addEventListener('click', () => this.switchDocument(docId));
+      tab.addEventListener('dblclick', () => this.renameDocument(docId));
+      tab.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.switchDocument(docId);
+        } else if (e.key === 'F2') {
+          e.preventDefault();
+          this.renameDocument(docId);
+        }
+      });
+
+      tab.addEventListener('dragstart', (e) => {
+        this.draggedDocumentId = docId;
+        e.dataTransfer.effectAllowed = 'move';
+        tab.classList.add('dragging');
+      });
+      tab.addEventListener('dragend', () => {
+        this.draggedDocumentId = null;
+        tab.classList.remove('dragging');
+      });
+      tab.addEventListener('dragover', (e) => {
+        if (this.draggedDocumentId === null || this.draggedDocumentId === docId) return;
+        e.preventDefault();
+        tab.classList.add('drop-target');
+      });
+      tab.addEventListener('dragleave', () => tab.classList.remove('drop-target'));
+      tab.addEventListener('drop', (e) => {
+        e.preventDefault();
+        tab.classList.remove('drop-target');
+        this.moveDocument(this.draggedDocumentId, docId);
+      });
+
+      list.appendChild(tab);
     });
-    this.updateFileCount();
   }
 
-  handleFileDeleted(filename) {
-    if (!this.elements.fileList) return;
+  createDocument() {
+    if (!this.state.currentRoom) return;
 
-    const items = Array.from(this.elements.fileList.children);
-    items.forEach(item => {
-      const btn = item.querySelector('.delete-file');
-      if (btn && btn.dataset.filename === filename) {
-        item.remove();
+    const name = prompt('Name for the new document:', `Untitled ${this.documentOrder.length + 1}`);
+    if (name === null) return;
+
+    this.socket.emit('create-document', { name: name.trim() }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to create document', 'error');
+        return;
       }
+      this.switchDocument(response.document.id);
     });
-    this.updateFileCount();
   }
 
-  handleTypingLockAcquired() {
-    this.state.hasTypingLock = true;
-    this.updateEditorLockStatus();
-    this.showNotification('You can now type!', 'success');
-  }
+  renameDocument(docId) {
+    const doc = this.documents.get(docId);
+    if (!doc) return;
 
-  handleTypingLockDenied(data) {
-    const { lockedByUser } = data;
-    this.showNotification(`${lockedByUser} is currently typing. Please wait...`, 'error');
+    const name = prompt('Rename document:', doc.name);
+    if (name === null || !name.trim() || name.trim() === doc.name) return;
+
+    this.socket.emit('rename-document', { docId, name: name.trim() }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to rename document', 'error');
+      }
+    });
   }
 
-  handleTypingLockChanged(data) {
-    const { lockedByUser } = data;
-    this.state.typingLockStatus.isLocked = true;
-    this.state.typingLockStatus.lockedByUser = lockedByUser;
-    this.updateEditorLockStatus();
+  deleteDocument(docId) {
+    const doc = this.documents.get(docId);
+    if (!doc) return;
+    if (!confirm(`Delete "${doc.name}" and its history for everyone in the room?`)) return;
 
-    if (lockedByUser !== 'You') {
-      this.showNotification(`${lockedByUser} is now typing`, 'info');
-    }
+    this.socket.emit('delete-document', { docId }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to delete document', 'error');
+      }
+    });
   }
 
-  handleTypingLockReleased() {
-    this.state.typingLockStatus.isLocked = false;
-    this.state.typingLockStatus.lockedBy = null;
-    this.state.typingLockStatus.lockedByUser = null;
-    this.updateEditorLockStatus();
+  // Drop `docId` in front of `targetId`, or after it when moving right
+  moveDocument(docId, targetId) {
+    if (docId === null || docId === targetId) return;
+
+    const order = this.documentOrder.filter(id => id !== docId);
+    const from = this.documentOrder.indexOf(docId);
+    const to = this.documentOrder.indexOf(targetId);
+    const targetIndex = order.indexOf(targetId);
+    order.splice(from < to ? targetIndex + 1 : targetIndex, 0, docId);
+
+    this.socket.emit('reorder-documents', { order }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to reorder documents', 'error');
+      }
+    });
   }
 
-  handleTypingLockStatus(status) {
-    this.state.typingLockStatus = status;
-    this.updateEditorLockStatus();
+  resetDocuments() {
+    this.documents.clear();
+    this.documentOrder = [];
+    this.state.activeDocumentId = null;
+    this.state.activeCommentId = null;
+    this.commentDraft = null;
+    this.renderDocumentTabs();
+    this.updateFormatControls();
+    this.updateCommentGutter();
   }
 
-  handleKicked(room, movedTo) {
-    if (movedTo) {
-      this.showNotification(`You were moved from ${room} to ${movedTo} room`, 'warning');
-      this.addRoomActivity(`Moved to ${movedTo} room`, 'warning');
-      this.state.currentRoom = movedTo;
-    } else {
-      this.showNotification(`You have been removed from room: ${room}`, 'error');
-      this.addRoomActivity(`Removed from ${room}`, 'error');
+  // Document Format & Preview Methods
+  describeFormat(format, language) {
+    if (format === 'markdown') return 'Markdown';
+    if (format === 'code') {
+      const id = SyntaxHighlighter.resolveLanguage(language);
+      const entry = SyntaxHighlighter.listLanguages().find(l => l.id === id);
+      return entry ? `${entry.label} code` : 'code';
     }
+    return 'plain text';
   }
 
-  handleMuted(room, muted) {
-    this.showNotification(
-      muted ? `You were muted in ${room}` : `You were unmuted in ${room}`,
-      muted ? 'error' : 'success'
-    );
+  populateLanguageOptions() {
+    const select = this.elements.documentLanguage;
+    if (!select || select.options.length > 0 || typeof SyntaxHighlighter === 'undefined') return;
 
-    if (this.elements.editor) {
-      this.elements.editor.disabled = muted;
-      this.elements.editor.placeholder = muted
-        ? 'You are muted by admin. You cannot type.'
-        : this.elements.editor.placeholder;
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'No highlighting';
+    select.appendChild(none);
+
+    SyntaxHighlighter.listLanguages().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  }
+
+  // Reflect the active document's format in the toolbar and preview layout
+  updateFormatControls() {
+    const doc = this.activeDocument();
+    const format = doc ? doc.format : 'plain';
+    const { documentFormat, documentLanguage, previewToggle, previewPane } = this.elements;
+
+    this.populateLanguageOptions();
+    if (documentFormat) {
+      documentFormat.value = format;
+      documentFormat.disabled = !doc || !this.canEdit();
+    }
+    if (documentLanguage) {
+      documentLanguage.value = (doc && doc.language) || '';
+      documentLanguage.disabled = !doc || !this.canEdit();
+      documentLanguage.classList.toggle('hidden', format !== 'code');
+    }
+
+    const previewAvailable = Boolean(doc) && format !== 'plain';
+    const showPreview = previewAvailable && this.state.showPreview;
+    if (previewToggle) {
+      previewToggle.disabled = !previewAvailable;
+      previewToggle.title = previewAvailable ? 'Show or hide the preview' : 'Choose Markdown or Code to enable the preview';
+      this.setButtonActive(previewToggle, showPreview);
+    }
+    if (previewPane) {
+      previewPane.classList.toggle('hidden', !showPreview);
+      const container = previewPane.parentNode;
+      if (container && container.classList.contains('with-preview') !== showPreview) {
+        container.classList.toggle('with-preview', showPreview);
+        // The editor changed width: realign the remote caret overlay
+        if (this.remoteCursors) this.remoteCursors.scheduleRender();
+      }
     }
+
+    this.schedulePreviewRender();
   }
 
-  handleTypingIndicator(user) {
-    if (user === 'You' || !this.elements.typingIndicator) return;
+  setDocumentFormat() {
+    const doc = this.activeDocument();
+    if (!doc || !this.state.currentRoom) return;
 
-    this.elements.typingIndicator.textContent = `${user} is typing...`;
+    const format = this.elements.documentFormat ? this.elements.documentFormat.value : doc.format;
+    const language = format === 'code' && this.elements.documentLanguage ? this.elements.documentLanguage.value : null;
 
-    clearTimeout(this.timers.typingIndicator);
-    this.timers.typingIndicator = setTimeout(() => {
-      if (this.elements.typingIndicator) {
-        this.elements.typingIndicator.textContent = '';
+    this.socket.emit('set-document-format', { docId: doc.id, format, language }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to change the document format', 'error');
+        this.updateFormatControls();
       }
-    }, 2000);
+    });
   }
 
-  // DOM Event Handlers
-  handleEditorInput() {
-    if (!this.state.currentRoom || !this.state.isConnected) return;
-
-    if (!this.state.hasTypingLock && !this.state.typingLockStatus.isLocked) {
-      this.requestTypingLock();
-    }
+  togglePreview() {
+    this.state.showPreview = !this.state.showPreview;
+    this.savePreference('showPreview', this.state.showPreview);
+    this.updateFormatControls();
+  }
 
-    if (this.state.hasTypingLock || !this.state.typingLockStatus.isLocked) {
-      this.socket.emit('text', { text: this.elements.editor.value, user: 'You' });
-      this.socket.emit('typing', 'You');
+  schedulePreviewRender() {
+    const pane = this.elements.previewPane;
+    if (!pane || pane.classList.contains('hidden') || this.timers.previewRender) return;
 
-      if (this.state.hasTypingLock) {
-        this.startTypingActivity();
-        this.startTypingLockTimer();
-      }
-    }
+    this.timers.previewRender = setTimeout(() => {
+      this.timers.previewRender = null;
+      this.renderPreview();
+    }, 150);
+  }
+
+  renderPreview() {
+    const pane = this.elements.previewPane;
+    const doc = this.activeDocument();
+    if (!pane || !doc || typeof MarkdownRenderer === 'undefined') return;
+
+    // The renderer escapes all source text, so its output is safe to insert
+    if (doc.format === 'markdown') {
+      pane.innerHTML = MarkdownRenderer.render(doc.text);
+    } else if (doc.format === 'code') {
+      pane.innerHTML = MarkdownRenderer.renderCode(doc.text, doc.language);
+    } else {
+      pane.innerHTML = '';
+    }
+  }
+
+  toggleTaskItem(line) {
+    const doc = this.activeDocument();
+    const editor = this.elements.editor;
+    if (!doc || !editor) return;
+
+    const nextText = MarkdownRenderer.toggleTask(doc.text, line);
+    if (nextText === null || editor.disabled || !this.canEdit()) {
+      this.renderPreview(); // Put the checkbox back the way the text says
+      return;
+    }
+
+    // Goes through the normal edit path so it syncs like typing
+    const { selectionStart, selectionEnd } = editor;
+    editor.value = nextText;
+    editor.setSelectionRange(selectionStart, selectionEnd);
+    this.handleEditorInput();
+    this.schedulePreviewRender();
+  }
+
+  // Comment Methods
+  handleComments(data) {
+    const { docId, comments } = data || {};
+    const doc = this.documents.get(docId) || (docId !== undefined && docId !== null ? this.ensureDocument(docId) : null);
+    if (!doc || !Array.isArray(comments)) return;
+
+    doc.comments = new Map(comments.map(comment => [comment.id, this.localComment(doc, comment)]));
+    if (docId === this.state.activeDocumentId) this.renderComments();
+  }
+
+  handleCommentChanged(data) {
+    const { docId, action, comment, userId, userName } = data || {};
+    const doc = this.documents.get(docId);
+    if (!doc || !comment) return;
+
+    doc.comments.set(comment.id, this.localComment(doc, comment));
+
+    if (userId !== this.state.currentUserId) {
+      const messages = {
+        added: `${userName} commented on "${doc.name}"`,
+        replied: `${userName} replied to a comment in "${doc.name}"`,
+        resolved: `${userName} resolved a comment in "${doc.name}"`,
+        reopened: `${userName} reopened a comment in "${doc.name}"`
+      };
+      if (messages[action]) this.addRoomActivity(messages[action], 'info');
+    }
+
+    if (docId === this.state.activeDocumentId) this.renderComments();
+  }
+
+  handleCommentDeleted(data) {
+    const { docId, commentId } = data || {};
+    const doc = this.documents.get(docId);
+    if (!doc || !doc.comments.delete(commentId)) return;
+
+    if (this.state.activeCommentId === commentId) this.state.activeCommentId = null;
+    if (docId === this.state.activeDocumentId) this.renderComments();
+  }
+
+  // Comment ranges arrive in server positions; shift them past our unacknowledged edits
+  localComment(doc, comment) {
+    return { ...comment, ...doc.sync.transformIncomingRange(comment.start, comment.end) };
+  }
+
+  // Keep comment anchors on the same text as the document changes
+  transformComments(doc, ops) {
+    if (!ops || ops.length === 0) return;
+
+    for (const comment of doc.comments.values()) {
+      Object.assign(comment, TextOperations.transformRange(comment.start, comment.end, ops));
+    }
+    const draft = this.commentDraft;
+    if (draft && draft.docId === doc.id) {
+      Object.assign(draft, TextOperations.transformRange(draft.start, draft.end, ops));
+    }
+    if (doc.id === this.state.activeDocumentId) this.updateCommentHighlights();
+  }
+
+  visibleComments(doc) {
+    if (!doc) return [];
+    return Array.from(doc.comments.values())
+      .filter(comment => this.state.showResolvedComments || !comment.resolved)
+      .sort((a, b) => a.start - b.start || a.id - b.id);
+  }
+
+  updateCommentButton() {
+    const button = this.elements.addCommentBtn;
+    const editor = this.elements.editor;
+    if (!button) return;
+
+    const hasSelection = Boolean(editor) && editor.selectionEnd > editor.selectionStart;
+    button.disabled = !this.activeDocument() || !this.state.currentRoom || this.state.isMuted || !this.can('comment') || !hasSelection;
+  }
+
+  toggleComments() {
+    this.state.showComments = !this.state.showComments;
+    this.savePreference('showComments', this.state.showComments);
+    this.updateCommentGutter();
+  }
+
+  // Show or hide the gutter next to the editor
+  updateCommentGutter() {
+    const gutter = this.elements.commentGutter;
+    const show = this.state.showComments && Boolean(this.activeDocument());
+
+    if (this.elements.commentsToggle) this.setButtonActive(this.elements.commentsToggle, this.state.showComments);
+    if (gutter) {
+      gutter.classList.toggle('hidden', !show);
+      const container = gutter.parentNode;
+      if (container && container.classList.contains('with-comments') !== show) {
+        container.classList.toggle('with-comments', show);
+        if (this.remoteCursors) this.remoteCursors.scheduleRender();
+      }
+    }
+
+    this.renderComments();
+  }
+
+  renderComments() {
+    const doc = this.activeDocument();
+    const list = this.elements.commentList;
+    const openCount = doc ? Array.from(doc.comments.values()).filter(c => !c.resolved).length : 0;
+
+    if (this.elements.commentCount) {
+      this.elements.commentCount.textContent = String(openCount);
+      this.elements.commentCount.classList.toggle('hidden', openCount === 0);
+    }
+    if (this.elements.showResolvedComments) {
+      this.elements.showResolvedComments.checked = this.state.showResolvedComments;
+    }
+    this.updateCommentButton();
+    this.updateCommentHighlights();
+
+    if (!list) return;
+
+    // Keep half-written replies when someone else changes a thread
+    const drafts = new Map();
+    let focusedId = null;
+    list.querySelectorAll('.comment-reply-input').forEach(input => {
+      const id = Number(input.dataset.commentId);
+      if (input.value) drafts.set(id, input.value);
+      if (document.activeElement === input) focusedId = id;
+    });
+
+    list.innerHTML = '';
+    const comments = this.visibleComments(doc);
+    if (comments.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'comment-empty';
+      empty.textContent = doc && doc.comments.size > 0
+        ? 'All comments are resolved.'
+        : 'Select some text and click Comment to start a discussion.';
+      list.appendChild(empty);
+      return;
+    }
+
+    comments.forEach(comment => {
+      const card = this.createCommentCard(doc, comment);
+      const input = card.querySelector('.comment-reply-input');
+      if (input && drafts.has(comment.id)) input.value = drafts.get(comment.id);
+      list.appendChild(card);
+      if (input && focusedId === comment.id) input.focus();
+    });
+    this.layoutComments();
+  }
+
+  createCommentCard(doc, comment) {
+    const card = document.createElement('article');
+    card.className = 'comment-card';
+    card.dataset.commentId = comment.id;
+    card.classList.toggle('resolved', comment.resolved);
+    card.classList.toggle('active', comment.id === this.state.activeCommentId);
+    card.classList.toggle('detached', comment.start === comment.end);
+
+    const quote = document.createElement('blockquote');
+    quote.className = 'comment-quote';
+    quote.textContent = comment.quote;
+    card.appendChild(quote);
+
+    card.appendChild(this.createCommentEntry(comment));
+    (comment.replies || []).forEach(reply => {
+      const entry = this.createCommentEntry(reply);
+      entry.classList.add('comment-reply');
+      card.appendChild(entry);
+    });
+
+    if (comment.resolved && comment.resolvedBy) {
+      const status = document.createElement('p');
+      status.className = 'comment-status';
+      status.textContent = `Resolved by ${comment.resolvedBy}`;
+      card.appendChild(status);
+    }
+
+    const canPost = Boolean(this.state.currentRoom) && !this.state.isMuted && this.can('comment');
+    if (!comment.resolved) {
+      const form = document.createElement('form');
+      form.className = 'comment-reply-form';
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'comment-reply-input';
+      input.dataset.commentId = comment.id;
+      input.placeholder = 'Reply…';
+      input.maxLength = 2000;
+      input.disabled = !canPost;
+      input.setAttribute('aria-label', 'Reply to comment');
+      form.appendChild(input);
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.replyToComment(doc.id, comment.id, input);
+      });
+      card.appendChild(form);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'comment-actions';
+
+    const resolve = document.createElement('button');
+    resolve.type = 'button';
+    resolve.className = 'comment-action';
+    resolve.textContent = comment.resolved ? 'Reopen' : 'Resolve';
+    resolve.disabled = !canPost;
+    resolve.addEventListener('click', () => this.setCommentResolved(doc.id, comment.id, !comment.resolved));
+    actions.appendChild(resolve);
+
+    const isAuthor = comment.authorTag
+      ? comment.authorTag === this.state.currentUserTag
+      : comment.userId === this.state.currentUserId;
+    if (isAuthor || this.can('moderateComments')) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'comment-action danger';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => this.deleteComment(doc.id, comment.id));
+      actions.appendChild(remove);
+    }
+    card.appendChild(actions);
+
+    // Clicking the thread selects the text it is about
+    card.addEventListener('click', (e) => {
+      if (e.target.closest('button, input, form')) return;
+      this.selectComment(comment.id);
+    });
+
+    return card;
+  }
+
+  createCommentEntry(entry) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'comment-entry';
+
+    const meta = document.createElement('div');
+    meta.className = 'comment-meta';
+    const author = document.createElement('strong');
+    author.textContent = entry.name;
+    const time = document.createElement('time');
+    time.dateTime = new Date(entry.createdAt).toISOString();
+    time.textContent = new Date(entry.createdAt).toLocaleString([], {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    meta.appendChild(author);
+    meta.appendChild(time);
+
+    const text = document.createElement('p');
+    text.className = 'comment-text';
+    text.textContent = entry.text;
+
+    wrapper.appendChild(meta);
+    wrapper.appendChild(text);
+    return wrapper;
+  }
+
+  updateCommentHighlights() {
+    if (!this.remoteCursors) return;
+
+    const show = this.state.showComments;
+    const highlights = show
+      ? this.visibleComments(this.activeDocument()).map(comment => ({
+        id: comment.id,
+        start: comment.start,
+        end: comment.end,
+        active: comment.id === this.state.activeCommentId
+      }))
+      : [];
+    this.remoteCursors.setHighlights(highlights);
+  }
+
+  // Line each card up with its anchor in the editor, pushing cards down so they never overlap
+  layoutComments() {
+    const list = this.elements.commentList;
+    const editor = this.elements.editor;
+    const gutter = this.elements.commentGutter;
+    if (!list || !editor || !this.remoteCursors || !gutter || gutter.classList.contains('hidden')) return;
+
+    const doc = this.activeDocument();
+    const tops = this.remoteCursors.getHighlightTops();
+    const offset = editor.getBoundingClientRect().top - list.getBoundingClientRect().top;
+    let y = 0;
+
+    list.querySelectorAll('.comment-card').forEach(card => {
+      const id = Number(card.dataset.commentId);
+      const comment = doc && doc.comments.get(id);
+      if (comment) card.classList.toggle('detached', comment.start === comment.end);
+
+      const top = tops.get(id);
+      const margin = top === undefined ? 8 : Math.max(8, offset + top - y);
+      card.style.marginTop = `${margin}px`;
+      y += margin + card.offsetHeight;
+    });
+  }
+
+  selectComment(commentId) {
+    const doc = this.activeDocument();
+    const comment = doc && doc.comments.get(commentId);
+    const editor = this.elements.editor;
+    if (!comment || !editor) return;
+
+    this.state.activeCommentId = commentId;
+    editor.focus();
+    editor.setSelectionRange(comment.start, comment.end);
+    this.renderComments();
+  }
+
+  addComment() {
+    const doc = this.activeDocument();
+    const editor = this.elements.editor;
+    if (!doc || !editor || !this.state.currentRoom) return;
+
+    const { selectionStart, selectionEnd } = editor;
+    if (selectionEnd <= selectionStart) {
+      this.showNotification('Select some text to comment on', 'error');
+      return;
+    }
+
+    const text = prompt('Comment on the selected text:');
+    if (text === null || !text.trim()) return;
+
+    this.commentDraft = { docId: doc.id, start: selectionStart, end: selectionEnd, text: text.trim() };
+    this.submitCommentDraft();
+  }
+
+  submitCommentDraft() {
+    const draft = this.commentDraft;
+    const doc = draft && this.documents.get(draft.docId);
+    if (!doc) {
+      this.commentDraft = null;
+      return;
+    }
+
+    // The range has to be in a revision the server knows about
+    if (doc.sync.hasPendingChanges()) {
+      setTimeout(() => this.submitCommentDraft(), 100);
+      return;
+    }
+
+    this.commentDraft = null;
+    if (draft.end <= draft.start) {
+      this.showNotification('The selected text was deleted', 'error');
+      return;
+    }
+
+    this.socket.emit('add-comment', {
+      docId: doc.id,
+      start: draft.start,
+      end: draft.end,
+      revision: doc.sync.revision,
+      text: draft.text
+    }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to add comment', 'error');
+        return;
+      }
+      this.state.activeCommentId = response.comment.id;
+      if (doc.id === this.state.activeDocumentId) this.renderComments();
+    });
+  }
+
+  replyToComment(docId, commentId, input) {
+    const text = input.value.trim();
+    if (!text) return;
+
+    this.socket.emit('reply-comment', { docId, commentId, text }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to reply', 'error');
+        return;
+      }
+      input.value = '';
+      const current = this.elements.commentList &&
+        this.elements.commentList.querySelector(`.comment-reply-input[data-comment-id="${commentId}"]`);
+      if (current) current.value = '';
+    });
+  }
+
+  setCommentResolved(docId, commentId, resolved) {
+    this.socket.emit('resolve-comment', { docId, commentId, resolved }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to update comment', 'error');
+      }
+    });
+  }
+
+  deleteComment(docId, commentId) {
+    if (!confirm('Delete this comment thread for everyone?')) return;
+
+    this.socket.emit('delete-comment', { docId, commentId }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to delete comment', 'error');
+      }
+    });
+  }
+
+  handleExclusiveEditingChanged(enabled) {
+    const wasEnabled = this.state.exclusiveEditing;
+    this.state.exclusiveEditing = Boolean(enabled);
+
+    if (!this.state.exclusiveEditing) {
+      this.state.hasTypingLock = false;
+      this.state.typingLockStatus = { isLocked: false, lockedBy: null, lockedByUser: null };
+      this.clearTimer('typingLock');
+      this.clearTimer('typingActivity');
+    }
+
+    this.updateExclusiveEditingToggle();
+    this.updateEditorLockStatus();
+
+    if (wasEnabled !== this.state.exclusiveEditing) {
+      this.addRoomActivity(
+        this.state.exclusiveEditing ? 'Exclusive editing enabled: one person types at a time' : 'Exclusive editing disabled: everyone can type at once',
+        'info'
+      );
+    }
+  }
+
+  toggleExclusiveEditing() {
+    if (!this.state.currentRoom || !this.can('manageSettings')) return;
+
+    this.socket.emit('set-exclusive-editing', { room: this.state.currentRoom, enabled: !this.state.exclusiveEditing }, (ok) => {
+      if (!ok) {
+        this.showNotification('Failed to change editing mode', 'error');
+      }
+    });
+  }
+
+  updateExclusiveEditingToggle() {
+    const toggle = this.elements.exclusiveEditingToggle;
+    if (!toggle) return;
+
+    toggle.classList.toggle('hidden', !this.can('manageSettings'));
+    toggle.classList.toggle('active', this.state.exclusiveEditing);
+    toggle.title = this.state.exclusiveEditing
+      ? 'Exclusive editing is on (one person types at a time). Click to allow simultaneous editing.'
+      : 'Simultaneous editing is on. Click to require the typing lock.';
+  }
+
+  // Revision History Methods
+  toggleHistoryPanel(forceOpen) {
+    const panel = this.elements.historyPanel;
+    if (!panel) return;
+
+    const open = typeof forceOpen === 'boolean' ? forceOpen : panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !open);
+    this.setButtonActive(this.elements.historyToggle, open);
+
+    if (open) {
+      this.loadRevisions();
+    }
+  }
+
+  loadRevisions() {
+    if (!this.state.currentRoom) {
+      this.showNotification('Please join a room first', 'error');
+      return;
+    }
+
+    this.socket.emit('get-revisions', { docId: this.state.activeDocumentId }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to load history', 'error');
+        return;
+      }
+      this.renderRevisionList(response.revisions);
+    });
+  }
+
+  renderRevisionList(revisions) {
+    const list = this.elements.historyList;
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (!revisions.length) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      emptyState.innerHTML = '<i class="fas fa-history"></i><p>No revisions yet</p>';
+      list.appendChild(emptyState);
+      return;
+    }
+
+    revisions.forEach(revision => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = `history-item ${revision.id === this.state.selectedRevisionId ? 'active' : ''}`;
+      item.dataset.revisionId = revision.id;
+
+      const title = document.createElement('strong');
+      title.textContent = `#${revision.id} · ${revision.userName}`;
+
+      const meta = document.createElement('span');
+      const time = new Date(revision.timestamp).toLocaleString();
+      meta.textContent = revision.label ? `${revision.label} · ${time}` : `${time} · ${revision.length} chars`;
+
+      item.appendChild(title);
+      item.appendChild(meta);
+      item.addEventListener('click', () => this.showRevisionDiff(revision));
+      list.appendChild(item);
+    });
+  }
+
+  showRevisionDiff(revision) {
+    this.state.selectedRevisionId = revision.id;
+
+    if (this.elements.historyList) {
+      this.elements.historyList.querySelectorAll('.history-item').forEach(item => {
+        item.classList.toggle('active', Number(item.dataset.revisionId) === revision.id);
+      });
+    }
+
+    this.socket.emit('get-revision-diff', { docId: this.state.activeDocumentId, from: revision.id }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to load diff', 'error');
+        return;
+      }
+
+      if (this.elements.historyPreviewTitle) {
+        const { added, removed } = response.stats;
+        this.elements.historyPreviewTitle.textContent =
+          `Revision #${revision.id} → current: ${added} line${added !== 1 ? 's' : ''} added, ${removed} removed`;
+      }
+      if (this.elements.historyRestoreBtn) {
+        this.elements.historyRestoreBtn.disabled = false;
+      }
+      this.renderRevisionDiff(response.diff);
+    });
+  }
+
+  renderRevisionDiff(diff) {
+    const container = this.elements.historyDiff;
+    if (!container) return;
+
+    const CONTEXT_LINES = 3;
+    container.innerHTML = '';
+
+    // Only show unchanged lines near a change
+    const nearChange = diff.map((line, index) => diff
+      .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+      .some(other => other.type !== 'equal'));
+
+    let skipped = false;
+    diff.forEach((line, index) => {
+      if (line.type === 'equal' && !nearChange[index]) {
+        if (!skipped) {
+          const gap = document.createElement('span');
+          gap.className = 'diff-gap';
+          gap.textContent = '⋯';
+          container.appendChild(gap);
+          skipped = true;
+        }
+        return;
+      }
+      skipped = false;
+
+      const row = document.createElement('span');
+      const prefix = line.type === 'insert' ? '+ ' : line.type === 'delete' ? '- ' : '  ';
+      row.className = line.type === 'equal' ? 'diff-equal' : `diff-${line.type}`;
+      row.textContent = `${prefix}${line.text}`;
+      container.appendChild(row);
+    });
+
+    if (!diff.some(line => line.type !== 'equal')) {
+      container.textContent = 'No differences from the current text.';
+    }
+  }
+
+  restoreSelectedRevision() {
+    const revisionId = this.state.selectedRevisionId;
+    if (!revisionId) return;
+    if (!confirm(`Replace the current text with revision #${revisionId} for everyone in the room?`)) return;
+
+    this.socket.emit('restore-revision', { docId: this.state.activeDocumentId, id: revisionId }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to restore revision', 'error');
+        return;
+      }
+      this.showNotification(`Revision #${revisionId} restored`, 'success');
+    });
+  }
+
+  handleRevisionRestored(data) {
+    const who = data.userId === this.state.currentUserId ? 'You' : data.userName;
+    this.addRoomActivity(`${who} restored revision #${data.id} of "${data.documentName}"`, 'warning');
+
+    if (this.isActiveDocument(data.docId) &&
+      this.elements.historyPanel && !this.elements.historyPanel.classList.contains('hidden')) {
+      this.loadRevisions();
+    }
+  }
+
+  handleSuccessfulJoin() {
+    this.clearConnectionTimeout();
+    this.showNotification(`Successfully joined room: ${this.state.currentRoom}`, 'success');
+    this.updateConnectionStatus('connected', 'Connected');
+    this.resetJoinButton();
+
+    if (this.elements.joinBtn) {
+      const btnText = this.elements.joinBtn.querySelector('.btn-text');
+      const btnIcon = this.elements.joinBtn.querySelector('.btn-content i');
+      if (btnText) btnText.textContent = 'Connected';
+      if (btnIcon) btnIcon.className = 'fas fa-check';
+    }
+
+    this.addRoomActivity(`Successfully joined room: ${this.state.currentRoom}`, 'success');
+    this.resetSearch();
+
+    this.hideRoomConfig();
+    this.showLeaveRoomButton();
+
+    // Update footer stats when joining a room
+    this.updateFooterStats(0);
+
+    this.socket.emit('who');
+    this.socket.emit('get-typing-lock-status', { docId: this.state.activeDocumentId });
+
+    const savedName = localStorage.getItem('displayName');
+    if (savedName) {
+      this.socket.emit('set-name', { name: savedName, room: this.state.currentRoom });
+    }
+
+    // Initialize video components when joining a room
+    // Requirements: 1.4, 2.5, 3.5
+    this.initializeVideoComponents();
+  }
+
+  handleUnauthorized(payload) {
+    // Older servers send just the message
+    const { message, retryAfterMs = 0, needsLanCode = false } = typeof payload === 'string' ? { message: payload } : (payload || {});
+    const msg = message || 'Incorrect password. Please try again.';
+    const wait = retryAfterMs > 0 ? ` Try again in ${this.formatDuration(retryAfterMs)}.` : '';
+
+    this.state.invite = null; // A rejected invite would only be rejected again
+    this.clearConnectionTimeout();
+    this.showNotification(msg + wait, 'error');
+    this.updateConnectionStatus('error', 'Authentication Failed');
+    this.resetJoinButton();
+    this.addRoomActivity(`Authentication failed: ${msg}${wait}`, 'error');
+
+    if (retryAfterMs > 0) {
+      this.startJoinLockout(retryAfterMs);
+    } else if (needsLanCode) {
+      this.askForLanCode();
+    }
+  }
+
+  // The server turned down an event sent without an ack (a malformed payload, or a failure on its side)
+  handleRequestError({ event, error, code }) {
+    console.warn(`⚠️ ${event} was refused (${code}): ${error}`);
+    if (event === 'join') {
+      this.clearConnectionTimeout();
+      this.resetJoinButton();
+    }
+    this.showNotification(error, 'error');
+  }
+
+  // The server dropped some of our events for arriving too fast (and may be disconnecting us)
+  handleRateLimited({ event, message, disconnected = false }) {
+    console.warn(`⚠️ Rate limited on ${event}${disconnected ? ', disconnected' : ''}`);
+    this.showNotification(message, disconnected ? 'error' : 'warning');
+  }
+
+  // LAN rooms can require the code shown on screen to the people already inside
+  askForLanCode() {
+    const code = prompt('Enter the code shown on screen in this room:');
+    this.state.lanCode = (code || '').trim();
+    if (this.state.lanCode) this.joinRoom();
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+  }
+
+  // Keep the join button disabled with a countdown until the server will accept another attempt
+  startJoinLockout(ms) {
+    const button = this.elements.joinBtn;
+    if (!button) return;
+
+    clearInterval(this.timers.joinLockout);
+    const until = Date.now() + ms;
+    const tick = () => {
+      const remaining = until - Date.now();
+      const btnText = button.querySelector('.btn-text');
+      if (remaining <= 0) {
+        clearInterval(this.timers.joinLockout);
+        this.timers.joinLockout = null;
+        this.resetJoinButton();
+        return;
+      }
+      button.disabled = true;
+      if (btnText) btnText.textContent = `Try again in ${this.formatDuration(remaining)}`;
+    };
+    this.timers.joinLockout = setInterval(tick, 1000);
+    tick();
+  }
+
+  handleUserListUpdate(users) {
+    if (this.remoteCursors && Array.isArray(users) && users.every(u => u && u.id)) {
+      this.remoteCursors.syncUsers(users);
+    }
+    this.renderUserList(users || []);
+    this.updateUserCount((users && users.length) || 0);
+  }
+
+  // Whether the current role allows `permission` (see RoomPermissions)
+  can(permission) {
+    return RoomPermissions.can(this.state.currentUserRole, permission);
+  }
+
+  canEdit() {
+    return !this.state.isMuted && this.can('edit');
+  }
+
+  handleUserData(data) {
+    const { room, id, name, role, muted, adminToken: newAdminToken, identity, tag, requestToken } = data;
+
+    if (identity) this.savePreference('identity', identity);
+
+    if (this.elements.displayNameInput) {
+      this.elements.displayNameInput.value = name || '';
+    }
+
+    this.savePreference('displayName', name);
+
+    this.state.currentUserId = id || this.state.currentUserId;
+    this.state.currentUserTag = tag || this.state.currentUserTag;
+    this.state.requestToken = requestToken || this.state.requestToken;
+    this.state.currentUserRole = role || this.state.currentUserRole;
+    this.state.isMuted = Boolean(muted);
+
+    if (this.elements.editor) {
+      this.elements.editor.disabled = !this.canEdit();
+      if (!this.can('edit')) {
+        this.elements.editor.placeholder = 'You are a viewer in this room. You can read and chat, but not edit.';
+      } else if (!this.state.isMuted) {
+        this.elements.editor.placeholder = 'Start typing your notes here... All changes are synchronized in real-time with your team members! 🚀';
+      }
+    }
+
+    this.updateExclusiveEditingToggle();
+    this.renderDocumentTabs();
+    this.updateFormatControls();
+    this.updateChatPanel();
+    this.renderComments();
+    this.updateInvitePanel();
+
+    // Tokens rotate whenever the room changes hands, so anything but a fresh one is stale
+    if (room && (newAdminToken || this.state.adminTokens[room])) {
+      if (newAdminToken) {
+        this.state.adminTokens[room] = newAdminToken;
+      } else {
+        delete this.state.adminTokens[room];
+      }
+      this.savePreference('adminTokens', JSON.stringify(this.state.adminTokens));
+    }
+
+    this.updateModerationPanel();
+
+    // The user list's controls depend on our role and whether we own the room
+    if (this.previousUserList) this.renderUserList(this.previousUserList);
+  }
+
+  handleFileUploaded(file) {
+    const fileItem = this.renderFileItem(file);
+    if (this.elements.fileList) {
+      this.elements.fileList.appendChild(fileItem);
+    }
+    this.updateFileCount();
+    this.addRoomActivity(`File shared: ${file.name}`, 'info');
+  }
+
+  handleFileList(files) {
+    if (!this.elements.fileList) return;
+
+    this.elements.fileList.innerHTML = '';
+    files.forEach(file => {
+      const fileItem = this.renderFileItem(file);
+      this.elements.fileList.appendChild(fileItem);
+    });
+    this.updateFileCount();
+  }
+
+  handleFileDeleted(filename) {
+    if (!this.elements.fileList) return;
+
+    const items = Array.from(this.elements.fileList.children);
+    items.forEach(item => {
+      const btn = item.querySelector('.delete-file');
+      if (btn && btn.dataset.filename === filename) {
+        item.remove();
+      }
+    });
+    this.updateFileCount();
+  }
+
+  handleTypingLockAcquired(data) {
+    if (!this.isActiveDocument(data && data.docId)) return;
+    this.state.hasTypingLock = true;
+    this.updateEditorLockStatus();
+    this.showNotification('You can now type!', 'success');
+  }
+
+  handleTypingLockDenied(data) {
+    const { docId, lockedByUser } = data;
+    if (!this.isActiveDocument(docId)) return;
+    this.showNotification(`${lockedByUser} is currently typing. Please wait...`, 'error');
+  }
+
+  handleTypingLockChanged(data) {
+    const { docId, lockedByUser } = data;
+    if (!this.isActiveDocument(docId)) return;
+    this.state.typingLockStatus.isLocked = true;
+    this.state.typingLockStatus.lockedByUser = lockedByUser;
+    this.updateEditorLockStatus();
+
+    if (lockedByUser !== 'You') {
+      this.showNotification(`${lockedByUser} is now typing`, 'info');
+    }
+  }
+
+  handleTypingLockReleased(data) {
+    if (!this.isActiveDocument(data && data.docId)) return;
+    this.state.typingLockStatus.isLocked = false;
+    this.state.typingLockStatus.lockedBy = null;
+    this.state.typingLockStatus.lockedByUser = null;
+    this.updateEditorLockStatus();
+  }
+
+  handleTypingLockStatus(status) {
+    if (!this.isActiveDocument(status.docId)) return;
+    this.state.typingLockStatus = status;
+    if (typeof status.exclusiveEditing === 'boolean') {
+      this.handleExclusiveEditingChanged(status.exclusiveEditing);
+    } else {
+      this.updateEditorLockStatus();
+    }
+  }
+
+  handleKicked(room, movedTo) {
+    if (movedTo) {
+      this.showNotification(`You were moved from ${room} to ${movedTo} room`, 'warning');
+      this.addRoomActivity(`Moved to ${movedTo} room`, 'warning');
+      this.state.currentRoom = movedTo;
+    } else {
+      this.showNotification(`You have been removed from room: ${room}`, 'error');
+      this.addRoomActivity(`Removed from ${room}`, 'error');
+    }
+  }
+
+  handleMuted(room, muted) {
+    this.showNotification(
+      muted ? `You were muted in ${room}` : `You were unmuted in ${room}`,
+      muted ? 'error' : 'success'
+    );
+
+    this.state.isMuted = Boolean(muted);
+    if (this.elements.editor) {
+      this.elements.editor.disabled = !this.canEdit();
+      this.elements.editor.placeholder = muted
+        ? 'You are muted by admin. You cannot type.'
+        : this.elements.editor.placeholder;
+    }
+  }
+
+  handleTypingIndicator(user) {
+    if (user === 'You' || !this.elements.typingIndicator) return;
+
+    this.elements.typingIndicator.textContent = `${user} is typing...`;
+
+    clearTimeout(this.timers.typingIndicator);
+    this.timers.typingIndicator = setTimeout(() => {
+      if (this.elements.typingIndicator) {
+        this.elements.typingIndicator.textContent = '';
+      }
+    }, 2000);
+  }
+
+  // DOM Event Handlers
+  handleEditorInput() {
+    if (!this.state.currentRoom || !this.state.isConnected) return;
+
+    if (this.state.exclusiveEditing) {
+      if (!this.state.hasTypingLock && !this.state.typingLockStatus.isLocked) {
+        this.requestTypingLock();
+      }
+      if (!this.state.hasTypingLock && this.state.typingLockStatus.isLocked) return;
+    }
+
+    const doc = this.activeDocument();
+    if (!doc) return;
+
+    const value = this.elements.editor.value;
+    const ops = TextOperations.diffToOps(doc.text, value);
+    doc.text = value;
+    doc.sync.applyLocal(ops);
+    this.transformComments(doc, ops);
+    if (Date.now() - this.lastTypingSentAt >= 1000) {
+      this.lastTypingSentAt = Date.now();
+      this.socket.emit('typing', 'You');
+    }
+    this.schedulePreviewRender();
+
+    if (this.remoteCursors) {
+      this.remoteCursors.transform(ops);
+    }
+    this.scheduleCursorBroadcast();
+
+    if (this.state.hasTypingLock) {
+      this.startTypingActivity();
+      this.startTypingLockTimer();
+    }
   }
 
   handleEditorFocus() {
-    if (this.state.currentRoom && this.state.isConnected &&
+    if (this.state.exclusiveEditing && this.state.currentRoom && this.state.isConnected &&
       !this.state.hasTypingLock && !this.state.typingLockStatus.isLocked) {
       this.requestTypingLock();
     }
   }
 
-  handleEditorBlur() {
-    if (this.state.hasTypingLock) {
-      setTimeout(() => {
-        if (document.activeElement !== this.elements.editor && this.state.hasTypingLock) {
-          this.releaseTypingLock();
-        }
-      }, 2000);
+  handleEditorBlur() {
+    if (this.state.hasTypingLock) {
+      setTimeout(() => {
+        if (document.activeElement !== this.elements.editor && this.state.hasTypingLock) {
+          this.releaseTypingLock();
+        }
+      }, 2000);
+    }
+  }
+
+  handleKeyboardShortcuts(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      e.preventDefault();
+      this.joinRoom();
+    }
+
+    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+      e.preventDefault();
+      if (this.elements.editor) {
+        this.elements.editor.focus();
+      }
+    }
+  }
+  // Core Methods
+  setMode(newMode) {
+    this.state.mode = newMode;
+
+    if (newMode === 'join') {
+      if (this.elements.tabJoin) this.elements.tabJoin.classList.add('active');
+      if (this.elements.tabCreate) this.elements.tabCreate.classList.remove('active');
+      if (this.elements.joinBtn) {
+        const btnText = this.elements.joinBtn.querySelector('.btn-text');
+        if (btnText) btnText.textContent = 'Join Room';
+      }
+    } else {
+      if (this.elements.tabCreate) this.elements.tabCreate.classList.add('active');
+      if (this.elements.tabJoin) this.elements.tabJoin.classList.remove('active');
+      if (this.elements.joinBtn) {
+        const btnText = this.elements.joinBtn.querySelector('.btn-text');
+        if (btnText) btnText.textContent = 'Create Room';
+      }
+    }
+
+    this.updateDefaultRoom();
+    this.fetchRooms();
+    this.addRoomActivity(`Switched to ${newMode === 'join' ? 'Join' : 'Create'} Room mode`, 'info');
+  }
+
+  updateDefaultRoom() {
+    const isLAN = this.elements.connectionType && this.elements.connectionType.value === 'lan';
+
+    if (this.state.mode === 'join' && this.elements.roomInput && !this.elements.roomInput.value) {
+      this.elements.roomInput.value = isLAN ? 'lan_world' : 'world';
+    }
+
+    if (this.elements.passwordInput) {
+      this.elements.passwordInput.value = '';
+    }
+
+    if (this.elements.roomInput) {
+      this.elements.roomInput.disabled = false;
+      this.state.currentRoom = this.elements.roomInput.value;
+    }
+
+    if (this.elements.passwordInput) {
+      this.elements.passwordInput.disabled = false;
+    }
+  }
+
+  async joinRoom() {
+    console.log('🚀 joinRoom() called');
+
+    if (!this.elements.roomInput) return;
+
+    const roomName = this.elements.roomInput.value.trim();
+    const password = (this.elements.passwordInput && this.elements.passwordInput.value) || '';
+    const isLAN = this.elements.connectionType && this.elements.connectionType.value === 'lan';
+
+    console.log('Room name:', roomName, 'Password:', password, 'Is LAN:', isLAN, 'Socket connected:', this.socket.connected);
+
+    if (!roomName) {
+      this.showNotification('Please enter a room name', 'error');
+      this.addRoomActivity('Join failed: No room name provided', 'error');
+      return;
+    }
+
+    const finalRoom = this.state.mode === 'join'
+      ? (roomName || (isLAN ? 'lan_world' : 'world'))
+      : roomName || (isLAN ? 'lan_world' : 'world');
+
+    this.state.currentRoom = finalRoom;
+    this.resetDocuments();
+    this.resetChat();
+
+    if (roomName) {
+      this.savePreference('lastRoom', finalRoom);
+    }
+
+    this.addRoomActivity(`Attempting to ${this.state.mode} room: ${finalRoom}`, 'info');
+    if (password) {
+      this.addRoomActivity('Using password for private room', 'info');
+    }
+
+    this.setJoinButtonLoading(true);
+    this.updateConnectionStatus('connecting', 'Connecting...');
+
+    this.timers.connectionTimeout = setTimeout(() => {
+      if (this.elements.joinBtn && this.elements.joinBtn.disabled) {
+        this.showNotification('Connection timeout. Please try again.', 'error');
+        this.updateConnectionStatus('error', 'Connection Timeout');
+        this.resetJoinButton();
+        this.addRoomActivity('Connection timeout', 'error');
+      }
+    }, 10000);
+
+    this.state.roomPassword = password;
+    const invite = this.state.invite && this.state.invite.room === finalRoom ? this.state.invite.token : undefined;
+    this.socket.emit('join', {
+      room: finalRoom,
+      password,
+      private: Boolean(password),
+      adminToken: this.state.adminTokens[finalRoom] || null,
+      invite,
+      name: localStorage.getItem('displayName') || undefined,
+      lanCode: this.state.lanCode || undefined,
+      ...this.identityPayload(),
+    });
+  }
+
+  // Who this browser is, so reconnects and other tabs count as the same person: a random
+  // id made here, and the server's signed copy of it once the server has seen it
+  identityPayload() {
+    let identityId = localStorage.getItem('identityId');
+    if (!identityId) {
+      const bytes = crypto.getRandomValues(new Uint8Array(16));
+      identityId = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+      this.savePreference('identityId', identityId);
+    }
+    return { identity: localStorage.getItem('identity') || undefined, identityId };
+  }
+
+  // User list entries stand for a person, who may be connected from several tabs
+  isSameUser(user, socketId) {
+    return Boolean(socketId) && (user.id === socketId || (user.socketIds || []).includes(socketId));
+  }
+
+  leaveRoom() {
+    const room = this.state.currentRoom;
+    if (!room) return;
+
+    // A disconnected socket has already left on the server
+    if (!this.socket.connected) {
+      this.finishLeavingRoom(room);
+      return;
     }
+
+    this.socket.emit('leave', { room }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to leave the room', 'error');
+        return;
+      }
+      if (this.state.currentRoom === room) this.finishLeavingRoom(room);
+    });
   }
 
-  handleKeyboardShortcuts(e) {
-    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-      e.preventDefault();
-      this.joinRoom();
+  // Local cleanup once the server has let us out of `room`
+  finishLeavingRoom(room) {
+    this.addRoomActivity(`Left room: ${room}`, 'warning');
+
+    // Cleanup video components when leaving room
+    // Requirements: 3.5, 6.5
+    this.cleanupVideoComponents();
+
+    if (this.remoteCursors) {
+      this.remoteCursors.clear();
     }
 
-    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-      e.preventDefault();
-      if (this.elements.editor) {
-        this.elements.editor.focus();
+    this.toggleHistoryPanel(false);
+    this.state.selectedRevisionId = null;
+    this.resetDocuments();
+    this.resetChat();
+    this.state.currentRoom = '';
+    this.state.roomPassword = '';
+    this.state.invite = null;
+    this.state.lobbyQueue = [];
+    this.state.roomSettings = null;
+    if (this.elements.roomTopic) this.elements.roomTopic.classList.add('hidden');
+    this.handleLanCode(null);
+    this.resetSearch();
+    this.updateInvitePanel();
+    this.updateModerationPanel();
+
+    this.showRoomConfig();
+    this.hideLeaveRoomButton();
+    this.resetJoinButton();
+  }
+
+  async setUserName() {
+    if (!this.elements.displayNameInput || !this.elements.setNameBtn) return;
+
+    const name = this.elements.displayNameInput.value.trim();
+    if (!name) return;
+
+    this.elements.setNameBtn.classList.add('saving');
+
+    this.socket.emit('set-name', { name, room: this.state.currentRoom }, (ok) => {
+      if (ok) {
+        this.showNotification('Name updated', 'success');
+        this.elements.displayNameInput.value = name;
+        this.savePreference('displayName', name);
+        this.socket.emit('who');
+      } else {
+        this.showNotification('Failed to update name', 'error');
       }
+      this.elements.setNameBtn.classList.remove('saving');
+    });
+  }
+
+  // Typing Lock Methods
+  requestTypingLock() {
+    if (!this.state.currentRoom || !this.state.isConnected || !this.canEdit() || !this.state.exclusiveEditing) return;
+    this.socket.emit('request-typing-lock', { docId: this.state.activeDocumentId });
+  }
+
+  releaseTypingLock() {
+    if (!this.state.currentRoom || !this.state.isConnected || !this.state.hasTypingLock) return;
+
+    this.socket.emit('release-typing-lock', { docId: this.state.activeDocumentId });
+    this.state.hasTypingLock = false;
+    this.isCurrentlyTyping = false;
+    this.updateEditorLockStatus();
+
+    this.clearTimer('typingLock');
+    this.clearTimer('typingActivity');
+  }
+
+  updateEditorLockStatus() {
+    if (!this.elements.editor || !this.elements.typingLockIndicator) return;
+
+    if (this.state.typingLockStatus.isLocked && !this.state.hasTypingLock) {
+      this.elements.editor.disabled = true;
+      this.elements.editor.placeholder = `${this.state.typingLockStatus.lockedByUser} is currently typing. Please wait...`;
+      this.elements.editor.style.backgroundColor = '#f8f9fa';
+      this.elements.editor.style.cursor = 'not-allowed';
+
+      this.elements.typingLockIndicator.textContent = `🔒 ${this.state.typingLockStatus.lockedByUser} is typing`;
+      this.elements.typingLockIndicator.style.color = '#ef4444';
+      this.elements.typingLockIndicator.style.display = 'block';
+    } else if (this.state.hasTypingLock) {
+      this.elements.editor.disabled = false;
+      this.elements.editor.placeholder = 'Start typing your notes here... All changes are synchronized in real-time with your team members! 🚀';
+      this.elements.editor.style.backgroundColor = '#f0f9ff';
+      this.elements.editor.style.cursor = '';
+
+      this.elements.typingLockIndicator.textContent = '✅ You are typing';
+      this.elements.typingLockIndicator.style.color = '#10b981';
+      this.elements.typingLockIndicator.style.display = 'block';
+    } else if (this.canEdit()) {
+      this.elements.editor.disabled = false;
+      this.elements.editor.placeholder = 'Start typing your notes here... All changes are synchronized in real-time with your team members! 🚀';
+      this.elements.editor.style.backgroundColor = '';
+      this.elements.editor.style.cursor = '';
+
+      this.elements.typingLockIndicator.style.display = 'none';
     }
   }
-  // Core Methods
-  setMode(newMode) {
-    this.state.mode = newMode;
 
-    if (newMode === 'join') {
-      if (this.elements.tabJoin) this.elements.tabJoin.classList.add('active');
-      if (this.elements.tabCreate) this.elements.tabCreate.classList.remove('active');
-      if (this.elements.joinBtn) {
-        const btnText = this.elements.joinBtn.querySelector('.btn-text');
-        if (btnText) btnText.textContent = 'Join Room';
+  startTypingLockTimer() {
+    this.clearTimer('typingLock');
+    this.timers.typingLock = setTimeout(() => {
+      this.releaseTypingLock();
+    }, 25000);
+  }
+
+  startTypingActivity() {
+    if (!this.state.hasTypingLock) return;
+
+    this.isCurrentlyTyping = true;
+    this.clearTimer('typingActivity');
+
+    this.socket.emit('typing-activity', { docId: this.state.activeDocumentId, isTyping: true });
+
+    this.timers.typingActivity = setTimeout(() => {
+      this.stopTypingActivity();
+    }, 2000);
+  }
+
+  stopTypingActivity() {
+    if (!this.state.hasTypingLock || !this.isCurrentlyTyping) return;
+
+    this.isCurrentlyTyping = false;
+    this.socket.emit('typing-activity', { docId: this.state.activeDocumentId, isTyping: false });
+
+    setTimeout(() => {
+      if (this.state.hasTypingLock && !this.isCurrentlyTyping) {
+        this.releaseTypingLock();
       }
-    } else {
-      if (this.elements.tabCreate) this.elements.tabCreate.classList.add('active');
-      if (this.elements.tabJoin) this.elements.tabJoin.classList.remove('active');
-      if (this.elements.joinBtn) {
-        const btnText = this.elements.joinBtn.querySelector('.btn-text');
-        if (btnText) btnText.textContent = 'Create Room';
+    }, 1000);
+  }
+  // File Upload Methods
+  // Chat Methods
+  handleChatHistory(data) {
+    const list = this.elements.chatMessages;
+    if (!list) return;
+
+    list.innerHTML = '';
+    ((data && data.messages) || []).forEach(message => list.appendChild(this.renderChatMessage(message)));
+    list.scrollTop = list.scrollHeight;
+    this.setChatUnread(0);
+  }
+
+  handleChatMessage(message) {
+    const list = this.elements.chatMessages;
+    if (!list || !message) return;
+
+    // Only follow new messages if the reader was already at the bottom
+    const wasAtBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+    list.appendChild(this.renderChatMessage(message));
+    while (list.children.length > 200) list.firstChild.remove();
+
+    const own = message.userId === this.state.currentUserId;
+    if (own || wasAtBottom) list.scrollTop = list.scrollHeight;
+    if (!own && !this.isChatVisible()) this.setChatUnread(this.state.chatUnread + 1);
+  }
+
+  renderChatMessage(message) {
+    const item = document.createElement('div');
+    item.className = 'chat-message';
+    item.classList.toggle('own', message.userId === this.state.currentUserId);
+    item.dataset.id = message.id;
+
+    const header = document.createElement('div');
+    header.className = 'chat-message-header';
+    const name = document.createElement('span');
+    name.className = 'chat-message-name';
+    name.textContent = message.name;
+    const time = document.createElement('time');
+    time.className = 'chat-message-time';
+    time.dateTime = new Date(message.timestamp).toISOString();
+    time.textContent = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    header.append(name, time);
+
+    const text = document.createElement('div');
+    text.className = 'chat-message-text';
+    text.textContent = message.text;
+
+    item.append(header, text);
+    return item;
+  }
+
+  sendChatMessage() {
+    const input = this.elements.chatInput;
+    if (!input || !this.state.currentRoom) return;
+
+    const text = input.value.trim();
+    if (!text) return;
+
+    input.disabled = true;
+    this.socket.emit('chat-message', { text }, (response) => {
+      input.disabled = this.state.isMuted;
+      if (response && response.ok) {
+        input.value = '';
+        input.focus();
+      } else {
+        this.showNotification((response && response.error) || 'Message not sent', 'error');
       }
+    });
+  }
+
+  isChatVisible() {
+    const list = this.elements.chatMessages;
+    if (!list || this.state.chatCollapsed || document.hidden) return false;
+    return list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+  }
+
+  markChatReadIfVisible() {
+    if (this.state.chatUnread > 0 && this.isChatVisible()) this.setChatUnread(0);
+  }
+
+  setChatUnread(count) {
+    this.state.chatUnread = count;
+    const badge = this.elements.chatUnread;
+    if (!badge) return;
+
+    badge.textContent = count > 99 ? '99+' : String(count);
+    badge.classList.toggle('hidden', count === 0);
+    badge.title = `${count} unread message${count !== 1 ? 's' : ''}`;
+  }
+
+  toggleChatPanel() {
+    this.state.chatCollapsed = !this.state.chatCollapsed;
+    this.savePreference('chatCollapsed', this.state.chatCollapsed);
+    this.updateChatPanel();
+
+    if (!this.state.chatCollapsed && this.elements.chatMessages) {
+      this.elements.chatMessages.scrollTop = this.elements.chatMessages.scrollHeight;
+      this.setChatUnread(0);
     }
+  }
 
-    this.updateDefaultRoom();
-    this.fetchRooms();
-    this.addRoomActivity(`Switched to ${newMode === 'join' ? 'Join' : 'Create'} Room mode`, 'info');
+  updateChatPanel() {
+    const { chatContent, chatToggle, chatInput } = this.elements;
+    if (chatContent) chatContent.classList.toggle('hidden', this.state.chatCollapsed);
+    if (chatToggle) {
+      chatToggle.setAttribute('aria-expanded', String(!this.state.chatCollapsed));
+      chatToggle.title = this.state.chatCollapsed ? 'Show messages' : 'Hide messages';
+      const icon = chatToggle.querySelector('i');
+      if (icon) icon.className = this.state.chatCollapsed ? 'fas fa-chevron-down' : 'fas fa-chevron-up';
+    }
+    if (chatInput) {
+      chatInput.disabled = !this.state.currentRoom || this.state.isMuted;
+      chatInput.placeholder = this.state.isMuted ? 'You are muted' : 'Message the room';
+    }
   }
 
-  updateDefaultRoom() {
-    const isLAN = this.elements.connectionType && this.elements.connectionType.value === 'lan';
+  resetChat() {
+    if (this.elements.chatMessages) this.elements.chatMessages.innerHTML = '';
+    this.setChatUnread(0);
+    this.updateChatPanel();
+  }
 
-    if (this.state.mode === 'join' && this.elements.roomInput && !this.elements.roomInput.value) {
-      this.elements.roomInput.value = isLAN ? 'lan_world' : 'world';
+  // Invite Methods
+  // Invite links arrive as /?invite=<token>; the server redirects /invite/<token> here
+  openInviteLink() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('invite');
+    if (!token && !params.has('inviteError')) return false;
+
+    // Keep the token out of the address bar and out of bookmarks
+    window.history.replaceState(null, '', window.location.pathname);
+
+    const room = token && this.decodeInviteRoom(token);
+    if (!room || !this.elements.roomInput) {
+      this.showNotification('This invite link is not valid', 'error');
+      return false;
     }
 
-    if (this.elements.passwordInput) {
-      this.elements.passwordInput.value = '';
+    this.state.invite = { room, token };
+    this.elements.roomInput.value = room;
+    this.addRoomActivity(`Opening invite to room: ${room}`, 'info');
+    if (this.socket.connected) {
+      this.joinRoom();
+    } else {
+      this.socket.once('connect', () => this.joinRoom());
+    }
+    return true;
+  }
+
+  // The token's first half is base64url JSON naming the room; the server checks the signature
+  decodeInviteRoom(token) {
+    try {
+      const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+      const bytes = Uint8Array.from(atob(payload), c => c.charCodeAt(0));
+      const data = JSON.parse(new TextDecoder().decode(bytes));
+      return typeof data.room === 'string' ? data.room : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  updateInvitePanel() {
+    const panel = this.elements.invitePanel;
+    if (!panel) return;
+
+    const show = Boolean(this.state.currentRoom) && this.can('manageInvites');
+    const wasHidden = panel.classList.contains('hidden');
+    panel.classList.toggle('hidden', !show);
+    if (show && wasHidden) this.loadInvites();
+  }
+
+  // Lobby switch and queue for admins, ban list for moderators
+  updateModerationPanel() {
+    const inRoom = Boolean(this.state.currentRoom);
+    const canAdmit = inRoom && this.can('admitUsers');
+    if (this.elements.lobbyToggleLabel) {
+      this.elements.lobbyToggleLabel.classList.toggle('hidden', !inRoom || !this.can('manageSettings'));
+    }
+    if (this.elements.lobbyToggle) this.elements.lobbyToggle.checked = this.state.lobbyEnabled;
+    if (this.elements.roomLimitsSection) {
+      this.elements.roomLimitsSection.classList.toggle('hidden', !inRoom || !this.can('manageSettings'));
+    }
+    if (this.elements.roomSettingsBtn) {
+      this.elements.roomSettingsBtn.classList.toggle('hidden', !inRoom || !this.can('manageSettings'));
+    }
+    if (this.elements.roomSettingsDialog && this.elements.roomSettingsDialog.open && !this.can('manageSettings')) {
+      this.elements.roomSettingsDialog.close();
+    }
+    if (!canAdmit) this.state.lobbyQueue = [];
+    this.renderLobbyQueue();
+
+    const section = this.elements.banSection;
+    if (section) {
+      const show = inRoom && this.can('ban');
+      section.classList.toggle('hidden', !show);
+      if (!show) section.open = false;
+    }
+  }
+
+  handleRoomSettingsChanged(settings) {
+    const previousTopic = this.state.roomSettings ? this.state.roomSettings.topic : '';
+    this.state.roomSettings = settings;
+
+    if (this.elements.roomTopic) {
+      this.elements.roomTopic.textContent = settings.topic;
+      this.elements.roomTopic.title = settings.topic;
+      this.elements.roomTopic.classList.toggle('hidden', !settings.topic);
+    }
+    if (settings.topic && settings.topic !== previousTopic) {
+      this.addRoomActivity(`Topic: ${settings.topic}`, 'info');
+    }
+  }
+
+  handleLanCode(code) {
+    this.state.lanCode = code || '';
+    if (this.elements.lanCodeValue) this.elements.lanCodeValue.textContent = this.state.lanCode;
+    if (this.elements.lanCodeBanner) this.elements.lanCodeBanner.classList.toggle('hidden', !code);
+    if (this.elements.settingsNewLanCode) this.elements.settingsNewLanCode.disabled = !code;
+  }
+
+  regenerateLanCode() {
+    this.socket.emit('regenerate-lan-code', {}, (response) => {
+      if (response && response.ok) {
+        this.showNotification('New LAN code created', 'success');
+      } else {
+        this.showNotification((response && response.error) || 'Failed to create a new code', 'error');
+      }
+    });
+  }
+
+  // Load the current settings fresh from the server; the broadcast copy could be stale
+  openRoomSettings() {
+    this.socket.emit('get-room-settings', {}, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to load room settings', 'error');
+        return;
+      }
+
+      const { settings } = response;
+      this.elements.settingsTopic.value = settings.topic;
+      this.elements.settingsPassword.value = '';
+      this.elements.settingsPassword.disabled = false;
+      this.elements.settingsPassword.placeholder = settings.hasPassword ? 'Leave empty to keep the current password' : 'No password: anyone can join';
+      this.elements.settingsRemovePassword.checked = false;
+      this.elements.settingsRemovePassword.disabled = !settings.hasPassword;
+      this.elements.settingsRetention.value = settings.fileRetentionMinutes;
+      this.elements.settingsMaxFileSize.value = settings.maxFileSizeMB;
+      this.elements.settingsFileTypes.value = settings.allowedFileTypes.join('\n');
+      this.elements.settingsMuteOnJoin.checked = settings.muteOnJoin;
+      this.elements.settingsLanSection.classList.toggle('hidden', !this.state.currentRoom.startsWith('lan_'));
+      this.elements.settingsLanIpv4Prefix.value = settings.lanIpv4Prefix;
+      this.elements.settingsLanIpv6Prefix.value = settings.lanIpv6Prefix;
+      this.elements.settingsLanCodeRequired.checked = settings.lanCodeRequired;
+      this.elements.roomSettingsDialog.showModal();
+    });
+  }
+
+  saveRoomSettings() {
+    const changes = {
+      topic: this.elements.settingsTopic.value,
+      fileRetentionMinutes: Number(this.elements.settingsRetention.value),
+      maxFileSizeMB: Number(this.elements.settingsMaxFileSize.value),
+      allowedFileTypes: this.elements.settingsFileTypes.value.split(/[\s,]+/).filter(Boolean),
+      muteOnJoin: this.elements.settingsMuteOnJoin.checked
+    };
+    if (this.state.currentRoom.startsWith('lan_')) {
+      changes.lanIpv4Prefix = Number(this.elements.settingsLanIpv4Prefix.value);
+      changes.lanIpv6Prefix = Number(this.elements.settingsLanIpv6Prefix.value);
+      changes.lanCodeRequired = this.elements.settingsLanCodeRequired.checked;
+    }
+    if (this.elements.settingsRemovePassword.checked) {
+      changes.password = null;
+    } else if (this.elements.settingsPassword.value) {
+      changes.password = this.elements.settingsPassword.value;
+    }
+
+    this.socket.emit('update-room-settings', changes, (response) => {
+      if (response && response.ok) {
+        this.elements.roomSettingsDialog.close();
+        this.showNotification('Room settings saved', 'success');
+      } else {
+        this.showNotification((response && response.error) || 'Failed to save room settings', 'error');
+      }
+    });
+  }
+
+  handleRoomLimitsChanged(limits) {
+    const wasLocked = this.state.roomLimits.locked;
+    this.state.roomLimits = limits;
+
+    if (this.elements.roomLockedToggle) this.elements.roomLockedToggle.checked = limits.locked;
+    [['maxParticipantsInput', 'maxParticipants'], ['maxVideoInput', 'maxVideo'], ['maxScreenSharesInput', 'maxScreenShares']]
+      .forEach(([id, key]) => {
+        if (this.elements[id]) this.elements[id].value = limits[key] || '';
+      });
+
+    if (limits.locked !== wasLocked) {
+      this.addRoomActivity(limits.locked ? 'The room is locked: nobody new can join' : 'The room is unlocked', 'info');
     }
+  }
+
+  saveRoomLimits() {
+    const limitValue = (input) => {
+      const value = input.value.trim();
+      return value === '' ? null : Number(value);
+    };
+    const changes = {
+      locked: this.elements.roomLockedToggle.checked,
+      maxParticipants: limitValue(this.elements.maxParticipantsInput),
+      maxVideo: limitValue(this.elements.maxVideoInput),
+      maxScreenShares: limitValue(this.elements.maxScreenSharesInput)
+    };
+
+    this.socket.emit('set-room-limits', changes, (response) => {
+      if (response && response.ok) {
+        this.showNotification('Room limits saved', 'success');
+      } else {
+        this.showNotification((response && response.error) || 'Failed to save room limits', 'error');
+      }
+    });
+  }
 
-    if (this.elements.roomInput) {
-      this.elements.roomInput.disabled = false;
-      this.state.currentRoom = this.elements.roomInput.value;
-    }
+  // The server turned down our camera or screen share; take back what we started locally
+  handleMediaLimitReached({ kind, message }) {
+    this.showNotification(message, 'warning');
+    this.addRoomActivity(message, 'warning');
+    if (!this.mediaManager) return;
 
-    if (this.elements.passwordInput) {
-      this.elements.passwordInput.disabled = false;
+    if (kind === 'video' && this.mediaManager.videoEnabled) {
+      this.mediaManager.disableVideo().catch(err => console.error('Failed to disable video:', err));
+    } else if (kind === 'screen' && this.mediaManager.screenShareEnabled) {
+      this.mediaManager.stopScreenShare().catch(err => console.error('Failed to stop screen share:', err));
     }
   }
 
-  async joinRoom() {
-    console.log('🚀 joinRoom() called');
+  setLobby(enabled) {
+    this.socket.emit('set-lobby', { enabled }, (response) => {
+      if (!response || !response.ok) {
+        this.elements.lobbyToggle.checked = this.state.lobbyEnabled;
+        this.showNotification((response && response.error) || 'Failed to change the lobby', 'error');
+      }
+    });
+  }
 
-    if (!this.elements.roomInput) return;
+  renderLobbyQueue() {
+    const queue = this.elements.lobbyQueue;
+    if (!queue) return;
+
+    queue.innerHTML = '';
+    queue.classList.toggle('hidden', this.state.lobbyQueue.length === 0);
+    if (this.state.lobbyQueue.length === 0) return;
+
+    const title = document.createElement('p');
+    title.className = 'lobby-title';
+    title.textContent = `Waiting to join (${this.state.lobbyQueue.length})`;
+    queue.appendChild(title);
+
+    this.state.lobbyQueue.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'invite-item lobby-item';
+      const name = document.createElement('strong');
+      name.textContent = entry.name;
+
+      const actions = document.createElement('div');
+      actions.className = 'invite-item-actions';
+      [['approve', 'fa-check', 'Let in'], ['deny', 'fa-times', 'Turn away']].forEach(([action, icon, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `action-btn lobby-${action}`;
+        button.title = label;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.addEventListener('click', () => this.admitUser(entry, action === 'approve'));
+        actions.appendChild(button);
+      });
 
-    const roomName = this.elements.roomInput.value.trim();
-    const password = (this.elements.passwordInput && this.elements.passwordInput.value) || '';
-    const isLAN = this.elements.connectionType && this.elements.connectionType.value === 'lan';
+      item.appendChild(name);
+      item.appendChild(actions);
+      queue.appendChild(item);
+    });
+  }
 
-    console.log('Room name:', roomName, 'Password:', password, 'Is LAN:', isLAN, 'Socket connected:', this.socket.connected);
+  admitUser(entry, approve) {
+    this.socket.emit('admit-user', { targetId: entry.id, approve }, (response) => {
+      if (response && response.ok) {
+        this.addRoomActivity(`${entry.name} ${approve ? 'let in' : 'turned away'}`, approve ? 'success' : 'warning');
+      } else {
+        this.showNotification((response && response.error) || 'Failed to answer the request', 'error');
+      }
+    });
+  }
 
-    if (!roomName) {
-      this.showNotification('Please enter a room name', 'error');
-      this.addRoomActivity('Join failed: No room name provided', 'error');
+  handleLobbyWaiting(room) {
+    this.clearConnectionTimeout();
+    this.resetJoinButton();
+    this.updateConnectionStatus('connecting', 'Waiting to be let in');
+    this.showNotification(`${room} has a lobby. An admin will let you in shortly.`, 'info');
+    this.addRoomActivity(`Waiting in the lobby of ${room}`, 'info');
+  }
+
+  banUser(user) {
+    const answer = prompt(`Ban ${user.name} for how many minutes? Leave empty to ban until lifted.`, '');
+    if (answer === null) return;
+    const minutes = answer.trim() === '' ? null : Number(answer);
+    if (minutes !== null && !(minutes > 0)) {
+      this.showNotification('Enter a number of minutes, or leave it empty', 'error');
       return;
     }
 
-    const finalRoom = this.state.mode === 'join'
-      ? (roomName || (isLAN ? 'lan_world' : 'world'))
-      : roomName || (isLAN ? 'lan_world' : 'world');
+    this.socket.emit('ban-user', { targetId: user.id, durationMinutes: minutes }, (response) => {
+      if (response && response.ok) {
+        this.addRoomActivity(`${user.name} banned${minutes ? ` for ${minutes} minute(s)` : ''}`, 'error');
+        if (this.elements.banSection && this.elements.banSection.open) this.loadBans();
+      } else {
+        this.showNotification((response && response.error) || 'Failed to ban user', 'error');
+      }
+    });
+  }
 
-    this.state.currentRoom = finalRoom;
+  loadBans() {
+    this.socket.emit('list-bans', {}, (response) => {
+      if (response && response.ok) this.renderBans(response.bans);
+    });
+  }
 
-    if (roomName) {
-      this.savePreference('lastRoom', finalRoom);
-    }
+  renderBans(bans) {
+    const list = this.elements.banList;
+    if (!list) return;
 
-    this.addRoomActivity(`Attempting to ${this.state.mode} room: ${finalRoom}`, 'info');
-    if (password) {
-      this.addRoomActivity('Using password for private room', 'info');
+    list.innerHTML = '';
+    if (bans.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'invite-empty';
+      empty.textContent = 'Nobody is banned.';
+      list.appendChild(empty);
+      return;
     }
 
-    this.setJoinButtonLoading(true);
-    this.updateConnectionStatus('connecting', 'Connecting...');
+    bans.forEach(ban => {
+      const item = document.createElement('div');
+      item.className = 'invite-item';
+
+      const details = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = ban.name || 'Unnamed';
+      const meta = document.createElement('span');
+      const scope = [ban.name && 'name', ban.byIp && 'address'].filter(Boolean).join(' and ');
+      const until = ban.expiresAt
+        ? `until ${new Date(ban.expiresAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`
+        : 'until lifted';
+      meta.textContent = `By ${scope} · ${until} · by ${ban.createdBy}`;
+      details.appendChild(title);
+      details.appendChild(meta);
+
+      const lift = document.createElement('button');
+      lift.type = 'button';
+      lift.className = 'action-btn';
+      lift.title = 'Lift ban';
+      lift.innerHTML = '<i class="fas fa-unlock"></i>';
+      lift.addEventListener('click', () => {
+        this.socket.emit('unban', { banId: ban.id }, (response) => {
+          if (response && response.ok) this.loadBans();
+          else this.showNotification((response && response.error) || 'Failed to lift ban', 'error');
+        });
+      });
 
-    this.timers.connectionTimeout = setTimeout(() => {
-      if (this.elements.joinBtn && this.elements.joinBtn.disabled) {
-        this.showNotification('Connection timeout. Please try again.', 'error');
-        this.updateConnectionStatus('error', 'Connection Timeout');
-        this.resetJoinButton();
-        this.addRoomActivity('Connection timeout', 'error');
-      }
-    }, 10000);
+      item.appendChild(details);
+      item.appendChild(lift);
+      list.appendChild(item);
+    });
+  }
 
-    this.socket.emit('join', {
-      room: finalRoom,
-      password,
-      private: Boolean(password),
-      adminToken: this.state.adminTokens[finalRoom] || null,
+  loadInvites() {
+    this.socket.emit('list-invites', {}, (response) => {
+      if (response && response.ok) this.renderInvites(response.invites);
     });
   }
 
-  leaveRoom() {
-    if (!this.state.currentRoom) return;
+  renderInvites(invites) {
+    const list = this.elements.inviteList;
+    if (!list) return;
 
-    this.addRoomActivity(`Left room: ${this.state.currentRoom}`, 'warning');
-    this.socket.emit('leave', { room: this.state.currentRoom });
+    list.innerHTML = '';
+    if (invites.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'invite-empty';
+      empty.textContent = 'No active invite links.';
+      list.appendChild(empty);
+      return;
+    }
 
-    // Cleanup video components when leaving room
-    // Requirements: 3.5, 6.5
-    this.cleanupVideoComponents();
+    invites.forEach(invite => {
+      const usedUp = invite.maxUses !== null && invite.uses >= invite.maxUses;
+      const item = document.createElement('div');
+      item.className = 'invite-item';
+      item.classList.toggle('used-up', usedUp);
 
-    this.state.currentRoom = '';
+      const details = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = { viewer: 'View only', moderator: 'Moderator' }[invite.role] || 'Can edit';
+      const meta = document.createElement('span');
+      const uses = invite.maxUses === null ? `${invite.uses} uses` : `${invite.uses}/${invite.maxUses} uses`;
+      const expires = new Date(invite.expiresAt).toLocaleString([], {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+      });
+      meta.textContent = `${uses} · expires ${expires}`;
+      details.appendChild(title);
+      details.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'invite-item-actions';
+      const copy = document.createElement('button');
+      copy.type = 'button';
+      copy.className = 'action-btn';
+      copy.title = 'Copy link';
+      copy.innerHTML = '<i class="fas fa-copy"></i>';
+      copy.addEventListener('click', () => this.copyInviteLink(invite.url));
+      const revoke = document.createElement('button');
+      revoke.type = 'button';
+      revoke.className = 'action-btn';
+      revoke.title = 'Revoke';
+      revoke.innerHTML = '<i class="fas fa-trash"></i>';
+      revoke.addEventListener('click', () => this.revokeInvite(invite.id));
+      actions.appendChild(copy);
+      actions.appendChild(revoke);
+
+      item.appendChild(details);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  }
 
-    this.showRoomConfig();
-    this.hideLeaveRoomButton();
-    this.resetJoinButton();
+  createInvite() {
+    const maxUsesValue = this.elements.inviteMaxUses ? this.elements.inviteMaxUses.value.trim() : '';
+    const payload = {
+      expiresInMinutes: Number(this.elements.inviteExpiry ? this.elements.inviteExpiry.value : 1440),
+      maxUses: maxUsesValue ? parseInt(maxUsesValue, 10) : null,
+      role: this.elements.inviteRole ? this.elements.inviteRole.value : 'member'
+    };
+
+    this.socket.emit('create-invite', payload, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to create invite', 'error');
+        return;
+      }
+      if (this.elements.inviteMaxUses) this.elements.inviteMaxUses.value = '';
+      this.copyInviteLink(response.invite.url);
+      this.loadInvites();
+    });
   }
 
-  async setUserName() {
-    if (!this.elements.displayNameInput || !this.elements.setNameBtn) return;
+  async copyInviteLink(url) {
+    try {
+      await navigator.clipboard.writeText(url);
+      this.showNotification('Invite link copied to the clipboard', 'success');
+    } catch (error) {
+      // Clipboard access needs a secure context; let the admin copy it by hand
+      prompt('Copy this invite link:', url);
+    }
+  }
 
-    const name = this.elements.displayNameInput.value.trim();
-    if (!name) return;
+  revokeInvite(inviteId) {
+    if (!confirm('Revoke this invite link? People who already joined stay in the room.')) return;
 
-    this.elements.setNameBtn.classList.add('saving');
+    this.socket.emit('revoke-invite', { inviteId }, (response) => {
+      if (!response || !response.ok) {
+        this.showNotification((response && response.error) || 'Failed to revoke invite', 'error');
+      }
+      this.loadInvites();
+    });
+  }
 
-    this.socket.emit('set-name', { name, room: this.state.currentRoom }, (ok) => {
-      if (ok) {
-        this.showNotification('Name updated', 'success');
-        this.elements.displayNameInput.value = name;
-        this.savePreference('displayName', name);
-        this.socket.emit('who');
-      } else {
-        this.showNotification('Failed to update name', 'error');
+  // Room Search Methods
+  scheduleSearch() {
+    clearTimeout(this.timers.search);
+    this.timers.search = setTimeout(() => this.runSearch(), 250);
+  }
+
+  async runSearch() {
+    clearTimeout(this.timers.search);
+    this.timers.search = null;
+
+    const query = this.elements.roomSearchInput ? this.elements.roomSearchInput.value.trim() : '';
+    const requestId = ++this.searchRequestId;
+    if (!query || !this.state.currentRoom) {
+      this.closeSearchResults();
+      return;
+    }
+
+    try {
+      const url = `/rooms/${encodeURIComponent(this.state.currentRoom)}/search?q=${encodeURIComponent(query)}`;
+      const response = await fetch(url, { headers: this.roomRequestHeaders(), cache: 'no-store' });
+      const data = await response.json().catch(() => ({}));
+      if (requestId !== this.searchRequestId) return;
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `Search failed (${response.status})`);
       }
-      this.elements.setNameBtn.classList.remove('saving');
+      this.renderSearchResults(data);
+    } catch (error) {
+      if (requestId !== this.searchRequestId) return;
+      console.error('Search failed:', error);
+      this.showNotification(error.message || 'Search failed', 'error');
+    }
+  }
+
+  renderSearchResults(data) {
+    const container = this.elements.roomSearchResults;
+    if (!container) return;
+
+    container.innerHTML = '';
+    if (data.results.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'room-search-empty';
+      empty.textContent = `No matches for "${data.query}"`;
+      container.appendChild(empty);
+    }
+
+    data.results.forEach(result => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'room-search-result';
+      item.setAttribute('role', 'option');
+
+      const source = document.createElement('span');
+      source.className = 'room-search-source';
+      source.textContent = this.describeSearchResult(result);
+      item.appendChild(source);
+
+      // Snippets are plain text with the match's offsets, never markup
+      const { text, highlight } = result.snippet;
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(highlight.start, highlight.end);
+      item.appendChild(document.createTextNode(text.slice(0, highlight.start)));
+      item.appendChild(mark);
+      item.appendChild(document.createTextNode(text.slice(highlight.end)));
+
+      item.addEventListener('click', () => this.openSearchResult(result, data.query));
+      container.appendChild(item);
     });
+
+    if (data.truncated) {
+      const more = document.createElement('div');
+      more.className = 'room-search-empty';
+      more.textContent = `Showing ${data.results.length} of ${data.total} matches`;
+      container.appendChild(more);
+    }
+
+    container.classList.remove('hidden');
   }
 
-  // Typing Lock Methods
-  requestTypingLock() {
-    if (!this.state.currentRoom || !this.state.isConnected || this.state.isMuted) return;
-    this.socket.emit('request-typing-lock');
+  describeSearchResult(result) {
+    if (result.type === 'document') {
+      const doc = this.documents.get(result.docId);
+      return `Document · ${doc ? doc.name : result.name}`;
+    }
+    if (result.type === 'file') return 'File';
+    const time = new Date(result.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `Message · ${result.name} · ${time}`;
   }
 
-  releaseTypingLock() {
-    if (!this.state.currentRoom || !this.state.isConnected || !this.state.hasTypingLock) return;
+  handleSearchKeydown(e) {
+    const container = this.elements.roomSearchResults;
+    if (!container) return;
 
-    this.socket.emit('release-typing-lock');
-    this.state.hasTypingLock = false;
-    this.isCurrentlyTyping = false;
-    this.updateEditorLockStatus();
+    if (e.key === 'Escape') {
+      this.closeSearchResults();
+      this.elements.roomSearchInput.focus();
+      return;
+    }
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
 
-    this.clearTimer('typingLock');
-    this.clearTimer('typingActivity');
+    const items = Array.from(container.querySelectorAll('.room-search-result'));
+    if (items.length === 0) return;
+    e.preventDefault();
+    const index = items.indexOf(document.activeElement);
+    const next = e.key === 'ArrowDown' ? Math.min(index + 1, items.length - 1) : index - 1;
+    if (next < 0) {
+      this.elements.roomSearchInput.focus();
+    } else {
+      items[next].focus();
+    }
   }
 
-  updateEditorLockStatus() {
-    if (!this.elements.editor || !this.elements.typingLockIndicator) return;
+  openSearchResult(result, query) {
+    this.closeSearchResults();
 
-    if (this.state.typingLockStatus.isLocked && !this.state.hasTypingLock) {
-      this.elements.editor.disabled = true;
-      this.elements.editor.placeholder = `${this.state.typingLockStatus.lockedByUser} is currently typing. Please wait...`;
-      this.elements.editor.style.backgroundColor = '#f8f9fa';
-      this.elements.editor.style.cursor = 'not-allowed';
+    if (result.type === 'document') {
+      this.revealDocumentMatch(result, query);
+    } else if (result.type === 'file') {
+      const item = this.elements.fileList &&
+        Array.from(this.elements.fileList.querySelectorAll('.file-item')).find(el => el.dataset.filename === result.filename);
+      if (!item) {
+        this.showNotification('That file is no longer shared', 'warning');
+        return;
+      }
+      this.flashElement(item);
+    } else if (result.type === 'message') {
+      if (this.state.chatCollapsed) this.toggleChatPanel();
+      const item = this.elements.chatMessages &&
+        this.elements.chatMessages.querySelector(`.chat-message[data-id="${Number(result.messageId)}"]`);
+      if (!item) {
+        this.showNotification('That message is no longer in the chat history', 'warning');
+        return;
+      }
+      this.flashElement(item);
+    }
+  }
 
-      this.elements.typingLockIndicator.textContent = `🔒 ${this.state.typingLockStatus.lockedByUser} is typing`;
-      this.elements.typingLockIndicator.style.color = '#ef4444';
-      this.elements.typingLockIndicator.style.display = 'block';
-    } else if (this.state.hasTypingLock) {
-      this.elements.editor.disabled = false;
-      this.elements.editor.placeholder = 'Start typing your notes here... All changes are synchronized in real-time with your team members! 🚀';
-      this.elements.editor.style.backgroundColor = '#f0f9ff';
-      this.elements.editor.style.cursor = '';
+  // Select the match in the editor, even if the text has moved since the search ran
+  revealDocumentMatch(result, query) {
+    const doc = this.documents.get(result.docId);
+    const editor = this.elements.editor;
+    if (!doc || !editor) {
+      this.showNotification('That document no longer exists', 'warning');
+      return;
+    }
+    this.switchDocument(doc.id);
 
-      this.elements.typingLockIndicator.textContent = '✅ You are typing';
-      this.elements.typingLockIndicator.style.color = '#10b981';
-      this.elements.typingLockIndicator.style.display = 'block';
-    } else if (!this.state.isMuted) {
-      this.elements.editor.disabled = false;
-      this.elements.editor.placeholder = 'Start typing your notes here... All changes are synchronized in real-time with your team members! 🚀';
-      this.elements.editor.style.backgroundColor = '';
-      this.elements.editor.style.cursor = '';
+    let { start, end } = result;
+    if (doc.sync.revision === result.revision) {
+      ({ start, end } = doc.sync.transformIncomingRange(start, end));
+    }
+    const found = doc.text.slice(start, end).toLowerCase() === query.toLowerCase()
+      ? start
+      : this.nearestMatch(doc.text, query, start);
+    if (found === -1) {
+      this.showNotification('That text has since been edited away', 'warning');
+      return;
+    }
 
-      this.elements.typingLockIndicator.style.display = 'none';
+    editor.focus();
+    editor.setSelectionRange(found, found + query.length);
+    // Bring the selection into view: roughly one line-height per preceding line
+    const lineHeight = parseFloat(window.getComputedStyle(editor).lineHeight) || 20;
+    const line = doc.text.slice(0, found).split('\n').length - 1;
+    editor.scrollTop = Math.max(0, (line - 3) * lineHeight);
+  }
+
+  nearestMatch(text, query, near) {
+    const haystack = text.toLowerCase();
+    const needle = query.toLowerCase();
+    let best = -1;
+    for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + 1)) {
+      if (best === -1 || Math.abs(index - near) < Math.abs(best - near)) best = index;
+      if (index > near) break;
     }
+    return best;
   }
 
-  startTypingLockTimer() {
-    this.clearTimer('typingLock');
-    this.timers.typingLock = setTimeout(() => {
-      this.releaseTypingLock();
-    }, 25000);
+  flashElement(element) {
+    element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    element.classList.add('search-flash');
+    setTimeout(() => element.classList.remove('search-flash'), 1500);
   }
 
-  startTypingActivity() {
-    if (!this.state.hasTypingLock) return;
+  closeSearchResults() {
+    const container = this.elements.roomSearchResults;
+    if (!container) return;
+    container.classList.add('hidden');
+    container.innerHTML = '';
+  }
 
-    this.isCurrentlyTyping = true;
-    this.clearTimer('typingActivity');
+  resetSearch() {
+    clearTimeout(this.timers.search);
+    this.timers.search = null;
+    this.searchRequestId++;
+    this.closeSearchResults();
+    if (this.elements.roomSearchInput) {
+      this.elements.roomSearchInput.value = '';
+      this.elements.roomSearchInput.disabled = !this.state.currentRoom;
+    }
+  }
 
-    this.socket.emit('typing-activity', { isTyping: true });
+  // Export / Import Methods
+  roomRequestHeaders(extra = {}) {
+    const headers = { ...extra };
+    if (this.state.roomPassword) headers['X-Room-Password'] = this.state.roomPassword;
+    if (this.state.lanCode) headers['X-Lan-Code'] = this.state.lanCode;
+    if (this.state.invite && this.state.invite.room === this.state.currentRoom) {
+      headers['X-Room-Invite'] = this.state.invite.token;
+    }
+    const adminToken = this.state.adminTokens[this.state.currentRoom];
+    if (adminToken) headers['X-Admin-Token'] = adminToken;
+    return { ...headers, ...this.socketHeaders() };
+  }
 
-    this.timers.typingActivity = setTimeout(() => {
-      this.stopTypingActivity();
-    }, 2000);
+  // Lets an HTTP request act as this connection (uploads, deleting files, admin imports)
+  socketHeaders() {
+    if (!this.socket || !this.socket.id || !this.state.requestToken) return {};
+    return { 'X-Socket-Id': this.socket.id, 'X-Socket-Token': this.state.requestToken };
   }
 
-  stopTypingActivity() {
-    if (!this.state.hasTypingLock || !this.isCurrentlyTyping) return;
+  // txt/md/html export the active document; json archives the whole room
+  async exportNotes(format) {
+    if (!this.state.currentRoom) return;
 
-    this.isCurrentlyTyping = false;
-    this.socket.emit('typing-activity', { isTyping: false });
+    const params = new URLSearchParams({ format });
+    if (format !== 'json' && this.state.activeDocumentId !== null) {
+      params.set('docId', this.state.activeDocumentId);
+    }
 
-    setTimeout(() => {
-      if (this.state.hasTypingLock && !this.isCurrentlyTyping) {
-        this.releaseTypingLock();
+    try {
+      const response = await fetch(`/rooms/${encodeURIComponent(this.state.currentRoom)}/export?${params}`, {
+        headers: this.roomRequestHeaders(),
+        cache: 'no-store'
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Export failed (${response.status})`);
       }
-    }, 1000);
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = /filename="([^"]+)"/.exec(disposition);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `notes.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Export error:', error);
+      this.showNotification(error.message || 'Export failed', 'error');
+    }
   }
-  // File Upload Methods
+
+  // .json files are room archives; anything else is text for the active document
+  async importNotes(file) {
+    if (!this.state.currentRoom) return;
+    if (!this.can('edit')) {
+      this.showNotification(RoomPermissions.deniedMessage(this.state.currentUserRole, 'edit'), 'error');
+      return;
+    }
+
+    const isArchive = /\.json$/i.test(file.name);
+    const target = this.activeDocument();
+    let mode;
+    if (isArchive) {
+      mode = this.can('deleteDocuments') &&
+        confirm(`Replace all documents with the ones in "${file.name}"? Choose Cancel to add them as new tabs instead.`)
+        ? 'replace' : 'append';
+    } else {
+      if (!target) return;
+      mode = confirm(`Replace the contents of "${target.name}" with "${file.name}"? Choose Cancel to append it instead.`)
+        ? 'replace' : 'append';
+    }
+
+    const params = new URLSearchParams({ mode, format: isArchive ? 'json' : /\.(md|markdown)$/i.test(file.name) ? 'md' : 'txt' });
+    if (!isArchive) params.set('docId', target.id);
+
+    try {
+      const response = await fetch(`/rooms/${encodeURIComponent(this.state.currentRoom)}/import?${params}`, {
+        method: 'POST',
+        headers: this.roomRequestHeaders({ 'Content-Type': isArchive ? 'application/json' : 'text/plain' }),
+        body: await file.text()
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Import failed');
+
+      this.showNotification(`Imported "${file.name}"`, 'success');
+    } catch (error) {
+      console.error('Import error:', error);
+      this.showNotification(error.message || 'Import failed', 'error');
+    }
+  }
+
   async uploadFile(file) {
     if (!this.state.currentRoom) {
       this.showNotification('Please join a room first', 'error');
@@ -954,6 +3333,18 @@ class TeamUpApp {
       return;
     }
 
+    if (!this.can('upload')) {
+      this.showNotification(RoomPermissions.deniedMessage(this.state.currentUserRole, 'upload'), 'error');
+      return;
+    }
+
+    // Catch what the room's settings would refuse before sending the whole file
+    const settings = this.state.roomSettings;
+    if (settings && file.size > settings.maxFileSizeMB * 1024 * 1024) {
+      this.showNotification(`File too large. Maximum size in this room is ${settings.maxFileSizeMB}MB.`, 'error');
+      return;
+    }
+
     const originalText = this.elements.dropArea && this.elements.dropArea.querySelector('p') && this.elements.dropArea.querySelector('p').textContent;
     if (this.elements.dropArea && this.elements.dropArea.querySelector('p')) {
       this.elements.dropArea.querySelector('p').textContent = `Uploading ${file.name}...`;
@@ -969,6 +3360,7 @@ class TeamUpApp {
     try {
       const response = await fetch(`/upload?room=${encodeURIComponent(this.state.currentRoom)}`, {
         method: 'POST',
+        headers: this.socketHeaders(),
         body: formData
       });
 
@@ -985,7 +3377,7 @@ class TeamUpApp {
           this.elements.fileInput.value = '';
         }
       } else {
-        this.showNotification('Upload failed. Please try again.', 'error');
+        this.showNotification(data.error || 'Upload failed. Please try again.', 'error');
       }
     } catch (error) {
       console.error('Upload error:', error);
@@ -1453,6 +3845,7 @@ class TeamUpApp {
     const { link, name, filename } = fileData;
     const fileItem = document.createElement('div');
     fileItem.className = 'file-item';
+    fileItem.dataset.filename = filename;
     fileItem.style.animation = 'slideInUp 0.3s ease';
 
     const getFileIcon = (filename) => {
@@ -1495,7 +3888,7 @@ class TeamUpApp {
 
       try {
         const url = `/upload?room=${encodeURIComponent(this.state.currentRoom)}&filename=${encodeURIComponent(filename)}`;
-        const response = await fetch(url, { method: 'DELETE' });
+        const response = await fetch(url, { method: 'DELETE', headers: this.socketHeaders() });
         const data = await response.json().catch(() => ({ success: false }));
 
         if (!response.ok || !data.success) {
@@ -1512,18 +3905,19 @@ class TeamUpApp {
     if (!this.elements.userList) return;
 
     const currentUsers = users || [];
-    const currentUserIds = currentUsers.map(u => u.id);
-    const previousUserIds = this.previousUserList && this.previousUserList.map(u => u.id) || [];
+    const previousUsers = this.previousUserList || [];
+    // Opening or closing one of several tabs is not joining or leaving
+    const findIn = (list, user) => list.find(other => (user.socketIds || [user.id]).some(id => this.isSameUser(other, id)));
 
     currentUsers.forEach(user => {
-      if (!previousUserIds.includes(user.id)) {
+      if (!findIn(previousUsers, user)) {
         this.addRoomActivity(`${user.name} joined the room`, 'success');
       }
     });
 
     if (this.previousUserList) {
       this.previousUserList.forEach(user => {
-        if (!currentUserIds.includes(user.id)) {
+        if (!findIn(currentUsers, user)) {
           this.addRoomActivity(`${user.name} left the room`, 'warning');
         }
       });
@@ -1549,6 +3943,13 @@ class TeamUpApp {
       userRole.className = 'user-role';
       if (user.role === 'admin') {
         userRole.innerHTML = '<i class="fas fa-crown"></i> Admin';
+      } else if (user.role === 'moderator') {
+        userRole.innerHTML = '<i class="fas fa-shield-alt"></i> Moderator';
+      } else if (user.role === 'viewer') {
+        userRole.innerHTML = '<i class="fas fa-eye"></i> Viewer';
+      }
+      if (this.isSameUser(user, this.state.successorId)) {
+        userRole.insertAdjacentHTML('beforeend', ' <i class="fas fa-level-up-alt" title="Takes over if the admin leaves"></i>');
       }
 
       userInfo.appendChild(userName);
@@ -1575,9 +3976,21 @@ class TeamUpApp {
 
       userItem.appendChild(userInfo);
 
-      if (this.state.currentUserRole === 'admin' && user.role !== 'admin' && user.id !== this.state.currentUserId) {
+      // Moderation reaches lower roles only; admins can change anyone's role but their own
+      const isSelf = this.isSameUser(user, this.state.currentUserId);
+      const canModerate = !isSelf && RoomPermissions.canModerate(this.state.currentUserRole, user.role, 'kick');
+      const canAssignRole = !isSelf && this.can('manageRoles');
+      if (canModerate || canAssignRole) {
         const controls = document.createElement('div');
         controls.className = 'user-controls';
+        if (canAssignRole) {
+          controls.appendChild(this.createRoleSelect(user));
+          controls.appendChild(this.createSuccessorButton(user));
+        }
+        // Only the owner holds the admin token for the room
+        if (this.state.adminTokens[this.state.currentRoom] && this.state.currentUserRole === 'admin') {
+          controls.appendChild(this.createTransferButton(user));
+        }
 
         const muteBtn = document.createElement('button');
         muteBtn.className = 'control-btn';
@@ -1679,10 +4092,19 @@ class TeamUpApp {
           }
         });
 
-        controls.appendChild(muteBtn);
-        controls.appendChild(videoBtn);
-        controls.appendChild(screenShareBtn);
-        controls.appendChild(kickBtn);
+        if (canModerate) {
+          const banBtn = document.createElement('button');
+          banBtn.className = 'control-btn';
+          banBtn.innerHTML = '<i class="fas fa-ban"></i>';
+          banBtn.title = 'Ban user';
+          banBtn.addEventListener('click', () => this.banUser(user));
+
+          controls.appendChild(muteBtn);
+          controls.appendChild(videoBtn);
+          controls.appendChild(screenShareBtn);
+          controls.appendChild(kickBtn);
+          controls.appendChild(banBtn);
+        }
         userItem.appendChild(controls);
       }
 
@@ -1692,6 +4114,87 @@ class TeamUpApp {
     this.previousUserList = [...currentUsers];
   }
 
+  // Admin control for another user's role; the server refuses to demote the room owner
+  createRoleSelect(user) {
+    const select = document.createElement('select');
+    select.className = 'user-role-select';
+    select.title = `Role for ${user.name}`;
+    RoomPermissions.ROLES.forEach(role => {
+      const option = document.createElement('option');
+      option.value = role;
+      option.textContent = RoomPermissions.roleLabel(role);
+      select.appendChild(option);
+    });
+    select.value = user.role;
+
+    select.addEventListener('change', () => {
+      this.socket.emit('set-role', { targetId: user.id, role: select.value }, (response) => {
+        if (!response || !response.ok) {
+          select.value = user.role;
+          this.showNotification((response && response.error) || 'Failed to change role', 'error');
+        }
+      });
+    });
+    return select;
+  }
+
+  // Admin succession: the owner left (their seat is held for graceMs), came back, or was replaced
+  handleAdminChanged({ adminId, name, reason, graceMs }) {
+    if (reason === 'disconnected') {
+      this.addRoomActivity(`The admin left. Someone else takes over in ${this.formatDuration(graceMs)} unless they return`, 'warning');
+    } else if (adminId === this.state.currentUserId) {
+      if (reason === 'succession') this.showNotification('The admin left, so you are now the room admin', 'success');
+      if (reason === 'transfer') this.showNotification('You were handed the room and are now its admin', 'success');
+    } else if (reason === 'returned') {
+      this.addRoomActivity(`${name} is back as admin`, 'info');
+    } else {
+      this.addRoomActivity(`${name} is now the room admin`, 'info');
+    }
+  }
+
+  // Admin control for who takes over the room if the owner leaves
+  createSuccessorButton(user) {
+    const isSuccessor = this.isSameUser(user, this.state.successorId);
+    const button = document.createElement('button');
+    button.className = `control-btn successor-btn ${isSuccessor ? 'active' : ''}`;
+    button.innerHTML = '<i class="fas fa-level-up-alt"></i>';
+    button.title = isSuccessor ? 'Clear successor' : 'Make successor (takes over if the admin leaves)';
+    button.addEventListener('click', () => {
+      this.socket.emit('set-successor', { targetId: isSuccessor ? null : user.id }, (response) => {
+        if (!response || !response.ok) {
+          this.showNotification((response && response.error) || 'Failed to set successor', 'error');
+        }
+      });
+    });
+    return button;
+  }
+
+  createTransferButton(user) {
+    const button = document.createElement('button');
+    button.className = 'control-btn transfer-admin-btn';
+    button.innerHTML = '<i class="fas fa-crown"></i>';
+    button.title = `Hand the room over to ${user.name}`;
+    button.addEventListener('click', () => {
+      if (!confirm(`Hand the room over to ${user.name}? You will become a member.`)) return;
+      this.socket.emit('transfer-admin', { targetId: user.id }, (response) => {
+        if (!response || !response.ok) {
+          this.showNotification((response && response.error) || 'Failed to hand over the room', 'error');
+        }
+      });
+    });
+    return button;
+  }
+
+  handleRoleChanged({ userId, name, role, byName }) {
+    const label = RoomPermissions.roleLabel(role).toLowerCase();
+    const article = /^[aeiou]/.test(label) ? 'an' : 'a';
+    if (userId === this.state.currentUserId) {
+      this.showNotification(`${byName} made you ${article} ${label}`, 'info');
+    } else {
+      this.addRoomActivity(`${byName} made ${name} ${article} ${label}`, 'info');
+    }
+  }
+
   // Utility Methods
   clearTimer(timerName) {
     if (this.timers[timerName]) {
@@ -2473,7 +4976,7 @@ class TeamUpApp {
    * Requirements: 10.1, 10.2, 10.3
    */
   updateAdminVideoControls(userId) {
-    if (!this.elements.userList || this.state.currentUserRole !== 'admin') return;
+    if (!this.elements.userList || !this.can('moderateMedia')) return;
 
     const userItem = this.elements.userList.querySelector(`[data-user-id="${userId}"]`);
     if (!userItem) return;
@@ -2722,6 +5225,11 @@ class TeamUpApp {
     // Cleanup video components
     this.cleanupVideoComponents();
 
+    if (this.remoteCursors) {
+      this.remoteCursors.destroy();
+      this.remoteCursors = null;
+    }
+
     // Destroy video components
     if (this.videoControls) {
       this.videoControls.destroy();
@@ -0,0 +1,298 @@
+/**
+ * MarkdownRenderer - Renders document text for the preview pane
+ * Supports headings, emphasis, links, images, lists with task checkboxes, blockquotes,
+ * rules and fenced code blocks (highlighted by SyntaxHighlighter).
+ *
+ * Sanitized by construction: raw HTML in the source is always escaped, only the tags
+ * generated here are emitted, and link/image URLs are limited to http(s), mailto and
+ * relative paths.
+ */
+
+const Highlighter = (typeof module !== 'undefined' && module.exports)
+  ? require('./syntax-highlighter')
+  : window.SyntaxHighlighter;
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_PATTERN = /^\[([ xX])\]\s+(.*)$/;
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?/;
+// Marker of the task on a source line, optionally inside blockquotes
+const TASK_LINE_PATTERN = /^(\s*(?:>\s?)*\s*(?:[-*+]|\d{1,9}[.)])\s+\[)([ xX])(\])/;
+
+const escapeMarkdownHtml = Highlighter.escapeHtml;
+
+/**
+ * Allow http(s), mailto and relative URLs only
+ * @param {string} url - Already HTML-escaped URL
+ * @returns {string|null}
+ */
+function safeUrl(url) {
+  const trimmed = url.trim();
+  if (/^(https?:|mailto:)/i.test(trimmed)) return trimmed;
+
+  // Relative URL: no scheme before the first path, query or fragment character
+  const colon = trimmed.indexOf(':');
+  const pathStart = trimmed.search(/[/?#]/);
+  if (colon === -1 || (pathStart !== -1 && pathStart < colon)) return trimmed;
+  return null;
+}
+
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?![\w_])/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Render inline markup in a single block of text
+ * Code spans, links and images are swapped for placeholders so emphasis
+ * patterns never run inside them.
+ * @param {string} text - Raw source text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  const stash = [];
+  const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let source = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+    hold(`<code>${escapeMarkdownHtml(code.trim())}</code>`));
+
+  let html = escapeMarkdownHtml(source);
+
+  html = html.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => {
+    const href = safeUrl(url);
+    return href ? hold(`<img src="${href}" alt="${alt}" loading="lazy">`) : match;
+  });
+
+  html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+    const href = safeUrl(url);
+    if (!href) return label;
+    return hold(`<a href="${href}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`);
+  });
+
+  html = html.replace(/&lt;((?:https?:\/\/|mailto:)[^\s]+?)&gt;/g, (match, url) =>
+    hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+
+  html = renderEmphasis(html).replace(/\n/g, '<br>');
+
+  // Placeholders can nest (a link label holding a code span)
+  while (/\u0000\d+\u0000/.test(html)) {
+    html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+  }
+  return html;
+}
+
+function renderCodeBlock(code, language) {
+  const id = Highlighter.resolveLanguage(language);
+  const className = id ? ` class="language-${id}"` : '';
+  return `<pre class="md-code"><code${className}>${Highlighter.highlight(code, language)}</code></pre>`;
+}
+
+function isBlockStart(line) {
+  return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+}
+
+function renderListItem(text, line) {
+  const task = TASK_PATTERN.exec(text);
+  if (!task) return `<li>${renderInline(text)}`;
+
+  const checked = task[1] !== ' ' ? ' checked' : '';
+  return `<li class="task-list-item"><input type="checkbox" class="task-checkbox" data-line="${line}"${checked}> ` +
+    renderInline(task[2]);
+}
+
+/**
+ * Render a list starting at `start`; nested lists are indented further
+ * @returns {{html: string, next: number}}
+ */
+function renderList(lines, start, offset) {
+  const first = LIST_ITEM_PATTERN.exec(lines[start]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = LIST_ITEM_PATTERN.exec(line);
+
+    if (!line.trim()) {
+      // A blank line only continues the list if another item follows
+      const following = LIST_ITEM_PATTERN.exec(lines[i + 1] || '');
+      if (following && following[1].length >= indent) {
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    if (match && match[1].length === indent) {
+      if (/\d/.test(match[2]) !== ordered) break;
+      items.push({ text: match[3], line: offset + i, nested: '' });
+      i++;
+      continue;
+    }
+
+    if (match && match[1].length > indent && items.length > 0) {
+      const nested = renderList(lines, i, offset);
+      items[items.length - 1].nested += nested.html;
+      i = nested.next;
+      continue;
+    }
+
+    // Indented continuation of the previous item
+    if (!match && items.length > 0 && line.search(/\S/) > indent) {
+      items[items.length - 1].text += `\n${line.trim()}`;
+      i++;
+      continue;
+    }
+
+    break;
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  const hasTasks = items.some(item => TASK_PATTERN.test(item.text));
+  const classAttr = hasTasks ? ' class="task-list"' : '';
+  const body = items.map(item => `${renderListItem(item.text, item.line)}${item.nested}</li>`).join('');
+
+  return { html: `<${tag}${startAttr}${classAttr}>${body}</${tag}>`, next: i };
+}
+
+/**
+ * Render block structure
+ * @param {string[]} lines
+ * @param {number} offset - Line number of lines[0] in the full document (for task checkboxes)
+ * @returns {string} HTML
+ */
+function renderBlocks(lines, offset) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE_PATTERN.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence
+      out.push(renderCodeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      out.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const start = i;
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+        i++;
+      }
+      out.push(`<blockquote>${renderBlocks(quoted, offset + start)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const list = renderList(lines, i, offset);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    out.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+  }
+
+  return out.join('\n');
+}
+
+function splitLines(text) {
+  return String(text || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n');
+}
+
+/**
+ * Render Markdown to HTML
+ * @param {string} markdown
+ * @returns {string}
+ */
+function renderMarkdown(markdown) {
+  return renderBlocks(splitLines(markdown), 0);
+}
+
+/**
+ * Render a whole document as one highlighted code block
+ * @param {string} code
+ * @param {string} language
+ * @returns {string}
+ */
+function renderCode(code, language) {
+  return renderCodeBlock(String(code || ''), language);
+}
+
+/**
+ * Flip the task checkbox on a source line
+ * @param {string} text - Document text
+ * @param {number} line - Zero-based line number from the checkbox's data-line
+ * @returns {string|null} New text, or null if that line holds no task
+ */
+function toggleTask(text, line) {
+  const lines = String(text).split('\n');
+  if (!Number.isInteger(line) || line < 0 || line >= lines.length) return null;
+
+  const match = TASK_LINE_PATTERN.exec(lines[line]);
+  if (!match) return null;
+
+  const mark = match[2] === ' ' ? 'x' : ' ';
+  lines[line] = lines[line].replace(TASK_LINE_PATTERN, `$1${mark}$3`);
+  return lines.join('\n');
+}
+
+const MarkdownRenderer = {
+  render: renderMarkdown,
+  renderCode,
+  renderInline,
+  toggleTask
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownRenderer;
+} else if (typeof window !== 'undefined') {
+  window.MarkdownRenderer = MarkdownRenderer;
+}
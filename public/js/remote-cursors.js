@@ -0,0 +1,313 @@
+/**
+ * RemoteCursorsUI - Shows other members' carets and selections over the editor textarea
+ * Renders a transparent mirror of the text on top of the textarea with colored
+ * selection highlights and a name flag at each caret. The same mirror underlines
+ * commented text and reports where each comment anchor sits on screen.
+ */
+
+const CURSOR_COLORS = [
+  '#ef4444', '#f97316', '#eab308', '#22c55e',
+  '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899'
+];
+
+// Textarea styles the overlay has to copy so text wraps at the same spots
+const MIRRORED_STYLES = [
+  'boxSizing', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+  'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight', 'letterSpacing',
+  'wordSpacing', 'textIndent', 'textTransform', 'tabSize'
+];
+
+class RemoteCursorsUI {
+  /**
+   * @param {HTMLTextAreaElement} editor - The shared editor textarea
+   * @param {Object} options
+   * @param {Function} options.onLayout - Called after each render or scroll, e.g. to align comment cards
+   */
+  constructor(editor, { onLayout } = {}) {
+    if (!editor) {
+      throw new Error('Editor element is required for RemoteCursorsUI');
+    }
+
+    this.editor = editor;
+    this.cursors = new Map(); // userId -> { name, start, end, color }
+    this.highlights = []; // [{ id, start, end, active }] comment anchors
+    this.highlightElements = new Map(); // id -> first rendered element of the anchor
+    this.onLayout = onLayout || null;
+    this.layer = null;
+    this.renderScheduled = false;
+
+    this.handleScroll = () => this.syncScroll();
+    this.handleResize = () => this.scheduleRender();
+
+    this.createLayer();
+  }
+
+  /**
+   * Pick a stable color for a user
+   * @param {string} userId
+   * @returns {string}
+   */
+  static colorFor(userId) {
+    let hash = 0;
+    for (let i = 0; i < userId.length; i++) {
+      hash = (hash * 31 + userId.charCodeAt(i)) >>> 0;
+    }
+    return CURSOR_COLORS[hash % CURSOR_COLORS.length];
+  }
+
+  createLayer() {
+    const container = this.editor.parentNode;
+    if (!container) return;
+
+    container.classList.add('remote-cursor-host');
+
+    this.layer = document.createElement('div');
+    this.layer.className = 'remote-cursor-layer';
+    this.layer.setAttribute('aria-hidden', 'true');
+    container.appendChild(this.layer);
+
+    this.editor.addEventListener('scroll', this.handleScroll);
+    window.addEventListener('resize', this.handleResize);
+  }
+
+  /**
+   * Add or move a remote cursor
+   * @param {string} userId
+   * @param {Object} cursor - { name, start, end }
+   */
+  updateCursor(userId, { name, start, end }) {
+    const existing = this.cursors.get(userId);
+    this.cursors.set(userId, {
+      name: name || (existing && existing.name) || 'Guest',
+      start,
+      end,
+      color: (existing && existing.color) || RemoteCursorsUI.colorFor(userId)
+    });
+    this.scheduleRender();
+  }
+
+  removeCursor(userId) {
+    if (this.cursors.delete(userId)) {
+      this.scheduleRender();
+    }
+  }
+
+  /**
+   * Drop cursors of users who left and refresh display names
+   * @param {Array} users - Current user list from the server
+   */
+  syncUsers(users) {
+    const byId = new Map(users.map(u => [u.id, u]));
+    for (const [userId, cursor] of this.cursors.entries()) {
+      const user = byId.get(userId);
+      if (!user) {
+        this.cursors.delete(userId);
+      } else {
+        cursor.name = user.name;
+      }
+    }
+    this.scheduleRender();
+  }
+
+  /**
+   * Shift every cursor through an edit applied to the editor
+   * @param {Array} ops - Text operations
+   */
+  transform(ops) {
+    if (!ops || ops.length === 0 || this.cursors.size === 0) return;
+
+    for (const cursor of this.cursors.values()) {
+      cursor.start = TextOperations.transformIndex(cursor.start, ops);
+      cursor.end = TextOperations.transformIndex(cursor.end, ops);
+    }
+    this.scheduleRender();
+  }
+
+  clear() {
+    this.cursors.clear();
+    this.scheduleRender();
+  }
+
+  /**
+   * Replace the comment anchors drawn under the text
+   * @param {Array} highlights - [{ id, start, end, active }]
+   */
+  setHighlights(highlights) {
+    this.highlights = highlights || [];
+    this.scheduleRender();
+  }
+
+  /**
+   * Vertical position of each comment anchor relative to the top of the editor
+   * @returns {Map<*, number>} highlight id -> pixels
+   */
+  getHighlightTops() {
+    const tops = new Map();
+    if (!this.layer) return tops;
+
+    for (const [id, element] of this.highlightElements.entries()) {
+      tops.set(id, element.offsetTop - this.layer.scrollTop);
+    }
+    return tops;
+  }
+
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+
+    const run = () => {
+      this.renderScheduled = false;
+      this.render();
+    };
+
+    if (typeof requestAnimationFrame === 'function') {
+      requestAnimationFrame(run);
+    } else {
+      setTimeout(run, 0);
+    }
+  }
+
+  syncScroll() {
+    if (!this.layer) return;
+    this.layer.scrollTop = this.editor.scrollTop;
+    this.layer.scrollLeft = this.editor.scrollLeft;
+    if (this.onLayout) this.onLayout();
+  }
+
+  syncLayerStyles() {
+    const computed = window.getComputedStyle(this.editor);
+    MIRRORED_STYLES.forEach(prop => {
+      this.layer.style[prop] = computed[prop];
+    });
+    this.layer.style.top = `${this.editor.offsetTop}px`;
+    this.layer.style.left = `${this.editor.offsetLeft}px`;
+    this.layer.style.width = `${this.editor.offsetWidth}px`;
+    this.layer.style.height = `${this.editor.offsetHeight}px`;
+  }
+
+  render() {
+    if (!this.layer) return;
+
+    this.layer.innerHTML = '';
+    this.highlightElements.clear();
+    if (this.cursors.size === 0 && this.highlights.length === 0) {
+      if (this.onLayout) this.onLayout();
+      return;
+    }
+
+    this.syncLayerStyles();
+
+    const text = this.editor.value;
+    const cursors = Array.from(this.cursors.values()).map(cursor => {
+      const start = Math.max(0, Math.min(cursor.start, cursor.end, text.length));
+      const end = Math.min(Math.max(cursor.start, cursor.end), text.length);
+      return { ...cursor, start, caret: Math.min(cursor.end, text.length), end };
+    });
+    const highlights = this.highlights.map(h => ({
+      ...h,
+      start: Math.max(0, Math.min(h.start, text.length)),
+      end: Math.max(0, Math.min(h.end, text.length))
+    }));
+
+    // Split the text at every selection boundary, caret and comment anchor
+    const boundaries = new Set([0, text.length]);
+    cursors.forEach(c => {
+      boundaries.add(c.start);
+      boundaries.add(c.end);
+      boundaries.add(c.caret);
+    });
+    highlights.forEach(h => {
+      boundaries.add(h.start);
+      boundaries.add(h.end);
+    });
+    const points = Array.from(boundaries).sort((a, b) => a - b);
+
+    const fragment = document.createDocumentFragment();
+    points.forEach((point, index) => {
+      cursors
+        .filter(c => c.caret === point)
+        .forEach(c => fragment.appendChild(this.createCaret(c)));
+
+      // Anchors whose text was deleted still get a marker to line their card up with
+      highlights
+        .filter(h => h.start === point && h.end === point)
+        .forEach(h => fragment.appendChild(this.trackHighlight(h, document.createElement('span'), 'collapsed')));
+
+      const next = points[index + 1];
+      if (next === undefined || next === point) return;
+
+      const segment = text.slice(point, next);
+      const owner = cursors.find(c => c.start <= point && c.end >= next && c.start !== c.end);
+      let node;
+      if (owner) {
+        node = document.createElement('span');
+        node.className = 'remote-selection';
+        node.style.backgroundColor = `${owner.color}40`;
+        node.textContent = segment;
+      } else {
+        node = document.createTextNode(segment);
+      }
+
+      const covering = highlights.filter(h => h.start <= point && h.end >= next);
+      if (covering.length > 0) {
+        const anchor = document.createElement('span');
+        anchor.appendChild(node);
+        covering.forEach(h => this.trackHighlight(h, anchor));
+        node = anchor;
+      }
+      fragment.appendChild(node);
+    });
+
+    // Trailing newline needs a character after it to take up a line
+    fragment.appendChild(document.createTextNode('\u200b'));
+
+    this.layer.appendChild(fragment);
+    this.syncScroll();
+  }
+
+  // Mark an element as (part of) a comment anchor and remember where the anchor starts
+  trackHighlight(highlight, element, modifier) {
+    element.classList.add('comment-anchor');
+    if (modifier) element.classList.add(modifier);
+    if (highlight.active) element.classList.add('active');
+    if (!this.highlightElements.has(highlight.id)) {
+      this.highlightElements.set(highlight.id, element);
+    }
+    return element;
+  }
+
+  createCaret(cursor) {
+    const caret = document.createElement('span');
+    caret.className = 'remote-caret';
+    caret.style.borderColor = cursor.color;
+
+    const flag = document.createElement('span');
+    flag.className = 'remote-caret-flag';
+    flag.style.backgroundColor = cursor.color;
+    flag.textContent = cursor.name;
+
+    caret.appendChild(flag);
+    return caret;
+  }
+
+  destroy() {
+    this.editor.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleResize);
+
+    if (this.layer) {
+      this.layer.remove();
+      this.layer = null;
+    }
+    this.cursors.clear();
+    this.highlights = [];
+    this.highlightElements.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RemoteCursorsUI;
+} else if (typeof window !== 'undefined') {
+  window.RemoteCursorsUI = RemoteCursorsUI;
+}
@@ -0,0 +1,95 @@
+/**
+ * RoomPermissions - Who may do what in a room
+ * Shared by the browser (app.js) and the server (server.js)
+ *
+ * Roles, from most to least trusted:
+ *   admin     - everything, including room settings, invites and other users' roles
+ *   moderator - mute, remove, ban and stop the media of members and viewers
+ *   member    - edit documents, comment, chat and share files
+ *   viewer    - read only; can follow along and chat
+ */
+
+const ROLES = ['admin', 'moderator', 'member', 'viewer'];
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  moderator: 'Moderator',
+  member: 'Member',
+  viewer: 'Viewer'
+};
+
+// permission -> roles allowed, and what it lets them do (for error messages)
+const PERMISSIONS = {
+  edit: { roles: ['admin', 'moderator', 'member'], action: 'edit documents' },
+  comment: { roles: ['admin', 'moderator', 'member'], action: 'comment' },
+  upload: { roles: ['admin', 'moderator', 'member'], action: 'share files' },
+  chat: { roles: ['admin', 'moderator', 'member', 'viewer'], action: 'chat' },
+  mute: { roles: ['admin', 'moderator'], action: 'mute users' },
+  kick: { roles: ['admin', 'moderator'], action: 'remove users' },
+  ban: { roles: ['admin', 'moderator'], action: 'ban users' },
+  moderateMedia: { roles: ['admin', 'moderator'], action: 'control other users\' cameras and screen shares' },
+  moderateComments: { roles: ['admin', 'moderator'], action: 'delete other users\' comments' },
+  overrideLock: { roles: ['admin'], action: 'edit while someone else holds the typing lock' },
+  deleteDocuments: { roles: ['admin'], action: 'delete documents' },
+  manageSettings: { roles: ['admin'], action: 'change room settings' },
+  admitUsers: { roles: ['admin'], action: 'let people in from the lobby' },
+  manageInvites: { roles: ['admin'], action: 'manage invites' },
+  manageRoles: { roles: ['admin'], action: 'change roles' }
+};
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+function roleLabel(role) {
+  return ROLE_LABELS[role] || 'Guest';
+}
+
+/**
+ * @param {string} role
+ * @param {string} permission - A key of PERMISSIONS
+ * @returns {boolean}
+ */
+function can(role, permission) {
+  const entry = PERMISSIONS[permission];
+  return Boolean(entry) && entry.roles.includes(role);
+}
+
+/**
+ * Moderation only reaches down: a moderator can act on members and viewers,
+ * an admin on everyone but other admins
+ * @param {string} actorRole
+ * @param {string} targetRole
+ * @param {string} permission - mute, kick, moderateMedia...
+ * @returns {boolean}
+ */
+function canModerate(actorRole, targetRole, permission) {
+  if (!can(actorRole, permission) || !isRole(targetRole)) return false;
+  return ROLES.indexOf(actorRole) < ROLES.indexOf(targetRole);
+}
+
+/**
+ * @param {string} role
+ * @param {string} permission
+ * @returns {string} e.g. "Viewers cannot edit documents"
+ */
+function deniedMessage(role, permission) {
+  const action = PERMISSIONS[permission] ? PERMISSIONS[permission].action : 'do that';
+  return isRole(role) ? `${roleLabel(role)}s cannot ${action}` : `You cannot ${action}`;
+}
+
+const RoomPermissions = {
+  ROLES,
+  PERMISSIONS,
+  isRole,
+  roleLabel,
+  can,
+  canModerate,
+  deniedMessage
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoomPermissions;
+} else if (typeof window !== 'undefined') {
+  window.RoomPermissions = RoomPermissions;
+}
@@ -0,0 +1,339 @@
+/**
+ * SyntaxHighlighter - Lightweight code highlighting for the document preview
+ * Tokenizes comments, strings, numbers and keywords; everything else is escaped text.
+ * Output is HTML made only of escaped text and <span class="hl-*"> wrappers.
+ */
+
+const C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if ' +
+  'inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while';
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export ' +
+  'extends false finally for from function if import in instanceof let new null of return static super switch ' +
+  'this throw true try typeof undefined var void while with yield';
+
+const HIGHLIGHT_LANGUAGES = {
+  javascript: {
+    label: 'JavaScript',
+    keywords: JS_KEYWORDS,
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'", '`']
+  },
+  typescript: {
+    label: 'TypeScript',
+    keywords: `${JS_KEYWORDS} abstract any as boolean declare enum implements interface keyof namespace never ` +
+      'number private protected public readonly string type unknown',
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'", '`']
+  },
+  python: {
+    label: 'Python',
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from ' +
+      'global if import in is lambda None nonlocal not or pass raise return self True try while with yield',
+    lineComment: '#',
+    strings: ['"""', "'''", '"', "'"]
+  },
+  json: {
+    label: 'JSON',
+    keywords: 'false null true',
+    strings: ['"']
+  },
+  bash: {
+    label: 'Shell',
+    keywords: 'case do done echo elif else esac exit export fi for function if in local return then until while',
+    lineComment: '#',
+    strings: ['"', "'"]
+  },
+  css: {
+    label: 'CSS',
+    keywords: 'important inherit initial none unset',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"]
+  },
+  sql: {
+    label: 'SQL',
+    keywords: 'add all alter and as asc by case create default delete desc distinct drop else end exists foreign ' +
+      'from full group having in index inner insert into is join key left limit not null offset on or order ' +
+      'outer primary references right select set table then union update values view when where',
+    lineComment: '--',
+    blockComment: ['/*', '*/'],
+    strings: ["'", '"'],
+    caseInsensitive: true
+  },
+  html: {
+    label: 'HTML / XML',
+    markup: true
+  },
+  java: {
+    label: 'Java',
+    keywords: 'abstract boolean break byte case catch char class continue default do double else enum extends ' +
+      'false final finally float for if implements import instanceof int interface long new null package private ' +
+      'protected public record return short static super switch synchronized this throw throws true try var void while',
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"]
+  },
+  c: {
+    label: 'C',
+    keywords: `${C_KEYWORDS} NULL`,
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"]
+  },
+  cpp: {
+    label: 'C++',
+    keywords: `${C_KEYWORDS} bool catch class delete false friend namespace new nullptr operator override private ` +
+      'protected public template this throw true try typename using virtual',
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"]
+  },
+  go: {
+    label: 'Go',
+    keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import ' +
+      'interface map nil package range return select struct switch true type var',
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'", '`']
+  },
+  rust: {
+    label: 'Rust',
+    keywords: 'as async await break const continue crate dyn else enum extern false fn for if impl in let loop ' +
+      'match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"']
+  }
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', node: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python', python3: 'python',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  xml: 'html', svg: 'html', htm: 'html',
+  'c++': 'cpp', cc: 'cpp', hpp: 'cpp', h: 'c',
+  golang: 'go', rs: 'rust', postgres: 'sql', mysql: 'sql'
+};
+
+// Keyword lookups are built once per language
+const keywordSets = new Map();
+
+const NUMBER_PATTERN = /0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/y;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Map a fence info string or alias to a supported language name
+ * @param {string} name
+ * @returns {string|null}
+ */
+function resolveLanguage(name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (HIGHLIGHT_LANGUAGES[key]) return key;
+  return LANGUAGE_ALIASES[key] || null;
+}
+
+/**
+ * Supported languages for pickers
+ * @returns {Array<{id: string, label: string}>}
+ */
+function listLanguages() {
+  return Object.keys(HIGHLIGHT_LANGUAGES).map(id => ({ id, label: HIGHLIGHT_LANGUAGES[id].label }));
+}
+
+function getKeywords(id) {
+  if (!keywordSets.has(id)) {
+    const lang = HIGHLIGHT_LANGUAGES[id];
+    const words = (lang.keywords || '').split(' ').filter(Boolean);
+    keywordSets.set(id, new Set(lang.caseInsensitive ? words.map(w => w.toLowerCase()) : words));
+  }
+  return keywordSets.get(id);
+}
+
+function tokenSpan(type, text) {
+  return `<span class="hl-${type}">${escapeHtml(text)}</span>`;
+}
+
+function matchAt(pattern, text, index) {
+  pattern.lastIndex = index;
+  const match = pattern.exec(text);
+  return match ? match[0] : null;
+}
+
+// Index just past the closing quote (or end of line/text if unterminated)
+function scanString(code, start, quote) {
+  const multiline = quote.length === 3 || quote === '`';
+  let j = start + quote.length;
+  while (j < code.length) {
+    if (code[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (code.startsWith(quote, j)) return j + quote.length;
+    if (code[j] === '\n' && !multiline) return j;
+    j++;
+  }
+  return code.length;
+}
+
+function highlightGeneric(code, id) {
+  const lang = HIGHLIGHT_LANGUAGES[id];
+  const keywords = getKeywords(id);
+  const strings = lang.strings || [];
+  let html = '';
+  let plain = '';
+  let i = 0;
+
+  const emit = (type, text) => {
+    html += escapeHtml(plain) + tokenSpan(type, text);
+    plain = '';
+  };
+
+  while (i < code.length) {
+    if (lang.blockComment && code.startsWith(lang.blockComment[0], i)) {
+      const close = code.indexOf(lang.blockComment[1], i + lang.blockComment[0].length);
+      const end = close === -1 ? code.length : close + lang.blockComment[1].length;
+      emit('comment', code.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    if (lang.lineComment && code.startsWith(lang.lineComment, i)) {
+      const newline = code.indexOf('\n', i);
+      const end = newline === -1 ? code.length : newline;
+      emit('comment', code.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    const quote = strings.find(q => code.startsWith(q, i));
+    if (quote) {
+      const end = scanString(code, i, quote);
+      emit('string', code.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    const previous = code[i - 1] || '';
+    if (/\d/.test(code[i]) && !/[\w$]/.test(previous)) {
+      const number = matchAt(NUMBER_PATTERN, code, i);
+      emit('number', number);
+      i += number.length;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(code[i]) && !/[\w$]/.test(previous)) {
+      const word = matchAt(IDENTIFIER_PATTERN, code, i);
+      const key = lang.caseInsensitive ? word.toLowerCase() : word;
+      if (keywords.has(key)) {
+        emit('keyword', word);
+      } else {
+        plain += word;
+      }
+      i += word.length;
+      continue;
+    }
+
+    plain += code[i];
+    i++;
+  }
+
+  return html + escapeHtml(plain);
+}
+
+function highlightMarkup(code) {
+  let html = '';
+  let i = 0;
+
+  while (i < code.length) {
+    const open = code.indexOf('<', i);
+    if (open === -1) {
+      html += escapeHtml(code.slice(i));
+      break;
+    }
+    html += escapeHtml(code.slice(i, open));
+
+    if (code.startsWith('<!--', open)) {
+      const close = code.indexOf('-->', open + 4);
+      const end = close === -1 ? code.length : close + 3;
+      html += tokenSpan('comment', code.slice(open, end));
+      i = end;
+      continue;
+    }
+
+    const tagName = /^<\/?[A-Za-z!?][\w:.-]*/.exec(code.slice(open));
+    if (!tagName) {
+      html += escapeHtml('<');
+      i = open + 1;
+      continue;
+    }
+
+    html += tokenSpan('tag', tagName[0]);
+    i = open + tagName[0].length;
+
+    // Attributes up to the end of the tag
+    while (i < code.length && code[i] !== '>') {
+      if (code.startsWith('/>', i)) break;
+      if (code[i] === '"' || code[i] === "'") {
+        const close = code.indexOf(code[i], i + 1);
+        const end = close === -1 ? code.length : close + 1;
+        html += tokenSpan('string', code.slice(i, end));
+        i = end;
+        continue;
+      }
+      const attribute = /^[^\s=>"'/]+/.exec(code.slice(i));
+      if (attribute) {
+        html += tokenSpan('attr', attribute[0]);
+        i += attribute[0].length;
+        continue;
+      }
+      html += escapeHtml(code[i]);
+      i++;
+    }
+
+    const closing = code.startsWith('/>', i) ? '/>' : code[i] === '>' ? '>' : '';
+    if (closing) {
+      html += tokenSpan('tag', closing);
+      i += closing.length;
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Highlight source code
+ * @param {string} code
+ * @param {string} language - Language name or alias; unknown languages are only escaped
+ * @returns {string} HTML
+ */
+function highlightCode(code, language) {
+  const id = resolveLanguage(language);
+  const source = String(code || '');
+  if (!id) return escapeHtml(source);
+  return HIGHLIGHT_LANGUAGES[id].markup ? highlightMarkup(source) : highlightGeneric(source, id);
+}
+
+const SyntaxHighlighter = {
+  highlight: highlightCode,
+  resolveLanguage,
+  listLanguages,
+  escapeHtml
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyntaxHighlighter;
+} else if (typeof window !== 'undefined') {
+  window.SyntaxHighlighter = SyntaxHighlighter;
+}
@@ -0,0 +1,223 @@
+/**
+ * TextOperations - Operational transformation primitives for the shared notepad
+ * Shared by the browser (TextSyncClient) and the server (server.js)
+ *
+ * An operation is an array of primitive ops applied left to right:
+ *   { type: 'insert', pos, text }
+ *   { type: 'delete', pos, length }
+ */
+
+/**
+ * Normalize a client supplied op list, dropping anything malformed
+ * @param {Array} ops
+ * @returns {Array|null} Clean op list, or null if the payload is not usable
+ */
+function normalizeOps(ops) {
+  if (!Array.isArray(ops)) return null;
+
+  const clean = [];
+  for (const op of ops) {
+    if (!op || !Number.isInteger(op.pos) || op.pos < 0) return null;
+
+    if (op.type === 'insert') {
+      if (typeof op.text !== 'string') return null;
+      if (op.text.length > 0) clean.push({ type: 'insert', pos: op.pos, text: op.text });
+    } else if (op.type === 'delete') {
+      if (!Number.isInteger(op.length) || op.length < 0) return null;
+      if (op.length > 0) clean.push({ type: 'delete', pos: op.pos, length: op.length });
+    } else {
+      return null;
+    }
+  }
+  return clean;
+}
+
+/**
+ * Apply an op list to a string
+ * @param {string} text
+ * @param {Array} ops
+ * @returns {string}
+ */
+function applyOps(text, ops) {
+  let result = text;
+  for (const op of ops) {
+    if (op.pos > result.length) {
+      throw new Error(`Operation position ${op.pos} is out of range (length ${result.length})`);
+    }
+    if (op.type === 'insert') {
+      result = result.slice(0, op.pos) + op.text + result.slice(op.pos);
+    } else if (op.type === 'delete') {
+      if (op.pos + op.length > result.length) {
+        throw new Error(`Delete range ${op.pos}+${op.length} is out of range (length ${result.length})`);
+      }
+      result = result.slice(0, op.pos) + result.slice(op.pos + op.length);
+    }
+  }
+  return result;
+}
+
+/**
+ * Transform a single primitive op so it applies after `other`
+ * @param {Object} op - Op to transform
+ * @param {Object} other - Op that has already been applied
+ * @param {boolean} opWinsTies - Whether `op` goes first when both insert at the same spot
+ * @returns {Array} Transformed op list (may be empty or split in two)
+ */
+function transformPrimitive(op, other, opWinsTies) {
+  if (op.type === 'insert') {
+    if (other.type === 'insert') {
+      if (op.pos < other.pos || (op.pos === other.pos && opWinsTies)) return [op];
+      return [{ ...op, pos: op.pos + other.text.length }];
+    }
+    // other is a delete
+    if (op.pos <= other.pos) return [op];
+    if (op.pos >= other.pos + other.length) return [{ ...op, pos: op.pos - other.length }];
+    return [{ ...op, pos: other.pos }];
+  }
+
+  // op is a delete
+  const start = op.pos;
+  const end = op.pos + op.length;
+
+  if (other.type === 'insert') {
+    if (other.pos <= start) return [{ ...op, pos: start + other.text.length }];
+    if (other.pos >= end) return [op];
+    // Insert landed inside the deleted range: delete around it
+    const before = other.pos - start;
+    return [
+      { type: 'delete', pos: start, length: before },
+      { type: 'delete', pos: start + other.text.length, length: op.length - before }
+    ];
+  }
+
+  // Both deletes
+  const otherEnd = other.pos + other.length;
+  if (start >= otherEnd) return [{ ...op, pos: start - other.length }];
+  if (end <= other.pos) return [op];
+
+  const overlap = Math.min(end, otherEnd) - Math.max(start, other.pos);
+  const length = op.length - overlap;
+  if (length === 0) return [];
+  return [{ type: 'delete', pos: Math.min(start, other.pos), length }];
+}
+
+/**
+ * Transform two concurrent op lists against each other
+ * Guarantees applyOps(applyOps(s, a), b') === applyOps(applyOps(s, b), a')
+ *
+ * @param {Array} a - Op list
+ * @param {Array} b - Concurrent op list
+ * @param {boolean} aWinsTies - Whether `a` goes first on same-position inserts
+ * @returns {[Array, Array]} [a', b']
+ */
+function transformOps(a, b, aWinsTies) {
+  if (a.length === 0 || b.length === 0) return [a, b];
+
+  if (a.length === 1 && b.length === 1) {
+    return [
+      transformPrimitive(a[0], b[0], aWinsTies),
+      transformPrimitive(b[0], a[0], !aWinsTies)
+    ];
+  }
+
+  if (a.length > 1) {
+    const [aHead, b1] = transformOps([a[0]], b, aWinsTies);
+    const [aTail, b2] = transformOps(a.slice(1), b1, aWinsTies);
+    return [aHead.concat(aTail), b2];
+  }
+
+  const [a1, bHead] = transformOps(a, [b[0]], aWinsTies);
+  const [a2, bTail] = transformOps(a1, b.slice(1), aWinsTies);
+  return [a2, bHead.concat(bTail)];
+}
+
+/**
+ * Build the op list that turns `oldText` into `newText`
+ * Uses the common prefix/suffix, which matches how a textarea changes per input event
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array}
+ */
+function diffToOps(oldText, newText) {
+  if (oldText === newText) return [];
+
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) suffix++;
+
+  const ops = [];
+  const removed = oldText.length - prefix - suffix;
+  const inserted = newText.slice(prefix, newText.length - suffix);
+  if (removed > 0) ops.push({ type: 'delete', pos: prefix, length: removed });
+  if (inserted.length > 0) ops.push({ type: 'insert', pos: prefix, text: inserted });
+  return ops;
+}
+
+/**
+ * Map a caret/selection index through an op list
+ * @param {number} index
+ * @param {Array} ops
+ * @returns {number}
+ */
+function transformIndex(index, ops) {
+  let result = index;
+  for (const op of ops) {
+    if (op.type === 'insert') {
+      if (op.pos <= result) result += op.text.length;
+    } else if (op.type === 'delete') {
+      if (op.pos < result) result -= Math.min(op.length, result - op.pos);
+    }
+  }
+  return result;
+}
+
+/**
+ * Map an anchored range (e.g. a comment) through an op list
+ * Text typed at either edge stays outside the range; text typed inside grows it.
+ * A range whose text is deleted collapses to the deletion point.
+ * @param {number} start
+ * @param {number} end
+ * @param {Array} ops
+ * @returns {{start: number, end: number}}
+ */
+function transformRange(start, end, ops) {
+  let from = start;
+  let to = end;
+  for (const op of ops) {
+    if (op.type === 'insert') {
+      if (op.pos <= from) {
+        from += op.text.length;
+        to += op.text.length;
+      } else if (op.pos < to) {
+        to += op.text.length;
+      }
+    } else if (op.type === 'delete') {
+      if (op.pos < from) from -= Math.min(op.length, from - op.pos);
+      if (op.pos < to) to -= Math.min(op.length, to - op.pos);
+    }
+  }
+  return { start: from, end: to };
+}
+
+const TextOperations = {
+  normalizeOps,
+  applyOps,
+  transform: transformOps,
+  diffToOps,
+  transformIndex,
+  transformRange
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextOperations;
+} else if (typeof window !== 'undefined') {
+  window.TextOperations = TextOperations;
+}
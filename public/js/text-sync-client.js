@@ -0,0 +1,160 @@
+/**
+ * TextSyncClient - Client side of the operational transform protocol
+ * Keeps at most one operation in flight and buffers local edits until the server acks it
+ *
+ * States:
+ *   synchronized   - no pending local edits
+ *   awaiting ack   - `outstanding` sent, waiting for the server
+ *   with buffer    - `outstanding` sent and further edits collected in `buffer`
+ *
+ * An operation the server dropped unseen (rate limited) is sent again, with the buffer
+ * folded in, once the server says it may be.
+ */
+
+const SyncOps = (typeof module !== 'undefined' && module.exports)
+  ? require('./text-operations')
+  : window.TextOperations;
+
+class TextSyncClient {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send - Called with (revision, ops) to submit an operation
+   * @param {Function} options.onRemoteOps - Called with ops that must be applied to the local document
+   */
+  constructor({ send, onRemoteOps }) {
+    if (typeof send !== 'function') {
+      throw new Error('TextSyncClient requires a send function');
+    }
+
+    this.send = send;
+    this.onRemoteOps = onRemoteOps || (() => { });
+    this.revision = 0;
+    this.outstanding = null;
+    this.buffer = null;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Reset to a server snapshot (join, resync)
+   * @param {number} revision
+   */
+  reset(revision) {
+    this.revision = Number.isInteger(revision) ? revision : 0;
+    this.outstanding = null;
+    this.buffer = null;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+
+  /**
+   * Whether local edits are still waiting for the server
+   * @returns {boolean}
+   */
+  hasPendingChanges() {
+    return Boolean(this.outstanding || this.buffer);
+  }
+
+  /**
+   * Map a position at the server revision into the local document,
+   * which may already contain edits the server has not acknowledged
+   * @param {number} index
+   * @returns {number}
+   */
+  transformIncomingIndex(index) {
+    let result = index;
+    if (this.outstanding) result = SyncOps.transformIndex(result, this.outstanding);
+    if (this.buffer) result = SyncOps.transformIndex(result, this.buffer);
+    return result;
+  }
+
+  /**
+   * Map a range at the server revision into the local document; text typed
+   * at either edge stays outside the range
+   * @param {number} start
+   * @param {number} end
+   * @returns {{start: number, end: number}}
+   */
+  transformIncomingRange(start, end) {
+    let range = { start, end };
+    if (this.outstanding) range = SyncOps.transformRange(range.start, range.end, this.outstanding);
+    if (this.buffer) range = SyncOps.transformRange(range.start, range.end, this.buffer);
+    return range;
+  }
+
+  /**
+   * Submit a local edit
+   * @param {Array} ops - Ops already applied to the local document
+   */
+  applyLocal(ops) {
+    if (!ops || ops.length === 0) return;
+
+    if (!this.outstanding) {
+      this.outstanding = ops;
+      this.send(this.revision, ops);
+    } else {
+      this.buffer = (this.buffer || []).concat(ops);
+    }
+  }
+
+  /**
+   * Server accepted our outstanding operation
+   * @param {number} revision - Revision assigned to it
+   */
+  handleAck(revision) {
+    if (!this.outstanding) return;
+
+    this.revision = revision;
+    this.outstanding = this.buffer;
+    this.buffer = null;
+
+    if (this.outstanding) {
+      this.send(this.revision, this.outstanding);
+    }
+  }
+
+  /**
+   * Server dropped our outstanding operation without applying it; send it again later
+   * @param {number} retryAfterMs - How long the server wants us to wait
+   */
+  handleRejected(retryAfterMs) {
+    if (!this.outstanding || this.retryTimer) return;
+
+    const delay = Number.isFinite(retryAfterMs) && retryAfterMs > 0 ? retryAfterMs : 1000;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      if (!this.outstanding) return;
+      if (this.buffer) {
+        this.outstanding = this.outstanding.concat(this.buffer);
+        this.buffer = null;
+      }
+      this.send(this.revision, this.outstanding);
+    }, delay);
+  }
+
+  /**
+   * Operation from another user, already ordered by the server
+   * @param {Array} ops
+   * @param {number} revision - Revision after applying it
+   */
+  handleRemote(ops, revision) {
+    let remote = ops;
+
+    // Server ops win ties, matching the server-side transform
+    if (this.outstanding) {
+      [this.outstanding, remote] = SyncOps.transform(this.outstanding, remote, false);
+    }
+    if (this.buffer) {
+      [this.buffer, remote] = SyncOps.transform(this.buffer, remote, false);
+    }
+
+    this.revision = revision;
+    this.onRemoteOps(remote);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextSyncClient;
+} else if (typeof window !== 'undefined') {
+  window.TextSyncClient = TextSyncClient;
+}
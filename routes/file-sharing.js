@@ -13,6 +13,7 @@ const { v4: uuidv4 } = require('uuid');
 const RedisClient = require('../utils/redis-client');
 const CloudinaryService = require('../utils/cloudinary-service');
 const { ROOM_EXPIRY_SECONDS } = require('../utils/cleanup-middleware');
+const { validateRequest } = require('../utils/schema');
 
 // Initialize services
 const redisClient = new RedisClient(
@@ -57,6 +58,11 @@ const upload = multer({
     },
 });
 
+// Room and file ids are v4 UUIDs handed out by this router; anything else is refused with a 400
+const UUID = { type: 'string', required: true, pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i };
+const checkRoomId = validateRequest({ params: { roomId: UUID } });
+const checkFileId = validateRequest({ params: { roomId: UUID, fileId: UUID } });
+
 /**
  * Helper: Update room's lastActivity and refresh TTL
  */
@@ -124,7 +130,7 @@ router.post('/create', async (req, res) => {
  * POST /api/room/join/:roomId
  * Join an existing room (validates room exists)
  */
-router.post('/join/:roomId', async (req, res) => {
+router.post('/join/:roomId', checkRoomId, async (req, res) => {
     try {
         const { roomId } = req.params;
 
@@ -160,7 +166,7 @@ router.post('/join/:roomId', async (req, res) => {
  * POST /api/room/upload/:roomId
  * Upload a file to a room
  */
-router.post('/upload/:roomId', upload.single('file'), async (req, res) => {
+router.post('/upload/:roomId', checkRoomId, upload.single('file'), async (req, res) => {
     let tempFilePath = null;
 
     try {
@@ -260,7 +266,7 @@ router.post('/upload/:roomId', upload.single('file'), async (req, res) => {
  * GET /api/room/files/:roomId
  * Get list of files in a room
  */
-router.get('/files/:roomId', async (req, res) => {
+router.get('/files/:roomId', checkRoomId, async (req, res) => {
     try {
         const { roomId } = req.params;
 
@@ -301,7 +307,7 @@ router.get('/files/:roomId', async (req, res) => {
  * GET /api/room/download/:roomId/:fileId
  * Download a file (redirect to Cloudinary)
  */
-router.get('/download/:roomId/:fileId', async (req, res) => {
+router.get('/download/:roomId/:fileId', checkFileId, async (req, res) => {
     try {
         const { roomId, fileId } = req.params;
 
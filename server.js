@@ -14,6 +14,8 @@ const io = require("socket.io")(http, {
 });
 const multer = require("multer");
 const path = require("path");
+const crypto = require("crypto");
+const { request: httpRequest } = require("http");
 const fs = require("fs").promises;
 const fsSync = require("fs");
 
@@ -21,6 +23,29 @@ const fsSync = require("fs");
 const { createCleanupMiddleware } = require('./utils/cleanup-middleware');
 const RedisClient = require('./utils/redis-client');
 const CloudinaryService = require('./utils/cloudinary-service');
+const TextOperations = require('./public/js/text-operations');
+const RoomPermissions = require('./public/js/room-permissions');
+const { createRoomStore, RoomPersister, fromSnapshot, roomSummary } = require('./utils/room-store');
+const { RespClient } = require('./utils/resp-client');
+const { createRedisAdapter } = require('./utils/redis-adapter');
+const { RoomRouter } = require('./sockets/cluster');
+const { exportRoom, parseArchive, EXPORT_FORMATS } = require('./utils/room-export');
+const { searchRoom } = require('./utils/room-search');
+const { JoinThrottle, createAdminToken, createSocketToken, hashPassword, isPasswordHash, tokenMatches, verifyPassword } = require('./utils/room-auth');
+const { createInviteToken, decodeInviteToken, verifyInviteToken } = require('./utils/invites');
+const { createIdentityId, createIdentitySecret, identityTag, isIdentityId, signIdentity, verifyIdentity } = require('./utils/identity');
+const { clientAddress, createAddressMatcher, sameSubnet } = require('./utils/network');
+const { createSocketHandlers } = require('./sockets');
+const { permissionError } = require('./sockets/middleware');
+const { ROOM_SCHEMA, UPLOADED_FILENAME_SCHEMA } = require('./sockets/schemas');
+const { loadRateLimits } = require('./sockets/rate-limits');
+const { validateRequest } = require('./utils/schema');
+const { RateLimiter } = require('./utils/rate-limit');
+const {
+  MAX_FILE_SIZE_MB,
+  createRoomSettings,
+  isFileTypeAllowed,
+} = require('./utils/room-settings');
 
 // Initialize file sharing services (will be initialized after env check)
 let cleanupMiddleware = null;
@@ -86,27 +111,13 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024, // Rooms can set a lower limit, checked once the file is in
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    // Allow most common file types
-    const allowedMimes = [
-      'text/plain',
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/webp',
-      'video/mp4',
-      'video/webm',
-      'application/zip',
-      'application/x-rar-compressed'
-    ];
-
-    if (allowedMimes.includes(file.mimetype) || file.mimetype.startsWith('text/')) {
+    // Each room lists the file types it accepts
+    const settings = roomData[resolveRoomFromReq(req)]?.settings || createRoomSettings();
+    if (isFileTypeAllowed(settings, file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('File type not allowed'), false);
@@ -125,6 +136,8 @@ app.use(express.static("public", {
   lastModified: true
 }));
 
+// Uploads are kept by the instance serving their room
+app.use("/uploads/:room", forwardToOwner((req) => req.params.room));
 app.use("/uploads", express.static(uploadDir, {
   maxAge: '7d',
   etag: true,
@@ -145,7 +158,496 @@ try {
   console.error('❌ Failed to load file sharing routes:', error.message);
 }
 
-let roomData = {}; // Stores: { text, files, password, isPrivate, isLAN, lanIPs, createdAt, connectors:Set, users: Map<socketId,{name,role,muted?:boolean}>, adminSocketId?: string, adminToken?: string, typingLock?: {lockedBy: string, lockedAt: number, isActive: boolean} }
+let roomData = {}; // Stores: { documents: [{ id, name, format, language, text, revision, operations, revisions, nextRevisionId, comments, nextCommentId, createdAt, typingLock?: {lockedBy: string, lockedAt: number, isActive: boolean} }], nextDocumentId, exclusiveEditing, files, settings: { password, fileRetentionMinutes, allowedFileTypes, maxFileSizeMB, muteOnJoin, topic, lanIpv4Prefix, lanIpv6Prefix, lanCodeRequired }, isPrivate, isLAN, lanIPs, lanCode, createdAt, connectors:Set, users: Map<socketId,{name,role,muted?:boolean,joinedAt,userId,cursor?:{docId,start,end}}>, members: {identityId: {name,role,muted,lastSeen}}, chat: [{ id, userId, name, text, timestamp }], nextChatId, adminSocketId?: string, adminToken?: string, successorId?: string }
+
+const TEXT_HISTORY_LIMIT = 500; // Operations kept for transforming late edits
+const REVISION_LIMIT = 100; // Snapshots kept per document
+const REVISION_COALESCE_WINDOW = 60 * 1000; // Same-user edits within a minute share a snapshot
+const DESTRUCTIVE_EDIT_CHARS = 200; // Deleting this much always starts a new snapshot
+const PERSIST_DEBOUNCE = 2000; // Quiet time before a changed room is written to the store
+const MAX_DOCUMENTS = 20; // Documents (tabs) per room
+const DOCUMENT_NAME_MAX = 40;
+const DEFAULT_DOCUMENT_NAME = "Notes";
+const DOCUMENT_LANGUAGE_PATTERN = /^[a-z0-9+#-]{1,20}$/;
+const COMMENT_TEXT_MAX = 2000;
+
+// Failed password attempts are counted per client IP and per room; past the
+// threshold each failure doubles the lockout
+const joinThrottleByIp = new JoinThrottle({ threshold: 5 });
+const joinThrottleByRoom = new JoinThrottle({ threshold: 20, maxDelayMs: 5 * 60 * 1000 });
+setInterval(() => {
+  joinThrottleByIp.prune();
+  joinThrottleByRoom.prune();
+}, 60 * 1000);
+
+const MAX_REMEMBERED_MEMBERS = 500; // Identities a room remembers the name, role and mute state of
+
+// Signs browser identities; without IDENTITY_SECRET everyone gets a new identity when the server restarts
+const IDENTITY_SECRET = process.env.IDENTITY_SECRET || createIdentitySecret();
+if (!process.env.IDENTITY_SECRET) {
+  console.warn('⚠️ IDENTITY_SECRET is not set; users will not be recognised across server restarts');
+}
+
+const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || 'localhost';
+
+// Several instances behind a load balancer share rooms through Redis (REDIS_URL): each
+// room is served by one of them, and events for it are routed there (sockets/cluster.js)
+const REDIS_URL = process.env.REDIS_URL;
+// Signs HTTP requests the instances pass on to each other; every instance needs the same one
+const CLUSTER_SECRET = process.env.CLUSTER_SECRET ||
+  crypto.createHmac("sha256", IDENTITY_SECRET).update("cluster").digest("hex");
+let redisPublisher = null;
+let redisSubscriber = null;
+if (REDIS_URL) {
+  redisPublisher = new RespClient(REDIS_URL);
+  redisSubscriber = new RespClient(REDIS_URL);
+  for (const client of [redisPublisher, redisSubscriber]) {
+    client.on('error', (error) => console.error('❌ Redis error:', error.message));
+  }
+  io.adapter(createRedisAdapter(redisPublisher, redisSubscriber));
+}
+
+// Durable room state (text, settings, file metadata); ROOM_STORE=memory disables it.
+// With REDIS_URL rooms live in Redis, where every instance can load them.
+const dataDir = process.env.DATA_DIR || path.join(__dirname, "data");
+const roomStoreType = process.env.ROOM_STORE || (REDIS_URL ? 'redis' : 'json');
+if (REDIS_URL && roomStoreType !== 'redis') {
+  throw new Error('REDIS_URL needs ROOM_STORE=redis: instances can only share rooms through Redis');
+}
+const roomStore = createRoomStore({
+  type: roomStoreType,
+  dir: path.join(dataDir, "rooms"),
+  client: redisPublisher,
+});
+const roomPersister = new RoomPersister(roomStore, (room) => roomData[room], { delay: PERSIST_DEBOUNCE });
+
+function persistRoom(room) {
+  if (roomData[room]) roomPersister.schedule(room);
+}
+
+// Put a saved room back into roomData. Its owner is not connected yet, so their seat is
+// held for the grace period as if they had just left (see startAdminSuccession)
+async function restoreRoom(room, snapshot) {
+  const fields = fromSnapshot(snapshot);
+  roomData[room] = createRoom({ ...fields, documents: fields.documents.map(createDocument) });
+  if (roomData[room].adminToken) startAdminSuccession(room);
+
+  // Rooms saved before passwords were hashed
+  const { settings } = roomData[room];
+  if (settings.password && !isPasswordHash(settings.password)) {
+    settings.password = await hashPassword(settings.password);
+    persistRoom(room);
+  }
+}
+
+// Load saved rooms into roomData before accepting connections
+async function rehydrateRooms() {
+  try {
+    const snapshots = await roomStore.loadAll();
+    for (const [room, snapshot] of Object.entries(snapshots)) {
+      await restoreRoom(room, snapshot);
+    }
+    const count = Object.keys(snapshots).length;
+    if (count > 0) console.log(`💾 Restored ${count} room${count !== 1 ? 's' : ''} from storage`);
+  } catch (e) {
+    console.error("❌ Failed to restore rooms from storage:", e.message);
+  }
+}
+
+// With several instances, a room is loaded by whichever one claims it
+async function loadClaimedRoom(room) {
+  const snapshot = await roomStore.load(room);
+  if (snapshot && !roomData[room]) {
+    await restoreRoom(room, snapshot);
+    console.log(`💾 Loaded room ${room} from storage`);
+  }
+}
+
+function createDocument(fields = {}) {
+  return {
+    id: 1,
+    name: DEFAULT_DOCUMENT_NAME,
+    format: 'plain',
+    language: null,
+    text: "",
+    revision: 0,
+    operations: [],
+    revisions: [],
+    nextRevisionId: 1,
+    comments: [], // [{ id, start, end, quote, text, userId, name, createdAt, resolved, resolvedBy, resolvedAt, replies }]
+    nextCommentId: 1,
+    createdAt: Date.now(),
+    ...fields,
+  };
+}
+
+function createRoom(fields = {}) {
+  return {
+    documents: [createDocument()],
+    nextDocumentId: 2,
+    exclusiveEditing: false,
+    files: [],
+    isPrivate: false,
+    isLAN: false,
+    lanIPs: [],
+    lanCode: null, // Shown on screen to people in a LAN room that requires it; joiners must enter it
+    createdAt: Date.now(),
+    connectors: new Set(),
+    users: new Map(),
+    chat: [], // In memory only: chat is never written to the room store
+    nextChatId: 1,
+    adminSocketId: undefined,
+    adminToken: undefined,
+    successorId: null, // Socket the admin picked to take over if they leave
+    successionTimer: null, // Pending hand-over while a departed admin may still reconnect
+    invites: [], // [{ id, role, expiresAt, maxUses, uses, createdAt, createdBy }]
+    nextInviteId: 1,
+    inviteSecret: null, // Signs this room's invite tokens; created with the first invite
+    bans: [], // [{ id, ip, name, reason, expiresAt, createdAt, createdBy }]; ip or name may be null
+    nextBanId: 1,
+    lobby: false, // When on, newcomers wait in `pending` until someone lets them in
+    pending: new Map(), // socketId -> { name, requestedAt, admit(), deny() }; never persisted
+    locked: false, // No new joins; people already inside stay
+    limits: { maxParticipants: null, maxVideo: null, maxScreenShares: null }, // null means no limit
+    members: {}, // identityId -> { name, role, muted, lastSeen }, restored when that person comes back
+    ...fields,
+    settings: createRoomSettings(fields.settings, fields.isPrivate),
+  };
+}
+
+/**
+ * Look up a document in a room. Clients that predate tabs send no docId;
+ * they get the first document.
+ */
+function findDocument(info, docId) {
+  if (!info || !info.documents) return null;
+  if (docId === undefined || docId === null) return info.documents[0] || null;
+  return info.documents.find(d => d.id === docId) || null;
+}
+
+function documentList(info) {
+  return info.documents.map(d => ({ id: d.id, name: d.name, format: d.format, language: d.language }));
+}
+
+function sanitizeDocumentName(name) {
+  return (name || '').toString().trim().replace(/\s+/g, ' ').slice(0, DOCUMENT_NAME_MAX);
+}
+
+function sanitizeUserName(name) {
+  return (name || '').toString().trim().replace(/[^a-zA-Z0-9 _.-]/g, '').slice(0, 24);
+}
+
+/**
+ * Apply a client operation made against `baseRevision` to a document.
+ * Transforms it past every operation the client had not seen yet.
+ * Returns the transformed ops, or null if the base revision is no longer in history.
+ * `label` marks the resulting history snapshot (e.g. a restore).
+ */
+function applyTextOperation(info, doc, baseRevision, ops, userId, { label } = {}) {
+  const historyStart = doc.revision - doc.operations.length;
+  if (baseRevision < historyStart || baseRevision > doc.revision) return null;
+
+  let transformed = ops;
+  for (const entry of doc.operations.slice(baseRevision - historyStart)) {
+    [transformed] = TextOperations.transform(transformed, entry.ops, false);
+  }
+
+  const previousLength = doc.text.length;
+  doc.text = TextOperations.applyOps(doc.text, transformed);
+  doc.revision++;
+  doc.operations.push({ ops: transformed, userId, timestamp: Date.now() });
+  if (doc.operations.length > TEXT_HISTORY_LIMIT) doc.operations.shift();
+
+  const deleted = transformed.reduce((sum, op) => sum + (op.type === 'delete' ? op.length : 0), 0);
+  recordRevision(info, doc, userId, {
+    destructive: deleted >= DESTRUCTIVE_EDIT_CHARS || (deleted > 0 && deleted === previousLength),
+    label,
+  });
+
+  // Comments stay attached to the text they were made on
+  for (const comment of doc.comments) {
+    Object.assign(comment, TextOperations.transformRange(comment.start, comment.end, transformed));
+  }
+
+  // Keep everyone's caret in this document anchored to the same text
+  for (const user of info.users?.values() || []) {
+    if (!user.cursor || user.cursor.docId !== doc.id) continue;
+    user.cursor = {
+      docId: doc.id,
+      start: TextOperations.transformIndex(user.cursor.start, transformed),
+      end: TextOperations.transformIndex(user.cursor.end, transformed),
+    };
+  }
+
+  return transformed;
+}
+
+/**
+ * Snapshot the current document text into its revision history.
+ * Consecutive edits by the same user are folded into one snapshot; a destructive
+ * edit or an explicit label (e.g. a restore) always starts a new one, so the text
+ * before it stays in the previous snapshot.
+ */
+function recordRevision(info, doc, userId, { destructive = false, label } = {}) {
+  const now = Date.now();
+  const last = doc.revisions[doc.revisions.length - 1];
+
+  if (last && !destructive && !label && !last.label &&
+    last.userId === userId && now - last.createdAt < REVISION_COALESCE_WINDOW) {
+    last.text = doc.text;
+    last.revision = doc.revision;
+    last.timestamp = now;
+    return last;
+  }
+
+  const entry = {
+    id: doc.nextRevisionId++,
+    revision: doc.revision,
+    text: doc.text,
+    userId,
+    userName: info.users?.get(userId)?.name || 'Unknown',
+    label,
+    createdAt: now,
+    timestamp: now,
+  };
+  doc.revisions.push(entry);
+  if (doc.revisions.length > REVISION_LIMIT) doc.revisions.shift();
+  return entry;
+}
+
+function revisionSummary(entry) {
+  return {
+    id: entry.id,
+    revision: entry.revision,
+    userName: entry.userName,
+    label: entry.label,
+    createdAt: entry.createdAt,
+    timestamp: entry.timestamp,
+    length: entry.text.length,
+  };
+}
+
+/**
+ * Bring a caret/selection reported at `revision` up to the document's current revision.
+ * Returns null if the revision is outside the kept history.
+ */
+function rebaseCursor(doc, start, end, revision) {
+  const historyStart = doc.revision - doc.operations.length;
+  if (!Number.isInteger(revision) || revision < historyStart || revision > doc.revision) return null;
+
+  let cursor = { start, end };
+  for (const entry of doc.operations.slice(revision - historyStart)) {
+    cursor = {
+      start: TextOperations.transformIndex(cursor.start, entry.ops),
+      end: TextOperations.transformIndex(cursor.end, entry.ops),
+    };
+  }
+
+  const length = doc.text.length;
+  return { docId: doc.id, start: Math.min(cursor.start, length), end: Math.min(cursor.end, length) };
+}
+
+// Carets in one document, positioned at its current revision
+function cursorList(info, doc, exceptSocketId) {
+  return Array.from(info.users?.entries() || [])
+    .filter(([id, u]) => id !== exceptSocketId && u.cursor && u.cursor.docId === doc.id)
+    .map(([id, u]) => ({ userId: id, docId: doc.id, name: u.name, start: u.cursor.start, end: u.cursor.end }));
+}
+
+/**
+ * Run a join secret check (a password or a LAN code), refusing while the IP or room
+ * is locked out; failures of either kind count towards the same lockout.
+ * The attempt counts as a failure before the (slow) check runs and is forgiven if it
+ * passes, so many attempts in parallel cannot all get in ahead of the lockout.
+ * @param {string} what - Named in the log and in the error
+ * @param {() => boolean|Promise<boolean>} check
+ * @returns {Promise<{ok: boolean, locked?: boolean, error?: string, retryAfterMs?: number}>}
+ */
+async function throttledCheck(room, ip, what, check) {
+  const locked = Math.max(joinThrottleByIp.remaining(ip), joinThrottleByRoom.remaining(room));
+  if (locked > 0) {
+    return { ok: false, locked: true, error: "Too many failed attempts. Please wait before trying again.", retryAfterMs: locked };
+  }
+
+  const lockout = Math.max(joinThrottleByIp.recordFailure(ip), joinThrottleByRoom.recordFailure(room));
+  if (await check()) {
+    joinThrottleByIp.recordSuccess(ip);
+    joinThrottleByRoom.recordSuccess(room);
+    return { ok: true };
+  }
+
+  console.log(`🔒 Failed ${what} for room ${room} from ${ip}${lockout > 0 ? ` (locked for ${lockout}ms)` : ''}`);
+  return { ok: false, locked: false, error: `Incorrect ${what}.`, retryAfterMs: lockout };
+}
+
+// Check a private room's password
+function checkRoomPassword(info, room, ip, password) {
+  return throttledCheck(room, ip, "password", () => verifyPassword(password, info.settings.password));
+}
+
+// Whether joining a LAN room needs the code shown on screen
+function needsLanCode(info) {
+  return Boolean(info?.isLAN && info.settings.lanCodeRequired && info.lanCode);
+}
+
+// Check the code a LAN room shows on screen
+function checkLanCode(info, room, ip, code) {
+  return throttledCheck(room, ip, "LAN code", () => String(code ?? '').trim() === info.lanCode);
+}
+
+// Prefix lengths that count as "the same network" in a LAN room
+function lanPrefix(info) {
+  return { ipv4: info.settings.lanIpv4Prefix, ipv6: info.settings.lanIpv6Prefix };
+}
+
+function isOnRoomLan(info, ip) {
+  return info.lanIPs.some(existingIP => sameSubnet(existingIP, ip, lanPrefix(info)));
+}
+
+// Bans that have not run out; expired ones are dropped as a side effect
+function activeBans(info, now = Date.now()) {
+  info.bans = (info.bans || []).filter(ban => !ban.expiresAt || ban.expiresAt > now);
+  return info.bans;
+}
+
+// A ban matching the address, the name or the identity (every tab and address of the person)
+function findBan(info, { ip, name, userId }) {
+  const lowerName = name ? name.toLowerCase() : null;
+  return activeBans(info).find(ban => (ban.ip && ban.ip === ip) ||
+    (ban.name && ban.name.toLowerCase() === lowerName) ||
+    (ban.userId && ban.userId === userId)) || null;
+}
+
+function banMessage(ban, now = Date.now()) {
+  if (!ban.expiresAt) return 'You are banned from this room.';
+  return `You are banned from this room for another ${Math.ceil((ban.expiresAt - now) / 60000)} minute(s).`;
+}
+
+// What moderators see: IP addresses and identities stay on the server
+function describeBan(ban) {
+  const { ip, userId, ...rest } = ban;
+  return { ...rest, byIp: Boolean(ip) };
+}
+
+// Send the lobby queue to everyone in the room who may let people in
+function emitLobby(room) {
+  const info = roomData[room];
+  if (!info) return;
+  const pending = Array.from(info.pending.entries()).map(([id, p]) => ({ id, name: p.name, requestedAt: p.requestedAt }));
+  for (const [id, user] of info.users) {
+    if (RoomPermissions.can(user.role, 'admitUsers')) io.to(id).emit('lobby-list', { room, pending });
+  }
+}
+
+// A lobby needs someone to open the door: with nobody present who can (and no admin
+// about to be chosen), newcomers walk straight in
+function lobbyIsAttended(info) {
+  if (info.successionTimer) return true;
+  return Array.from(info.users.values()).some(user => RoomPermissions.can(user.role, 'admitUsers'));
+}
+
+/**
+ * Why a newcomer may not enter right now, or null if they may. The room owner
+ * always gets in so a locked or full room can still be managed, and so does another
+ * tab of someone already in the room: capacity counts people, not tabs.
+ * @param {string|null} userId - The joiner's identity, if their token proved it
+ */
+function joinRefusal(info, socketId, isOwner, userId = null) {
+  if (isOwner || info.users.has(socketId)) return null;
+  const people = new Set(Array.from(info.users, ([id, user]) => user.userId || id));
+  if (userId && people.has(userId)) return null;
+  if (info.locked) return "This room is locked. Ask the admin to unlock it.";
+  const { maxParticipants } = info.limits;
+  if (maxParticipants && people.size >= maxParticipants) {
+    return `This room is full (${maxParticipants} ${maxParticipants === 1 ? 'person' : 'people'}).`;
+  }
+  return null;
+}
+
+/**
+ * Why a user may not turn on their camera or share their screen, or null if they may
+ * @param {'video'|'screen'} kind
+ */
+function mediaRefusal(info, socketId, kind) {
+  const limit = kind === 'video' ? info.limits.maxVideo : info.limits.maxScreenShares;
+  if (!limit) return null;
+  const active = Array.from(info.users.entries())
+    .filter(([id, user]) => id !== socketId && (kind === 'video' ? user.videoEnabled : user.screenShareEnabled))
+    .length;
+  if (active < limit) return null;
+  const what = kind === 'video' ? 'camera' : 'screen share';
+  return `Only ${limit} ${what}${limit === 1 ? '' : 's'} can be on at once in this room.`;
+}
+
+function roomLimits(info) {
+  return { locked: Boolean(info.locked), ...info.limits };
+}
+
+// Invites that have not expired; used-up ones stay listed until they expire or are revoked
+function activeInvites(info, now = Date.now()) {
+  info.invites = info.invites.filter(invite => invite.expiresAt > now);
+  return info.invites;
+}
+
+/**
+ * Find the invite a token was minted for, if it is genuine, unexpired and not revoked
+ * @returns {Object|null} The invite record from roomData[room].invites
+ */
+function findInvite(room, token) {
+  const info = roomData[room];
+  const data = info && verifyInviteToken(info.inviteSecret, token);
+  if (!data || data.room !== room) return null;
+  return activeInvites(info).find(invite => invite.id === data.id) || null;
+}
+
+function hasUsesLeft(invite) {
+  return invite.maxUses === null || invite.uses < invite.maxUses;
+}
+
+// Invite record plus its token and a link built from the address the admin is using
+function describeInvite(socket, room, info, invite) {
+  const token = createInviteToken(info.inviteSecret, { room, id: invite.id, expiresAt: invite.expiresAt });
+  const headers = socket.handshake.headers;
+  const origin = headers.origin || `http://${headers.host}`;
+  return { ...invite, token, url: `${origin}/invite/${token}` };
+}
+
+function commentList(doc) {
+  return { docId: doc.id, revision: doc.revision, comments: doc.comments };
+}
+
+function sanitizeCommentText(text) {
+  return (text || '').toString().trim().slice(0, COMMENT_TEXT_MAX);
+}
+
+function textSnapshot(doc) {
+  return { docId: doc.id, text: doc.text, revision: doc.revision };
+}
+
+// Drop every typing lock held by a socket; returns the affected document ids
+function releaseTypingLocks(info, socketId) {
+  const released = [];
+  for (const doc of info.documents) {
+    if (doc.typingLock && doc.typingLock.lockedBy === socketId) {
+      delete doc.typingLock;
+      released.push(doc.id);
+    }
+  }
+  return released;
+}
+
+// Whether an upload by this name is in the room's folder (clients announce their uploads by name)
+async function hasUploadedFile(room, filename) {
+  const filePath = path.join(uploadDir, room, filename);
+  if (path.dirname(path.dirname(filePath)) !== uploadDir) return false;
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
 async function hydrateRoomFilesFromDisk(room) {
   try {
@@ -181,6 +683,8 @@ async function hydrateRoomFilesFromDisk(room) {
 async function listRooms() {
   try {
     const diskRooms = new Set();
+    // With several instances this one only holds the rooms it serves; the rest are in the store
+    const { stored, socketCounts } = roomRouter ? await clusterRooms() : { stored: {}, socketCounts: new Map() };
 
     try {
       const entries = await fs.readdir(uploadDir, { withFileTypes: true });
@@ -193,16 +697,20 @@ async function listRooms() {
 
     const memoryRooms = Object.keys(roomData || {});
     memoryRooms.forEach(r => diskRooms.add(r));
+    Object.keys(stored).forEach(r => diskRooms.add(r));
 
     return Array.from(diskRooms)
       .filter(name => name && name.length > 0)
-      .map((name) => ({
-        name,
-        isPrivate: Boolean(roomData[name]?.isPrivate && roomData[name]?.password),
-        userCount: roomData[name]?.users?.size || 0,
-        isLAN: Boolean(roomData[name]?.isLAN),
-        createdAt: roomData[name]?.createdAt || Date.now()
-      }))
+      .map((name) => {
+        const summary = roomData[name] ? roomSummary(roomData[name]) : stored[name];
+        return {
+          name,
+          isPrivate: Boolean(summary?.isPrivate),
+          userCount: roomData[name] ? roomData[name].users?.size || 0 : socketCounts.get(name) || 0,
+          isLAN: Boolean(summary?.isLAN),
+          createdAt: summary?.createdAt || Date.now()
+        };
+      })
       .sort((a, b) => b.userCount - a.userCount || b.createdAt - a.createdAt);
   } catch (e) {
     console.error("❌ listRooms error", e);
@@ -210,35 +718,264 @@ async function listRooms() {
   }
 }
 
+// Every saved room's summary (not its snapshot), and how many sockets are in each across all instances
+async function clusterRooms() {
+  const stored = await roomStore.list();
+  const socketCounts = new Map();
+  try {
+    for (const socket of await io.fetchSockets()) {
+      const room = socket.data?.room;
+      if (room) socketCounts.set(room, (socketCounts.get(room) || 0) + 1);
+    }
+  } catch (e) {
+    console.warn("⚠️ Could not count users on other instances:", e.message);
+  }
+  return { stored, socketCounts };
+}
+
+// Users whose socket is gone or no longer in the room leave it the usual way, so their
+// locks, seats and call are released like anyone else's
 function pruneRoomUsers(room) {
   try {
     const info = roomData[room];
     if (!info || !info.users) return;
     for (const socketId of Array.from(info.users.keys())) {
-      const sock = io.sockets.sockets.get(socketId);
+      const sock = findSocket(socketId);
       const inThisRoom = !!(sock && sock.rooms && sock.rooms.has(room));
-      if (!inThisRoom) info.users.delete(socketId);
+      if (!inThisRoom) departRoom(room, socketId);
     }
   } catch { }
 }
 
-function ensureSingleAdmin(room) {
-  const info = roomData[room];
-  if (!info || !info.users) return;
-  const adminId = info.adminSocketId;
-  for (const [sid, usr] of info.users.entries()) {
-    if (sid === adminId) {
-      if (usr.role !== 'admin') info.users.set(sid, { ...usr, role: 'admin' });
-    } else {
-      if (usr.role === 'admin') info.users.set(sid, { ...usr, role: 'member' });
+/**
+ * Which identity a joining socket belongs to: the one its signed token names, or the id
+ * its browser made up if no room knows that id yet (a known id must come signed),
+ * or a new one
+ */
+function resolveIdentity(token, requestedId) {
+  const signed = verifyIdentity(IDENTITY_SECRET, token);
+  if (signed) return signed;
+  const known = isIdentityId(requestedId) && Object.values(roomData).some(info =>
+    info.members[requestedId] || Array.from(info.users.values()).some(u => u.userId === requestedId));
+  return isIdentityId(requestedId) && !known ? requestedId : createIdentityId();
+}
+
+// All of one person's sockets in the room (one per tab), including socketId itself
+function siblingSockets(info, socketId) {
+  const user = info?.users?.get(socketId);
+  if (!user) return [];
+  if (!user.userId) return [socketId];
+  return Array.from(info.users.entries()).filter(([, u]) => u.userId === user.userId).map(([id]) => id);
+}
+
+// One of a person's tabs is leaving: their other tab keeps the owner and successor seats
+function passSeatsToSibling(info, socketId) {
+  const sibling = siblingSockets(info, socketId).find(id => id !== socketId);
+  if (!sibling) return false;
+  if (info.adminSocketId === socketId) info.adminSocketId = sibling;
+  if (info.successorId === socketId) info.successorId = sibling;
+  return true;
+}
+
+// Whether socketId is one of the room owner's tabs
+function isOwnerSocket(info, socketId) {
+  return Boolean(info.adminSocketId) && siblingSockets(info, info.adminSocketId).includes(socketId);
+}
+
+/**
+ * Remember a person's name, role and mute state for when they come back. Ownership comes
+ * from the admin token, so the owner is remembered with the role they had been given.
+ */
+function rememberMember(info, socketId) {
+  const user = info.users.get(socketId);
+  if (!user || !user.userId) return;
+  const known = info.members[user.userId];
+  const role = isOwnerSocket(info, socketId) ? (known?.role || 'member') : user.role;
+  info.members[user.userId] = { name: user.name, role, muted: Boolean(user.muted), lastSeen: Date.now() };
+
+  const ids = Object.keys(info.members);
+  if (ids.length > MAX_REMEMBERED_MEMBERS) {
+    ids.sort((a, b) => info.members[a].lastSeen - info.members[b].lastSeen)
+      .slice(0, ids.length - MAX_REMEMBERED_MEMBERS)
+      .forEach(id => delete info.members[id]);
+  }
+}
+
+/**
+ * The room's user list, one entry per person however many tabs they have open.
+ * `id` is the socket to address moderation to (the owner's tab if it is one of them);
+ * `socketIds` lists all of them.
+ */
+function userList(info) {
+  const people = new Map();
+  for (const [id, u] of info.users.entries()) {
+    const key = u.userId || id;
+    const entry = people.get(key);
+    if (entry) {
+      entry.socketIds.push(id);
+      if (id === info.adminSocketId) entry.id = id;
+      continue;
     }
+    people.set(key, { id, name: u.name, role: u.role, muted: !!u.muted, socketIds: [id] });
+  }
+  return Array.from(people.values());
+}
+
+// The room owner (adminSocketId, holder of the admin token) is always an admin, in
+// every tab they have open; anyone else may also be made one with set-role
+function ensureOwnerIsAdmin(room) {
+  const info = roomData[room];
+  if (!info?.users?.has(info.adminSocketId)) return;
+  for (const id of siblingSockets(info, info.adminSocketId)) {
+    const user = info.users.get(id);
+    if (user.role !== 'admin') info.users.set(id, { ...user, role: 'admin' });
+  }
+}
+
+const ADMIN_GRACE_PERIOD = Number(process.env.ADMIN_GRACE_MS) || 60 * 1000; // Time for a departed admin to reconnect
+
+// Make socketId the room owner with a fresh admin token, and tell the room why.
+// Rotating the token means copies left in other browsers can no longer reclaim the room.
+function promoteToOwner(room, socketId, reason) {
+  const info = roomData[room];
+  const user = info?.users?.get(socketId);
+  if (!user) return;
+
+  clearTimeout(info.successionTimer);
+  info.successionTimer = null;
+  info.adminSocketId = socketId;
+  info.adminToken = createAdminToken();
+  if (siblingSockets(info, socketId).includes(info.successorId)) info.successorId = null;
+  ensureOwnerIsAdmin(room);
+  persistRoom(room);
+
+  for (const id of siblingSockets(info, socketId)) {
+    io.to(id).emit('you', { room, id, name: user.name, role: 'admin', muted: !!user.muted, adminToken: info.adminToken });
+  }
+  io.to(room).emit('user-list', userList(info));
+  io.to(room).emit('admin-changed', { room, adminId: socketId, name: user.name, reason });
+  if (info.pending.size > 0) emitLobby(room);
+  console.log(`👑 ${user.name} is now the admin of room ${room} (${reason})`);
+}
+
+// The designated successor if still here, otherwise whoever has been in the room
+// longest, passing over viewers unless nobody else is left
+function pickSuccessor(info) {
+  if (info.successorId && info.users.has(info.successorId)) return info.successorId;
+  const byArrival = Array.from(info.users.entries()).sort(([, a], [, b]) => (a.joinedAt || 0) - (b.joinedAt || 0));
+  const candidate = byArrival.find(([, u]) => u.role !== 'viewer') || byArrival[0];
+  return candidate ? candidate[0] : null;
+}
+
+// The owner left: hold their seat for ADMIN_GRACE_PERIOD so they can come back with
+// their admin token (a refresh when they were alone in the room included), then hand
+// the room to a successor. A room still empty by then goes to whoever joins next, so
+// anyone waiting in its lobby is let in.
+function startAdminSuccession(room) {
+  const info = roomData[room];
+  if (!info) return;
+
+  info.adminSocketId = undefined;
+  clearTimeout(info.successionTimer);
+  info.successionTimer = setTimeout(() => {
+    info.successionTimer = null;
+    if (roomData[room] !== info || info.adminSocketId) return;
+    const successorId = pickSuccessor(info);
+    if (successorId) promoteToOwner(room, successorId, 'succession');
+    else Array.from(info.pending.values()).forEach(waiting => waiting.admit());
+  }, ADMIN_GRACE_PERIOD);
+  io.to(room).emit('admin-changed', { room, adminId: null, name: null, reason: 'disconnected', graceMs: ADMIN_GRACE_PERIOD });
+}
+
+/**
+ * Everything that happens when a socket leaves a room, whether it left, was kicked or
+ * disconnected: its call and screen share end, its typing locks and seats are released
+ * and the people still there get the new user list. The caller takes the socket out of
+ * the Socket.IO room first, so it is not sent any of this.
+ * Returns the user it was, or null if it was not in the room.
+ */
+function departRoom(room, socketId) {
+  const info = roomData[room];
+  const user = info?.users?.get(socketId);
+  if (!user) return null;
+  const timestamp = Date.now();
+
+  if (user.screenShareEnabled || info.screenShares?.has(socketId)) {
+    info.screenShares?.delete(socketId);
+    io.to(room).emit("user-screen-share-stopped", { userId: socketId, name: user.name, timestamp });
+  }
+  if (user.videoEnabled) {
+    io.to(room).emit("user-video-disabled", { userId: socketId, name: user.name, timestamp });
+  }
+  if (user.callMode && user.callMode !== 'none') {
+    io.to(room).emit("user-call-ended", { userId: socketId, name: user.name, previousMode: user.callMode, timestamp });
+  }
+
+  rememberMember(info, socketId);
+  passSeatsToSibling(info, socketId);
+  info.users.delete(socketId);
+  io.to(room).emit("cursor-removed", { userId: socketId });
+  if (info.adminSocketId === socketId) startAdminSuccession(room);
+  releaseTypingLocks(info, socketId).forEach(docId => {
+    io.to(room).emit("typing-lock-released", { docId });
+  });
+  io.to(room).emit("user-list", userList(info));
+  return user;
+}
+
+// Kick: move a user out of `room` into the public "world" room
+function moveToWorld(room, targetId) {
+  const targetSocket = findSocket(targetId);
+  targetSocket?.leave(room);
+  const user = departRoom(room, targetId);
+  if (!targetSocket || !user) return;
+
+  const worldRoom = "world";
+  // "world" may be served by another instance: the user joins it there like anyone else
+  if (roomRouter && !roomData[worldRoom]) {
+    targetSocket.data.room = "";
+    targetSocket.emit('kicked', { room, movedTo: worldRoom });
+    roomRouter.rejoin(targetId, { room: worldRoom, name: user.name, identity: signIdentity(IDENTITY_SECRET, user.userId) });
+    return;
   }
+  if (!roomData[worldRoom]) {
+    roomData[worldRoom] = createRoom();
+  }
+  const world = roomData[worldRoom];
+
+  // Add user to world room
+  targetSocket.join(worldRoom);
+  targetSocket.data.room = worldRoom;
+  world.users.set(targetId, { name: user.name, role: 'member', muted: false, joinedAt: Date.now(), userId: user.userId });
+
+  // Notify user they were kicked and moved to world room
+  targetSocket.emit('kicked', { room, movedTo: worldRoom });
+  targetSocket.emit('you', {
+    room: worldRoom, id: targetId, name: user.name, role: 'member', muted: false,
+    identity: signIdentity(IDENTITY_SECRET, user.userId),
+    tag: identityTag(IDENTITY_SECRET, user.userId),
+    requestToken: targetSocket.data.requestToken,
+  });
+
+  // Send world room data to kicked user
+  targetSocket.emit("documents", { documents: documentList(world) });
+  world.documents.forEach(doc => {
+    targetSocket.emit("text", textSnapshot(doc));
+    targetSocket.emit("comments", commentList(doc));
+  });
+  targetSocket.emit("chat-history", { messages: world.chat });
+  targetSocket.emit("file-list", world.files.map((f) => ({
+    link: `/uploads/${worldRoom}/${f.filename}`,
+    name: f.originalName,
+    filename: f.filename,
+  })));
+
+  // Update world room user list
+  io.to(worldRoom).emit('user-list', userList(world));
 }
 
 const CLEAN_INTERVAL = 60 * 1000; // 1 minute
 const NEVER_USED_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
-const EXPIRE_PUBLIC = 15 * 60 * 1000; // 15 minutes
-const EXPIRE_PRIVATE = 30 * 60 * 1000; // 30 minutes
 
 // Clean expired files periodically
 setInterval(async () => {
@@ -250,8 +987,7 @@ setInterval(async () => {
 
     const expiredFiles = [];
     roomData[room].files = roomData[room].files.filter((file) => {
-      const expired = now - file.timestamp >
-        (roomData[room].isPrivate ? EXPIRE_PRIVATE : EXPIRE_PUBLIC);
+      const expired = now - file.timestamp > roomData[room].settings.fileRetentionMinutes * 60 * 1000;
 
       if (expired) {
         expiredFiles.push(file);
@@ -260,6 +996,8 @@ setInterval(async () => {
       return !expired;
     });
 
+    if (expiredFiles.length > 0) persistRoom(room);
+
     // Delete expired files
     expiredFiles.forEach(file => {
       const filePath = path.join(uploadDir, room, file.filename);
@@ -282,6 +1020,8 @@ setInterval(async () => {
         cleanupPromises.push(
           fs.rmdir(dir, { recursive: true }).then(() => {
             delete roomData[room];
+            return roomPersister.remove(room);
+          }).then(() => {
             console.log(`🧹 Cleaned up unused room: ${room}`);
           }).catch(err =>
             console.warn(`⚠️ Could not remove room directory ${dir}:`, err.message)
@@ -297,984 +1037,225 @@ setInterval(async () => {
   await Promise.allSettled(cleanupPromises);
 }, CLEAN_INTERVAL);
 
-// Helpers to detect IP and compare subnets
-const getIp = (socket) => {
-  const forwarded = socket.handshake.headers["x-forwarded-for"];
-  return (forwarded ? forwarded.split(",")[0] : socket.handshake.address || "").replace("::ffff:", "");
-};
-
-const sameSubnet = (ip1, ip2) => {
-  const a = ip1.split(".").slice(0, 3).join(".");
-  const b = ip2.split(".").slice(0, 3).join(".");
-  return a === b;
-};
-
-io.on("connection", (socket) => {
-  console.log(`🔗 New client connected: ${socket.id}`);
-  let joinedRoom = "";
-
-  // Rooms listing via socket
-  socket.on("get-rooms", () => {
-    socket.emit("rooms", listRooms());
-  });
-  // Send current user list for joined room
-  socket.on("who", () => {
-    if (!joinedRoom) return;
-    pruneRoomUsers(joinedRoom);
-    const users = roomData[joinedRoom]?.users;
-    if (users) {
-      socket.emit("user-list", Array.from(users.entries()).map(([id, u]) => ({ id, name: u.name, role: u.role, muted: !!u.muted })));
-      const me = users.get(socket.id);
-      if (me) socket.emit('you', { id: socket.id, name: me.name, role: me.role, muted: !!me.muted });
-    }
-  });
-
-  socket.on("join", ({ room, password, private: isPrivate, adminToken: clientAdminToken }) => {
-    const ip = getIp(socket);
-    console.log(`Socket ${socket.id} (${ip}) trying to join: ${room} (private: ${isPrivate})`);
+// Client IPs: X-Forwarded-For is only believed as far as it was written by a trusted
+// proxy (TRUSTED_PROXIES: addresses, CIDR ranges, "loopback" or "private")
+const isTrustedProxy = createAddressMatcher(
+  (process.env.TRUSTED_PROXIES ?? 'loopback').split(',').map(entry => entry.trim()).filter(Boolean)
+);
 
-    // LAN Room Access Control
-    if (room.startsWith("lan_")) {
-      const allowedIPs = roomData[room]?.lanIPs || [];
-      const matched = allowedIPs.some(existingIP => sameSubnet(existingIP, ip));
+const getIp = (socket) =>
+  clientAddress(socket.handshake.address, socket.handshake.headers["x-forwarded-for"], isTrustedProxy);
 
-      if (allowedIPs.length > 0 && !matched) {
-        socket.emit("unauthorized", "Access denied. Not on same Wi-Fi.");
-        console.log(`Denied: ${ip} not in same subnet as ${allowedIPs}`);
-        return;
-      }
+const getRequestIp = (req) =>
+  clientAddress(req.socket.remoteAddress, req.headers["x-forwarded-for"], isTrustedProxy);
 
-      if (!allowedIPs.includes(ip)) {
-        roomData[room] ||= {
-          text: "",
-          files: [],
-          password: null,
-          isPrivate: false,
-          isLAN: true,
-          lanIPs: [],
-          createdAt: Date.now(),
-          connectors: new Set(),
-        };
-        roomData[room].lanIPs.push(ip);
+// Periodically prune users for all rooms (handles abrupt reloads/network drops)
+setInterval(() => {
+  try {
+    for (const room of Object.keys(roomData)) {
+      pruneRoomUsers(room);
+      if (roomData[room]?.adminSocketId && !roomData[room].users.has(roomData[room].adminSocketId)) {
+        startAdminSuccession(room);
       }
     }
+  } catch { }
+}, 10000); // every 10s
 
-    // Leave previous room and update its user list
-    if (joinedRoom) {
-      const prev = joinedRoom;
-      socket.leave(prev);
-      const prevUsers = roomData[prev]?.users;
-      if (prevUsers) {
-        prevUsers.delete(socket.id);
-        io.to(prev).emit("user-list", Array.from(prevUsers.values()).map(u => u.name));
-      }
-      console.log(`Socket ${socket.id} left room: ${prev}`);
-    }
+// Socket events per client and event type (sockets/rate-limits.js); floods are dropped,
+// warned about and finally disconnected
+const rateLimiter = new RateLimiter(loadRateLimits(process.env.RATE_LIMITS), {
+  disconnectAfter: Number(process.env.RATE_LIMIT_DISCONNECT_AFTER) || 100,
+});
 
-    // Private room check
-    if (roomData[room]) {
-      if (roomData[room].isPrivate && roomData[room].password !== password) {
-        socket.emit("unauthorized", "Incorrect password.");
-        return;
-      }
-    } else {
-      roomData[room] = {
-        text: "",
-        files: [],
-        password: isPrivate ? password : null,
-        isPrivate,
-        isLAN: room.startsWith("lan_"),
-        lanIPs: room.startsWith("lan_") ? [ip] : [],
-        createdAt: Date.now(),
-        connectors: new Set(),
-        users: new Map(),
-        adminSocketId: undefined,
-        adminToken: undefined,
-      };
-    }
+// Runs each room's socket events on the instance serving the room
+const roomRouter = REDIS_URL ? new RoomRouter({
+  io,
+  roomData,
+  store: roomStore,
+  node: { id: crypto.randomUUID(), url: process.env.CLUSTER_NODE_URL || `http://${HOST}:${PORT}` },
+  secret: CLUSTER_SECRET,
+  publisher: redisPublisher,
+  subscriber: redisSubscriber,
+  onClaim: loadClaimedRoom,
+  // The new owner loaded the room from the store; writing our copy now would undo its changes
+  onLost: (room) => {
+    if (roomPersister.cancel(room)) console.warn(`⚠️ Unsaved changes to room ${room} were dropped with it`);
+    delete roomData[room];
+  },
+}) : null;
+
+// A socket by id: connected here, or (with several instances) in a room served here
+function findSocket(socketId) {
+  return roomRouter ? roomRouter.findSocket(socketId) : io.sockets.sockets.get(socketId);
+}
 
-    joinedRoom = room;
-    socket.join(room);
-    console.log(`Socket ${socket.id} joined room: ${room}`);
+// Socket events are handled per subsystem in sockets/; this is what they share
+const socketHandlers = createSocketHandlers({
+  io, roomData, identitySecret: IDENTITY_SECRET, MAX_DOCUMENTS, DOCUMENT_LANGUAGE_PATTERN,
+  persistRoom, createRoom, createDocument, findDocument, documentList, sanitizeDocumentName, sanitizeUserName,
+  applyTextOperation, revisionSummary, rebaseCursor, cursorList, commentList, sanitizeCommentText, textSnapshot,
+  listRooms, pruneRoomUsers, userList, getIp, findSocket, hydrateRoomFilesFromDisk, hasUploadedFile,
+  isOnRoomLan, needsLanCode, checkLanCode, checkRoomPassword, joinRefusal, mediaRefusal, roomLimits,
+  findBan, banMessage, describeBan, activeBans, findInvite, hasUsesLeft, activeInvites, describeInvite,
+  emitLobby, lobbyIsAttended, departRoom, moveToWorld, resolveIdentity,
+  ensureOwnerIsAdmin, rememberMember, siblingSockets, isOwnerSocket, promoteToOwner,
+}, { rateLimiter, router: roomRouter });
 
-    // Track unique connectors for the room
-    try {
-      roomData[room].connectors.add(getIp(socket));
-    } catch { }
+io.on("connection", (socket) => {
+  console.log(`🔗 New client connected: ${socket.id}`);
+  socket.data.room = ""; // Room this socket has joined
+  socket.data.pendingRoom = null; // Room whose lobby this socket is waiting in
+  socket.data.requestToken = createSocketToken(); // Lets HTTP requests act as this socket (see requestUser)
+  socketHandlers.attach(socket);
+});
 
-    // Register user as Guest N
+// Request checks for the HTTP routes; a bad request gets a 400 with code 'invalid-payload'
+const uploadQuery = { room: { ...ROOM_SCHEMA, required: false } };
+const roomParams = { room: ROOM_SCHEMA };
+const docIdQuery = { type: 'integer', min: 0, coerce: true };
+const formatQuery = { type: 'string', max: 20 };
+const roomParam = (req) => req.params.room.trim();
+
+/**
+ * With several instances, requests about a room are answered by the instance serving it
+ * (see sockets/cluster.js): this one if the room is free, otherwise the request is
+ * passed on to the owner's CLUSTER_NODE_URL. The owner sees the client's address in
+ * X-Forwarded-For, which it believes if this instance is in its TRUSTED_PROXIES.
+ * Requests that change the room, and any passed on by another instance, are only
+ * answered here while this instance holds the room's lease.
+ * @param {(req) => string} roomOf
+ */
+function forwardToOwner(roomOf) {
+  return async (req, res, next) => {
+    if (!roomRouter) return next();
+    // A request another instance passed on (signed with CLUSTER_SECRET) is not passed on again, to avoid loops
+    const forwarded = roomRouter.verifyRequest(req.get("x-teamup-forwarded"), req.method, req.originalUrl);
+    const room = roomOf(req);
+    let owner;
     try {
-      const existingUsers = roomData[room].users || new Map();
-      roomData[room].users = existingUsers;
-      pruneRoomUsers(room);
-      const currentNames = new Set(Array.from(existingUsers.values()).map(u => u.name));
-      let guestNumber = 1;
-      while (currentNames.has(`Guest ${guestNumber}`)) guestNumber++;
-      const userName = `Guest ${guestNumber}`;
-      // Admin assignment logic: first user to join the room becomes admin
-      let role = 'member';
-      if (!roomData[room].adminSocketId) {
-        // No admin assigned yet, make this user the admin
-        role = 'admin';
-        roomData[room].adminToken = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-        roomData[room].adminSocketId = socket.id;
-      } else if (clientAdminToken && clientAdminToken === roomData[room].adminToken) {
-        // Transfer admin to this socket; demote previous admin if present
-        role = 'admin';
-        const prevAdminId = roomData[room].adminSocketId;
-        if (prevAdminId && existingUsers.has(prevAdminId) && prevAdminId !== socket.id) {
-          const prev = existingUsers.get(prevAdminId);
-          existingUsers.set(prevAdminId, { ...prev, role: 'member' });
-        }
-        roomData[room].adminSocketId = socket.id;
+      owner = forwarded ? roomRouter.node : await roomRouter.ownerOf(room);
+      const changesRoom = !["GET", "HEAD"].includes(req.method);
+      if (owner.id === roomRouter.node.id && (forwarded || changesRoom) && !(await roomRouter.holdsLease(room))) {
+        owner = await roomRouter.ownerOf(room);
       }
-      existingUsers.set(socket.id, { name: userName, role });
-      ensureSingleAdmin(room);
-      io.to(room).emit("user-list", Array.from(existingUsers.entries()).map(([id, u]) => ({ id, name: u.name, role: u.role, muted: !!u.muted })));
-      socket.emit('you', { room, id: socket.id, name: userName, role, muted: false, adminToken: role === 'admin' ? roomData[room].adminToken : undefined });
-    } catch (e) { console.error('user add error', e); }
-
-    // Ensure files list reflects disk on first join after restart
-    if (!roomData[room].files || roomData[room].files.length === 0) {
-      hydrateRoomFilesFromDisk(room).then(files => {
-        roomData[room].files = files;
-      }).catch(err => {
-        console.error('Failed to hydrate files:', err);
-        roomData[room].files = [];
-      });
+    } catch (e) {
+      console.error("❌ Could not find the instance serving a room:", e.message);
+      return res.status(503).json({ success: false, error: "This room is not available right now" });
     }
+    if (owner.id === roomRouter.node.id) return next();
+    if (forwarded) return res.status(503).json({ success: false, error: "This room is not available right now" });
+    proxyToOwner(req, res, owner);
+  };
+}
 
-    socket.emit("text", roomData[room].text);
-    socket.emit(
-      "file-list",
-      roomData[room].files.map((f) => ({
-        link: `/uploads/${room}/${f.filename}`,
-        name: f.originalName,
-        filename: f.filename,
-      }))
-    );
-  });
+function proxyToOwner(req, res, owner) {
+  const headers = {
+    ...req.headers,
+    "x-teamup-forwarded": roomRouter.signRequest(req.method, req.originalUrl),
+    "x-forwarded-for": [req.headers["x-forwarded-for"], req.socket.remoteAddress].filter(Boolean).join(", "),
+  };
+  // Bodies the JSON and text parsers have read already are sent again; the rest (uploads) stream through
+  let body = null;
+  if (req._body) {
+    body = typeof req.body === "string" ? req.body : JSON.stringify(req.body);
+    if (typeof req.body !== "string") headers["content-type"] = "application/json";
+    headers["content-length"] = Buffer.byteLength(body);
+    delete headers["transfer-encoding"];
+  }
 
-  socket.on("text", ({ text }) => {
-    if (!joinedRoom) return;
-    const info = roomData[joinedRoom];
-    if (info?.users?.get(socket.id)?.muted) return;
-    info.text = text;
-    socket.to(joinedRoom).emit("text", { text });
+  const forwarded = httpRequest(new URL(req.originalUrl, owner.url), { method: req.method, headers }, (response) => {
+    res.writeHead(response.statusCode, response.headers);
+    response.pipe(res);
   });
-
-  socket.on("typing", (user) => {
-    if (!joinedRoom) return;
-    const info = roomData[joinedRoom];
-    if (info?.users?.get(socket.id)?.muted) return;
-    socket.to(joinedRoom).emit("typing", user);
+  forwarded.on("error", (e) => {
+    console.error(`❌ Could not reach ${owner.url}:`, e.message);
+    if (!res.headersSent) res.status(502).json({ success: false, error: "This room is not available right now" });
   });
+  if (body !== null) forwarded.end(body);
+  else req.pipe(forwarded);
+}
 
-  // Typing lock management
-  socket.on("request-typing-lock", () => {
-    if (!joinedRoom) return;
-    const info = roomData[joinedRoom];
-    if (!info || info?.users?.get(socket.id)?.muted) return;
-
-    const now = Date.now();
-    const lockTimeout = 30000; // 30 seconds timeout
-
-    // Check if lock is available or expired
-    if (!info.typingLock || (now - info.typingLock.lockedAt) > lockTimeout) {
-      info.typingLock = {
-        lockedBy: socket.id,
-        lockedAt: now,
-        isActive: true
-      };
-      socket.emit("typing-lock-acquired");
-      socket.to(joinedRoom).emit("typing-lock-changed", {
-        lockedBy: socket.id,
-        lockedAt: now,
-        lockedByUser: info.users.get(socket.id)?.name || "Unknown"
-      });
-    } else {
-      socket.emit("typing-lock-denied", {
-        lockedBy: info.typingLock.lockedBy,
-        lockedAt: info.typingLock.lockedAt,
-        lockedByUser: info.users.get(info.typingLock.lockedBy)?.name || "Unknown"
-      });
-    }
-  });
+/**
+ * The room member an HTTP request acts for: the socket named in X-Socket-Id, if the
+ * request also carries that socket's X-Socket-Token (handed to it in 'you'). Socket ids
+ * are shown to the whole room, so the id alone proves nothing.
+ */
+function requestUser(req, info) {
+  const socketId = String(req.get("x-socket-id") || "");
+  const user = info?.users?.get(socketId);
+  if (!user || !tokenMatches(req.get("x-socket-token"), findSocket(socketId)?.data?.requestToken)) return null;
+  return user;
+}
 
-  socket.on("release-typing-lock", () => {
-    if (!joinedRoom) return;
-    const info = roomData[joinedRoom];
-    if (!info || !info.typingLock || info.typingLock.lockedBy !== socket.id) return;
+/**
+ * Importing into a room that has an owner is editing it, checked as for text-op: the
+ * request needs the admin token, or to act for someone in the room (see requestUser)
+ * who may edit and is not muted. Rooms nobody has owned yet (made by an import) are open.
+ */
+function importEditError(req, info) {
+  if (!info.adminToken || tokenMatches(req.get("x-admin-token"), info.adminToken)) return null;
+  const user = requestUser(req, info);
+  if (!user) return "Join the room to import into it";
+  return permissionError(user, "edit") || (user.muted ? "You are muted" : null);
+}
 
-    delete info.typingLock;
-    socket.to(joinedRoom).emit("typing-lock-released");
-  });
+// Uploads and deletes come from someone in the room (see requestUser) with a role that may share files
+function requireUploader(req, res, next) {
+  const info = roomData[resolveRoomFromReq(req)];
+  const denied = permissionError(requestUser(req, info), 'upload');
+  if (denied) return res.status(403).json({ success: false, error: denied });
+  next();
+}
 
-  socket.on("get-typing-lock-status", () => {
-    if (!joinedRoom) return;
-    const info = roomData[joinedRoom];
-    if (!info) return;
-
-    const now = Date.now();
-    const lockTimeout = 30000; // 30 seconds timeout
-
-    if (info.typingLock && (now - info.typingLock.lockedAt) <= lockTimeout) {
-      socket.emit("typing-lock-status", {
-        isLocked: true,
-        lockedBy: info.typingLock.lockedBy,
-        lockedAt: info.typingLock.lockedAt,
-        lockedByUser: info.users.get(info.typingLock.lockedBy)?.name || "Unknown",
-        isActive: info.typingLock.isActive || false
+// File upload handler
+app.post("/upload", validateRequest({ query: uploadQuery }), forwardToOwner(resolveRoomFromReq), requireUploader, upload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file provided'
       });
-    } else {
-      // Clean up expired lock
-      if (info.typingLock) {
-        delete info.typingLock;
-      }
-      socket.emit("typing-lock-status", { isLocked: false });
-    }
-  });
-
-  // Handle typing activity signals
-  socket.on("typing-activity", ({ isTyping }) => {
-    if (!joinedRoom) return;
-    const info = roomData[joinedRoom];
-    if (!info || !info.typingLock || info.typingLock.lockedBy !== socket.id) return;
-
-    info.typingLock.isActive = isTyping;
-
-    // If user stopped typing, set a timeout to release the lock
-    if (!isTyping) {
-      setTimeout(() => {
-        const currentInfo = roomData[joinedRoom];
-        if (currentInfo && currentInfo.typingLock &&
-          currentInfo.typingLock.lockedBy === socket.id &&
-          !currentInfo.typingLock.isActive) {
-          delete currentInfo.typingLock;
-          io.to(joinedRoom).emit("typing-lock-released");
-        }
-      }, 3000); // 3 seconds delay before releasing
     }
-  });
-
-  socket.on('set-name', ({ name, room }, ack) => {
-    const targetRoom = room || joinedRoom;
-    if (!targetRoom) { if (ack) ack(false); return; }
-    const safe = (name || '').toString().trim().replace(/[^a-zA-Z0-9 _.-]/g, '').slice(0, 24);
-    if (!safe) { if (ack) ack(false); return; }
-    pruneRoomUsers(targetRoom);
-    const users = roomData[targetRoom]?.users;
-    if (!users) { if (ack) ack(false); return; }
-    const existing = users.get(socket.id) || { role: (roomData[targetRoom].adminSocketId === socket.id ? 'admin' : 'member') };
-    users.set(socket.id, { name: safe, role: existing.role });
-    io.to(targetRoom).emit('user-list', Array.from(users.entries()).map(([id, u]) => ({ id, name: u.name, role: u.role, muted: !!u.muted })));
-    socket.emit('you', { id: socket.id, name: safe, role: existing.role, muted: !!existing.muted });
-    if (ack) ack(true);
-  });
-
-  // Admin: mute/unmute a user
-  socket.on('mute-user', ({ room, targetId, muted }, ack) => {
-    try {
-      const info = roomData[room];
-      if (!info || info.adminSocketId !== socket.id) { if (ack) ack(false); return; }
-      if (!info.users || !info.users.has(targetId)) { if (ack) ack(false); return; }
-      const u = info.users.get(targetId);
-      u.muted = Boolean(muted);
-      io.to(room).emit('user-list', Array.from(info.users.entries()).map(([id, usr]) => ({ id, name: usr.name, role: usr.role, muted: !!usr.muted })));
-      io.to(targetId).emit('muted', { room, muted: u.muted });
-      if (ack) ack(true);
-    } catch (e) { if (ack) ack(false); }
-  });
-
-  // Admin: kick user from room
-  socket.on('kick-user', ({ room, targetId }, ack) => {
-    try {
-      const info = roomData[room];
-      if (!info || info.adminSocketId !== socket.id) { if (ack) ack(false); return; }
-      if (!info.users || !info.users.has(targetId)) { if (ack) ack(false); return; }
-
-      const targetSocket = io.sockets.sockets.get(targetId);
-      if (targetSocket) {
-        // Remove user from current room
-        targetSocket.leave(room);
-        info.users.delete(targetId);
-
-        // Auto-join user to "world" room
-        const worldRoom = "world";
-        if (!roomData[worldRoom]) {
-          roomData[worldRoom] = {
-            text: "",
-            files: [],
-            password: null,
-            isPrivate: false,
-            isLAN: false,
-            lanIPs: [],
-            createdAt: Date.now(),
-            connectors: new Set(),
-            users: new Map(),
-            adminSocketId: undefined,
-            adminToken: undefined,
-          };
-        }
-
-        // Add user to world room
-        targetSocket.join(worldRoom);
-        const userInfo = info.users.get(targetId);
-        if (userInfo) {
-          roomData[worldRoom].users.set(targetId, { ...userInfo, role: 'member' });
-        }
-
-        // Notify user they were kicked and moved to world room
-        targetSocket.emit('kicked', { room, movedTo: worldRoom });
-
-        // Send world room data to kicked user
-        targetSocket.emit("text", roomData[worldRoom].text);
-        targetSocket.emit("file-list", roomData[worldRoom].files.map((f) => ({
-          link: `/uploads/${worldRoom}/${f.filename}`,
-          name: f.originalName,
-          filename: f.filename,
-        })));
-        targetSocket.emit('user-list', Array.from(roomData[worldRoom].users.entries()).map(([id, usr]) => ({ id, name: usr.name, role: usr.role, muted: !!usr.muted })));
-      }
-
-      // Update original room user list
-      io.to(room).emit('user-list', Array.from(info.users.entries()).map(([id, usr]) => ({ id, name: usr.name, role: usr.role, muted: !!usr.muted })));
 
-      // Update world room user list
-      io.to("world").emit('user-list', Array.from(roomData["world"].users.entries()).map(([id, usr]) => ({ id, name: usr.name, role: usr.role, muted: !!usr.muted })));
+    const room = resolveRoomFromReq(req);
+    const fileSize = req.file.size;
+    const fileSizeKB = Math.round(fileSize / 1024);
 
-      if (ack) ack(true);
-    } catch (e) { if (ack) ack(false); }
-  });
+    const maxFileSizeMB = roomData[room]?.settings.maxFileSizeMB ?? MAX_FILE_SIZE_MB;
+    if (fileSize > maxFileSizeMB * 1024 * 1024) {
+      await fs.unlink(req.file.path).catch(() => { });
+      return res.status(400).json({
+        success: false,
+        error: `File too large. Maximum size in this room is ${maxFileSizeMB}MB.`
+      });
+    }
 
-  // ===== VIDEO SIGNALING HANDLERS =====
+    console.log(`📁 Uploaded file to room: ${room}, file: ${req.file.filename} (${fileSizeKB}KB)`);
 
-  // Enable audio
-  socket.on("enable-audio", ({ room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.audioEnabled = true;
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-audio-enabled", {
-        userId: socket.id,
-        name: user.name,
-        timestamp: Date.now()
-      });
-
-      console.log(`🎤 Audio enabled for ${user.name} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Enable audio error:", error);
-    }
-  });
-
-  // Disable audio
-  socket.on("disable-audio", ({ room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.audioEnabled = false;
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-audio-disabled", {
-        userId: socket.id,
-        name: user.name,
-        timestamp: Date.now()
-      });
-
-      console.log(`🎤 Audio disabled for ${user.name} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Disable audio error:", error);
-    }
-  });
-
-  // Start voice call
-  socket.on("start-voice-call", ({ room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.callMode = 'voice';
-      user.audioEnabled = true;
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-voice-call-started", {
-        userId: socket.id,
-        name: user.name,
-        timestamp: Date.now()
-      });
-
-      console.log(`📞 Voice call started for ${user.name} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Start voice call error:", error);
-    }
-  });
-
-  // End call
-  socket.on("end-call", ({ room, previousMode }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.callMode = 'none';
-      user.audioEnabled = false;
-      user.videoEnabled = false;
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-call-ended", {
-        userId: socket.id,
-        name: user.name,
-        previousMode,
-        timestamp: Date.now()
-      });
-
-      console.log(`📞 Call ended for ${user.name} in room ${targetRoom} (was ${previousMode})`);
-    } catch (error) {
-      console.error("❌ End call error:", error);
-    }
-  });
-
-  // Call mode change
-  socket.on("call-mode-change", ({ room, mode }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      const previousMode = user.callMode || 'none';
-
-      // Update user state
-      user.callMode = mode;
-
-      // Update media state based on mode
-      if (mode === 'voice') {
-        user.audioEnabled = true;
-        user.videoEnabled = false;
-      } else if (mode === 'video') {
-        user.audioEnabled = true;
-        user.videoEnabled = true;
-      } else {
-        user.audioEnabled = false;
-        user.videoEnabled = false;
-      }
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-call-mode-changed", {
-        userId: socket.id,
-        name: user.name,
-        mode,
-        previousMode,
-        timestamp: Date.now()
-      });
-
-      console.log(`📞 Call mode changed for ${user.name} in room ${targetRoom}: ${previousMode} -> ${mode}`);
-    } catch (error) {
-      console.error("❌ Call mode change error:", error);
-    }
-  });
-
-  // Enable video
-  socket.on("enable-video", ({ room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.videoEnabled = true;
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-video-enabled", {
-        userId: socket.id,
-        name: user.name,
-        timestamp: Date.now()
-      });
-
-      console.log(`📹 Video enabled for ${user.name} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Enable video error:", error);
-    }
-  });
-
-  // Disable video
-  socket.on("disable-video", ({ room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.videoEnabled = false;
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-video-disabled", {
-        userId: socket.id,
-        name: user.name,
-        timestamp: Date.now()
-      });
-
-      console.log(`📹 Video disabled for ${user.name} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Disable video error:", error);
-    }
-  });
-
-  // Start screen share
-  socket.on("start-screen-share", ({ room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.screenShareEnabled = true;
-
-      // Track active screen share in room
-      if (!info.screenShares) {
-        info.screenShares = new Set();
-      }
-      info.screenShares.add(socket.id);
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-screen-share-started", {
-        userId: socket.id,
-        name: user.name,
-        timestamp: Date.now()
-      });
-
-      console.log(`🖥️ Screen share started for ${user.name} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Start screen share error:", error);
-    }
-  });
-
-  // Stop screen share
-  socket.on("stop-screen-share", ({ room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.screenShareEnabled = false;
-
-      // Remove from active screen shares
-      if (info.screenShares) {
-        info.screenShares.delete(socket.id);
-      }
-
-      // Notify all participants in the room
-      io.to(targetRoom).emit("user-screen-share-stopped", {
-        userId: socket.id,
-        name: user.name,
-        timestamp: Date.now()
-      });
-
-      console.log(`🖥️ Screen share stopped for ${user.name} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Stop screen share error:", error);
-    }
-  });
-
-  // Video quality change
-  socket.on("video-quality-change", ({ room, quality }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      const user = info.users.get(socket.id);
-      if (!user) return;
-
-      // Update user state
-      user.videoQuality = quality;
-
-      // Relay to other participants (they may adjust their sending quality)
-      socket.to(targetRoom).emit("user-video-quality-changed", {
-        userId: socket.id,
-        name: user.name,
-        quality,
-        timestamp: Date.now()
-      });
-
-      console.log(`⚙️ Video quality changed to ${quality} for ${user.name} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Video quality change error:", error);
-    }
-  });
-
-  // Get media participants (video/screen share/voice call state)
-  socket.on("get-media-participants", ({ room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      const info = roomData[targetRoom];
-      if (!info || !info.users) return;
-
-      // Build media state for all participants
-      const mediaParticipants = Array.from(info.users.entries()).map(([id, user]) => ({
-        userId: id,
-        name: user.name,
-        audioEnabled: user.audioEnabled || false,
-        videoEnabled: user.videoEnabled || false,
-        screenShareEnabled: user.screenShareEnabled || false,
-        callMode: user.callMode || 'none',
-        videoQuality: user.videoQuality || 'medium'
-      }));
-
-      socket.emit("media-participants", {
-        participants: mediaParticipants,
-        timestamp: Date.now()
-      });
-
-      console.log(`📊 Sent media participants to ${socket.id} in room ${targetRoom}`);
-    } catch (error) {
-      console.error("❌ Get media participants error:", error);
-    }
-  });
-
-  // ===== WEBRTC SIGNALING HANDLERS =====
-
-  // WebRTC Offer
-  socket.on("webrtc-offer", ({ targetId, offer, room }) => {
-    try {
-      console.log(`📨 Server received webrtc-offer event`);
-      console.log(`   From socket: ${socket.id}`);
-      console.log(`   Target socket: ${targetId}`);
-      console.log(`   Room: ${room || joinedRoom}`);
-      console.log(`   Offer type: ${offer?.type}`);
-      console.log(`   Offer SDP length: ${offer?.sdp?.length || 0}`);
-
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) {
-        console.log(`   ❌ No target room, aborting`);
-        return;
-      }
-
-      // Check if target socket exists
-      const targetSocket = io.sockets.sockets.get(targetId);
-      if (!targetSocket) {
-        console.log(`   ❌ Target socket ${targetId} not found`);
-        return;
-      }
-
-      console.log(`   ✅ Target socket found, relaying offer...`);
-      console.log(`🔄 Relaying WebRTC offer from ${socket.id} to ${targetId}`);
-
-      // Forward offer to target peer
-      io.to(targetId).emit("webrtc-offer", {
-        fromId: socket.id,
-        offer: offer
-      });
-
-      console.log(`   ✅ Offer relayed successfully`);
-    } catch (error) {
-      console.error("❌ WebRTC offer relay error:", error);
-      console.error("   Error stack:", error.stack);
-    }
-  });
-
-  // WebRTC Answer
-  socket.on("webrtc-answer", ({ targetId, answer, room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      console.log(`🔄 Relaying WebRTC answer from ${socket.id} to ${targetId}`);
-
-      // Forward answer to target peer
-      io.to(targetId).emit("webrtc-answer", {
-        fromId: socket.id,
-        answer: answer
-      });
-    } catch (error) {
-      console.error("❌ WebRTC answer relay error:", error);
-    }
-  });
-
-  // WebRTC ICE Candidate
-  socket.on("webrtc-ice-candidate", ({ targetId, candidate, room }) => {
-    try {
-      const targetRoom = room || joinedRoom;
-      if (!targetRoom) return;
-
-      console.log(`🧊 Relaying ICE candidate from ${socket.id} to ${targetId}`);
-
-      // Forward ICE candidate to target peer
-      io.to(targetId).emit("webrtc-ice-candidate", {
-        fromId: socket.id,
-        candidate: candidate
-      });
-    } catch (error) {
-      console.error("❌ ICE candidate relay error:", error);
-    }
-  });
-
-  // Admin: disable user's video
-  socket.on("admin-disable-video", ({ room, targetId }, ack) => {
-    try {
-      const info = roomData[room];
-      if (!info || info.adminSocketId !== socket.id) {
-        if (ack) ack(false);
-        return;
-      }
-
-      if (!info.users || !info.users.has(targetId)) {
-        if (ack) ack(false);
-        return;
-      }
-
-      const targetUser = info.users.get(targetId);
-      targetUser.videoDisabledByAdmin = true;
-      targetUser.videoEnabled = false;
-
-      // Notify the target user
-      io.to(targetId).emit("video-disabled-by-admin", {
-        room,
-        adminName: info.users.get(socket.id)?.name || "Admin",
-        timestamp: Date.now()
-      });
-
-      // Notify all participants
-      io.to(room).emit("user-video-disabled", {
-        userId: targetId,
-        name: targetUser.name,
-        byAdmin: true,
-        timestamp: Date.now()
-      });
-
-      console.log(`🚫 Admin disabled video for ${targetUser.name} in room ${room}`);
-
-      if (ack) ack(true);
-    } catch (error) {
-      console.error("❌ Admin disable video error:", error);
-      if (ack) ack(false);
-    }
-  });
-
-  // Admin: enable user's video (remove admin restriction)
-  socket.on("admin-enable-video", ({ room, targetId }, ack) => {
-    try {
-      const info = roomData[room];
-      if (!info || info.adminSocketId !== socket.id) {
-        if (ack) ack(false);
-        return;
-      }
-
-      if (!info.users || !info.users.has(targetId)) {
-        if (ack) ack(false);
-        return;
-      }
-
-      const targetUser = info.users.get(targetId);
-      targetUser.videoDisabledByAdmin = false;
-
-      // Notify the target user
-      io.to(targetId).emit("video-enabled-by-admin", {
-        room,
-        adminName: info.users.get(socket.id)?.name || "Admin",
-        timestamp: Date.now()
-      });
-
-      console.log(`✅ Admin enabled video for ${targetUser.name} in room ${room}`);
-
-      if (ack) ack(true);
-    } catch (error) {
-      console.error("❌ Admin enable video error:", error);
-      if (ack) ack(false);
-    }
-  });
-
-  // Admin: stop user's screen share
-  socket.on("admin-stop-screen-share", ({ room, targetId }, ack) => {
-    try {
-      const info = roomData[room];
-      if (!info || info.adminSocketId !== socket.id) {
-        if (ack) ack(false);
-        return;
-      }
-
-      if (!info.users || !info.users.has(targetId)) {
-        if (ack) ack(false);
-        return;
-      }
-
-      const targetUser = info.users.get(targetId);
-      targetUser.screenShareEnabled = false;
-
-      // Remove from active screen shares
-      if (info.screenShares) {
-        info.screenShares.delete(targetId);
-      }
-
-      // Notify the target user
-      io.to(targetId).emit("screen-share-stopped-by-admin", {
-        room,
-        adminName: info.users.get(socket.id)?.name || "Admin",
-        timestamp: Date.now()
-      });
-
-      // Notify all participants
-      io.to(room).emit("user-screen-share-stopped", {
-        userId: targetId,
-        name: targetUser.name,
-        byAdmin: true,
-        timestamp: Date.now()
-      });
-
-      console.log(`🚫 Admin stopped screen share for ${targetUser.name} in room ${room}`);
-
-      if (ack) ack(true);
-    } catch (error) {
-      console.error("❌ Admin stop screen share error:", error);
-      if (ack) ack(false);
-    }
-  });
-
-  socket.on("disconnect", () => {
-    console.log(`❌ Client disconnected: ${socket.id}`);
-    if (!joinedRoom) return;
-    const users = roomData[joinedRoom]?.users;
-    if (users) {
-      // Clean up video/screen share state
-      const user = users.get(socket.id);
-      if (user) {
-        // Notify if user had video or screen share enabled
-        if (user.videoEnabled) {
-          io.to(joinedRoom).emit("user-video-disabled", {
-            userId: socket.id,
-            name: user.name,
-            timestamp: Date.now()
-          });
-        }
-
-        if (user.screenShareEnabled) {
-          // Remove from active screen shares
-          if (roomData[joinedRoom].screenShares) {
-            roomData[joinedRoom].screenShares.delete(socket.id);
-          }
-
-          io.to(joinedRoom).emit("user-screen-share-stopped", {
-            userId: socket.id,
-            name: user.name,
-            timestamp: Date.now()
-          });
-        }
-      }
-
-      users.delete(socket.id);
-      if (roomData[joinedRoom].adminSocketId === socket.id) roomData[joinedRoom].adminSocketId = undefined;
-
-      // Release typing lock if this user had it
-      if (roomData[joinedRoom].typingLock && roomData[joinedRoom].typingLock.lockedBy === socket.id) {
-        delete roomData[joinedRoom].typingLock;
-        io.to(joinedRoom).emit("typing-lock-released");
-      }
-
-      io.to(joinedRoom).emit("user-list", Array.from(users.entries()).map(([id, u]) => ({ id, name: u.name, role: u.role, muted: !!u.muted })));
-    }
-  });
-
-  // Periodically prune users for all rooms (handles abrupt reloads/network drops)
-  setInterval(() => {
-    try {
-      for (const room of Object.keys(roomData)) {
-        const before = roomData[room]?.users?.size || 0;
-        pruneRoomUsers(room);
-        const after = roomData[room]?.users?.size || 0;
-        if (before !== after) {
-          io.to(room).emit('user-list', Array.from(roomData[room].users.entries()).map(([id, u]) => ({ id, name: u.name, role: u.role, muted: !!u.muted })));
-        }
-      }
-    } catch { }
-  }, 10000); // every 10s
-
-  socket.on("file-uploaded", ({ filename, originalName, room }) => {
-    if (!roomData[room]) return;
-
-    const fileEntry = {
-      filename,
-      originalName,
-      timestamp: Date.now(),
-    };
-    roomData[room].files.push(fileEntry);
-
-    const payload = {
-      link: `/uploads/${room}/${filename}`,
-      name: originalName,
-      filename,
-    };
-
-    io.to(room).emit("file-uploaded", payload);
-  });
+    res.json({
+      success: true,
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      room,
+      size: fileSize,
+      sizeFormatted: fileSizeKB > 1024 ? `${Math.round(fileSizeKB / 1024)}MB` : `${fileSizeKB}KB`
+    });
+  } catch (error) {
+    console.error('❌ File upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process file upload'
+    });
+  }
 });
 
-// Error handling middleware for multer
+// Error handling middleware for multer; registered after the upload route so its errors reach it
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        error: 'File too large. Maximum size is 10MB.'
+        error: `File too large. Maximum size is ${MAX_FILE_SIZE_MB}MB.`
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
@@ -1288,7 +1269,7 @@ app.use((error, req, res, next) => {
   if (error.message === 'File type not allowed') {
     return res.status(400).json({
       success: false,
-      error: 'File type not allowed. Please upload documents, images, or videos.'
+      error: 'This type of file is not allowed in this room.'
     });
   }
 
@@ -1296,39 +1277,6 @@ app.use((error, req, res, next) => {
   res.status(500).json({ success: false, error: 'Upload failed' });
 });
 
-// File upload handler
-app.post("/upload", upload.single("file"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file provided'
-      });
-    }
-
-    const room = resolveRoomFromReq(req);
-    const fileSize = req.file.size;
-    const fileSizeKB = Math.round(fileSize / 1024);
-
-    console.log(`📁 Uploaded file to room: ${room}, file: ${req.file.filename} (${fileSizeKB}KB)`);
-
-    res.json({
-      success: true,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      room,
-      size: fileSize,
-      sizeFormatted: fileSizeKB > 1024 ? `${Math.round(fileSizeKB / 1024)}MB` : `${fileSizeKB}KB`
-    });
-  } catch (error) {
-    console.error('❌ File upload error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process file upload'
-    });
-  }
-});
-
 // List available rooms (memory + disk folders)
 app.get("/rooms", async (req, res) => {
   try {
@@ -1349,20 +1297,12 @@ app.get("/rooms", async (req, res) => {
 });
 
 // Delete a file in a room
-app.delete("/upload", async (req, res) => {
+app.delete("/upload", validateRequest({ query: { ...uploadQuery, filename: UPLOADED_FILENAME_SCHEMA } }), forwardToOwner(resolveRoomFromReq), requireUploader, async (req, res) => {
   try {
     const room = resolveRoomFromReq(req);
-    const filename = (req.query.filename || "").toString().trim();
 
-    if (!filename) {
-      return res.status(400).json({
-        success: false,
-        error: "Filename is required"
-      });
-    }
-
-    // Sanitize filename to prevent directory traversal
-    const sanitizedFilename = path.basename(filename);
+    // The schema already rules out paths; basename is a second guard against traversal
+    const sanitizedFilename = path.basename(req.query.filename);
     const filePath = path.join(uploadDir, room, sanitizedFilename);
 
     try {
@@ -1373,6 +1313,7 @@ app.delete("/upload", async (req, res) => {
         roomData[room].files = (roomData[room].files || []).filter(
           (f) => f.filename !== sanitizedFilename
         );
+        persistRoom(room);
         io.to(room).emit("file-deleted", { filename: sanitizedFilename });
       }
 
@@ -1393,8 +1334,296 @@ app.delete("/upload", async (req, res) => {
   }
 });
 
+// ===== EXPORT / IMPORT =====
+
+const IMPORT_MODES = ['replace', 'append'];
+const IMPORT_USER_ID = 'import'; // Recorded as the author of imported text
+
+/**
+ * REST requests get the same checks as joining: banned IPs are turned away (unless the
+ * request carries the admin token, as the owner always gets in), private rooms need the
+ * password (X-Room-Password header, throttled like joins) or an invite the client joined
+ * with (X-Room-Invite), and LAN rooms a client on the same subnet that knows the room's
+ * code if it requires one (X-Lan-Code, throttled the same way).
+ * Resolves to { status, error, retryAfterMs }, or null if the request may read/write the room.
+ */
+async function roomAccessError(req, room, info) {
+  const ban = !tokenMatches(req.get("x-admin-token"), info.adminToken) && findBan(info, { ip: getRequestIp(req) });
+  if (ban) {
+    return { status: 403, error: banMessage(ban), retryAfterMs: 0 };
+  }
+  const inviteToken = req.get("x-room-invite");
+  if (info.isPrivate && !(inviteToken && findInvite(room, inviteToken))) {
+    const result = await checkRoomPassword(info, room, getRequestIp(req), req.get("x-room-password") || "");
+    if (!result.ok) {
+      return { status: result.locked ? 429 : 403, error: result.error, retryAfterMs: result.retryAfterMs };
+    }
+  }
+  if (info.isLAN && info.lanIPs.length > 0 && !isOnRoomLan(info, getRequestIp(req))) {
+    return { status: 403, error: "Access denied. Not on same Wi-Fi.", retryAfterMs: 0 };
+  }
+  if (needsLanCode(info)) {
+    const result = await checkLanCode(info, room, getRequestIp(req), req.get("x-lan-code"));
+    if (!result.ok) {
+      return { status: result.locked ? 429 : 403, error: result.error, retryAfterMs: result.retryAfterMs };
+    }
+  }
+  return null;
+}
+
+function sendAccessDenied(res, denied) {
+  if (denied.retryAfterMs > 0) {
+    res.set("Retry-After", String(Math.ceil(denied.retryAfterMs / 1000)));
+  }
+  res.status(denied.status).json({ success: false, error: denied.error, retryAfterMs: denied.retryAfterMs });
+}
+
+// Rooms created by an import start out like a room created by joining it
+function createRoomForImport(room, req) {
+  roomData[room] = createRoom({
+    isLAN: room.startsWith("lan_"),
+    lanIPs: room.startsWith("lan_") ? [getRequestIp(req)] : [],
+  });
+  return roomData[room];
+}
+
+function createImportedDocument(info, fields, index) {
+  const language = String(fields.language || '').toLowerCase();
+  const doc = createDocument({
+    id: info.nextDocumentId++,
+    name: sanitizeDocumentName(fields.name) || `Imported ${index + 1}`,
+    format: fields.format,
+    language: fields.format === 'code' && DOCUMENT_LANGUAGE_PATTERN.test(language) ? language : null,
+    text: fields.text.replace(/\r\n?/g, "\n"),
+  });
+  recordRevision(info, doc, IMPORT_USER_ID, { label: 'Imported' });
+  return doc;
+}
+
+// Download a room's documents as txt, md, html or a json archive; `docId` limits it to one document
+app.get("/rooms/:room/export", validateRequest({
+  params: roomParams,
+  query: { format: { ...formatQuery, default: "txt" }, docId: docIdQuery },
+}), forwardToOwner(roomParam), async (req, res) => {
+  const room = req.params.room.trim();
+  const format = req.query.format;
+  const info = roomData[room];
+
+  if (!info) {
+    return res.status(404).json({ success: false, error: "Room not found" });
+  }
+  const denied = await roomAccessError(req, room, info);
+  if (denied) {
+    return sendAccessDenied(res, denied);
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    });
+  }
+
+  let documents = info.documents;
+  if (req.query.docId !== undefined) {
+    const doc = findDocument(info, req.query.docId);
+    if (!doc) {
+      return res.status(404).json({ success: false, error: "Document not found" });
+    }
+    documents = [doc];
+  }
+
+  const { body, contentType, filename } = exportRoom(room, info, { format, documents });
+  res.set("Content-Type", contentType);
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(body);
+});
+
+/**
+ * Import into a room (created if it does not exist)
+ *   format=txt|md - body is the text (text/plain, or JSON { text }); it replaces or is
+ *                   appended to document `docId` (default: the first one)
+ *   format=json   - body is a json export; its documents replace the room's documents
+ *                   (admin only: X-Admin-Token, or X-Socket-Id and X-Socket-Token of an admin) or are appended as new tabs
+ * Importing into an existing room needs edit rights in it (see importEditError).
+ * Text goes through the operation log, so connected editors stay in sync.
+ */
+app.post("/rooms/:room/import", express.text({ type: "text/*", limit: "1mb" }), validateRequest({
+  params: roomParams,
+  query: {
+    format: { ...formatQuery, default: "txt" },
+    mode: { type: 'string', max: 20, default: "replace" },
+    docId: docIdQuery,
+  },
+}), forwardToOwner(roomParam), async (req, res) => {
+  try {
+    const room = req.params.room.trim();
+    const { format, mode } = req.query;
+
+    if (!room) {
+      return res.status(400).json({ success: false, error: "Room is required" });
+    }
+    if (!["txt", "md", "json"].includes(format)) {
+      return res.status(400).json({ success: false, error: "Format must be one of: txt, md, json" });
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, error: "Mode must be replace or append" });
+    }
+
+    const existing = roomData[room];
+    if (existing) {
+      const denied = await roomAccessError(req, room, existing);
+      if (denied) {
+        return sendAccessDenied(res, denied);
+      }
+      const editError = importEditError(req, existing);
+      if (editError) {
+        return res.status(403).json({ success: false, error: editError });
+      }
+    }
+
+    if (format === "json") {
+      let archive;
+      try {
+        archive = parseArchive(typeof req.body === "string" ? JSON.parse(req.body) : req.body);
+      } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+      }
+
+      const appending = mode === "append" && existing;
+      const total = archive.documents.length + (appending ? existing.documents.length : 0);
+      if (total > MAX_DOCUMENTS) {
+        return res.status(400).json({ success: false, error: `A room can hold at most ${MAX_DOCUMENTS} documents` });
+      }
+      // Replacing throws away every document and its history, like deleting them all
+      const isAdmin = tokenMatches(req.get("x-admin-token"), existing?.adminToken) ||
+        !permissionError(requestUser(req, existing), "deleteDocuments");
+      if (mode === "replace" && existing?.adminToken && !isAdmin) {
+        return res.status(403).json({ success: false, error: "Only admins can replace all documents" });
+      }
+
+      const info = existing || createRoomForImport(room, req);
+      const imported = archive.documents.map((fields, index) => createImportedDocument(info, fields, index));
+
+      if (appending) {
+        info.documents.push(...imported);
+      } else {
+        info.documents = imported;
+        info.exclusiveEditing = archive.settings.exclusiveEditing;
+        for (const member of info.users.values()) delete member.cursor;
+      }
+
+      io.to(room).emit("documents", {
+        documents: documentList(info),
+        action: { type: 'imported', count: imported.length, mode, userId: IMPORT_USER_ID, userName: 'An import' },
+      });
+      for (const doc of imported) io.to(room).emit("text", textSnapshot(doc));
+      if (!appending) io.to(room).emit("exclusive-editing-changed", { enabled: Boolean(info.exclusiveEditing) });
+
+      persistRoom(room);
+      console.log(`📥 Imported ${imported.length} document(s) into room ${room} (${mode})`);
+      return res.json({ success: true, room, documents: documentList(info) });
+    }
+
+    const text = typeof req.body === "string" ? req.body : req.body?.text;
+    if (typeof text !== "string") {
+      return res.status(400).json({ success: false, error: "No text provided" });
+    }
+
+    const info = existing || createRoomForImport(room, req);
+    const doc = findDocument(info, req.query.docId);
+    if (!doc) {
+      return res.status(404).json({ success: false, error: "Document not found" });
+    }
+
+    const incoming = text.replace(/\r\n?/g, "\n");
+    const separator = doc.text && !doc.text.endsWith("\n") ? "\n" : "";
+    const nextText = mode === "append" ? doc.text + separator + incoming : incoming;
+    const ops = TextOperations.diffToOps(doc.text, nextText);
+
+    if (ops.length > 0) {
+      applyTextOperation(info, doc, doc.revision, ops, IMPORT_USER_ID, {
+        label: mode === "append" ? 'Appended import' : 'Imported',
+      });
+      io.to(room).emit("text-op", { docId: doc.id, ops, revision: doc.revision, userId: IMPORT_USER_ID });
+    }
+
+    // Markdown replacing a plain document is previewed as Markdown
+    if (format === "md" && mode === "replace" && doc.format === 'plain') {
+      doc.format = 'markdown';
+      io.to(room).emit("documents", {
+        documents: documentList(info),
+        action: { type: 'format', docId: doc.id, name: doc.name, format: doc.format, language: null, userId: IMPORT_USER_ID, userName: 'An import' },
+      });
+    }
+
+    persistRoom(room);
+    console.log(`📥 Imported ${incoming.length} characters into "${doc.name}" in room ${room} (${mode})`);
+    res.json({ success: true, room, docId: doc.id, revision: doc.revision, length: doc.text.length });
+  } catch (e) {
+    console.error("❌ Import error:", e);
+    res.status(500).json({ success: false, error: "Failed to import" });
+  }
+});
+
+// ===== OPERATOR STATS =====
+
+// Operators can read these from the server itself, or from anywhere with METRICS_TOKEN
+const isLoopback = createAddressMatcher(['loopback']);
+
+function requireOperator(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  const allowed = token ? req.get("authorization") === `Bearer ${token}` : isLoopback(getRequestIp(req));
+  if (!allowed) return res.status(403).json({ success: false, error: "Forbidden" });
+  next();
+}
+
+// Rate limiter counters per socket event since the server started
+app.get("/stats/rate-limits", requireOperator, (req, res) => {
+  res.json({ success: true, limits: rateLimiter.limits, ...rateLimiter.stats() });
+});
+
+// ===== SEARCH =====
+
+const SEARCH_LIMIT_MAX = 200;
+
+// Find text in a room's documents, file names and chat history
+app.get("/rooms/:room/search", validateRequest({
+  params: roomParams,
+  query: {
+    q: { type: 'string', max: 200 },
+    limit: { type: 'integer', min: 1, coerce: true },
+  },
+}), forwardToOwner(roomParam), async (req, res) => {
+  const room = req.params.room.trim();
+  const info = roomData[room];
+
+  if (!info) {
+    return res.status(404).json({ success: false, error: "Room not found" });
+  }
+  const denied = await roomAccessError(req, room, info);
+  if (denied) {
+    return sendAccessDenied(res, denied);
+  }
+
+  const limit = Math.min(req.query.limit || 50, SEARCH_LIMIT_MAX);
+  try {
+    res.json({ success: true, ...searchRoom(info, req.query.q, { limit }) });
+  } catch (e) {
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+
 // SPA fallback
 app.get("*", (req, res) => {
+  // Invite links (/invite/<token>) open the app with the token in the query string,
+  // so the page's relative asset URLs still resolve
+  const invite = /^\/invite\/([^/]+)\/?$/.exec(req.path);
+  if (invite) {
+    if (!decodeInviteToken(invite[1])) {
+      return res.redirect("/?inviteError=invalid");
+    }
+    return res.redirect(`/?invite=${encodeURIComponent(invite[1])}`);
+  }
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
@@ -1411,25 +1640,28 @@ process.on('unhandledRejection', (reason, promise) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
-  http.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
-  });
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
+  shutdown();
+});
+
+// Write pending room changes before exiting, then let other instances take the rooms over
+function shutdown() {
   http.close(() => {
     console.log('✅ Server closed');
+  });
+  roomPersister.flushAll().then(() => roomRouter?.stop()).finally(() => {
+    console.log('💾 Room state saved');
     process.exit(0);
   });
-});
-
-// Start server
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || 'localhost';
+}
 
-http.listen(PORT, () => {
+// Start server: a single instance loads every saved room up front; with several, each
+// room is loaded by the instance that first needs it
+(roomRouter ? roomRouter.start() : rehydrateRooms()).then(() => http.listen(PORT, () => {
   console.log('🚀 TeamUp Server Started');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`✅ Server running at http://${HOST}:${PORT}`);
@@ -1440,7 +1672,7 @@ http.listen(PORT, () => {
   console.log(`💾 Memory usage: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`🌍 Open your browser and go to: http://${HOST}:${PORT}`);
-});
+}));
 
 // Log server statistics periodically
 setInterval(() => {
@@ -0,0 +1,516 @@
+/**
+ * Running Several Instances
+ * Each room is served by one instance at a time, its owner: the one holding the room's
+ * lease in the shared store (see utils/room-store.js). Only the owner keeps the room in
+ * roomData, so edits, locks and the user list have one source of truth. A socket stays
+ * connected to whichever instance the load balancer picked (its home); when it sends
+ * an event for a room owned elsewhere, the home forwards the event to the owner over
+ * Redis pub/sub and passes the owner's ack back.
+ *
+ * On the owner, a forwarded socket is represented by a RemoteSocket, which the handlers
+ * use like a real one: emits, joins and leaves go through the Socket.IO adapter (see
+ * utils/redis-adapter.js), so they reach the real socket, and changes to `socket.data`
+ * (joining, leaving, being kicked) are sent back to the home.
+ *
+ * Whoever first needs a room that nobody owns claims it and loads its snapshot. Owners
+ * renew their leases while they run and release them on shutdown. Instances announce
+ * themselves every few seconds; when one goes quiet, its sockets are treated as
+ * disconnected in the rooms others own. Rooms it owned go to whoever needs them next,
+ * from their last saved snapshot, and the people in them join again.
+ *
+ * HTTP requests passed on to an owner carry X-TeamUp-Forwarded: the sender's id and an
+ * HMAC of the request line under the secret the instances share. Only a request signed
+ * that way is answered without routing it again, and an instance checks its lease
+ * before it changes a room for one.
+ */
+
+const crypto = require('crypto');
+const { FAILED } = require('./registry');
+
+// Handled where the socket is connected, whatever room it is in
+const LOCAL_EVENTS = new Set(['get-rooms']);
+// The owner's view of a socket's connection: what getIp and invite links read
+const HANDSHAKE_HEADERS = ['x-forwarded-for', 'origin', 'host'];
+
+// The room a socket's events are about: the one it is in, or waiting in the lobby of
+function currentRoom(data) {
+    return data.room || data.pendingRoom || null;
+}
+
+/**
+ * A socket connected to another instance, as seen by the owner of its room
+ */
+class RemoteSocket {
+    /**
+     * @param {RoomRouter} router
+     * @param {string} home - Id of the instance the socket is connected to
+     * @param {Object} described - See RoomRouter.describe()
+     */
+    constructor(router, home, described) {
+        this.router = router;
+        this.id = described.id;
+        this.home = home;
+        this.update(described);
+    }
+
+    // The home's copy is the truth; it comes along with every forwarded event. Changes
+    // are sent home straight away, so they arrive ahead of anything emitted after them.
+    update({ data, connected, rooms, handshake }) {
+        this.connected = connected;
+        this.rooms = new Set(rooms);
+        this.handshake = handshake;
+        this.data = new Proxy({ ...data }, {
+            set: (target, key, value) => {
+                const fromRoom = currentRoom(target);
+                target[key] = value;
+                this.router.syncData(this, fromRoom);
+                return true;
+            },
+        });
+    }
+
+    emit(event, ...args) {
+        this.router.io.to(this.id).emit(event, ...args);
+        return true;
+    }
+
+    // Everyone in the room but this socket
+    to(room) {
+        return this.router.io.to(room).except(this.id);
+    }
+
+    join(room) {
+        this.rooms.add(room);
+        this.router.io.in(this.id).socketsJoin(room);
+    }
+
+    leave(room) {
+        this.rooms.delete(room);
+        this.router.io.in(this.id).socketsLeave(room);
+    }
+
+    disconnect(close = false) {
+        this.router.io.in(this.id).disconnectSockets(close);
+        return this;
+    }
+}
+
+class RoomRouter {
+    /**
+     * @param {Object} options
+     * @param {import('socket.io').Server} options.io - Using the Redis adapter
+     * @param {Object} options.roomData - Rooms this instance owns
+     * @param {Object} options.store - Room store with leases (claim/release)
+     * @param {{id: string, url: string}} options.node - This instance; `url` is where the others reach its HTTP routes
+     * @param {string} options.secret - Shared by every instance; signs HTTP requests passed on between them
+     * @param {import('../utils/resp-client').RespClient} options.publisher
+     * @param {import('../utils/resp-client').RespClient} options.subscriber
+     * @param {(room: string) => Promise} [options.onClaim] - Load a room this instance just became the owner of
+     * @param {(room: string) => void} [options.onLost] - Forget a room another instance has taken over
+     */
+    constructor({
+        io, roomData, store, node, secret, publisher, subscriber,
+        onClaim = async () => { }, onLost = () => { },
+        prefix = 'teamup:', leaseMs = 15 * 1000, ownerCacheMs = 2000, requestTimeoutMs = 10 * 1000,
+        heartbeatMs = 5000, heartbeatTimeoutMs = 15 * 1000,
+    }) {
+        this.io = io;
+        this.roomData = roomData;
+        this.store = store;
+        this.node = node;
+        this.secret = secret;
+        this.publisher = publisher;
+        this.subscriber = subscriber;
+        this.onClaim = onClaim;
+        this.onLost = onLost;
+        this.prefix = prefix;
+        this.leaseMs = leaseMs;
+        this.ownerCacheMs = ownerCacheMs;
+        this.requestTimeoutMs = requestTimeoutMs;
+        this.heartbeatMs = heartbeatMs;
+        this.heartbeatTimeoutMs = heartbeatTimeoutMs;
+
+        this.registry = null;
+        this.owners = new Map(); // room -> { owner, until }: rooms owned elsewhere, briefly remembered
+        this.claims = new Map(); // room -> Promise of the owner, while a claim is in flight
+        this.queues = new Map(); // socketId -> Promise: events of a socket wait for the one before
+        this.requests = new Map(); // requestId -> { resolve, reject, timer }: events forwarded by this instance
+        this.proxies = new Map(); // socketId -> RemoteSocket: sockets elsewhere in rooms owned here
+        this.seen = new Map(); // instance id -> when it was last heard from
+        this.timers = [];
+    }
+
+    /**
+     * @param {import('./registry').HandlerRegistry} registry - Runs the events
+     */
+    use(registry) {
+        this.registry = registry;
+    }
+
+    channelFor(nodeId) {
+        return `${this.prefix}node:${nodeId}`;
+    }
+
+    // Listen for forwarded events and other instances, and keep leases alive
+    async start() {
+        const receive = (handle) => (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch {
+                return console.warn('⚠️ Ignoring malformed cluster message');
+            }
+            handle(message);
+        };
+        await this.subscriber.subscribe(this.channelFor(this.node.id), receive(message => this.receive(message)));
+        await this.subscriber.subscribe(`${this.prefix}nodes`, receive(message => this.receiveNode(message)));
+
+        this.timers.push(setInterval(() => {
+            this.renewLeases().catch(error => console.error('❌ Could not renew room leases:', error.message));
+        }, Math.floor(this.leaseMs / 3)));
+        this.timers.push(setInterval(() => {
+            this.announce('heartbeat');
+            this.sweep();
+        }, this.heartbeatMs));
+        this.announce('heartbeat');
+        console.log(`🔗 Cluster node ${this.node.id} ready (${this.node.url})`);
+    }
+
+    // Give up this instance's rooms, after their state has been saved
+    async stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        await this.announce('leaving');
+        await Promise.allSettled(Object.keys(this.roomData).map(room => this.store.release(room, this.node)));
+    }
+
+    announce(type) {
+        return this.publisher.publish(`${this.prefix}nodes`, JSON.stringify({ type, id: this.node.id }))
+            .catch(error => console.error('❌ Cluster announcement failed:', error.message));
+    }
+
+    send(nodeId, message) {
+        return this.publisher.publish(this.channelFor(nodeId), JSON.stringify(message));
+    }
+
+    /**
+     * Which instance serves a room, claiming it for this one if nobody does
+     * @param {string} room
+     * @returns {Promise<{id: string, url: string}>}
+     */
+    async ownerOf(room) {
+        if (this.roomData[room]) return this.node;
+        const cached = this.owners.get(room);
+        if (cached && cached.until > Date.now()) return cached.owner;
+
+        if (!this.claims.has(room)) {
+            const claim = this.claim(room).finally(() => this.claims.delete(room));
+            this.claims.set(room, claim);
+        }
+        return this.claims.get(room);
+    }
+
+    async claim(room) {
+        const owner = await this.store.claim(room, this.node, this.leaseMs);
+        if (owner.id !== this.node.id) {
+            this.owners.set(room, { owner, until: Date.now() + this.ownerCacheMs });
+            return owner;
+        }
+        this.owners.delete(room);
+        if (!this.roomData[room]) await this.onClaim(room);
+        return this.node;
+    }
+
+    async renewLeases() {
+        for (const room of Object.keys(this.roomData)) {
+            const owner = await this.store.claim(room, this.node, this.leaseMs);
+            if (owner.id !== this.node.id) this.lose(room, owner);
+        }
+    }
+
+    /**
+     * Ask the store, not the cache, whether this instance holds a room's lease (taking it
+     * if the room is free), before changing the room
+     * @param {string} room
+     * @returns {Promise<boolean>}
+     */
+    async holdsLease(room) {
+        const owner = await this.claim(room);
+        if (owner.id === this.node.id) return true;
+        if (this.roomData[room]) this.lose(room, owner);
+        return false;
+    }
+
+    lose(room, owner) {
+        console.warn(`⚠️ Room ${room} is now served by ${owner.id}; dropping it here`);
+        this.onLost(room);
+        for (const proxy of Array.from(this.proxies.values())) this.dropIfGone(proxy);
+    }
+
+    signature(nodeId, method, url) {
+        return crypto.createHmac('sha256', this.secret).update(`forward:${nodeId}:${method}:${url}`).digest('base64url');
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} url - Path and query
+     * @returns {string} X-TeamUp-Forwarded value for passing this request on
+     */
+    signRequest(method, url) {
+        return `${this.node.id}.${this.signature(this.node.id, method, url)}`;
+    }
+
+    /**
+     * @param {string} header - X-TeamUp-Forwarded as received
+     * @returns {boolean} Whether another instance passed the request on
+     */
+    verifyRequest(header, method, url) {
+        if (typeof header !== 'string' || !this.secret) return false;
+        const [nodeId, signature, extra] = header.split('.');
+        if (!nodeId || !signature || extra !== undefined) return false;
+        const expected = Buffer.from(this.signature(nodeId, method, url));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Run an event where its room is (see HandlerRegistry.dispatch). Events of a socket
+     * that follow one still in flight elsewhere, or a join (which may move the socket
+     * to another instance's room), wait their turn.
+     * @returns {Promise|undefined}
+     */
+    route(socket, event, payload, ack) {
+        const room = this.roomFor(socket.data, event, payload);
+        const queued = this.queues.get(socket.id);
+        if (!queued && event !== 'join' && (!room || this.roomData[room])) {
+            return this.registry.run(socket, event, payload, ack);
+        }
+
+        const task = (queued || Promise.resolve()).then(() => this.deliver(socket, event, payload, ack));
+        const tail = task.catch(() => { }).then(() => {
+            if (this.queues.get(socket.id) === tail) this.queues.delete(socket.id);
+        });
+        this.queues.set(socket.id, tail);
+        return task;
+    }
+
+    roomFor(data, event, payload) {
+        if (LOCAL_EVENTS.has(event)) return null;
+        if (event === 'join') return payload.room;
+        return currentRoom(data);
+    }
+
+    async deliver(socket, event, payload, ack, retried = false) {
+        const before = { ...socket.data };
+        const room = this.roomFor(before, event, payload);
+        let owner = this.node;
+        try {
+            if (room) owner = await this.ownerOf(room);
+            if (owner.id === this.node.id) {
+                await this.registry.run(socket, event, payload, ack);
+            } else {
+                const wantsAck = typeof ack === 'function';
+                const reply = await this.forward(owner, this.describe(socket), event, payload, wantsAck);
+                if (reply.moved && !retried) {
+                    this.owners.delete(room);
+                    return this.deliver(socket, event, payload, ack, true);
+                }
+                if (reply.moved || reply.error) throw new Error(`${owner.id} could not run ${event}`);
+                if (wantsAck && 'ack' in reply) ack(reply.ack);
+            }
+        } catch (error) {
+            console.error(`❌ Could not run ${event} for ${socket.id} in room ${room}:`, error.message);
+            this.owners.delete(room);
+            return this.registry.refuse(socket, event, ack, 'This room is not available right now; try again', FAILED);
+        }
+        if (event === 'join') await this.leaveBehind(socket, before, owner);
+        return undefined;
+    }
+
+    /**
+     * A socket that joined a room on one instance may have left one owned by another,
+     * whose handlers did not see it go: run 'leave' there, as the socket was before
+     */
+    async leaveBehind(socket, before, ranOn) {
+        const left = currentRoom(before);
+        if (!left || left === currentRoom(socket.data)) return;
+        try {
+            const owner = await this.ownerOf(left);
+            if (owner.id === ranOn.id) return;
+            if (owner.id === this.node.id) {
+                const asBefore = Object.create(socket);
+                asBefore.data = { ...before };
+                await this.registry.run(asBefore, 'leave', undefined, undefined);
+            } else {
+                await this.forward(owner, { ...this.describe(socket), data: before }, 'leave', undefined, false);
+            }
+        } catch (error) {
+            console.error(`❌ Could not take ${socket.id} out of room ${left}:`, error.message);
+        }
+    }
+
+    // What the owner needs to stand in for a socket
+    describe(socket) {
+        const headers = {};
+        for (const name of HANDSHAKE_HEADERS) {
+            if (socket.handshake.headers[name] !== undefined) headers[name] = socket.handshake.headers[name];
+        }
+        return {
+            id: socket.id,
+            data: { ...socket.data },
+            connected: socket.connected,
+            rooms: Array.from(socket.rooms || []),
+            handshake: { address: socket.handshake.address, headers },
+        };
+    }
+
+    forward(owner, described, event, payload, wantsAck) {
+        const requestId = crypto.randomUUID();
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.requests.delete(requestId);
+                reject(new Error(`${owner.id} did not answer`));
+            }, this.requestTimeoutMs);
+            this.requests.set(requestId, { resolve, reject, timer });
+            this.send(owner.id, { type: 'dispatch', requestId, from: this.node.id, socket: described, event, payload, wantsAck })
+                .catch((error) => {
+                    clearTimeout(timer);
+                    this.requests.delete(requestId);
+                    reject(error);
+                });
+        });
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case 'dispatch':
+                this.seen.set(message.from, Date.now());
+                return this.handleDispatch(message);
+            case 'reply': {
+                const request = this.requests.get(message.requestId);
+                if (!request) return undefined;
+                clearTimeout(request.timer);
+                this.requests.delete(message.requestId);
+                return request.resolve(message);
+            }
+            case 'socket-data':
+                return this.applyData(message);
+            case 'rejoin': {
+                const socket = this.io.sockets.sockets.get(message.socketId);
+                return socket && this.route(socket, 'join', message.payload);
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    receiveNode({ type, id }) {
+        if (id === this.node.id) return;
+        if (type === 'heartbeat') this.seen.set(id, Date.now());
+        if (type === 'leaving') this.nodeGone(id);
+    }
+
+    // Owner side: run an event for a socket connected elsewhere
+    async handleDispatch({ requestId, from, socket: described, event, payload, wantsAck }) {
+        const respond = (reply) => this.send(from, { type: 'reply', requestId, ...reply })
+            .catch(error => console.error('❌ Could not answer a forwarded event:', error.message));
+        try {
+            const room = this.roomFor(described.data, event, payload);
+            const owner = room ? await this.ownerOf(room) : this.node;
+            if (owner.id !== this.node.id) return respond({ moved: true });
+
+            let proxy = this.proxies.get(described.id);
+            if (proxy) {
+                proxy.home = from;
+                proxy.update(described);
+            } else {
+                proxy = new RemoteSocket(this, from, described);
+                this.proxies.set(proxy.id, proxy);
+            }
+
+            let acked = false;
+            let ackValue;
+            const ack = wantsAck ? (value) => {
+                acked = true;
+                ackValue = value;
+            } : undefined;
+            await this.registry.run(proxy, event, payload, ack);
+            this.dropIfGone(proxy);
+            return respond(acked ? { ack: ackValue } : {});
+        } catch (error) {
+            console.error(`❌ Forwarded ${event} failed:`, error);
+            return respond({ error: 'failed' });
+        }
+    }
+
+    // Send a stand-in's socket.data to the socket's home after a change
+    syncData(proxy, fromRoom) {
+        this.send(proxy.home, { type: 'socket-data', socketId: proxy.id, fromRoom, data: { ...proxy.data } })
+            .catch(error => console.error('❌ Could not sync socket data:', error.message));
+    }
+
+    // Home side: the owner changed one of this instance's sockets. Changes made while the
+    // socket was in a room it has since left are stale.
+    applyData({ socketId, fromRoom, data }) {
+        const socket = this.io.sockets.sockets.get(socketId);
+        if (!socket || currentRoom(socket.data) !== fromRoom) return;
+        Object.assign(socket.data, data);
+    }
+
+    // Stand-ins are kept while their socket is in (or waiting for) a room owned here;
+    // checked after each event, and for changes made by others' events, on every sweep
+    dropIfGone(proxy) {
+        const room = currentRoom(proxy.data);
+        if (proxy.connected && room && this.roomData[room]) return;
+        if (this.proxies.get(proxy.id) === proxy) this.proxies.delete(proxy.id);
+    }
+
+    /**
+     * The socket with this id, connected here or standing in for one in a room owned here
+     * @returns {Object|undefined}
+     */
+    findSocket(socketId) {
+        return this.io.sockets.sockets.get(socketId) || this.proxies.get(socketId);
+    }
+
+    /**
+     * Have a socket join a room as if it had asked to, wherever it is connected (a
+     * kicked user is sent to "world", which may be served by another instance)
+     */
+    rejoin(socketId, payload) {
+        const proxy = this.proxies.get(socketId);
+        if (proxy) {
+            return this.send(proxy.home, { type: 'rejoin', socketId, payload })
+                .catch(error => console.error('❌ Could not move a socket:', error.message));
+        }
+        const socket = this.io.sockets.sockets.get(socketId);
+        return socket ? this.route(socket, 'join', payload) : undefined;
+    }
+
+    // Instances that stopped announcing themselves have lost their sockets
+    sweep() {
+        const cutoff = Date.now() - this.heartbeatTimeoutMs;
+        for (const [id, lastSeen] of this.seen) {
+            if (lastSeen < cutoff) this.nodeGone(id);
+        }
+        for (const proxy of Array.from(this.proxies.values())) this.dropIfGone(proxy);
+    }
+
+    nodeGone(id) {
+        this.seen.delete(id);
+        for (const [room, { owner }] of this.owners) {
+            if (owner.id === id) this.owners.delete(room);
+        }
+        for (const proxy of Array.from(this.proxies.values())) {
+            if (proxy.home !== id) continue;
+            proxy.connected = false;
+            this.proxies.delete(proxy.id);
+            this.registry.run(proxy, 'disconnect', 'transport close', undefined);
+        }
+    }
+}
+
+module.exports = {
+    RemoteSocket,
+    RoomRouter,
+};
@@ -0,0 +1,453 @@
+/**
+ * Editor Socket Handlers
+ * Collaborative text editing: operations, cursors, documents (tabs), comments,
+ * revision history and the typing lock used by exclusive editing.
+ */
+
+const TextOperations = require('../public/js/text-operations');
+const RoomPermissions = require('../public/js/room-permissions');
+const { diffLines, diffStats } = require('../utils/text-diff');
+const { identityTag } = require('../utils/identity');
+const { permissionError, inRoom, requirePermission, requireAdmin, notMuted, withDocument } = require('./middleware');
+
+const TYPING_LOCK_TIMEOUT = 30000; // 30 seconds
+const TYPING_IDLE_RELEASE = 3000; // A lock holder who stops typing gives the lock up after this
+const DOCUMENT_FORMATS = ['plain', 'markdown', 'code']; // How the preview pane renders a document
+const COMMENT_QUOTE_MAX = 200; // Commented text kept for display once it has been edited away
+const MAX_COMMENTS = 200; // Threads per document
+const MAX_COMMENT_REPLIES = 100;
+
+const canEdit = [inRoom, requirePermission('edit'), notMuted];
+const canComment = [inRoom, requirePermission('comment'), notMuted];
+
+/**
+ * @param {import('./registry').HandlerRegistry} registry
+ * @param {Object} app - Server state and helpers (see server.js)
+ */
+function registerEditorHandlers(registry, app) {
+    const {
+        io, persistRoom, createDocument, findDocument, documentList, sanitizeDocumentName, applyTextOperation,
+        revisionSummary, rebaseCursor, cursorList, commentList, sanitizeCommentText, textSnapshot,
+        MAX_DOCUMENTS, DOCUMENT_LANGUAGE_PATTERN, identitySecret,
+    } = app;
+
+    // Incremental edit: { docId, revision, ops } made against `revision` of that document
+    registry.on("text-op", inRoom, withDocument(), ({ socket, room, info, user, doc, payload: { revision, ops } = {}, reply, fail }) => {
+        const rejectAndResync = (error) => {
+            socket.emit("text", textSnapshot(doc));
+            fail(error);
+        };
+
+        const denied = permissionError(user, 'edit');
+        if (denied) return rejectAndResync(denied);
+        if (user.muted) return rejectAndResync('You are muted');
+        if (info.exclusiveEditing && doc.typingLock?.lockedBy !== socket.id) {
+            return rejectAndResync('Another member holds the editing lock');
+        }
+
+        const cleanOps = TextOperations.normalizeOps(ops);
+        if (!cleanOps || !Number.isInteger(revision)) return rejectAndResync('Invalid operation');
+
+        try {
+            const applied = applyTextOperation(info, doc, revision, cleanOps, socket.id);
+            if (!applied) return rejectAndResync('Revision is too old');
+
+            socket.to(room).emit("text-op", { docId: doc.id, ops: applied, revision: doc.revision, userId: socket.id });
+            persistRoom(room);
+            reply({ ok: true, revision: doc.revision });
+        } catch (error) {
+            console.error("❌ Text operation error:", error.message);
+            rejectAndResync('Operation could not be applied');
+        }
+    });
+
+    // Legacy full-text update; converted to an operation against the latest revision
+    registry.on("text", ...canEdit, withDocument(), ({ socket, room, info, doc, payload: { text } = {} }) => {
+        if (typeof text !== 'string') return;
+        if (info.exclusiveEditing && doc.typingLock?.lockedBy !== socket.id) return;
+
+        const ops = TextOperations.diffToOps(doc.text, text);
+        if (ops.length === 0) return;
+        applyTextOperation(info, doc, doc.revision, ops, socket.id);
+        socket.to(room).emit("text-op", { docId: doc.id, ops, revision: doc.revision, userId: socket.id });
+        persistRoom(room);
+    });
+
+    // Presence: caret position and selection, reported against a document revision
+    registry.on("cursor-update", inRoom, withDocument(), ({ socket, room, user, doc, payload: { start, end, revision } = {} }) => {
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < 0) return;
+
+        const cursor = rebaseCursor(doc, start, end, revision);
+        if (!cursor) return;
+
+        user.cursor = cursor;
+        socket.to(room).emit("cursor-update", {
+            userId: socket.id,
+            docId: doc.id,
+            name: user.name,
+            start: cursor.start,
+            end: cursor.end,
+            revision: doc.revision,
+        });
+    });
+
+    // Carets in a document, e.g. after switching tabs
+    registry.on("get-cursors", inRoom, withDocument(), ({ socket, info, doc, reply }) => {
+        reply({ ok: true, docId: doc.id, cursors: cursorList(info, doc, socket.id), revision: doc.revision });
+    });
+
+    registry.on("request-text-sync", inRoom, withDocument(), ({ socket, doc }) => {
+        socket.emit("text", textSnapshot(doc));
+    });
+
+    registry.on("typing", inRoom, notMuted, ({ socket, room, payload }) => {
+        socket.to(room).emit("typing", payload);
+    });
+
+    // ===== DOCUMENTS (TABS) =====
+
+    registry.on("create-document", ...canEdit, ({ socket, room, info, user, payload: { name } = {}, reply, fail }) => {
+        if (info.documents.length >= MAX_DOCUMENTS) {
+            return fail(`A room can hold at most ${MAX_DOCUMENTS} documents`);
+        }
+
+        const doc = createDocument({
+            id: info.nextDocumentId++,
+            name: sanitizeDocumentName(name) || `Untitled ${info.documents.length + 1}`,
+        });
+        info.documents.push(doc);
+
+        io.to(room).emit("documents", {
+            documents: documentList(info),
+            action: { type: 'created', docId: doc.id, name: doc.name, userId: socket.id, userName: user.name },
+        });
+        io.to(room).emit("text", textSnapshot(doc));
+        persistRoom(room);
+        reply({ ok: true, document: { id: doc.id, name: doc.name } });
+    });
+
+    registry.on("rename-document", ...canEdit, withDocument({ allowDefault: false }), ({ socket, room, info, user, doc, payload: { name } = {}, reply, fail }) => {
+        const safe = sanitizeDocumentName(name);
+        if (!safe) return fail('Document name is required');
+
+        const previousName = doc.name;
+        doc.name = safe;
+        io.to(room).emit("documents", {
+            documents: documentList(info),
+            action: { type: 'renamed', docId: doc.id, name: safe, previousName, userId: socket.id, userName: user.name },
+        });
+        persistRoom(room);
+        reply({ ok: true });
+    });
+
+    // Preview format: plain text, Markdown, or code highlighted as `language`
+    registry.on("set-document-format", ...canEdit, withDocument({ allowDefault: false }), ({ socket, room, info, user, doc, payload: { format, language } = {}, reply, fail }) => {
+        if (!DOCUMENT_FORMATS.includes(format)) return fail('Unknown document format');
+
+        let codeLanguage = null;
+        if (format === 'code' && language !== undefined && language !== null && language !== '') {
+            codeLanguage = String(language).toLowerCase();
+            if (!DOCUMENT_LANGUAGE_PATTERN.test(codeLanguage)) return fail('Invalid language');
+        }
+
+        doc.format = format;
+        doc.language = codeLanguage;
+        io.to(room).emit("documents", {
+            documents: documentList(info),
+            action: { type: 'format', docId: doc.id, name: doc.name, format, language: codeLanguage, userId: socket.id, userName: user.name },
+        });
+        persistRoom(room);
+        reply({ ok: true });
+    });
+
+    // Deleting throws away the document's text and history, so it is admin only
+    registry.on("delete-document", inRoom, requirePermission('deleteDocuments'), withDocument({ allowDefault: false }), ({ socket, room, info, user, doc, reply, fail }) => {
+        if (info.documents.length === 1) return fail('A room needs at least one document');
+
+        info.documents = info.documents.filter(d => d.id !== doc.id);
+        for (const member of info.users.values()) {
+            if (member.cursor && member.cursor.docId === doc.id) delete member.cursor;
+        }
+
+        io.to(room).emit("documents", {
+            documents: documentList(info),
+            action: { type: 'deleted', docId: doc.id, name: doc.name, userId: socket.id, userName: user.name },
+        });
+        persistRoom(room);
+        console.log(`🗑️ ${user.name} deleted document "${doc.name}" in room ${room}`);
+        reply({ ok: true });
+    });
+
+    // New tab order: `order` must list every document id exactly once
+    registry.on("reorder-documents", ...canEdit, ({ socket, room, info, user, payload: { order } = {}, reply, fail }) => {
+        const byId = new Map(info.documents.map(d => [d.id, d]));
+        if (!Array.isArray(order) || order.length !== byId.size ||
+            new Set(order).size !== order.length || !order.every(id => byId.has(id))) {
+            return fail('Invalid document order');
+        }
+
+        info.documents = order.map(id => byId.get(id));
+        io.to(room).emit("documents", {
+            documents: documentList(info),
+            action: { type: 'reordered', userId: socket.id, userName: user.name },
+        });
+        persistRoom(room);
+        reply({ ok: true });
+    });
+
+    // ===== COMMENTS =====
+
+    registry.on("get-comments", inRoom, withDocument(), ({ doc, reply }) => {
+        reply({ ok: true, ...commentList(doc) });
+    });
+
+    // New thread on [start, end) of the document as the client saw it at `revision`
+    registry.on("add-comment", ...canComment, withDocument(), ({ socket, room, user, doc, payload: { start, end, revision, text } = {}, reply, fail }) => {
+        if (doc.comments.length >= MAX_COMMENTS) {
+            return fail(`A document can hold at most ${MAX_COMMENTS} comments`);
+        }
+
+        const body = sanitizeCommentText(text);
+        if (!body) return fail('Comment is empty');
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+            return fail('Select some text to comment on');
+        }
+        const range = rebaseCursor(doc, start, end, revision);
+        if (!range || range.start >= range.end) return fail('The selected text has changed');
+
+        const now = Date.now();
+        const comment = {
+            id: doc.nextCommentId++,
+            start: range.start,
+            end: range.end,
+            quote: doc.text.slice(range.start, range.end).slice(0, COMMENT_QUOTE_MAX),
+            text: body,
+            userId: socket.id,
+            authorTag: identityTag(identitySecret, user.userId), // Still the author after a reconnect
+            name: user.name,
+            createdAt: now,
+            resolved: false,
+            resolvedBy: null,
+            resolvedAt: null,
+            replies: [],
+        };
+        doc.comments.push(comment);
+
+        io.to(room).emit("comment-changed", {
+            docId: doc.id, revision: doc.revision, action: 'added', comment, userId: socket.id, userName: user.name,
+        });
+        persistRoom(room);
+        reply({ ok: true, comment });
+    });
+
+    function findComment(info, { docId, commentId } = {}) {
+        const doc = findDocument(info, docId);
+        const comment = doc && doc.comments.find(c => c.id === commentId);
+        return comment ? { doc, comment } : {};
+    }
+
+    registry.on("reply-comment", ...canComment, ({ socket, room, info, user, payload, reply, fail }) => {
+        const { doc, comment } = findComment(info, payload);
+        if (!comment) return fail('Comment not found');
+        if (comment.replies.length >= MAX_COMMENT_REPLIES) return fail('This thread is full');
+
+        const body = sanitizeCommentText(payload.text);
+        if (!body) return fail('Reply is empty');
+
+        comment.replies.push({ id: doc.nextCommentId++, userId: socket.id, name: user.name, text: body, createdAt: Date.now() });
+        io.to(room).emit("comment-changed", {
+            docId: doc.id, revision: doc.revision, action: 'replied', comment, userId: socket.id, userName: user.name,
+        });
+        persistRoom(room);
+        reply({ ok: true, comment });
+    });
+
+    registry.on("resolve-comment", ...canComment, ({ socket, room, info, user, payload, reply, fail }) => {
+        const { doc, comment } = findComment(info, payload);
+        if (!comment) return fail('Comment not found');
+
+        comment.resolved = Boolean(payload.resolved);
+        comment.resolvedBy = comment.resolved ? user.name : null;
+        comment.resolvedAt = comment.resolved ? Date.now() : null;
+        io.to(room).emit("comment-changed", {
+            docId: doc.id,
+            revision: doc.revision,
+            action: comment.resolved ? 'resolved' : 'reopened',
+            comment,
+            userId: socket.id,
+            userName: user.name,
+        });
+        persistRoom(room);
+        reply({ ok: true, comment });
+    });
+
+    // Threads can be deleted by their author or a moderator
+    registry.on("delete-comment", inRoom, ({ socket, room, info, user, payload, reply, fail }) => {
+        const { doc, comment } = findComment(info, payload);
+        if (!comment) return fail('Comment not found');
+        const isAuthor = comment.authorTag
+            ? comment.authorTag === identityTag(identitySecret, user.userId)
+            : comment.userId === socket.id;
+        if (!isAuthor && !RoomPermissions.can(user.role, 'moderateComments')) {
+            return fail('Only the author or a moderator can delete this comment');
+        }
+
+        doc.comments = doc.comments.filter(c => c.id !== comment.id);
+        io.to(room).emit("comment-deleted", { docId: doc.id, commentId: comment.id, userId: socket.id, userName: user.name });
+        persistRoom(room);
+        reply({ ok: true });
+    });
+
+    // ===== REVISION HISTORY =====
+
+    registry.on("get-revisions", inRoom, withDocument(), ({ doc, reply }) => {
+        reply({ ok: true, docId: doc.id, revisions: doc.revisions.map(revisionSummary).reverse() });
+    });
+
+    registry.on("get-revision", inRoom, withDocument(), ({ doc, payload: { id } = {}, reply, fail }) => {
+        const entry = doc.revisions.find(r => r.id === id);
+        if (!entry) return fail('Revision not found');
+        reply({ ok: true, revision: { ...revisionSummary(entry), text: entry.text } });
+    });
+
+    // Diff between two revisions of a document; `to` defaults to the current text
+    registry.on("get-revision-diff", inRoom, withDocument(), ({ doc, payload: { from, to } = {}, reply, fail }) => {
+        const fromEntry = doc.revisions.find(r => r.id === from);
+        const toEntry = to === undefined || to === null ? null : doc.revisions.find(r => r.id === to);
+        if (!fromEntry || (to !== undefined && to !== null && !toEntry)) {
+            return fail('Revision not found');
+        }
+
+        const diff = diffLines(fromEntry.text, toEntry ? toEntry.text : doc.text);
+        reply({ ok: true, from: fromEntry.id, to: toEntry ? toEntry.id : null, diff, stats: diffStats(diff) });
+    });
+
+    registry.on("restore-revision", inRoom, withDocument(), requirePermission('edit'), notMuted, ({ socket, room, info, user, doc, payload: { id } = {}, reply, fail }) => {
+        if (info.exclusiveEditing && doc.typingLock?.lockedBy !== socket.id && !RoomPermissions.can(user.role, 'overrideLock')) {
+            return fail('Another member holds the editing lock');
+        }
+
+        const entry = doc.revisions.find(r => r.id === id);
+        if (!entry) return fail('Revision not found');
+
+        const ops = TextOperations.diffToOps(doc.text, entry.text);
+        if (ops.length === 0) return reply({ ok: true, revision: doc.revision });
+
+        applyTextOperation(info, doc, doc.revision, ops, socket.id, { label: `Restored revision #${entry.id}` });
+        // Sent to everyone, including the restorer, since it did not originate in their editor
+        io.to(room).emit("text-op", { docId: doc.id, ops, revision: doc.revision, userId: socket.id });
+
+        io.to(room).emit("revision-restored", {
+            docId: doc.id,
+            documentName: doc.name,
+            id: entry.id,
+            userId: socket.id,
+            userName: user.name,
+            timestamp: Date.now()
+        });
+        persistRoom(room);
+        console.log(`⏪ ${user.name} restored revision #${entry.id} of "${doc.name}" in room ${room}`);
+        reply({ ok: true, revision: doc.revision });
+    });
+
+    // ===== TYPING LOCK =====
+
+    // Admin: toggle exclusive editing (typing lock required to edit)
+    registry.on("set-exclusive-editing", { ack: 'boolean' }, inRoom, requireAdmin, ({ room, info, payload: { enabled } = {}, reply }) => {
+        info.exclusiveEditing = Boolean(enabled);
+        if (!info.exclusiveEditing) {
+            for (const doc of info.documents) {
+                if (!doc.typingLock) continue;
+                delete doc.typingLock;
+                io.to(room).emit("typing-lock-released", { docId: doc.id });
+            }
+        }
+
+        io.to(room).emit("exclusive-editing-changed", { enabled: info.exclusiveEditing });
+        persistRoom(room);
+        reply(true);
+    });
+
+    // Only used in exclusive editing mode; one lock per document
+    registry.on("request-typing-lock", ...canEdit, withDocument(), ({ socket, room, info, doc }) => {
+        if (!info.exclusiveEditing) return;
+
+        const now = Date.now();
+
+        // Check if lock is available or expired
+        if (!doc.typingLock || doc.typingLock.lockedBy === socket.id || (now - doc.typingLock.lockedAt) > TYPING_LOCK_TIMEOUT) {
+            doc.typingLock = {
+                lockedBy: socket.id,
+                lockedAt: now,
+                isActive: true
+            };
+            socket.emit("typing-lock-acquired", { docId: doc.id });
+            socket.to(room).emit("typing-lock-changed", {
+                docId: doc.id,
+                lockedBy: socket.id,
+                lockedAt: now,
+                lockedByUser: info.users.get(socket.id)?.name || "Unknown"
+            });
+        } else {
+            socket.emit("typing-lock-denied", {
+                docId: doc.id,
+                lockedBy: doc.typingLock.lockedBy,
+                lockedAt: doc.typingLock.lockedAt,
+                lockedByUser: info.users.get(doc.typingLock.lockedBy)?.name || "Unknown"
+            });
+        }
+    });
+
+    registry.on("release-typing-lock", inRoom, withDocument(), ({ socket, room, doc }) => {
+        if (!doc.typingLock || doc.typingLock.lockedBy !== socket.id) return;
+
+        delete doc.typingLock;
+        socket.to(room).emit("typing-lock-released", { docId: doc.id });
+    });
+
+    registry.on("get-typing-lock-status", inRoom, withDocument(), ({ socket, info, doc }) => {
+        const now = Date.now();
+
+        if (doc.typingLock && (now - doc.typingLock.lockedAt) <= TYPING_LOCK_TIMEOUT) {
+            socket.emit("typing-lock-status", {
+                docId: doc.id,
+                exclusiveEditing: Boolean(info.exclusiveEditing),
+                isLocked: true,
+                lockedBy: doc.typingLock.lockedBy,
+                lockedAt: doc.typingLock.lockedAt,
+                lockedByUser: info.users.get(doc.typingLock.lockedBy)?.name || "Unknown",
+                isActive: doc.typingLock.isActive || false
+            });
+        } else {
+            // Clean up expired lock
+            if (doc.typingLock) {
+                delete doc.typingLock;
+            }
+            socket.emit("typing-lock-status", { docId: doc.id, exclusiveEditing: Boolean(info.exclusiveEditing), isLocked: false });
+        }
+    });
+
+    // Handle typing activity signals
+    registry.on("typing-activity", inRoom, withDocument(), ({ socket, room, doc, payload: { isTyping } = {} }) => {
+        if (!doc.typingLock || doc.typingLock.lockedBy !== socket.id) return;
+
+        doc.typingLock.isActive = isTyping;
+        if (isTyping) doc.typingLock.lockedAt = Date.now();
+
+        // If user stopped typing, set a timeout to release the lock
+        if (!isTyping) {
+            setTimeout(() => {
+                if (doc.typingLock &&
+                    doc.typingLock.lockedBy === socket.id &&
+                    !doc.typingLock.isActive) {
+                    delete doc.typingLock;
+                    io.to(room).emit("typing-lock-released", { docId: doc.id });
+                }
+            }, TYPING_IDLE_RELEASE);
+        }
+    });
+}
+
+module.exports = {
+    registerEditorHandlers,
+};
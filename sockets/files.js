@@ -0,0 +1,38 @@
+/**
+ * File Socket Handlers
+ * Announcing an upload (made over HTTP, see /upload in server.js) to the room.
+ */
+
+const { inRoom, requirePermission } = require('./middleware');
+
+/**
+ * @param {import('./registry').HandlerRegistry} registry
+ * @param {Object} app - Server state and helpers (see server.js)
+ */
+function registerFileHandlers(registry, app) {
+    const { io, roomData, persistRoom, hasUploadedFile } = app;
+
+    registry.on("file-uploaded", inRoom, requirePermission('upload'), async ({ room, info, payload: { filename, originalName }, fail }) => {
+        // Only files the upload route actually stored, and each of them once
+        if (!(await hasUploadedFile(room, filename))) return fail('File not found');
+        if (roomData[room] !== info) return;
+        if (info.files.some(file => file.filename === filename)) return;
+
+        info.files.push({
+            filename,
+            originalName,
+            timestamp: Date.now(),
+        });
+        persistRoom(room);
+
+        io.to(room).emit("file-uploaded", {
+            link: `/uploads/${room}/${filename}`,
+            name: originalName,
+            filename,
+        });
+    });
+}
+
+module.exports = {
+    registerFileHandlers,
+};
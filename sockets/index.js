@@ -0,0 +1,35 @@
+/**
+ * Socket Handlers
+ * Builds the registry with every subsystem's events. server.js attaches it to each
+ * connecting socket; tests can register a single subsystem against a fake app.
+ */
+
+const { HandlerRegistry } = require('./registry');
+const { EVENT_SCHEMAS } = require('./schemas');
+const { registerRoomHandlers } = require('./rooms');
+const { registerEditorHandlers } = require('./editor');
+const { registerMediaHandlers } = require('./media');
+const { registerModerationHandlers } = require('./moderation');
+const { registerFileHandlers } = require('./files');
+
+/**
+ * @param {Object} app - Server state and helpers shared by the handlers (built in server.js)
+ * @param {Object} [options]
+ * @param {import('../utils/rate-limit').RateLimiter} [options.rateLimiter] - Applied to every event
+ * @param {import('./cluster').RoomRouter} [options.router] - With several instances: runs events where their room is
+ * @returns {HandlerRegistry}
+ */
+function createSocketHandlers(app, { rateLimiter = null, router = null } = {}) {
+    const registry = new HandlerRegistry(app, { schemas: EVENT_SCHEMAS, rateLimiter, router });
+    if (router) router.use(registry);
+    registerRoomHandlers(registry, app);
+    registerEditorHandlers(registry, app);
+    registerMediaHandlers(registry, app);
+    registerModerationHandlers(registry, app);
+    registerFileHandlers(registry, app);
+    return registry;
+}
+
+module.exports = {
+    createSocketHandlers,
+};
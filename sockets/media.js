@@ -0,0 +1,259 @@
+/**
+ * Media Socket Handlers
+ * Audio, video and screen share state, call modes, WebRTC signaling between peers
+ * in the same room, and moderators turning off someone's camera or screen share.
+ */
+
+const { inRoom, moderatesTarget } = require('./middleware');
+
+// A peer can only be signaled from inside its room
+function peerInRoom(ctx) {
+    return ctx.info.users.has(ctx.payload?.targetId) ? null : 'User not found';
+}
+
+/**
+ * @param {import('./registry').HandlerRegistry} registry
+ * @param {Object} app - Server state and helpers (see server.js)
+ */
+function registerMediaHandlers(registry, app) {
+    const { io, mediaRefusal } = app;
+
+    // Why a user may not turn their camera on: a moderator turned it off, or the room's camera cap
+    const cameraRefusal = (info, socketId, user) => (user.videoDisabledByAdmin
+        ? 'A moderator has turned off your camera.'
+        : mediaRefusal(info, socketId, 'video'));
+
+    registry.on("enable-audio", inRoom, ({ socket, room, user }) => {
+        user.audioEnabled = true;
+        io.to(room).emit("user-audio-enabled", {
+            userId: socket.id,
+            name: user.name,
+            timestamp: Date.now()
+        });
+        console.log(`🎤 Audio enabled for ${user.name} in room ${room}`);
+    });
+
+    registry.on("disable-audio", inRoom, ({ socket, room, user }) => {
+        user.audioEnabled = false;
+        io.to(room).emit("user-audio-disabled", {
+            userId: socket.id,
+            name: user.name,
+            timestamp: Date.now()
+        });
+        console.log(`🎤 Audio disabled for ${user.name} in room ${room}`);
+    });
+
+    registry.on("start-voice-call", inRoom, ({ socket, room, user }) => {
+        user.callMode = 'voice';
+        user.audioEnabled = true;
+        io.to(room).emit("user-voice-call-started", {
+            userId: socket.id,
+            name: user.name,
+            timestamp: Date.now()
+        });
+        console.log(`📞 Voice call started for ${user.name} in room ${room}`);
+    });
+
+    registry.on("end-call", inRoom, ({ socket, room, user, payload: { previousMode } = {} }) => {
+        user.callMode = 'none';
+        user.audioEnabled = false;
+        user.videoEnabled = false;
+        io.to(room).emit("user-call-ended", {
+            userId: socket.id,
+            name: user.name,
+            previousMode,
+            timestamp: Date.now()
+        });
+        console.log(`📞 Call ended for ${user.name} in room ${room} (was ${previousMode})`);
+    });
+
+    registry.on("call-mode-change", inRoom, ({ socket, room, info, user, payload: { mode: requested } = {} }) => {
+        const previousMode = user.callMode || 'none';
+        // A video call needs the camera enable-video would allow; without it the call stays voice only.
+        // The client was already told why when its enable-video was turned down.
+        const refused = requested === 'video' && Boolean(cameraRefusal(info, socket.id, user));
+        const mode = refused ? 'voice' : requested;
+        user.callMode = mode;
+
+        // Update media state based on mode; a refused camera is left as it was
+        if (mode === 'voice') {
+            user.audioEnabled = true;
+            if (!refused) user.videoEnabled = false;
+        } else if (mode === 'video') {
+            user.audioEnabled = true;
+            user.videoEnabled = true;
+        } else {
+            user.audioEnabled = false;
+            user.videoEnabled = false;
+        }
+
+        io.to(room).emit("user-call-mode-changed", {
+            userId: socket.id,
+            name: user.name,
+            mode,
+            previousMode,
+            timestamp: Date.now()
+        });
+        console.log(`📞 Call mode changed for ${user.name} in room ${room}: ${previousMode} -> ${mode}`);
+    });
+
+    registry.on("enable-video", inRoom, ({ socket, room, info, user }) => {
+        const refusal = cameraRefusal(info, socket.id, user);
+        if (refusal) {
+            socket.emit("media-limit-reached", { room, kind: 'video', message: refusal });
+            return;
+        }
+
+        user.videoEnabled = true;
+        io.to(room).emit("user-video-enabled", {
+            userId: socket.id,
+            name: user.name,
+            timestamp: Date.now()
+        });
+        console.log(`📹 Video enabled for ${user.name} in room ${room}`);
+    });
+
+    registry.on("disable-video", inRoom, ({ socket, room, user }) => {
+        user.videoEnabled = false;
+        io.to(room).emit("user-video-disabled", {
+            userId: socket.id,
+            name: user.name,
+            timestamp: Date.now()
+        });
+        console.log(`📹 Video disabled for ${user.name} in room ${room}`);
+    });
+
+    registry.on("start-screen-share", inRoom, ({ socket, room, info, user }) => {
+        const refusal = mediaRefusal(info, socket.id, 'screen');
+        if (refusal) {
+            socket.emit("media-limit-reached", { room, kind: 'screen', message: refusal });
+            return;
+        }
+
+        user.screenShareEnabled = true;
+        info.screenShares ||= new Set();
+        info.screenShares.add(socket.id);
+        io.to(room).emit("user-screen-share-started", {
+            userId: socket.id,
+            name: user.name,
+            timestamp: Date.now()
+        });
+        console.log(`🖥️ Screen share started for ${user.name} in room ${room}`);
+    });
+
+    registry.on("stop-screen-share", inRoom, ({ socket, room, info, user }) => {
+        user.screenShareEnabled = false;
+        info.screenShares?.delete(socket.id);
+        io.to(room).emit("user-screen-share-stopped", {
+            userId: socket.id,
+            name: user.name,
+            timestamp: Date.now()
+        });
+        console.log(`🖥️ Screen share stopped for ${user.name} in room ${room}`);
+    });
+
+    registry.on("video-quality-change", inRoom, ({ socket, room, user, payload: { quality } = {} }) => {
+        user.videoQuality = quality;
+
+        // Relay to other participants (they may adjust their sending quality)
+        socket.to(room).emit("user-video-quality-changed", {
+            userId: socket.id,
+            name: user.name,
+            quality,
+            timestamp: Date.now()
+        });
+        console.log(`⚙️ Video quality changed to ${quality} for ${user.name} in room ${room}`);
+    });
+
+    // Media state (video/screen share/voice call) of everyone in the room
+    registry.on("get-media-participants", inRoom, ({ socket, room, info }) => {
+        const participants = Array.from(info.users.entries()).map(([id, user]) => ({
+            userId: id,
+            name: user.name,
+            audioEnabled: user.audioEnabled || false,
+            videoEnabled: user.videoEnabled || false,
+            screenShareEnabled: user.screenShareEnabled || false,
+            callMode: user.callMode || 'none',
+            videoQuality: user.videoQuality || 'medium'
+        }));
+
+        socket.emit("media-participants", { participants, timestamp: Date.now() });
+        console.log(`📊 Sent media participants to ${socket.id} in room ${room}`);
+    });
+
+    // ===== WEBRTC SIGNALING =====
+
+    registry.on("webrtc-offer", inRoom, peerInRoom, ({ socket, payload: { targetId, offer } }) => {
+        console.log(`🔄 Relaying WebRTC offer from ${socket.id} to ${targetId} (SDP length: ${offer?.sdp?.length || 0})`);
+        io.to(targetId).emit("webrtc-offer", { fromId: socket.id, offer });
+    });
+
+    registry.on("webrtc-answer", inRoom, peerInRoom, ({ socket, payload: { targetId, answer } }) => {
+        console.log(`🔄 Relaying WebRTC answer from ${socket.id} to ${targetId}`);
+        io.to(targetId).emit("webrtc-answer", { fromId: socket.id, answer });
+    });
+
+    registry.on("webrtc-ice-candidate", inRoom, peerInRoom, ({ socket, payload: { targetId, candidate } }) => {
+        console.log(`🧊 Relaying ICE candidate from ${socket.id} to ${targetId}`);
+        io.to(targetId).emit("webrtc-ice-candidate", { fromId: socket.id, candidate });
+    });
+
+    // ===== MODERATION =====
+
+    const moderatesMedia = [{ ack: 'boolean' }, inRoom, moderatesTarget('moderateMedia')];
+
+    registry.on("admin-disable-video", ...moderatesMedia, ({ room, user, targetId, target, reply }) => {
+        target.videoDisabledByAdmin = true;
+        target.videoEnabled = false;
+
+        io.to(targetId).emit("video-disabled-by-admin", {
+            room,
+            adminName: user.name || "Admin",
+            timestamp: Date.now()
+        });
+        io.to(room).emit("user-video-disabled", {
+            userId: targetId,
+            name: target.name,
+            byAdmin: true,
+            timestamp: Date.now()
+        });
+        console.log(`🚫 Admin disabled video for ${target.name} in room ${room}`);
+        reply(true);
+    });
+
+    // Lift the restriction; the user turns their camera back on themselves
+    registry.on("admin-enable-video", ...moderatesMedia, ({ room, user, targetId, target, reply }) => {
+        target.videoDisabledByAdmin = false;
+
+        io.to(targetId).emit("video-enabled-by-admin", {
+            room,
+            adminName: user.name || "Admin",
+            timestamp: Date.now()
+        });
+        console.log(`✅ Admin enabled video for ${target.name} in room ${room}`);
+        reply(true);
+    });
+
+    registry.on("admin-stop-screen-share", ...moderatesMedia, ({ room, info, user, targetId, target, reply }) => {
+        target.screenShareEnabled = false;
+        info.screenShares?.delete(targetId);
+
+        io.to(targetId).emit("screen-share-stopped-by-admin", {
+            room,
+            adminName: user.name || "Admin",
+            timestamp: Date.now()
+        });
+        io.to(room).emit("user-screen-share-stopped", {
+            userId: targetId,
+            name: target.name,
+            byAdmin: true,
+            timestamp: Date.now()
+        });
+        console.log(`🚫 Admin stopped screen share for ${target.name} in room ${room}`);
+        reply(true);
+    });
+}
+
+module.exports = {
+    registerMediaHandlers,
+};
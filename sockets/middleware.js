@@ -0,0 +1,100 @@
+/**
+ * Socket Handler Middleware
+ * Checks shared by the socket handlers. Each takes the handler context, may add what
+ * it looked up to it, and returns an error message to refuse the event (see registry.js).
+ */
+
+const RoomPermissions = require('../public/js/room-permissions');
+
+/**
+ * Why `user` may not do `permission` (see public/js/room-permissions.js)
+ * @param {Object} [user] - Entry in the room's users
+ * @param {string} permission
+ * @returns {string|null} null if allowed
+ */
+function permissionError(user, permission) {
+    if (!user) return 'Not in a room';
+    return RoomPermissions.can(user.role, permission) ? null : RoomPermissions.deniedMessage(user.role, permission);
+}
+
+/**
+ * The socket must have joined a room. Adds `room`, `info` (the room's data) and `user`.
+ */
+function inRoom(ctx) {
+    const room = ctx.socket.data.room;
+    const info = room && ctx.app.roomData[room];
+    const user = info?.users?.get(ctx.socket.id);
+    if (!user) return 'Not in a room';
+
+    ctx.room = room;
+    ctx.info = info;
+    ctx.user = user;
+    return null;
+}
+
+/**
+ * The user's role must allow `permission`; use after inRoom
+ * @param {string} permission
+ */
+function requirePermission(permission) {
+    return (ctx) => permissionError(ctx.user, permission);
+}
+
+// Room administration (settings, limits, LAN codes) is what only admins may do
+const requireAdmin = requirePermission('manageSettings');
+
+function notMuted(ctx) {
+    return ctx.user?.muted ? 'You are muted' : null;
+}
+
+/**
+ * The payload's targetId must be someone in the room the user outranks for `permission`
+ * (see RoomPermissions.canModerate). Adds `targetId` and `target`; use after inRoom.
+ * @param {string} permission
+ * @param {string} [deniedMessage]
+ */
+function moderatesTarget(permission, deniedMessage = 'You cannot do that to someone of your own role or higher') {
+    return (ctx) => {
+        const targetId = ctx.payload?.targetId;
+        const target = ctx.info.users.get(targetId);
+        if (!target) return 'User not found';
+        if (!RoomPermissions.canModerate(ctx.user.role, target.role, permission)) return deniedMessage;
+
+        ctx.targetId = targetId;
+        ctx.target = target;
+        return null;
+    };
+}
+
+/**
+ * Look up the document named by the payload's docId; adds `doc`. Clients that predate
+ * tabs send no docId and get the first document, unless `allowDefault` is off.
+ * @param {{allowDefault?: boolean}} [options]
+ */
+function withDocument({ allowDefault = true } = {}) {
+    return (ctx) => {
+        const docId = ctx.payload?.docId;
+        if (!allowDefault && (docId === undefined || docId === null)) return 'Document not found';
+        ctx.doc = ctx.app.findDocument(ctx.info, docId);
+        return ctx.doc ? null : 'Document not found';
+    };
+}
+
+/**
+ * Check the payload before the handler sees it
+ * @param {(payload: Object) => string|null|undefined} check - Returns an error message for a bad payload
+ */
+function validate(check) {
+    return (ctx) => check(ctx.payload ?? {}) || null;
+}
+
+module.exports = {
+    permissionError,
+    inRoom,
+    requirePermission,
+    requireAdmin,
+    notMuted,
+    moderatesTarget,
+    withDocument,
+    validate,
+};
@@ -0,0 +1,296 @@
+/**
+ * Moderation Socket Handlers
+ * Muting, kicking and banning, the lobby, room settings and limits, roles and
+ * ownership, and invite links.
+ */
+
+const RoomPermissions = require('../public/js/room-permissions');
+const { createLanCode, hashPassword } = require('../utils/room-auth');
+const { INVITE_ROLES, createInviteSecret } = require('../utils/invites');
+const { describeSettings, validateSettingsUpdate } = require('../utils/room-settings');
+const { inRoom, requirePermission, requireAdmin, moderatesTarget } = require('./middleware');
+
+const INVITE_DEFAULT_MINUTES = 24 * 60;
+const INVITE_MAX_MINUTES = 30 * 24 * 60;
+const INVITE_MAX_USES = 1000;
+const MAX_INVITES = 50; // Outstanding invites per room
+const BAN_SCOPES = ['both', 'ip', 'name'];
+const BAN_MAX_MINUTES = 365 * 24 * 60;
+const BAN_REASON_MAX = 200;
+const MAX_BANS = 200;
+const ROOM_LIMIT_KEYS = ['maxParticipants', 'maxVideo', 'maxScreenShares'];
+const ROOM_LIMIT_MAX = 500;
+
+/**
+ * @param {import('./registry').HandlerRegistry} registry
+ * @param {Object} app - Server state and helpers (see server.js)
+ */
+function registerModerationHandlers(registry, app) {
+    const {
+        io, roomData, persistRoom, userList, getIp, findSocket, banMessage, describeBan, activeBans, roomLimits, needsLanCode,
+        activeInvites, describeInvite, moveToWorld, emitLobby, rememberMember, siblingSockets, isOwnerSocket,
+        promoteToOwner,
+    } = app;
+
+    // Moderator: mute/unmute a user
+    registry.on('mute-user', { ack: 'boolean' }, inRoom, moderatesTarget('mute'), ({ room, info, targetId, payload: { muted }, reply }) => {
+        // Muting reaches every tab the person has open
+        for (const id of siblingSockets(info, targetId)) {
+            info.users.get(id).muted = Boolean(muted);
+            io.to(id).emit('muted', { room, muted: Boolean(muted) });
+        }
+        rememberMember(info, targetId);
+        persistRoom(room);
+        io.to(room).emit('user-list', userList(info));
+        reply(true);
+    });
+
+    // Moderator: kick user from room
+    registry.on('kick-user', { ack: 'boolean' }, inRoom, moderatesTarget('kick'), ({ room, info, targetId, reply }) => {
+        siblingSockets(info, targetId).forEach(id => moveToWorld(room, id));
+        reply(true);
+    });
+
+    // ===== BANS AND LOBBY =====
+
+    // Moderator: remove a user and keep them out by IP and/or name, and by their identity, for `durationMinutes` or for good
+    registry.on("ban-user", inRoom, requirePermission('ban'), moderatesTarget('ban', 'You cannot ban someone of your own role or higher'), ({ room, info, user, targetId, target, payload, reply, fail }) => {
+        const { durationMinutes = null, scope = 'both', reason = '' } = payload;
+        if (!BAN_SCOPES.includes(scope)) return fail(`Scope must be one of: ${BAN_SCOPES.join(', ')}`);
+
+        const minutes = durationMinutes === null ? null : Number(durationMinutes);
+        if (minutes !== null && (!Number.isFinite(minutes) || minutes <= 0 || minutes > BAN_MAX_MINUTES)) {
+            return fail(`Bans must last between 1 minute and ${BAN_MAX_MINUTES / (24 * 60)} days`);
+        }
+        if (activeBans(info).length >= MAX_BANS) {
+            return fail(`A room can have at most ${MAX_BANS} bans; lift some first`);
+        }
+
+        const targetSocket = findSocket(targetId);
+        const now = Date.now();
+        const ban = {
+            id: info.nextBanId++,
+            ip: scope !== 'name' && targetSocket ? getIp(targetSocket) : null,
+            name: scope !== 'ip' ? target.name : null,
+            userId: target.userId || null,
+            reason: String(reason || '').trim().slice(0, BAN_REASON_MAX) || null,
+            expiresAt: minutes === null ? null : now + Math.round(minutes * 60 * 1000),
+            createdAt: now,
+            createdBy: user.name,
+        };
+        info.bans.push(ban);
+        persistRoom(room);
+
+        for (const id of siblingSockets(info, targetId)) {
+            io.to(id).emit('banned', { room, message: banMessage(ban, now), reason: ban.reason });
+            try {
+                moveToWorld(room, id);
+            } catch (e) { console.error('ban kick error', e); }
+        }
+        console.log(`⛔ ${user.name} banned ${target.name} from room ${room}`);
+        reply({ ok: true, ban: describeBan(ban) });
+    });
+
+    registry.on("list-bans", inRoom, requirePermission('ban'), ({ info, reply }) => {
+        reply({ ok: true, bans: activeBans(info).map(describeBan) });
+    });
+
+    registry.on("unban", inRoom, requirePermission('ban'), ({ room, info, payload: { banId } = {}, reply, fail }) => {
+        const before = info.bans.length;
+        info.bans = info.bans.filter(ban => ban.id !== banId);
+        if (info.bans.length === before) return fail('Ban not found');
+
+        persistRoom(room);
+        reply({ ok: true });
+    });
+
+    // Admin: turn the lobby on or off; turning it off lets everyone waiting in
+    registry.on("set-lobby", inRoom, requireAdmin, ({ room, info, payload: { enabled } = {}, reply }) => {
+        info.lobby = Boolean(enabled);
+        io.to(room).emit("lobby-changed", { enabled: info.lobby });
+        if (!info.lobby) {
+            for (const entry of Array.from(info.pending.values())) entry.admit();
+        }
+        persistRoom(room);
+        reply({ ok: true });
+    });
+
+    // Admin: let someone in from the lobby, or turn them away
+    registry.on("admit-user", inRoom, requirePermission('admitUsers'), ({ info, payload: { targetId, approve } = {}, reply, fail }) => {
+        const entry = info.pending.get(targetId);
+        if (!entry) return fail('Nobody by that id is waiting');
+        if (approve) entry.admit();
+        else entry.deny();
+        reply({ ok: true });
+    });
+
+    // ===== ROOM SETTINGS =====
+
+    // Admin: read the room's settings; the password itself is never sent, only whether there is one
+    registry.on("get-room-settings", inRoom, requireAdmin, ({ info, reply }) => {
+        reply({ ok: true, settings: describeSettings(info.settings) });
+    });
+
+    // Admin: change some of the room's settings; only the fields sent are changed.
+    // Setting a password makes the room private, removing it (null) makes it public.
+    registry.on("update-room-settings", inRoom, requireAdmin, async ({ room, info, payload: changes, reply, fail }) => {
+        const { values, error } = validateSettingsUpdate(changes);
+        if (error) return fail(error);
+        if (values.lanCodeRequired && !info.isLAN) return fail('Only LAN rooms can require a code');
+        if ('password' in values && values.password !== null) {
+            values.password = await hashPassword(values.password);
+            if (roomData[room] !== info) return fail('The room was closed');
+        }
+
+        Object.assign(info.settings, values);
+        if ('password' in values) info.isPrivate = Boolean(values.password);
+        if ('lanCodeRequired' in values && Boolean(info.lanCode) !== values.lanCodeRequired) {
+            info.lanCode = values.lanCodeRequired ? createLanCode() : null;
+            io.to(room).emit("lan-code", { code: info.lanCode });
+        }
+        io.to(room).emit("room-settings-changed", describeSettings(info.settings));
+        persistRoom(room);
+        console.log(`⚙️ Settings changed in room ${room}: ${Object.keys(values).join(', ')}`);
+        reply({ ok: true, settings: describeSettings(info.settings) });
+    });
+
+    // Admin: replace the LAN code, e.g. after it was seen by someone who should not join
+    registry.on("regenerate-lan-code", inRoom, requireAdmin, ({ room, info, reply, fail }) => {
+        if (!needsLanCode(info)) return fail('This room does not require a LAN code');
+
+        info.lanCode = createLanCode();
+        io.to(room).emit("lan-code", { code: info.lanCode });
+        persistRoom(room);
+        reply({ ok: true });
+    });
+
+    // Admin: lock the room and cap how many people, cameras and screen shares it takes.
+    // Only the fields sent are changed; a limit of null removes it. Lowering a limit
+    // never removes anyone already in the room or already on camera.
+    registry.on("set-room-limits", inRoom, requireAdmin, ({ room, info, payload: changes = {}, reply, fail }) => {
+        const limits = { ...info.limits };
+        for (const key of ROOM_LIMIT_KEYS) {
+            if (!(key in changes)) continue;
+            const value = changes[key];
+            if (value !== null && !(Number.isInteger(value) && value >= 1 && value <= ROOM_LIMIT_MAX)) {
+                return fail(`Limits must be whole numbers from 1 to ${ROOM_LIMIT_MAX}, or empty for no limit`);
+            }
+            limits[key] = value;
+        }
+        if ('locked' in changes) info.locked = Boolean(changes.locked);
+        info.limits = limits;
+
+        io.to(room).emit("room-limits-changed", roomLimits(info));
+        persistRoom(room);
+        reply({ ok: true, ...roomLimits(info) });
+    });
+
+    // ===== ROLES =====
+
+    // Admin: make a user an admin, moderator, member or viewer. The room owner
+    // (who holds the admin token) always stays an admin.
+    registry.on("set-role", inRoom, requirePermission('manageRoles'), ({ room, info, user, payload: { targetId, role } = {}, reply, fail }) => {
+        if (!RoomPermissions.isRole(role)) {
+            return fail(`Role must be one of: ${RoomPermissions.ROLES.join(', ')}`);
+        }
+
+        const target = info.users.get(targetId);
+        if (!target) return fail('User not found');
+        if (isOwnerSocket(info, targetId) && role !== 'admin') {
+            return fail('The room owner is always an admin');
+        }
+        if (target.role === role) return reply({ ok: true });
+
+        for (const id of siblingSockets(info, targetId)) {
+            info.users.get(id).role = role;
+            io.to(id).emit('you', { room, id, name: target.name, role, muted: !!target.muted });
+        }
+        rememberMember(info, targetId);
+        persistRoom(room);
+        io.to(room).emit('user-list', userList(info));
+        io.to(room).emit('role-changed', { userId: targetId, name: target.name, role, byName: user.name });
+        if (info.pending.size > 0) emitLobby(room);
+        console.log(`🎖️ ${user.name} made ${target.name} ${role} in room ${room}`);
+        reply({ ok: true });
+    });
+
+    // Owner: hand the room to another user, who gets a new admin token; the old owner becomes a member
+    registry.on("transfer-admin", inRoom, ({ socket, room, info, user, payload: { targetId } = {}, reply, fail }) => {
+        if (!isOwnerSocket(info, socket.id)) return fail('Only the room owner can hand over the room');
+        if (isOwnerSocket(info, targetId) || !info.users.has(targetId)) return fail('User not found');
+
+        for (const id of siblingSockets(info, socket.id)) {
+            info.users.get(id).role = 'member';
+            io.to(id).emit('you', { room, id, name: user.name, role: 'member', muted: !!user.muted });
+        }
+        info.adminSocketId = undefined;
+        rememberMember(info, socket.id);
+        promoteToOwner(room, targetId, 'transfer');
+        reply({ ok: true });
+    });
+
+    // Admin: pick who takes over if the room owner leaves; null falls back to the longest-present member
+    registry.on("set-successor", inRoom, requirePermission('manageRoles'), ({ room, info, payload: { targetId = null } = {}, reply, fail }) => {
+        const target = targetId === null ? null : info.users.get(targetId);
+        if (targetId !== null && !target) return fail('User not found');
+        if (targetId !== null && targetId === info.adminSocketId) {
+            return fail('The room owner cannot be their own successor');
+        }
+
+        info.successorId = targetId;
+        io.to(room).emit('successor-changed', { successorId: targetId, name: target ? target.name : null });
+        reply({ ok: true });
+    });
+
+    // ===== INVITES =====
+
+    // Admin: mint an invite link that admits its holder without the password
+    registry.on("create-invite", inRoom, requirePermission('manageInvites'), ({ socket, room, info, user, payload, reply, fail }) => {
+        const { expiresInMinutes = INVITE_DEFAULT_MINUTES, maxUses = null, role = 'member' } = payload ?? {};
+        const minutes = Number(expiresInMinutes);
+        if (!Number.isFinite(minutes) || minutes <= 0 || minutes > INVITE_MAX_MINUTES) {
+            return fail(`Invites must expire within ${INVITE_MAX_MINUTES / (24 * 60)} days`);
+        }
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_MAX_USES)) {
+            return fail(`Max uses must be between 1 and ${INVITE_MAX_USES}`);
+        }
+        if (!INVITE_ROLES.includes(role)) {
+            return fail(`Role must be one of: ${INVITE_ROLES.join(', ')}`);
+        }
+        if (activeInvites(info).length >= MAX_INVITES) {
+            return fail(`A room can have at most ${MAX_INVITES} invites; revoke some first`);
+        }
+
+        info.inviteSecret ||= createInviteSecret();
+        const now = Date.now();
+        const invite = {
+            id: info.nextInviteId++,
+            role,
+            expiresAt: now + Math.round(minutes * 60 * 1000),
+            maxUses,
+            uses: 0,
+            createdAt: now,
+            createdBy: user.name,
+        };
+        info.invites.push(invite);
+        persistRoom(room);
+        reply({ ok: true, invite: describeInvite(socket, room, info, invite) });
+    });
+
+    registry.on("list-invites", inRoom, requirePermission('manageInvites'), ({ socket, room, info, reply }) => {
+        reply({ ok: true, invites: activeInvites(info).map(invite => describeInvite(socket, room, info, invite)) });
+    });
+
+    registry.on("revoke-invite", inRoom, requirePermission('manageInvites'), ({ room, info, payload: { inviteId } = {}, reply, fail }) => {
+        const before = info.invites.length;
+        info.invites = info.invites.filter(invite => invite.id !== inviteId);
+        if (info.invites.length === before) return fail('Invite not found');
+
+        persistRoom(room);
+        reply({ ok: true });
+    });
+}
+
+module.exports = {
+    registerModerationHandlers,
+};
@@ -0,0 +1,72 @@
+/**
+ * Socket Event Rate Limits
+ * How often each event may arrive from one socket (see utils/rate-limit.js): `burst`
+ * events at once, refilled at `perSecond`. '*' covers events not listed; null means
+ * unlimited. RATE_LIMITS (JSON in the same shape) overrides entries, e.g.
+ *   RATE_LIMITS='{"chat-message":{"burst":5,"perSecond":0.5}}'
+ *
+ * The defaults leave room for a fast typist and a call with several peers; what they
+ * stop is a script emitting thousands of events a second.
+ */
+
+const { validate } = require('../utils/schema');
+
+const DEFAULT_RATE_LIMITS = {
+    '*': { burst: 20, perSecond: 5 },
+    'disconnect': null, // Sent by Socket.IO itself
+
+    // Rebroadcast to the whole room
+    'text': { burst: 5, perSecond: 1 }, // Whole-document replace, only used by older clients
+    'text-op': { burst: 50, perSecond: 25 },
+    'cursor-update': { burst: 30, perSecond: 15 },
+    'typing': { burst: 10, perSecond: 3 },
+    'typing-activity': { burst: 20, perSecond: 10 },
+    'chat-message': { burst: 10, perSecond: 1 },
+
+    // A new peer connection trickles a few dozen candidates
+    'webrtc-ice-candidate': { burst: 200, perSecond: 50 },
+    'webrtc-offer': { burst: 20, perSecond: 5 },
+    'webrtc-answer': { burst: 20, perSecond: 5 },
+
+    // Each one reads every room, or the disk
+    'get-rooms': { burst: 5, perSecond: 0.5 },
+    'join': { burst: 5, perSecond: 0.5 },
+    'file-uploaded': { burst: 5, perSecond: 1 },
+};
+
+const LIMITS_SCHEMA = {
+    type: 'object',
+    maxKeys: 200,
+    values: {
+        type: 'object',
+        nullable: true,
+        fields: {
+            burst: { type: 'number', required: true, min: 1 },
+            perSecond: { type: 'number', required: true, min: 0 },
+        },
+    },
+};
+
+/**
+ * The default limits with RATE_LIMITS applied on top
+ * @param {string} [json] - The RATE_LIMITS variable
+ * @returns {Object<string, ?{burst: number, perSecond: number}>}
+ */
+function loadRateLimits(json) {
+    if (!json) return { ...DEFAULT_RATE_LIMITS };
+
+    let overrides;
+    try {
+        overrides = JSON.parse(json);
+    } catch {
+        throw new Error('RATE_LIMITS must be JSON');
+    }
+    const result = validate(LIMITS_SCHEMA, overrides);
+    if (result.error) throw new Error(`RATE_LIMITS: ${result.error}`);
+    return { ...DEFAULT_RATE_LIMITS, ...result.value };
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMITS,
+    loadRateLimits,
+};
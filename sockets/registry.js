@@ -0,0 +1,182 @@
+/**
+ * Socket Handler Registry
+ * Each subsystem registers its Socket.IO events here (see sockets/index.js) instead of
+ * inline in one connection closure. An event runs its middleware in order, then its
+ * handler, all with one context: the socket, the payload, `reply` for the client's ack
+ * and whatever the middleware looked up (the room, the user, a document).
+ *
+ * Before any of that the payload is checked against the event's schema (see
+ * sockets/schemas.js), and the handler gets the checked copy.
+ *
+ * Every refusal is acked the same way: `{ ok: false, error, code }`, where code is
+ * 'invalid-payload' (the schema said no), 'refused' (a middleware returned an error
+ * message) or 'failed' (the handler threw or rejected, which is also logged). The older
+ * events registered with `{ ack: 'boolean' }` are acked `false` instead. A client that
+ * sent a malformed payload or hit a failure without asking for an ack is told with a
+ * `request-error` event of the same shape plus the event's name.
+ *
+ * Ahead of everything, a rate limiter (see utils/rate-limit.js) may drop the event
+ * unseen. Its ack still answers, `{ ok: false, error, code: 'rate-limited', retryAfterMs }`
+ * (or `false`), so the client can try again later. Beyond that the client hears about it
+ * through `rate-limited` events, at most every few seconds, and is disconnected if it
+ * keeps flooding.
+ *
+ * With several server instances, a router (see sockets/cluster.js) takes checked
+ * events and runs them on the instance that serves the socket's room.
+ */
+
+const { INVALID_PAYLOAD, validate } = require('../utils/schema');
+const { ALLOW, WARN, DISCONNECT } = require('../utils/rate-limit');
+
+const REFUSED = 'refused';
+const FAILED = 'failed';
+const RATE_LIMITED = 'rate-limited';
+
+class HandlerRegistry {
+    /**
+     * @param {Object} app - Server state and helpers shared by the handlers (built in server.js)
+     * @param {Object} [options]
+     * @param {Object<string, Object>} [options.schemas] - Payload schema per event; when given, every event needs one
+     * @param {import('../utils/rate-limit').RateLimiter} [options.rateLimiter]
+     * @param {import('./cluster').RoomRouter} [options.router] - Decides where each event runs
+     */
+    constructor(app, { schemas = null, rateLimiter = null, router = null } = {}) {
+        this.app = app;
+        this.schemas = schemas;
+        this.rateLimiter = rateLimiter;
+        this.router = router;
+        this.handlers = new Map();
+    }
+
+    /**
+     * @param {string} event
+     * @param {...(Object|Function)} steps - Options ({ ack: 'boolean' }) if any, the middleware, then the handler
+     * @returns {HandlerRegistry}
+     */
+    on(event, ...steps) {
+        const options = typeof steps[0] === 'object' ? steps.shift() : {};
+        const handler = steps.pop();
+        if (typeof handler !== 'function') throw new Error(`No handler given for ${event}`);
+        if (this.handlers.has(event)) throw new Error(`${event} already has a handler`);
+        const schema = this.schemas ? this.schemas[event] : null;
+        if (this.schemas && !schema) throw new Error(`No schema given for ${event}`);
+
+        this.handlers.set(event, { middleware: steps, handler, schema, ack: options.ack || 'object' });
+        return this;
+    }
+
+    /**
+     * @returns {string[]} Registered event names
+     */
+    events() {
+        return Array.from(this.handlers.keys());
+    }
+
+    /**
+     * Listen for every registered event on a newly connected socket
+     * @param {import('socket.io').Socket} socket
+     */
+    attach(socket) {
+        for (const event of this.handlers.keys()) {
+            socket.on(event, (payload, ack) => this.dispatch(socket, event, payload, ack));
+        }
+    }
+
+    /**
+     * Take one event from a client: rate limit it, check its payload, then run it (or
+     * hand it to the router). Middleware and handler start synchronously, so events from
+     * one socket are handled in the order they arrived.
+     * @returns {Promise|undefined} The handler's promise, for async handlers
+     */
+    dispatch(socket, event, payload, ack) {
+        const entry = this.handlers.get(event);
+        if (!entry) throw new Error(`No handler for ${event}`);
+
+        // emit('leave', callback) leaves the payload out
+        if (typeof payload === 'function' && ack === undefined) {
+            ack = payload;
+            payload = undefined;
+        }
+
+        const retryAfterMs = this.rateLimiter ? this.limited(socket, event) : null;
+        if (retryAfterMs !== null) {
+            if (typeof ack === 'function') {
+                ack(entry.ack === 'boolean' ? false : { ok: false, error: 'You are sending too fast', code: RATE_LIMITED, retryAfterMs });
+            }
+            return undefined;
+        }
+
+        if (entry.schema) {
+            const result = validate(entry.schema, payload);
+            if (result.error) return this.refuse(socket, event, ack, result.error, INVALID_PAYLOAD);
+            payload = result.value;
+        }
+        if (this.router) return this.router.route(socket, event, payload, ack);
+        return this.run(socket, event, payload, ack);
+    }
+
+    /**
+     * Run an event's middleware and handler on a checked payload
+     * @param {Object} socket - A Socket.IO socket, or a stand-in for one on another instance
+     * @returns {Promise|undefined} The handler's promise, for async handlers
+     */
+    run(socket, event, payload, ack) {
+        const entry = this.handlers.get(event);
+        if (!entry) throw new Error(`No handler for ${event}`);
+        const reply = typeof ack === 'function' ? ack : () => { };
+        const fail = (error, code = REFUSED) => this.refuse(socket, event, ack, error, code);
+        const crashed = (error) => {
+            console.error(`❌ ${event} handler error:`, error);
+            fail('Something went wrong', FAILED);
+        };
+        const ctx = { app: this.app, socket, event, payload, reply, fail };
+
+        try {
+            for (const step of entry.middleware) {
+                const error = step(ctx);
+                if (error) return fail(error);
+            }
+            const result = entry.handler(ctx);
+            if (result && typeof result.then === 'function') return result.catch(crashed);
+        } catch (error) {
+            crashed(error);
+        }
+        return undefined;
+    }
+
+    /**
+     * Turn an event down in the shape its client expects (see the top of this file)
+     * @param {string} [code] - 'refused' (default), 'invalid-payload' or 'failed'
+     */
+    refuse(socket, event, ack, error, code = REFUSED) {
+        const entry = this.handlers.get(event);
+        if (typeof ack === 'function' && entry?.ack !== 'boolean') return ack({ ok: false, error, code });
+        if (typeof ack === 'function') ack(false);
+        if (code !== REFUSED) socket.emit('request-error', { event, ok: false, error, code });
+        return undefined;
+    }
+
+    /**
+     * @returns {number|null} How long to wait if the rate limiter dropped the event, else null
+     */
+    limited(socket, event) {
+        const { action, retryAfterMs } = this.rateLimiter.check(socket, event);
+        if (action === ALLOW) return null;
+
+        if (action === WARN) {
+            socket.emit('rate-limited', { event, retryAfterMs, message: 'You are sending too fast; some of your actions were ignored' });
+        } else if (action === DISCONNECT) {
+            console.warn(`🚫 Disconnecting ${socket.id}: kept flooding ${event}`);
+            socket.emit('rate-limited', { event, retryAfterMs, message: 'Disconnected for sending too fast', disconnected: true });
+            socket.disconnect(true);
+        }
+        return retryAfterMs;
+    }
+}
+
+module.exports = {
+    REFUSED,
+    FAILED,
+    RATE_LIMITED,
+    HandlerRegistry,
+};
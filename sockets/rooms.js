@@ -0,0 +1,352 @@
+/**
+ * Room Socket Handlers
+ * Listing and joining rooms (passwords, invites, bans, LAN checks and the lobby),
+ * leaving them, names and room chat.
+ */
+
+const RoomPermissions = require('../public/js/room-permissions');
+const { createAdminToken, hashPassword, tokenMatches } = require('../utils/room-auth');
+const { INVITE_ROLES } = require('../utils/invites');
+const { identityTag, signIdentity, verifyIdentity } = require('../utils/identity');
+const { describeSettings } = require('../utils/room-settings');
+const { inRoom, notMuted } = require('./middleware');
+
+const CHAT_HISTORY_LIMIT = 200; // Messages kept per room and sent to joiners
+const CHAT_MESSAGE_MAX = 2000;
+
+/**
+ * @param {import('./registry').HandlerRegistry} registry
+ * @param {Object} app - Server state and helpers (see server.js)
+ */
+function registerRoomHandlers(registry, app) {
+    const {
+        io, roomData, identitySecret, persistRoom, createRoom, listRooms, pruneRoomUsers, userList, getIp,
+        sanitizeUserName, isOnRoomLan, findBan, banMessage, joinRefusal, needsLanCode, checkLanCode,
+        checkRoomPassword, findInvite, hasUsesLeft, departRoom, resolveIdentity, emitLobby, lobbyIsAttended,
+        ensureOwnerIsAdmin, rememberMember, siblingSockets, hydrateRoomFilesFromDisk,
+        documentList, textSnapshot, cursorList, commentList, roomLimits,
+    } = app;
+
+    // Stop waiting in a lobby: admitted, turned away, joined elsewhere or disconnected
+    function leaveLobby(socket) {
+        const room = socket.data.pendingRoom;
+        const info = room && roomData[room];
+        if (info && info.pending.delete(socket.id)) emitLobby(room);
+        socket.data.pendingRoom = null;
+    }
+
+    function leaveCurrentRoom(socket) {
+        const room = socket.data.room;
+        if (!room) return;
+        socket.data.room = "";
+        socket.leave(room);
+        departRoom(room, socket.id);
+        console.log(`Socket ${socket.id} left room: ${room}`);
+    }
+
+    // Second half of join: put the socket in the room and send it the room's state
+    function enterRoom(socket, room, { invite, clientAdminToken, displayName, userId }) {
+        socket.data.room = room;
+        socket.join(room);
+        console.log(`Socket ${socket.id} joined room: ${room}`);
+
+        // Track unique connectors for the room
+        try {
+            roomData[room].connectors.add(getIp(socket));
+        } catch { }
+        persistRoom(room);
+
+        // Register user: another tab of theirs already here decides who they are; otherwise the
+        // room remembers them from an earlier visit, or they come in under the name they asked for
+        // (or as Guest N) with the invite's role
+        try {
+            const existingUsers = roomData[room].users || new Map();
+            roomData[room].users = existingUsers;
+            pruneRoomUsers(room);
+            const siblingId = Array.from(existingUsers.keys()).find(id => id !== socket.id && existingUsers.get(id).userId === userId);
+            const sibling = siblingId && existingUsers.get(siblingId);
+            const known = roomData[room].members[userId];
+            const currentNames = new Set(Array.from(existingUsers.values()).map(u => u.name));
+            let userName = sibling ? sibling.name : (displayName || known?.name);
+            if (!sibling && (!userName || currentNames.has(userName))) {
+                let guestNumber = 1;
+                while (currentNames.has(`Guest ${guestNumber}`)) guestNumber++;
+                userName = `Guest ${guestNumber}`;
+            }
+            // Admin assignment logic: the admin token wins the room back; otherwise the first user
+            // into an ownerless room becomes admin, unless a departed admin's seat is still being held
+            let role = INVITE_ROLES.includes(invite?.role) ? invite.role
+                : sibling ? sibling.role
+                    : RoomPermissions.isRole(known?.role) ? known.role : 'member';
+            let returningAdmin = false;
+            if (tokenMatches(clientAdminToken, roomData[room].adminToken)) {
+                // Transfer admin to this socket; demote previous admin if present (unless it is another of their tabs)
+                role = 'admin';
+                const prevAdminId = roomData[room].adminSocketId;
+                if (prevAdminId && existingUsers.has(prevAdminId) && prevAdminId !== socket.id && existingUsers.get(prevAdminId).userId !== userId) {
+                    const prev = existingUsers.get(prevAdminId);
+                    existingUsers.set(prevAdminId, { ...prev, role: 'member' });
+                }
+                returningAdmin = Boolean(roomData[room].successionTimer);
+                clearTimeout(roomData[room].successionTimer);
+                roomData[room].successionTimer = null;
+                roomData[room].adminSocketId = socket.id;
+                roomData[room].adminToken = createAdminToken();
+            } else if (!roomData[room].adminSocketId && !roomData[room].successionTimer) {
+                // No admin assigned yet, make this user the admin
+                role = 'admin';
+                roomData[room].adminToken = createAdminToken();
+                roomData[room].adminSocketId = socket.id;
+            }
+            // Mute on join holds newcomers back until a moderator lets them edit; it never applies to moderators.
+            // People who were muted stay muted when they come back.
+            const muted = sibling ? Boolean(sibling.muted)
+                : known ? Boolean(known.muted)
+                    : roomData[room].settings.muteOnJoin && !RoomPermissions.can(role, 'mute');
+            existingUsers.set(socket.id, { name: userName, role, muted, joinedAt: Date.now(), userId });
+            ensureOwnerIsAdmin(room);
+            role = existingUsers.get(socket.id).role;
+            rememberMember(roomData[room], socket.id);
+            io.to(room).emit("user-list", userList(roomData[room]));
+            socket.emit('you', {
+                room, id: socket.id, name: userName, role, muted,
+                adminToken: roomData[room].adminSocketId === socket.id ? roomData[room].adminToken : undefined,
+                identity: signIdentity(identitySecret, userId),
+                tag: identityTag(identitySecret, userId),
+                requestToken: socket.data.requestToken,
+            });
+            if (returningAdmin) io.to(room).emit('admin-changed', { room, adminId: socket.id, name: userName, reason: 'returned' });
+        } catch (e) { console.error('user add error', e); }
+
+        // Ensure files list reflects disk on first join after restart
+        if (!roomData[room].files || roomData[room].files.length === 0) {
+            hydrateRoomFilesFromDisk(room).then(files => {
+                roomData[room].files = files;
+                if (files.length > 0) persistRoom(room);
+            }).catch(err => {
+                console.error('Failed to hydrate files:', err);
+                roomData[room].files = [];
+            });
+        }
+
+        socket.emit("documents", { documents: documentList(roomData[room]) });
+        for (const doc of roomData[room].documents) {
+            socket.emit("text", textSnapshot(doc));
+            socket.emit("cursors", { docId: doc.id, cursors: cursorList(roomData[room], doc, socket.id), revision: doc.revision });
+            socket.emit("comments", commentList(doc));
+        }
+        socket.emit("exclusive-editing-changed", { enabled: Boolean(roomData[room].exclusiveEditing) });
+        socket.emit("lobby-changed", { enabled: Boolean(roomData[room].lobby) });
+        socket.emit("room-limits-changed", roomLimits(roomData[room]));
+        socket.emit("room-settings-changed", describeSettings(roomData[room].settings));
+        if (roomData[room].isLAN) socket.emit("lan-code", { code: roomData[room].lanCode });
+        if (roomData[room].pending.size > 0) emitLobby(room);
+        const successor = roomData[room].users.get(roomData[room].successorId);
+        socket.emit("successor-changed", { successorId: successor ? roomData[room].successorId : null, name: successor ? successor.name : null });
+        socket.emit("chat-history", { messages: roomData[room].chat });
+        socket.emit(
+            "file-list",
+            roomData[room].files.map((f) => ({
+                link: `/uploads/${room}/${f.filename}`,
+                name: f.originalName,
+                filename: f.filename,
+            }))
+        );
+    }
+
+    // Rooms listing via socket
+    registry.on("get-rooms", async ({ socket }) => {
+        socket.emit("rooms", await listRooms());
+    });
+
+    // Send current user list for joined room
+    registry.on("who", ({ socket }) => {
+        const room = socket.data.room;
+        if (!room) return;
+        pruneRoomUsers(room);
+        const users = roomData[room]?.users;
+        if (users) {
+            socket.emit("user-list", userList(roomData[room]));
+            const me = users.get(socket.id);
+            if (me) socket.emit('you', { id: socket.id, name: me.name, role: me.role, muted: !!me.muted });
+        }
+    });
+
+    registry.on("join", async ({ socket, payload }) => {
+        const { room, password, private: isPrivate, adminToken: clientAdminToken, invite: inviteToken, name: requestedName, identity, identityId, lanCode } = payload;
+        const ip = getIp(socket);
+        console.log(`Socket ${socket.id} (${ip}) trying to join: ${room} (private: ${isPrivate})`);
+
+        // LAN Room Access Control
+        if (room.startsWith("lan_")) {
+            const allowedIPs = roomData[room]?.lanIPs || [];
+            if (allowedIPs.length > 0 && !isOnRoomLan(roomData[room], ip)) {
+                socket.emit("unauthorized", { message: "Access denied. Not on same Wi-Fi.", retryAfterMs: 0 });
+                console.log(`Denied: ${ip} not in same subnet as ${allowedIPs}`);
+                return;
+            }
+
+            if (!allowedIPs.includes(ip)) {
+                roomData[room] ||= createRoom({ isLAN: true });
+                roomData[room].lanIPs.push(ip);
+                persistRoom(room);
+            }
+        }
+
+        // Bans come first, before an invite use or a password attempt is spent. They are checked
+        // against the name the user will have, which is the remembered one if they sent none
+        const displayName = sanitizeUserName(requestedName);
+        const userId = resolveIdentity(identity, identityId);
+        const isOwner = tokenMatches(clientAdminToken, roomData[room]?.adminToken);
+        const name = displayName || roomData[room]?.members[userId]?.name;
+        const ban = roomData[room] && !isOwner && findBan(roomData[room], { ip, name, userId });
+        if (ban) {
+            socket.emit("unauthorized", { message: banMessage(ban), retryAfterMs: 0 });
+            return;
+        }
+        const signedId = verifyIdentity(identitySecret, identity); // Another tab of someone in the room takes no seat
+        const refusal = roomData[room] && joinRefusal(roomData[room], socket.id, isOwner, signedId);
+        if (refusal) {
+            socket.emit("unauthorized", { message: refusal, retryAfterMs: 0 });
+            return;
+        }
+
+        // The on-screen code proves the joiner is in the room in person; an invite does not
+        if (!isOwner && needsLanCode(roomData[room])) {
+            const result = await checkLanCode(roomData[room], room, ip, lanCode);
+            if (!socket.connected) return;
+            if (!result.ok) {
+                const message = lanCode ? result.error : "Enter the code shown on screen in this room.";
+                socket.emit("unauthorized", { message, retryAfterMs: result.retryAfterMs, needsLanCode: true });
+                return;
+            }
+        }
+
+        // An invite stands in for the password
+        let invite = null;
+        if (inviteToken) {
+            invite = findInvite(room, inviteToken);
+            if (!invite || !hasUsesLeft(invite)) {
+                socket.emit("unauthorized", { message: "This invite link is invalid, used up or has expired.", retryAfterMs: 0 });
+                return;
+            }
+            invite.uses += 1;
+            persistRoom(room);
+        }
+
+        // Private room check, done before leaving the current room so a wrong password leaves the user where they were
+        let created = false;
+        if (!roomData[room]) {
+            const passwordHash = isPrivate && password ? await hashPassword(password) : null;
+            if (!socket.connected) return;
+            // Someone else may have created the room while we were hashing
+            if (!roomData[room]) {
+                roomData[room] = createRoom({
+                    settings: { password: passwordHash },
+                    isPrivate,
+                    isLAN: room.startsWith("lan_"),
+                    lanIPs: room.startsWith("lan_") ? [ip] : [],
+                });
+                created = true;
+            }
+        }
+        if (!created && !invite && roomData[room].isPrivate) {
+            const result = await checkRoomPassword(roomData[room], room, ip, password);
+            if (!socket.connected) return;
+            if (!result.ok) {
+                socket.emit("unauthorized", { message: result.error, retryAfterMs: result.retryAfterMs });
+                return;
+            }
+        }
+
+        // Leave previous room and update its user list
+        leaveCurrentRoom(socket);
+        leaveLobby(socket);
+
+        // Lobby: newcomers wait until an admin lets them in. The owner, invite holders and
+        // whoever just created the room go straight in.
+        if (roomData[room].lobby && !created && !invite && !isOwner && lobbyIsAttended(roomData[room])) {
+            socket.data.pendingRoom = room;
+            roomData[room].pending.set(socket.id, {
+                name: displayName || 'Guest',
+                requestedAt: Date.now(),
+                admit: () => {
+                    leaveLobby(socket);
+                    if (!socket.connected || !roomData[room]) return;
+                    // The room may have filled up or been locked while they waited
+                    const refusal = joinRefusal(roomData[room], socket.id, false, userId);
+                    if (refusal) socket.emit("unauthorized", { message: refusal, retryAfterMs: 0 });
+                    else enterRoom(socket, room, { invite, clientAdminToken, displayName, userId });
+                },
+                deny: () => {
+                    leaveLobby(socket);
+                    socket.emit("unauthorized", { message: "The admin did not let you in.", retryAfterMs: 0 });
+                },
+            });
+            socket.emit("lobby-waiting", { room });
+            emitLobby(room);
+            console.log(`Socket ${socket.id} is waiting in the lobby of room: ${room}`);
+            return;
+        }
+
+        enterRoom(socket, room, { invite, clientAdminToken, displayName, userId });
+    });
+
+    // Leave the room (or stop waiting in its lobby) but stay connected
+    registry.on("leave", ({ socket, reply }) => {
+        leaveLobby(socket);
+        leaveCurrentRoom(socket);
+        reply({ ok: true });
+    });
+
+    // Socket.IO has already taken the socket out of its rooms
+    registry.on("disconnect", ({ socket }) => {
+        console.log(`❌ Client disconnected: ${socket.id}`);
+        leaveLobby(socket);
+        if (socket.data.room) departRoom(socket.data.room, socket.id);
+    });
+
+    registry.on('set-name', { ack: 'boolean' }, inRoom, ({ socket, room, info, payload, reply }) => {
+        const safe = sanitizeUserName(payload.name);
+        if (!safe) return reply(false);
+        if (findBan(info, { name: safe })) return reply(false);
+
+        // The name belongs to the person, so their other tabs take it too
+        for (const id of siblingSockets(info, socket.id)) {
+            const sibling = info.users.get(id);
+            sibling.name = safe;
+            io.to(id).emit('you', { id, name: safe, role: sibling.role, muted: !!sibling.muted });
+        }
+        rememberMember(info, socket.id);
+        persistRoom(room);
+        io.to(room).emit('user-list', userList(info));
+        reply(true);
+    });
+
+    // ===== CHAT =====
+
+    registry.on("chat-message", inRoom, notMuted, ({ socket, room, info, user, payload: { text } = {}, reply, fail }) => {
+        const body = (text || '').toString().trim();
+        if (!body) return fail('Message is empty');
+        if (body.length > CHAT_MESSAGE_MAX) {
+            return fail(`Messages are limited to ${CHAT_MESSAGE_MAX} characters`);
+        }
+
+        const message = {
+            id: info.nextChatId++,
+            userId: socket.id,
+            name: user.name,
+            text: body,
+            timestamp: Date.now(),
+        };
+        info.chat.push(message);
+        if (info.chat.length > CHAT_HISTORY_LIMIT) info.chat.shift();
+
+        io.to(room).emit("chat-message", message);
+        reply({ ok: true, message });
+    });
+}
+
+module.exports = {
+    registerRoomHandlers,
+};
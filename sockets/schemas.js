@@ -0,0 +1,205 @@
+/**
+ * Socket Event Schemas
+ * What each event's payload may hold (see utils/schema.js). The registry checks the
+ * payload before any middleware or handler runs and hands on only the declared
+ * fields, so a missing room or a megabyte-long name never reaches `roomData`.
+ *
+ * The limits here are ceilings against abuse; handlers still apply the room's own
+ * rules (chat length, comment length...) with their own messages.
+ */
+
+const ROOM_NAME_MAX = 100;
+const NAME_MAX = 100; // Display and document names; trimmed further when sanitized
+const TOKEN_MAX = 512; // Admin tokens, invite tokens, signed identities
+const TEXT_MAX = 1000 * 1000; // A whole document
+const MESSAGE_MAX = 10 * 1000; // Chat messages, comments and replies
+const MAX_OPS = 1000; // Operations in one text-op
+const SDP_MAX = 100 * 1000;
+const NO_CONTROL_CHARACTERS = /^[^\u0000-\u001f\u007f]*$/;
+
+const room = { type: 'string', required: true, min: 1, max: ROOM_NAME_MAX, pattern: NO_CONTROL_CHARACTERS };
+// Named by the upload route: <timestamp>-<sanitized original name>
+const uploadedFilename = { type: 'string', required: true, max: 255, pattern: /^\d+-[A-Za-z0-9._-]+$/ };
+const docId = { type: 'integer', min: 0 };
+const requiredId = { type: 'integer', required: true };
+const targetId = { type: 'string', required: true, min: 1, max: 64 };
+const name = { type: 'string', max: NAME_MAX };
+const token = { type: 'string', max: TOKEN_MAX, nullable: true };
+const position = { type: 'integer', min: 0 };
+const message = { type: 'string', max: MESSAGE_MAX };
+
+// An event whose payload is an object with these fields (or nothing at all)
+function payload(fields = {}) {
+    return { type: 'object', fields, default: {} };
+}
+
+const noPayload = payload();
+const documentOnly = payload({ docId });
+
+const EVENT_SCHEMAS = {
+    // ===== ROOMS =====
+    'get-rooms': noPayload,
+    'who': noPayload,
+    'join': payload({
+        room,
+        password: { type: 'string', max: 128 },
+        private: { type: 'boolean' },
+        adminToken: token,
+        invite: token,
+        name,
+        identity: token,
+        identityId: { type: 'string', max: 64 },
+        lanCode: { type: 'string', max: 16 },
+    }),
+    'leave': noPayload,
+    'disconnect': { type: 'string' }, // Socket.IO's reason
+    'set-name': payload({ name: { ...name, required: true } }),
+    'chat-message': payload({ text: message }),
+
+    // ===== EDITOR =====
+    'text-op': payload({
+        docId,
+        revision: { type: 'integer', required: true, min: 0 },
+        ops: {
+            type: 'array',
+            required: true,
+            max: MAX_OPS,
+            items: {
+                type: 'object',
+                fields: {
+                    type: { type: 'string', required: true, oneOf: ['insert', 'delete'] },
+                    pos: { ...position, required: true },
+                    text: { type: 'string', max: TEXT_MAX },
+                    length: position,
+                },
+            },
+        },
+    }),
+    'text': payload({ docId, text: { type: 'string', required: true, max: TEXT_MAX } }),
+    'cursor-update': payload({ docId, start: { ...position, required: true }, end: { ...position, required: true }, revision: position }),
+    'get-cursors': documentOnly,
+    'request-text-sync': documentOnly,
+    'typing': { type: 'string', max: NAME_MAX },
+    'create-document': payload({ name }),
+    'rename-document': payload({ docId, name }),
+    'set-document-format': payload({
+        docId,
+        format: { type: 'string', required: true, max: 20 },
+        language: { type: 'string', max: 40, nullable: true },
+    }),
+    'delete-document': documentOnly,
+    'reorder-documents': payload({ order: { type: 'array', required: true, max: 100, items: { type: 'integer' } } }),
+    'get-comments': documentOnly,
+    'add-comment': payload({ docId, start: position, end: position, revision: position, text: message }),
+    'reply-comment': payload({ docId, commentId: requiredId, text: message }),
+    'resolve-comment': payload({ docId, commentId: requiredId, resolved: { type: 'boolean' } }),
+    'delete-comment': payload({ docId, commentId: requiredId }),
+    'get-revisions': documentOnly,
+    'get-revision': payload({ docId, id: requiredId }),
+    'get-revision-diff': payload({ docId, from: requiredId, to: { type: 'integer', nullable: true } }),
+    'restore-revision': payload({ docId, id: requiredId }),
+    'set-exclusive-editing': payload({ enabled: { type: 'boolean', required: true } }),
+    'request-typing-lock': documentOnly,
+    'release-typing-lock': documentOnly,
+    'get-typing-lock-status': documentOnly,
+    'typing-activity': payload({ docId, isTyping: { type: 'boolean', required: true } }),
+
+    // ===== MEDIA =====
+    'enable-audio': noPayload,
+    'disable-audio': noPayload,
+    'start-voice-call': noPayload,
+    'end-call': payload({ previousMode: { type: 'string', max: 20, nullable: true } }),
+    'call-mode-change': payload({ mode: { type: 'string', required: true, oneOf: ['none', 'voice', 'video'] } }),
+    'enable-video': noPayload,
+    'disable-video': noPayload,
+    'start-screen-share': noPayload,
+    'stop-screen-share': noPayload,
+    'video-quality-change': payload({ quality: { type: 'string', required: true, max: 20 } }),
+    'get-media-participants': noPayload,
+    'webrtc-offer': payload({
+        targetId,
+        offer: {
+            type: 'object',
+            required: true,
+            fields: {
+                type: { type: 'string', required: true, oneOf: ['offer'] },
+                sdp: { type: 'string', required: true, max: SDP_MAX },
+            },
+        },
+    }),
+    'webrtc-answer': payload({
+        targetId,
+        answer: {
+            type: 'object',
+            required: true,
+            fields: {
+                type: { type: 'string', required: true, oneOf: ['answer'] },
+                sdp: { type: 'string', required: true, max: SDP_MAX },
+            },
+        },
+    }),
+    'webrtc-ice-candidate': payload({
+        targetId,
+        candidate: {
+            type: 'object',
+            required: true,
+            fields: {
+                candidate: { type: 'string', required: true, max: 1000 },
+                sdpMid: { type: 'string', max: 64, nullable: true },
+                sdpMLineIndex: { type: 'integer', min: 0, nullable: true },
+                usernameFragment: { type: 'string', max: 256, nullable: true },
+            },
+        },
+    }),
+    'admin-disable-video': payload({ targetId }),
+    'admin-enable-video': payload({ targetId }),
+    'admin-stop-screen-share': payload({ targetId }),
+
+    // ===== MODERATION =====
+    'mute-user': payload({ targetId, muted: { type: 'boolean', required: true } }),
+    'kick-user': payload({ targetId }),
+    'ban-user': payload({
+        targetId,
+        durationMinutes: { type: 'number', nullable: true },
+        scope: { type: 'string', max: 10 },
+        reason: { type: 'string', max: 1000 },
+    }),
+    'list-bans': noPayload,
+    'unban': payload({ banId: requiredId }),
+    'set-lobby': payload({ enabled: { type: 'boolean', required: true } }),
+    'admit-user': payload({ targetId, approve: { type: 'boolean', required: true } }),
+    'get-room-settings': noPayload,
+    // Field by field checks are validateSettingsUpdate's, which names unknown settings
+    'update-room-settings': { type: 'object', required: true, maxKeys: 20 },
+    'regenerate-lan-code': noPayload,
+    'set-room-limits': payload({
+        locked: { type: 'boolean' },
+        maxParticipants: { type: 'number', nullable: true },
+        maxVideo: { type: 'number', nullable: true },
+        maxScreenShares: { type: 'number', nullable: true },
+    }),
+    'set-role': payload({ targetId, role: { type: 'string', required: true, max: 20 } }),
+    'transfer-admin': payload({ targetId }),
+    'set-successor': payload({ targetId: { ...targetId, required: false, nullable: true } }),
+    'create-invite': payload({
+        expiresInMinutes: { type: 'number' },
+        maxUses: { type: 'integer', nullable: true },
+        role: { type: 'string', max: 20 },
+    }),
+    'list-invites': noPayload,
+    'revoke-invite': payload({ inviteId: requiredId }),
+
+    // ===== FILES =====
+    'file-uploaded': payload({
+        filename: uploadedFilename,
+        originalName: { type: 'string', required: true, min: 1, max: 255 },
+    }),
+};
+
+module.exports = {
+    ROOM_NAME_MAX,
+    EVENT_SCHEMAS,
+    // Shared with the HTTP routes
+    ROOM_SCHEMA: room,
+    UPLOADED_FILENAME_SCHEMA: uploadedFilename,
+};
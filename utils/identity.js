@@ -0,0 +1,86 @@
+/**
+ * User Identity
+ * A browser makes up a random id for itself and keeps it in localStorage. The
+ * server signs it (`<id>.<signature>`, HMAC-SHA256) the first time it sees it;
+ * from then on the browser presents the signed token, so every tab and every
+ * reconnect of that browser is recognised as the same person.
+ */
+
+const crypto = require('crypto');
+
+const SECRET_BYTES = 32;
+const ID_BYTES = 16;
+const ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+function createIdentitySecret() {
+    return crypto.randomBytes(SECRET_BYTES).toString('hex');
+}
+
+/**
+ * A new random id, for browsers that did not send a usable one
+ * @returns {string}
+ */
+function createIdentityId() {
+    return crypto.randomBytes(ID_BYTES).toString('base64url');
+}
+
+/**
+ * Whether a client-made id looks like one (UUIDs and base64url ids both do)
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isIdentityId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function sign(secret, id) {
+    return crypto.createHmac('sha256', secret).update(`identity:${id}`).digest('base64url');
+}
+
+/**
+ * @param {string} secret - The server's identity secret
+ * @param {string} id
+ * @returns {string} Token for the browser to keep
+ */
+function signIdentity(secret, id) {
+    return `${id}.${sign(secret, id)}`;
+}
+
+/**
+ * A stable public handle for an identity, for telling people which things are theirs
+ * (comments they wrote) without showing anyone the id itself
+ * @param {string} secret
+ * @param {string} id
+ * @returns {string|null}
+ */
+function identityTag(secret, id) {
+    if (!id) return null;
+    return crypto.createHmac('sha256', secret).update(`tag:${id}`).digest('base64url').slice(0, 22);
+}
+
+/**
+ * @param {string} secret
+ * @param {string} token
+ * @returns {string|null} The id, or null if the token was not signed with this secret
+ */
+function verifyIdentity(secret, token) {
+    if (typeof token !== 'string' || !secret) return null;
+    const [id, signature, extra] = token.split('.');
+    if (!isIdentityId(id) || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(secret, id));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return id;
+}
+
+module.exports = {
+    createIdentitySecret,
+    createIdentityId,
+    isIdentityId,
+    identityTag,
+    signIdentity,
+    verifyIdentity,
+};
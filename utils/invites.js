@@ -0,0 +1,80 @@
+/**
+ * Room Invites
+ * Invite tokens are `<payload>.<signature>`: a base64url JSON payload naming the
+ * room, invite id and expiry, signed with HMAC-SHA256 using a per-room secret.
+ * The signature proves the token was minted by this server; the invite record
+ * kept in the room decides whether it is still usable (revoked, used up).
+ */
+
+const crypto = require('crypto');
+
+const SECRET_BYTES = 32;
+const INVITE_ROLES = ['moderator', 'member', 'viewer']; // Admins are only made with set-role
+
+function createInviteSecret() {
+    return crypto.randomBytes(SECRET_BYTES).toString('hex');
+}
+
+function sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * @param {string} secret - The room's invite secret
+ * @param {{room: string, id: number, expiresAt: number}} invite
+ * @returns {string} Token for use in an invite URL
+ */
+function createInviteToken(secret, { room, id, expiresAt }) {
+    const payload = Buffer.from(JSON.stringify({ room, id, exp: expiresAt })).toString('base64url');
+    return `${payload}.${sign(secret, payload)}`;
+}
+
+/**
+ * Read a token's payload without checking the signature, e.g. to find out
+ * which room's secret to verify it with
+ * @param {string} token
+ * @returns {{room: string, id: number, expiresAt: number}|null}
+ */
+function decodeInviteToken(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!data || typeof data.room !== 'string' || !Number.isInteger(data.id) || !Number.isFinite(data.exp)) {
+            return null;
+        }
+        return { room: data.room, id: data.id, expiresAt: data.exp };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} secret - The room's invite secret
+ * @param {string} token
+ * @param {number} now
+ * @returns {{room: string, id: number, expiresAt: number}|null} The payload, or null if forged or expired
+ */
+function verifyInviteToken(secret, token, now = Date.now()) {
+    const data = decodeInviteToken(token);
+    if (!data || !secret) return null;
+
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(sign(secret, payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return data.expiresAt > now ? data : null;
+}
+
+module.exports = {
+    INVITE_ROLES,
+    createInviteSecret,
+    createInviteToken,
+    decodeInviteToken,
+    verifyInviteToken,
+};
@@ -0,0 +1,122 @@
+/**
+ * Network Addresses
+ * Works out which address a client really connected from, trusting
+ * X-Forwarded-For only when it was added by a known proxy, and tells whether
+ * two clients share a subnet (IPv4 or IPv6, any prefix length) for LAN rooms.
+ */
+
+const net = require('net');
+
+const DEFAULT_LAN_PREFIX = { ipv4: 24, ipv6: 64 };
+const LAN_PREFIX_RANGE = { ipv4: [8, 32], ipv6: [16, 128] }; // Wider than this is not a LAN
+const ADDRESS_GROUPS = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+/**
+ * Canonical form of an address: IPv4-mapped IPv6 (::ffff:10.0.0.1) becomes plain IPv4,
+ * brackets and IPv6 zone ids are dropped
+ * @param {string} address
+ * @returns {string|null} null if it is not an IP address
+ */
+function normalizeIp(address) {
+    if (typeof address !== 'string') return null;
+    let ip = address.trim().toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+    if (mapped) ip = mapped[1];
+    return net.isIP(ip) ? ip : null;
+}
+
+/**
+ * @param {string} ip - A normalized address
+ * @returns {'ipv4'|'ipv6'|null}
+ */
+function ipFamily(ip) {
+    const version = net.isIP(ip || '');
+    return version === 4 ? 'ipv4' : version === 6 ? 'ipv6' : null;
+}
+
+/**
+ * Build a matcher from addresses, CIDR ranges and the names of ADDRESS_GROUPS
+ * @param {string[]} entries - e.g. ['loopback', '10.0.0.0/8', '2001:db8::1']
+ * @returns {(ip: string) => boolean}
+ * @throws {Error} On an entry that is none of those
+ */
+function createAddressMatcher(entries) {
+    const list = new net.BlockList();
+    const expanded = entries.flatMap(entry => ADDRESS_GROUPS[entry] || [entry]);
+    for (const entry of expanded) {
+        const [address, prefixText] = entry.split('/');
+        const ip = normalizeIp(address);
+        const family = ipFamily(ip);
+        const maxPrefix = family === 'ipv4' ? 32 : 128;
+        const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+        if (!family || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+            throw new Error(`Not an address or CIDR range: ${entry}`);
+        }
+        list.addSubnet(ip, prefix, family);
+    }
+    return (ip) => {
+        const family = ipFamily(ip);
+        return Boolean(family) && list.check(ip, family);
+    };
+}
+
+/**
+ * The client's address. Each proxy we trust appends the address it got the request
+ * from to X-Forwarded-For, so walk the header from the right for as long as the hop
+ * we are looking at is a trusted proxy; anything further left could be made up.
+ * @param {string} remoteAddress - The address of the TCP connection
+ * @param {string} [forwardedFor] - The X-Forwarded-For header
+ * @param {(ip: string) => boolean} isTrustedProxy
+ * @returns {string} The address, or '' if unknown
+ */
+function clientAddress(remoteAddress, forwardedFor, isTrustedProxy) {
+    let ip = normalizeIp(remoteAddress);
+    const hops = String(forwardedFor || '').split(',').map(hop => hop.trim()).filter(Boolean);
+    while (ip && hops.length > 0 && isTrustedProxy(ip)) {
+        const next = normalizeIp(hops.pop());
+        if (!next) break;
+        ip = next;
+    }
+    return ip || '';
+}
+
+/**
+ * @param {'ipv4'|'ipv6'} family
+ * @param {number} prefix
+ * @returns {boolean}
+ */
+function isLanPrefix(family, prefix) {
+    const [min, max] = LAN_PREFIX_RANGE[family];
+    return Number.isInteger(prefix) && prefix >= min && prefix <= max;
+}
+
+/**
+ * Whether two addresses are in the same subnet
+ * @param {string} a
+ * @param {string} b
+ * @param {{ipv4?: number, ipv6?: number}} [prefix] - Prefix length per family
+ * @returns {boolean}
+ */
+function sameSubnet(a, b, prefix = {}) {
+    const ipA = normalizeIp(a);
+    const ipB = normalizeIp(b);
+    const family = ipFamily(ipA);
+    if (!family || family !== ipFamily(ipB)) return false;
+
+    const list = new net.BlockList();
+    list.addSubnet(ipA, prefix[family] ?? DEFAULT_LAN_PREFIX[family], family);
+    return list.check(ipB, family);
+}
+
+module.exports = {
+    DEFAULT_LAN_PREFIX,
+    LAN_PREFIX_RANGE,
+    normalizeIp,
+    createAddressMatcher,
+    clientAddress,
+    isLanPrefix,
+    sameSubnet,
+};
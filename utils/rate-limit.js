@@ -0,0 +1,158 @@
+/**
+ * Event Rate Limiting
+ * A token bucket per client and event type: every event takes a token, and tokens
+ * come back at `perSecond` up to `burst`. An event that finds the bucket empty is
+ * dropped. A client that keeps going is escalated: it is warned (at most once per
+ * `warnIntervalMs`), and once it has had `disconnectAfter` events dropped within
+ * `strikeWindowMs` it is to be disconnected.
+ *
+ * Counters per event type are kept for operators (see stats()).
+ */
+
+const ALLOW = 'allow';
+const DROP = 'drop';
+const WARN = 'warn';
+const DISCONNECT = 'disconnect';
+
+class TokenBucket {
+    /**
+     * @param {{burst: number, perSecond: number}} limit
+     * @param {number} now
+     */
+    constructor({ burst, perSecond }, now) {
+        this.burst = burst;
+        this.perSecond = perSecond;
+        this.tokens = burst;
+        this.updatedAt = now;
+    }
+
+    refill(now) {
+        const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.perSecond);
+        this.updatedAt = now;
+    }
+
+    /**
+     * @param {number} now
+     * @returns {boolean} Whether a token was available (and is now spent)
+     */
+    take(now) {
+        this.refill(now);
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    // Milliseconds until the next token comes back
+    retryAfterMs() {
+        if (this.tokens >= 1) return 0;
+        if (this.perSecond <= 0) return Infinity;
+        return Math.ceil((1 - this.tokens) / this.perSecond * 1000);
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {Object<string, ?{burst: number, perSecond: number}>} limits - Per event type;
+     *   '*' applies to event types not listed, and null means unlimited
+     */
+    constructor(limits, {
+        disconnectAfter = 100,
+        strikeWindowMs = 10 * 1000,
+        warnIntervalMs = 5 * 1000,
+        now = Date.now,
+    } = {}) {
+        this.limits = limits;
+        this.disconnectAfter = disconnectAfter;
+        this.strikeWindowMs = strikeWindowMs;
+        this.warnIntervalMs = warnIntervalMs;
+        this.now = now;
+        this.clients = new WeakMap(); // client -> { buckets: Map<event, TokenBucket>, strikes, firstStrikeAt, warnedAt }
+        this.counters = new Map(); // event -> { allowed, dropped, warned, disconnected }
+        this.since = now();
+    }
+
+    limitFor(event) {
+        return event in this.limits ? this.limits[event] : (this.limits['*'] || null);
+    }
+
+    /**
+     * Take a token for one event
+     * @param {Object} client - Anything identifying the sender (a socket); state is dropped with it
+     * @param {string} event
+     * @returns {{action: 'allow'|'drop'|'warn'|'disconnect', retryAfterMs: number}}
+     */
+    check(client, event) {
+        const limit = this.limitFor(event);
+        if (!limit) return { action: ALLOW, retryAfterMs: 0 };
+
+        const now = this.now();
+        let state = this.clients.get(client);
+        if (!state) {
+            state = { buckets: new Map(), strikes: 0, firstStrikeAt: 0, warnedAt: -Infinity };
+            this.clients.set(client, state);
+        }
+        let bucket = state.buckets.get(event);
+        if (!bucket) {
+            bucket = new TokenBucket(limit, now);
+            state.buckets.set(event, bucket);
+        }
+
+        const counter = this.counter(event);
+        if (bucket.take(now)) {
+            counter.allowed += 1;
+            return { action: ALLOW, retryAfterMs: 0 };
+        }
+
+        counter.dropped += 1;
+        if (now - state.firstStrikeAt > this.strikeWindowMs) {
+            state.strikes = 0;
+            state.firstStrikeAt = now;
+        }
+        state.strikes += 1;
+
+        const retryAfterMs = bucket.retryAfterMs();
+        if (state.strikes >= this.disconnectAfter) {
+            counter.disconnected += 1;
+            return { action: DISCONNECT, retryAfterMs };
+        }
+        if (now - state.warnedAt >= this.warnIntervalMs) {
+            state.warnedAt = now;
+            counter.warned += 1;
+            return { action: WARN, retryAfterMs };
+        }
+        return { action: DROP, retryAfterMs };
+    }
+
+    counter(event) {
+        let counter = this.counters.get(event);
+        if (!counter) {
+            counter = { allowed: 0, dropped: 0, warned: 0, disconnected: 0 };
+            this.counters.set(event, counter);
+        }
+        return counter;
+    }
+
+    /**
+     * Counters since the limiter started, per limited event type and in total
+     * @returns {{since: number, totals: Object, events: Object<string, Object>}}
+     */
+    stats() {
+        const totals = { allowed: 0, dropped: 0, warned: 0, disconnected: 0 };
+        const events = {};
+        for (const [event, counter] of this.counters) {
+            events[event] = { ...counter };
+            for (const key of Object.keys(totals)) totals[key] += counter[key];
+        }
+        return { since: this.since, totals, events };
+    }
+}
+
+module.exports = {
+    ALLOW,
+    DROP,
+    WARN,
+    DISCONNECT,
+    TokenBucket,
+    RateLimiter,
+};
@@ -0,0 +1,70 @@
+/**
+ * Socket.IO Redis Adapter
+ * Lets several server instances act as one Socket.IO server: `io.to(room).emit(...)`,
+ * `io.to(socketId).emit(...)`, socketsJoin/socketsLeave and disconnectSockets reach
+ * sockets connected to any instance. socket.io-adapter's cluster adapter does the work;
+ * this carries its messages over Redis pub/sub (utils/resp-client.js).
+ *
+ * Messages are JSON, so binary payloads are not supported; TeamUp sends none over sockets.
+ */
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+class RedisPubSubAdapter extends ClusterAdapterWithHeartbeat {
+    /**
+     * @param {import('socket.io').Namespace} nsp
+     * @param {import('./resp-client').RespClient} publisher
+     * @param {import('./resp-client').RespClient} subscriber
+     * @param {Object} options
+     */
+    constructor(nsp, publisher, subscriber, { prefix, heartbeatInterval, heartbeatTimeout }) {
+        super(nsp, { heartbeatInterval, heartbeatTimeout });
+        this.publisher = publisher;
+        this.channel = `${prefix}sio#${nsp.name}#`;
+
+        const receive = (handle) => (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch {
+                return console.warn(`⚠️ Ignoring malformed adapter message on ${this.channel}`);
+            }
+            handle(message);
+        };
+        subscriber.subscribe(this.channel, receive(message => this.onMessage(message)))
+            .catch(error => console.error('❌ Adapter could not subscribe:', error.message));
+        subscriber.subscribe(this.responseChannel(this.uid), receive(response => this.onResponse(response)))
+            .catch(error => console.error('❌ Adapter could not subscribe:', error.message));
+    }
+
+    responseChannel(uid) {
+        return `${this.channel}${uid}#`;
+    }
+
+    async doPublish(message) {
+        await this.publisher.publish(this.channel, JSON.stringify(message));
+        return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.publisher.publish(this.responseChannel(requesterUid), JSON.stringify(response));
+    }
+}
+
+/**
+ * @param {import('./resp-client').RespClient} publisher - May also be used for other commands
+ * @param {import('./resp-client').RespClient} subscriber - Only used for subscriptions
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Channel name prefix, shared by every instance
+ * @returns {Function} For io.adapter()
+ */
+function createRedisAdapter(publisher, subscriber, { prefix = 'teamup:', heartbeatInterval = 5000, heartbeatTimeout = 10000 } = {}) {
+    return function (nsp) {
+        return new RedisPubSubAdapter(nsp, publisher, subscriber, { prefix, heartbeatInterval, heartbeatTimeout });
+    };
+}
+
+module.exports = {
+    RedisPubSubAdapter,
+    createRedisAdapter,
+};
@@ -0,0 +1,215 @@
+/**
+ * Redis Stand-in
+ * A tiny in-memory server that speaks enough of the Redis protocol for TeamUp's
+ * multi-instance mode: PING, AUTH, SELECT, GET, SET (NX/XX/PX/EX), DEL, KEYS, HSET, HDEL,
+ * HGETALL, PUBLISH, SUBSCRIBE and UNSUBSCRIBE. It is meant for tests and for trying two instances on one
+ * machine without installing Redis; nothing is persisted.
+ *
+ *   node utils/redis-standin.js [port]    (default 6379)
+ */
+
+const net = require('net');
+const { RespError, RespParser, encodeReply } = require('./resp');
+
+const OK = { status: 'OK' };
+const WRONG_TYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+// Redis glob patterns, as used by KEYS: *, ? and [...]
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') source += '.*';
+        else if (char === '?') source += '.';
+        else if (char === '[') {
+            const close = pattern.indexOf(']', i + 1);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                source += `[${pattern.slice(i + 1, close).replace(/\\/g, '\\\\')}]`;
+                i = close;
+            }
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock for key expiry, for tests
+ * @returns {net.Server} Not yet listening
+ */
+function createRedisStandIn({ now = Date.now } = {}) {
+    const values = new Map(); // key -> { value, expiresAt }
+    const subscribers = new Map(); // channel -> Set of connections
+
+    const read = (key) => {
+        const entry = values.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+            values.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    const set = (args) => {
+        const [key, value, ...options] = args;
+        let expiresAt = null;
+        let onlyIfMissing = false;
+        let onlyIfPresent = false;
+        for (let i = 0; i < options.length; i++) {
+            const option = options[i].toUpperCase();
+            if (option === 'NX') onlyIfMissing = true;
+            else if (option === 'XX') onlyIfPresent = true;
+            else if (option === 'PX' || option === 'EX') {
+                const amount = Number(options[++i]);
+                if (!Number.isInteger(amount) || amount <= 0) return new RespError('ERR invalid expire time in set');
+                expiresAt = now() + (option === 'PX' ? amount : amount * 1000);
+            } else {
+                return new RespError('ERR syntax error');
+            }
+        }
+        const exists = read(key) !== undefined;
+        if ((onlyIfMissing && exists) || (onlyIfPresent && !exists)) return null;
+        values.set(key, { value, expiresAt });
+        return OK;
+    };
+
+    // Hashes are kept as a Map in the key's value
+    const hash = (key, create = false) => {
+        const entry = read(key);
+        if (entry) return entry.value instanceof Map ? entry.value : new RespError(WRONG_TYPE);
+        if (!create) return null;
+        const fields = new Map();
+        values.set(key, { value: fields, expiresAt: null });
+        return fields;
+    };
+
+    const hset = ([key, ...pairs]) => {
+        if (pairs.length === 0 || pairs.length % 2 !== 0) return new RespError('ERR wrong number of arguments for \'hset\' command');
+        const fields = hash(key, true);
+        if (fields instanceof RespError) return fields;
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+            if (!fields.has(pairs[i])) added++;
+            fields.set(pairs[i], pairs[i + 1]);
+        }
+        return added;
+    };
+
+    const hdel = ([key, ...names]) => {
+        const fields = hash(key);
+        if (fields instanceof RespError) return fields;
+        if (!fields) return 0;
+        const removed = names.filter(name => fields.delete(name)).length;
+        if (fields.size === 0) values.delete(key);
+        return removed;
+    };
+
+    const hgetall = (key) => {
+        const fields = hash(key);
+        if (fields instanceof RespError) return fields;
+        return fields ? [...fields].flat() : [];
+    };
+
+    const publish = (channel, message) => {
+        const listeners = subscribers.get(channel);
+        if (!listeners) return 0;
+        const frame = encodeReply(['message', channel, message]);
+        for (const connection of listeners) connection.write(frame);
+        return listeners.size;
+    };
+
+    const server = net.createServer((connection) => {
+        const parser = new RespParser();
+        const channels = new Set();
+
+        const unsubscribe = (channel) => {
+            channels.delete(channel);
+            const listeners = subscribers.get(channel);
+            if (!listeners) return;
+            listeners.delete(connection);
+            if (listeners.size === 0) subscribers.delete(channel);
+        };
+
+        const execute = ([name, ...args]) => {
+            switch (String(name).toUpperCase()) {
+                case 'PING': return { status: 'PONG' };
+                case 'AUTH':
+                case 'SELECT': return OK;
+                case 'QUIT':
+                    connection.end(encodeReply(OK));
+                    return undefined;
+                case 'GET': {
+                    const entry = read(args[0]);
+                    if (entry && entry.value instanceof Map) return new RespError(WRONG_TYPE);
+                    return entry ? entry.value : null;
+                }
+                case 'SET': return args.length < 2 ? new RespError('ERR wrong number of arguments for \'set\' command') : set(args);
+                case 'DEL': return args.filter(key => read(key) !== undefined && values.delete(key)).length;
+                case 'KEYS': {
+                    const pattern = globToRegExp(args[0] || '*');
+                    return [...values.keys()].filter(key => read(key) !== undefined && pattern.test(key));
+                }
+                case 'HSET': return hset(args);
+                case 'HDEL': return hdel(args);
+                case 'HGETALL': return hgetall(args[0]);
+                case 'PUBLISH': return publish(args[0], args[1]);
+                case 'SUBSCRIBE':
+                    for (const channel of args) {
+                        channels.add(channel);
+                        if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+                        subscribers.get(channel).add(connection);
+                        connection.write(encodeReply(['subscribe', channel, channels.size]));
+                    }
+                    return undefined;
+                case 'UNSUBSCRIBE':
+                    for (const channel of args.length ? args : [...channels]) {
+                        unsubscribe(channel);
+                        connection.write(encodeReply(['unsubscribe', channel, channels.size]));
+                    }
+                    return undefined;
+                default:
+                    return new RespError(`ERR unknown command '${name}'`);
+            }
+        };
+
+        connection.on('data', (chunk) => {
+            let commands;
+            try {
+                commands = parser.push(chunk);
+            } catch (error) {
+                connection.end(encodeReply(new RespError(`ERR ${error.message}`)));
+                return;
+            }
+            for (const command of commands) {
+                if (!Array.isArray(command) || command.length === 0) continue;
+                const reply = execute(command);
+                if (reply !== undefined) connection.write(encodeReply(reply));
+            }
+        });
+
+        connection.on('error', () => {});
+        connection.on('close', () => {
+            for (const channel of [...channels]) unsubscribe(channel);
+        });
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 6379;
+    createRedisStandIn().listen(port, '127.0.0.1', () => {
+        console.log(`🧪 Redis stand-in listening on redis://127.0.0.1:${port}`);
+    });
+}
+
+module.exports = {
+    createRedisStandIn,
+    globToRegExp,
+};
@@ -0,0 +1,155 @@
+/**
+ * Redis TCP Client
+ * A small client for the Redis protocol (utils/resp.js), enough for the room store and
+ * the Socket.IO adapter that link several server instances: plain commands, PUBLISH
+ * and SUBSCRIBE. Use one client for commands and a second one for subscriptions, as
+ * Redis only allows subscribe commands on a subscribed connection.
+ *
+ * Commands sent before the connection is up (or while it is being re-established) wait
+ * for it. A dropped connection is retried every `reconnectDelayMs`, and subscriptions
+ * are renewed; replies that were outstanding are failed.
+ */
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const { RespError, RespParser, encodeCommand } = require('./resp');
+
+class RespClient extends EventEmitter {
+    /**
+     * @param {string} url - redis://[:password@]host[:port][/db]
+     * @param {Object} [options]
+     * @param {number} [options.reconnectDelayMs]
+     */
+    constructor(url, { reconnectDelayMs = 1000 } = {}) {
+        super();
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'redis:') throw new Error('Redis URL must start with redis://');
+        this.host = parsed.hostname || '127.0.0.1';
+        this.port = Number(parsed.port) || 6379;
+        this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.db = parsed.pathname.length > 1 ? Number(parsed.pathname.slice(1)) : 0;
+        this.reconnectDelayMs = reconnectDelayMs;
+
+        this.socket = null;
+        this.ready = false;
+        this.closed = false;
+        this.queued = []; // Commands waiting for the connection: { args, resolve, reject }
+        this.pending = []; // Sent, waiting for their reply, in order
+        this.channels = new Map(); // channel -> Set of listeners
+        this.connect();
+    }
+
+    connect() {
+        const parser = new RespParser();
+        const socket = net.createConnection({ host: this.host, port: this.port });
+        this.socket = socket;
+
+        socket.on('connect', async () => {
+            try {
+                if (this.password) await this.send(['AUTH', this.password]);
+                if (this.db) await this.send(['SELECT', this.db]);
+                for (const channel of this.channels.keys()) await this.send(['SUBSCRIBE', channel]);
+            } catch (error) {
+                this.emit('error', error);
+                socket.destroy();
+                return;
+            }
+            this.ready = true;
+            this.emit('ready');
+            for (const command of this.queued.splice(0)) this.write(command);
+        });
+
+        socket.on('data', (chunk) => {
+            let values;
+            try {
+                values = parser.push(chunk);
+            } catch (error) {
+                this.emit('error', error);
+                socket.destroy();
+                return;
+            }
+            for (const value of values) this.receive(value);
+        });
+
+        socket.on('error', (error) => {
+            if (!this.closed) this.emit('error', error);
+        });
+
+        socket.on('close', () => {
+            this.ready = false;
+            for (const { reject } of this.pending.splice(0)) reject(new Error('Redis connection closed'));
+            if (this.closed) return;
+            const timer = setTimeout(() => this.connect(), this.reconnectDelayMs);
+            if (timer.unref) timer.unref();
+        });
+    }
+
+    receive(value) {
+        // Messages on a subscribed connection arrive unasked for
+        if (Array.isArray(value) && value[0] === 'message') {
+            for (const listener of this.channels.get(value[1]) || []) {
+                try {
+                    listener(value[2], value[1]);
+                } catch (error) {
+                    console.error(`❌ Listener for ${value[1]} failed:`, error);
+                }
+            }
+            return;
+        }
+        const request = this.pending.shift();
+        if (!request) return;
+        if (value instanceof RespError) request.reject(value);
+        else request.resolve(value);
+    }
+
+    write(command) {
+        this.pending.push(command);
+        this.socket.write(encodeCommand(command.args));
+    }
+
+    // Write straight away, for the handshake before the client is ready
+    send(args) {
+        return new Promise((resolve, reject) => this.write({ args, resolve, reject }));
+    }
+
+    /**
+     * @param {...(string|number)} args - e.g. 'SET', key, value, 'PX', 1000
+     * @returns {Promise<*>} The reply: a string, number, array or null
+     */
+    command(...args) {
+        if (this.closed) return Promise.reject(new Error('Redis client is closed'));
+        return new Promise((resolve, reject) => {
+            const command = { args, resolve, reject };
+            if (this.ready) this.write(command);
+            else this.queued.push(command);
+        });
+    }
+
+    publish(channel, message) {
+        return this.command('PUBLISH', channel, message);
+    }
+
+    /**
+     * @param {string} channel
+     * @param {Function} listener - (message, channel)
+     */
+    async subscribe(channel, listener) {
+        const listeners = this.channels.get(channel);
+        if (listeners) {
+            listeners.add(listener);
+            return;
+        }
+        this.channels.set(channel, new Set([listener]));
+        await this.command('SUBSCRIBE', channel);
+    }
+
+    close() {
+        this.closed = true;
+        for (const { reject } of this.queued.splice(0)) reject(new Error('Redis client is closed'));
+        if (this.socket) this.socket.end();
+    }
+}
+
+module.exports = {
+    RespClient,
+};
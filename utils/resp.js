@@ -0,0 +1,113 @@
+/**
+ * Redis Protocol (RESP2)
+ * Encoding commands and decoding replies for the TCP Redis client (utils/resp-client.js)
+ * and the local stand-in server (utils/redis-standin.js). The Upstash REST client in
+ * utils/redis-client.js cannot subscribe to channels, which pub/sub between server
+ * instances needs.
+ */
+
+class RespError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RespError';
+    }
+}
+
+/**
+ * @param {Array<string|number|Buffer>} args - A command and its arguments
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+    const parts = [Buffer.from(`*${args.length}\r\n`)];
+    for (const arg of args) {
+        const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+        parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n'));
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encode a reply, as the stand-in server sends them. Strings go out as bulk strings;
+ * use { status } for a simple string and a RespError for an error.
+ * @param {*} value
+ * @returns {Buffer}
+ */
+function encodeReply(value) {
+    if (value === null || value === undefined) return Buffer.from('$-1\r\n');
+    if (value instanceof RespError) return Buffer.from(`-${value.message}\r\n`);
+    if (typeof value === 'number') return Buffer.from(`:${value}\r\n`);
+    if (typeof value === 'object' && typeof value.status === 'string') return Buffer.from(`+${value.status}\r\n`);
+    if (Array.isArray(value)) return Buffer.concat([Buffer.from(`*${value.length}\r\n`), ...value.map(encodeReply)]);
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+    return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n')]);
+}
+
+/**
+ * Decodes replies (or commands, which are arrays of bulk strings) from a byte stream.
+ * Feed it chunks as they arrive; it hands back every complete value. Bulk strings are
+ * decoded as UTF-8 text.
+ */
+class RespParser {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * @param {Buffer} chunk
+     * @returns {Array} The values completed by this chunk
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        const values = [];
+        for (;;) {
+            const result = this.read(0);
+            if (!result) break;
+            values.push(result.value);
+            this.buffer = this.buffer.subarray(result.end);
+        }
+        return values;
+    }
+
+    // One value starting at `start`, or null if it has not fully arrived
+    read(start) {
+        const lineEnd = this.buffer.indexOf('\r\n', start);
+        if (lineEnd === -1) return null;
+        const type = String.fromCharCode(this.buffer[start]);
+        const line = this.buffer.toString('utf8', start + 1, lineEnd);
+        const next = lineEnd + 2;
+
+        switch (type) {
+            case '+': return { value: line, end: next };
+            case '-': return { value: new RespError(line), end: next };
+            case ':': return { value: Number(line), end: next };
+            case '$': {
+                const length = Number(line);
+                if (length === -1) return { value: null, end: next };
+                if (this.buffer.length < next + length + 2) return null;
+                return { value: this.buffer.toString('utf8', next, next + length), end: next + length + 2 };
+            }
+            case '*': {
+                const count = Number(line);
+                if (count === -1) return { value: null, end: next };
+                const items = [];
+                let end = next;
+                for (let i = 0; i < count; i++) {
+                    const item = this.read(end);
+                    if (!item) return null;
+                    items.push(item.value);
+                    end = item.end;
+                }
+                return { value: items, end };
+            }
+            default:
+                throw new RespError(`Protocol error: unexpected "${type}"`);
+        }
+    }
+}
+
+module.exports = {
+    RespError,
+    RespParser,
+    encodeCommand,
+    encodeReply,
+};
@@ -0,0 +1,185 @@
+/**
+ * Room Authentication
+ * Salted scrypt hashes for room passwords, random admin tokens, per-connection
+ * request tokens, the codes LAN rooms show on screen, and a throttle that locks out repeated failed joins with
+ * an exponentially growing delay.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+const ADMIN_TOKEN_BYTES = 32;
+const SOCKET_TOKEN_BYTES = 32;
+const LAN_CODE_DIGITS = 6;
+
+/**
+ * Whether a stored value is a hash produced by hashPassword()
+ * Rooms saved before passwords were hashed still hold the plaintext.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith(`${HASH_PREFIX}$`) && value.split('$').length === 6;
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} scrypt$N$r$p$salt$hash (salt and hash base64)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(String(password), salt, KEY_LENGTH, SCRYPT_OPTIONS);
+    const { N, r, p } = SCRYPT_OPTIONS;
+    return [HASH_PREFIX, N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * A room without a stored password only accepts an empty one.
+ * @param {string} password - Password the client sent
+ * @param {string|null} stored - Output of hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    if (!stored) return !password;
+    if (!isPasswordHash(stored)) return false;
+
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    if (expected.length === 0) return false;
+    const key = await scrypt(String(password || ''), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p),
+    });
+    return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * A fresh admin token; a new one is issued whenever the room changes hands
+ * @returns {string} 256 random bits, base64url
+ */
+function createAdminToken() {
+    return crypto.randomBytes(ADMIN_TOKEN_BYTES).toString('base64url');
+}
+
+/**
+ * A secret for one connection, given to its browser in `you`. HTTP requests present it
+ * with the socket id to act as that connection; the id alone is no proof, as everyone
+ * in the room sees it.
+ * @returns {string} 256 random bits, base64url
+ */
+function createSocketToken() {
+    return crypto.randomBytes(SOCKET_TOKEN_BYTES).toString('base64url');
+}
+
+/**
+ * Compare a token a client presented with the one expected, in constant time
+ * @param {*} presented
+ * @param {string} expected
+ * @returns {boolean} False if either is missing
+ */
+function tokenMatches(presented, expected) {
+    if (typeof presented !== 'string' || typeof expected !== 'string' || !expected) return false;
+    const a = Buffer.from(presented);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * A code for a LAN room to show on screen, so joiners prove they can see it
+ * @returns {string} LAN_CODE_DIGITS digits, possibly with leading zeros
+ */
+function createLanCode() {
+    return String(crypto.randomInt(10 ** LAN_CODE_DIGITS)).padStart(LAN_CODE_DIGITS, '0');
+}
+
+/**
+ * Counts failures per key (an IP or a room). Once `threshold` failures pile up,
+ * each further failure locks the key out for baseDelayMs * 2^n, capped at maxDelayMs.
+ * A key is forgotten after `resetAfterMs` without failures, or on success.
+ */
+class JoinThrottle {
+    constructor({
+        threshold = 5,
+        baseDelayMs = 1000,
+        maxDelayMs = 15 * 60 * 1000,
+        resetAfterMs = 15 * 60 * 1000,
+        now = Date.now,
+    } = {}) {
+        this.threshold = threshold;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.resetAfterMs = resetAfterMs;
+        this.now = now;
+        this.entries = new Map(); // key -> { failures, lockedUntil, lastFailure }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {number} Milliseconds until the key may try again (0 if it may now)
+     */
+    remaining(key) {
+        const entry = this.current(key);
+        return entry ? Math.max(0, entry.lockedUntil - this.now()) : 0;
+    }
+
+    /**
+     * Record a failed attempt
+     * @param {string} key
+     * @returns {number} Lockout in milliseconds that this failure started (0 if none)
+     */
+    recordFailure(key) {
+        const now = this.now();
+        const entry = this.current(key) || { failures: 0, lockedUntil: 0, lastFailure: 0 };
+        entry.failures += 1;
+        entry.lastFailure = now;
+
+        const over = entry.failures - this.threshold;
+        const delay = over < 0 ? 0 : Math.min(this.baseDelayMs * 2 ** over, this.maxDelayMs);
+        entry.lockedUntil = now + delay;
+        this.entries.set(key, entry);
+        return delay;
+    }
+
+    recordSuccess(key) {
+        this.entries.delete(key);
+    }
+
+    // Drop keys that have gone quiet; call periodically so the map cannot grow forever
+    prune() {
+        for (const key of Array.from(this.entries.keys())) {
+            this.current(key);
+        }
+    }
+
+    current(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        const now = this.now();
+        if (entry.lockedUntil <= now && now - entry.lastFailure >= this.resetAfterMs) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+}
+
+module.exports = {
+    JoinThrottle,
+    createAdminToken,
+    createLanCode,
+    createSocketToken,
+    hashPassword,
+    isPasswordHash,
+    tokenMatches,
+    verifyPassword,
+};
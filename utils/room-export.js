@@ -0,0 +1,191 @@
+/**
+ * Room Export / Import
+ * Turns a room's documents into downloadable txt, md, html or json, and validates
+ * json archives for import. The json archive carries document metadata and the
+ * file list so a room can be recreated on another server.
+ */
+
+const MarkdownRenderer = require('../public/js/markdown-renderer');
+const { escapeHtml } = require('../public/js/syntax-highlighter');
+
+const ARCHIVE_TYPE = 'teamup-room';
+const ARCHIVE_VERSION = 1;
+
+const EXPORT_FORMATS = {
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+const DOCUMENT_FORMATS = ['plain', 'markdown', 'code'];
+
+// Longest run of backticks in the text, so a fence around it never closes early
+function fenceFor(text) {
+    const runs = text.match(/`+/g) || [];
+    const longest = runs.reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(3, longest + 1));
+}
+
+function toPlainText(documents) {
+    if (documents.length === 1) return documents[0].text;
+    return documents.map(doc => `===== ${doc.name} =====\n\n${doc.text}`).join('\n\n');
+}
+
+function documentToMarkdown(doc) {
+    if (doc.format !== 'code') return doc.text;
+    const fence = fenceFor(doc.text);
+    return `${fence}${doc.language || ''}\n${doc.text}\n${fence}`;
+}
+
+function toMarkdown(documents) {
+    if (documents.length === 1) return documentToMarkdown(documents[0]);
+    return documents.map(doc => `# ${doc.name}\n\n${documentToMarkdown(doc)}`).join('\n\n---\n\n');
+}
+
+function documentToHtml(doc) {
+    if (doc.format === 'markdown') return MarkdownRenderer.render(doc.text);
+    if (doc.format === 'code') return MarkdownRenderer.renderCode(doc.text, doc.language);
+    return `<pre class="plain">${escapeHtml(doc.text)}</pre>`;
+}
+
+function toHtml(room, documents) {
+    const sections = documents.map(doc =>
+        `<section>\n<h2 class="document-name">${escapeHtml(doc.name)}</h2>\n${documentToHtml(doc)}\n</section>`
+    ).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(room)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #1f2937; }
+pre { background: #f3f4f6; padding: 1rem; border-radius: 0.5rem; overflow-x: auto; }
+pre.plain { white-space: pre-wrap; background: none; padding: 0; font-family: inherit; }
+code { font-family: ui-monospace, monospace; }
+blockquote { margin-left: 0; padding-left: 1rem; border-left: 3px solid #d1d5db; color: #4b5563; }
+.task-list { list-style: none; padding-left: 0.5rem; }
+.document-name { border-bottom: 1px solid #e5e7eb; }
+.hl-keyword { color: #7c3aed; } .hl-string { color: #15803d; } .hl-comment { color: #6b7280; font-style: italic; }
+.hl-number { color: #c2410c; } .hl-tag { color: #b91c1c; } .hl-attr { color: #a16207; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(room)}</h1>
+${sections}
+</body>
+</html>
+`;
+}
+
+function toArchive(room, info, documents) {
+    return {
+        type: ARCHIVE_TYPE,
+        version: ARCHIVE_VERSION,
+        room,
+        exportedAt: new Date().toISOString(),
+        settings: {
+            exclusiveEditing: Boolean(info.exclusiveEditing),
+            isPrivate: Boolean(info.isPrivate),
+            isLAN: Boolean(info.isLAN),
+        },
+        documents: documents.map(doc => ({
+            id: doc.id,
+            name: doc.name,
+            format: doc.format,
+            language: doc.language,
+            revision: doc.revision,
+            createdAt: doc.createdAt,
+            length: doc.text.length,
+            text: doc.text,
+        })),
+        files: (info.files || []).map(file => ({
+            filename: file.filename,
+            originalName: file.originalName,
+            timestamp: file.timestamp,
+            link: `/uploads/${room}/${file.filename}`,
+        })),
+    };
+}
+
+/**
+ * Render a room (or some of its documents) for download
+ * Passwords and admin tokens are never included.
+ * @param {string} room - Room name
+ * @param {Object} info - roomData entry
+ * @param {Object} options
+ * @param {string} options.format - txt, md, html or json
+ * @param {Array} options.documents - Documents to include (default: all)
+ * @returns {{body: string, contentType: string, filename: string}}
+ */
+function exportRoom(room, info, { format = 'txt', documents = info.documents } = {}) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    let body;
+    switch (format) {
+        case 'md':
+            body = toMarkdown(documents);
+            break;
+        case 'html':
+            body = toHtml(room, documents);
+            break;
+        case 'json':
+            body = JSON.stringify(toArchive(room, info, documents), null, 2);
+            break;
+        default:
+            body = toPlainText(documents);
+    }
+
+    const baseName = documents.length === 1 && info.documents.length > 1 ? `${room}-${documents[0].name}` : room;
+    const filename = `${baseName.replace(/[^a-zA-Z0-9._-]+/g, '_') || 'notes'}.${spec.extension}`;
+    return { body, contentType: spec.contentType, filename };
+}
+
+/**
+ * Validate a json archive before importing it
+ * @param {Object} archive - Parsed archive (output of a json export)
+ * @returns {{documents: Array<{name, format, language, text}>, settings: Object}}
+ * @throws {Error} If the archive is malformed
+ */
+function parseArchive(archive) {
+    if (!archive || typeof archive !== 'object' || archive.type !== ARCHIVE_TYPE) {
+        throw new Error('Not a room archive');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+        throw new Error(`Unsupported archive version ${archive.version}`);
+    }
+    if (!Array.isArray(archive.documents) || archive.documents.length === 0) {
+        throw new Error('Archive has no documents');
+    }
+
+    const documents = archive.documents.map((doc, index) => {
+        if (!doc || typeof doc.text !== 'string') {
+            throw new Error(`Document ${index + 1} has no text`);
+        }
+        const format = DOCUMENT_FORMATS.includes(doc.format) ? doc.format : 'plain';
+        return {
+            name: typeof doc.name === 'string' ? doc.name : '',
+            format,
+            language: format === 'code' && typeof doc.language === 'string' ? doc.language : null,
+            text: doc.text,
+        };
+    });
+
+    const settings = archive.settings && typeof archive.settings === 'object' ? archive.settings : {};
+    return {
+        documents,
+        settings: { exclusiveEditing: Boolean(settings.exclusiveEditing) },
+    };
+}
+
+module.exports = {
+    ARCHIVE_TYPE,
+    ARCHIVE_VERSION,
+    EXPORT_FORMATS,
+    exportRoom,
+    parseArchive,
+};
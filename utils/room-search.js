@@ -0,0 +1,121 @@
+/**
+ * Room Search
+ * Case-insensitive search over a room's document text, shared file names and
+ * chat history. Each hit carries a short snippet and the match's offsets inside
+ * it, so clients can highlight it without trusting any markup.
+ */
+
+const SEARCH_QUERY_MAX = 200;
+const SNIPPET_CONTEXT = 40; // Characters shown on each side of a match
+const DEFAULT_LIMIT = 50;
+const MAX_MATCHES_PER_DOCUMENT = 20;
+
+// Every index where `needle` starts in `haystack` (both already lowercased)
+function findAll(haystack, needle, max) {
+    const positions = [];
+    let index = haystack.indexOf(needle);
+    while (index !== -1 && positions.length < max) {
+        positions.push(index);
+        index = haystack.indexOf(needle, index + needle.length);
+    }
+    return positions;
+}
+
+/**
+ * Cut a snippet around text[start, end)
+ * Newlines and runs of whitespace in the context are collapsed so a snippet fits on one line.
+ * @returns {{text: string, highlight: {start: number, end: number}}}
+ */
+function makeSnippet(text, start, end, context = SNIPPET_CONTEXT) {
+    const from = Math.max(0, start - context);
+    const to = Math.min(text.length, end + context);
+    const flatten = part => part.replace(/\s+/g, ' ');
+
+    const before = (from > 0 ? '…' : '') + flatten(text.slice(from, start)).trimStart();
+    const match = flatten(text.slice(start, end));
+    const after = flatten(text.slice(end, to)).trimEnd() + (to < text.length ? '…' : '');
+
+    return {
+        text: before + match + after,
+        highlight: { start: before.length, end: before.length + match.length },
+    };
+}
+
+/**
+ * Search one room
+ * @param {Object} info - roomData entry
+ * @param {string} query - Text to look for (case-insensitive)
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of results across all sources
+ * @returns {{query: string, total: number, truncated: boolean, results: Array}}
+ *   results are { type: 'document', docId, name, revision, start, end, snippet },
+ *   { type: 'file', filename, name, snippet } or
+ *   { type: 'message', messageId, name, timestamp, snippet }
+ * @throws {Error} If the query is empty or too long
+ */
+function searchRoom(info, query, { limit = DEFAULT_LIMIT } = {}) {
+    const trimmed = (query || '').toString().trim();
+    if (!trimmed) {
+        throw new Error('Search text is required');
+    }
+    if (trimmed.length > SEARCH_QUERY_MAX) {
+        throw new Error(`Search text must be at most ${SEARCH_QUERY_MAX} characters`);
+    }
+
+    const needle = trimmed.toLowerCase();
+    const results = [];
+
+    for (const doc of info.documents || []) {
+        const positions = findAll(doc.text.toLowerCase(), needle, MAX_MATCHES_PER_DOCUMENT);
+        for (const start of positions) {
+            const end = start + needle.length;
+            results.push({
+                type: 'document',
+                docId: doc.id,
+                name: doc.name,
+                revision: doc.revision,
+                start,
+                end,
+                snippet: makeSnippet(doc.text, start, end),
+            });
+        }
+    }
+
+    for (const file of info.files || []) {
+        const name = file.originalName || file.filename;
+        const start = name.toLowerCase().indexOf(needle);
+        if (start === -1) continue;
+        results.push({
+            type: 'file',
+            filename: file.filename,
+            name,
+            snippet: makeSnippet(name, start, start + needle.length),
+        });
+    }
+
+    // Newest messages first: they are the ones people usually look for
+    for (const message of (info.chat || []).slice().reverse()) {
+        const start = message.text.toLowerCase().indexOf(needle);
+        if (start === -1) continue;
+        results.push({
+            type: 'message',
+            messageId: message.id,
+            name: message.name,
+            timestamp: message.timestamp,
+            snippet: makeSnippet(message.text, start, start + needle.length),
+        });
+    }
+
+    return {
+        query: trimmed,
+        total: results.length,
+        truncated: results.length > limit,
+        results: results.slice(0, limit),
+    };
+}
+
+module.exports = {
+    SEARCH_QUERY_MAX,
+    makeSnippet,
+    searchRoom,
+};
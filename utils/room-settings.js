@@ -0,0 +1,156 @@
+/**
+ * Room Settings
+ * What a room's admin can change after creating it: the password, how long shared
+ * files are kept, which files may be shared and how large, whether newcomers start
+ * muted, the room's topic, and for LAN rooms how wide "the same network" is and
+ * whether joiners must enter a code shown on screen. Kept in `roomData[room].settings`.
+ */
+
+const { DEFAULT_LAN_PREFIX, LAN_PREFIX_RANGE, isLanPrefix } = require('./network');
+
+const MAX_FILE_SIZE_MB = 10; // Server-wide ceiling; rooms can only lower it
+const DEFAULT_RETENTION_MINUTES = { public: 15, private: 30 };
+const RETENTION_MAX_MINUTES = 7 * 24 * 60;
+const PASSWORD_MAX = 128;
+const TOPIC_MAX = 200;
+const MAX_FILE_TYPES = 50;
+const FILE_TYPE_PATTERN = /^[a-z0-9.+-]+\/(\*|[a-z0-9.+-]+)$/; // image/png, or text/* for a whole family
+
+const DEFAULT_ALLOWED_FILE_TYPES = [
+    'text/*',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'video/mp4',
+    'video/webm',
+    'application/zip',
+    'application/x-rar-compressed',
+];
+
+/**
+ * A room's settings, with defaults for anything not given
+ * @param {Object} [overrides] - Saved or initial values
+ * @param {boolean} [isPrivate] - Private rooms keep files longer by default
+ * @returns {Object}
+ */
+function createRoomSettings(overrides = {}, isPrivate = false) {
+    return {
+        password: null, // Hash from room-auth; a room with a password is private
+        fileRetentionMinutes: isPrivate ? DEFAULT_RETENTION_MINUTES.private : DEFAULT_RETENTION_MINUTES.public,
+        allowedFileTypes: [...DEFAULT_ALLOWED_FILE_TYPES],
+        maxFileSizeMB: MAX_FILE_SIZE_MB,
+        muteOnJoin: false,
+        topic: '',
+        lanIpv4Prefix: DEFAULT_LAN_PREFIX.ipv4,
+        lanIpv6Prefix: DEFAULT_LAN_PREFIX.ipv6,
+        lanCodeRequired: false,
+        ...overrides,
+    };
+}
+
+function isWholeNumber(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+const VALIDATORS = {
+    password(value) {
+        if (value === null || value === '') return { value: null };
+        if (typeof value !== 'string' || value.length > PASSWORD_MAX) {
+            return { error: `Passwords can be at most ${PASSWORD_MAX} characters` };
+        }
+        return { value };
+    },
+    fileRetentionMinutes(value) {
+        return isWholeNumber(value, 1, RETENTION_MAX_MINUTES)
+            ? { value }
+            : { error: `Files can be kept from 1 minute to ${RETENTION_MAX_MINUTES / (24 * 60)} days` };
+    },
+    allowedFileTypes(value) {
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_FILE_TYPES) {
+            return { error: `List between 1 and ${MAX_FILE_TYPES} file types` };
+        }
+        const types = value.map(type => String(type).trim().toLowerCase());
+        const invalid = types.find(type => !FILE_TYPE_PATTERN.test(type));
+        if (invalid !== undefined) return { error: `"${invalid}" is not a file type like image/png or text/*` };
+        return { value: Array.from(new Set(types)) };
+    },
+    maxFileSizeMB(value) {
+        return isWholeNumber(value, 1, MAX_FILE_SIZE_MB)
+            ? { value }
+            : { error: `The largest file size must be from 1 to ${MAX_FILE_SIZE_MB} MB` };
+    },
+    muteOnJoin(value) {
+        return typeof value === 'boolean' ? { value } : { error: 'Mute on join must be on or off' };
+    },
+    topic(value) {
+        const topic = (value ?? '').toString().trim().replace(/\s+/g, ' ');
+        return topic.length <= TOPIC_MAX ? { value: topic } : { error: `Topics can be at most ${TOPIC_MAX} characters` };
+    },
+    lanIpv4Prefix(value) {
+        const [min, max] = LAN_PREFIX_RANGE.ipv4;
+        return isLanPrefix('ipv4', value) ? { value } : { error: `The IPv4 network prefix must be from /${min} to /${max}` };
+    },
+    lanIpv6Prefix(value) {
+        const [min, max] = LAN_PREFIX_RANGE.ipv6;
+        return isLanPrefix('ipv6', value) ? { value } : { error: `The IPv6 network prefix must be from /${min} to /${max}` };
+    },
+    lanCodeRequired(value) {
+        return typeof value === 'boolean' ? { value } : { error: 'The LAN code must be on or off' };
+    },
+};
+
+/**
+ * Check the settings a client wants to change. The password comes back in plain
+ * text (null to remove it) for the caller to hash.
+ * @param {Object} changes - Only the settings being changed
+ * @returns {{values?: Object, error?: string}}
+ */
+function validateSettingsUpdate(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return { error: 'Settings must be an object' };
+    }
+
+    const values = {};
+    for (const [key, raw] of Object.entries(changes)) {
+        const validate = VALIDATORS[key];
+        if (!validate) return { error: `Unknown setting: ${key}` };
+        const result = validate(raw);
+        if (result.error) return { error: result.error };
+        values[key] = result.value;
+    }
+    return { values };
+}
+
+/**
+ * @param {Object} settings
+ * @param {string} mimetype
+ * @returns {boolean}
+ */
+function isFileTypeAllowed(settings, mimetype) {
+    const type = String(mimetype || '').toLowerCase();
+    const family = `${type.split('/')[0]}/*`;
+    return settings.allowedFileTypes.some(allowed => allowed === type || allowed === family);
+}
+
+/**
+ * Settings as clients see them: whether there is a password, never its hash
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function describeSettings(settings) {
+    const { password, ...rest } = settings;
+    return { ...rest, allowedFileTypes: [...rest.allowedFileTypes], hasPassword: Boolean(password) };
+}
+
+module.exports = {
+    MAX_FILE_SIZE_MB,
+    DEFAULT_ALLOWED_FILE_TYPES,
+    createRoomSettings,
+    validateSettingsUpdate,
+    isFileTypeAllowed,
+    describeSettings,
+};
@@ -0,0 +1,437 @@
+/**
+ * Room Persistence
+ * Keeps the durable part of roomData (documents, settings, file metadata) in a store
+ * so rooms survive a server restart. Live state (sockets, users, locks) is never saved.
+ *
+ * A store implements:
+ *   loadAll()            -> Promise<Object<string, Object>>  room name -> snapshot
+ *   list()               -> Promise<Object<string, Object>>  room name -> summary (see roomSummary)
+ *   load(room)           -> Promise<Object|null>
+ *   save(room, snapshot) -> Promise
+ *   remove(room)         -> Promise
+ *
+ * Stores that several server instances can share (Redis, and the memory store for
+ * tests) also hand out leases, so each room is served by one instance at a time (see
+ * sockets/cluster.js):
+ *   claim(room, node, ttlMs) -> Promise<{id, url}>  the owner: `node` if it was free or
+ *                                                    already `node`'s (the lease is renewed)
+ *   release(room, node)      -> Promise
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+
+// roomData fields copied into a snapshot as-is
+const PERSISTED_FIELDS = [
+    'nextDocumentId', 'exclusiveEditing', 'files', 'settings', 'isPrivate',
+    'isLAN', 'lanIPs', 'lanCode', 'createdAt', 'adminToken', 'invites', 'nextInviteId', 'inviteSecret',
+    'bans', 'nextBanId', 'lobby', 'locked', 'limits', 'members',
+];
+
+// Per-document fields; the operation log and typing lock only matter to live clients
+const DOCUMENT_FIELDS = [
+    'id', 'name', 'format', 'language', 'text', 'revision', 'revisions', 'nextRevisionId',
+    'comments', 'nextCommentId', 'createdAt',
+];
+
+// 1: single text buffer per room, 2: list of documents
+const SNAPSHOT_VERSION = 2;
+
+function pick(source, fields) {
+    const result = {};
+    for (const field of fields) {
+        if (source[field] !== undefined) result[field] = source[field];
+    }
+    return result;
+}
+
+/**
+ * Build a JSON-safe snapshot of a room
+ * @param {Object} info - roomData entry
+ * @returns {Object}
+ */
+function toSnapshot(info) {
+    return {
+        version: SNAPSHOT_VERSION,
+        savedAt: Date.now(),
+        ...pick(info, PERSISTED_FIELDS),
+        documents: (info.documents || []).map(doc => pick(doc, DOCUMENT_FIELDS)),
+        connectors: Array.from(info.connectors || []),
+    };
+}
+
+/**
+ * What a room list shows of a room, from its snapshot or its roomData entry
+ * @param {Object} room
+ * @returns {{isPrivate: boolean, isLAN: boolean, createdAt: number|null}}
+ */
+function roomSummary(room) {
+    return {
+        isPrivate: Boolean(room.isPrivate && room.settings?.password),
+        isLAN: Boolean(room.isLAN),
+        createdAt: room.createdAt || null,
+    };
+}
+
+/**
+ * Turn a snapshot back into roomData fields (to pass to createRoom)
+ * Version 1 snapshots have their single text buffer migrated into the first document.
+ * @param {Object} snapshot
+ * @returns {Object} Fields, with `documents` holding plain document fields
+ */
+function fromSnapshot(snapshot) {
+    const fields = pick(snapshot, PERSISTED_FIELDS);
+    fields.connectors = new Set(snapshot.connectors || []);
+
+    // Rooms saved before settings kept the password at the top level
+    if (!fields.settings && snapshot.password) {
+        fields.settings = { password: snapshot.password };
+    }
+
+    if (Array.isArray(snapshot.documents) && snapshot.documents.length > 0) {
+        fields.documents = snapshot.documents.map(doc => pick(doc, DOCUMENT_FIELDS));
+    } else {
+        fields.documents = [{
+            id: 1,
+            ...pick(snapshot, ['text', 'revision', 'revisions', 'nextRevisionId', 'createdAt']),
+        }];
+    }
+    fields.nextDocumentId = Math.max(
+        fields.nextDocumentId || 0,
+        ...fields.documents.map(doc => doc.id + 1)
+    );
+    return fields;
+}
+
+/**
+ * One JSON file per room in a data directory
+ * Writes go to a temp file first so a crash mid-write never leaves a truncated snapshot;
+ * each write has its own, so overlapping saves of a room cannot trip over each other
+ */
+class JsonFileRoomStore {
+    constructor(dir) {
+        if (!dir) {
+            throw new Error('Data directory is required');
+        }
+        this.dir = dir;
+    }
+
+    fileFor(room) {
+        // Room names come from clients: encode so they can't escape the directory
+        return path.join(this.dir, `${encodeURIComponent(room)}.json`);
+    }
+
+    async loadAll() {
+        let names;
+        try {
+            names = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+
+        const rooms = {};
+        for (const name of names.filter(n => n.endsWith('.json'))) {
+            const room = decodeURIComponent(name.slice(0, -'.json'.length));
+            try {
+                rooms[room] = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+            } catch (error) {
+                console.error(`❌ Could not read snapshot for room ${room}:`, error.message);
+            }
+        }
+        return rooms;
+    }
+
+    async list() {
+        const rooms = await this.loadAll();
+        return Object.fromEntries(Object.entries(rooms).map(([room, snapshot]) => [room, roomSummary(snapshot)]));
+    }
+
+    async load(room) {
+        try {
+            return JSON.parse(await fs.readFile(this.fileFor(room), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async save(room, snapshot) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const file = this.fileFor(room);
+        const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        try {
+            await fs.writeFile(tmp, JSON.stringify(snapshot));
+            await fs.rename(tmp, file);
+        } catch (error) {
+            await fs.unlink(tmp).catch(() => { });
+            throw error;
+        }
+    }
+
+    async remove(room) {
+        try {
+            await fs.unlink(this.fileFor(room));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+/**
+ * Keeps snapshots in process memory (tests, or ROOM_STORE=memory to disable persistence)
+ */
+class MemoryRoomStore {
+    constructor({ now = Date.now } = {}) {
+        this.rooms = new Map();
+        this.leases = new Map(); // room -> { node, expiresAt }
+        this.now = now;
+    }
+
+    async loadAll() {
+        return Object.fromEntries(this.rooms);
+    }
+
+    async list() {
+        return Object.fromEntries(Array.from(this.rooms, ([room, snapshot]) => [room, roomSummary(snapshot)]));
+    }
+
+    async load(room) {
+        return this.rooms.get(room) || null;
+    }
+
+    async save(room, snapshot) {
+        this.rooms.set(room, JSON.parse(JSON.stringify(snapshot)));
+    }
+
+    async remove(room) {
+        this.rooms.delete(room);
+    }
+
+    async claim(room, node, ttlMs) {
+        const lease = this.leases.get(room);
+        if (lease && lease.expiresAt > this.now() && lease.node.id !== node.id) return lease.node;
+        this.leases.set(room, { node, expiresAt: this.now() + ttlMs });
+        return node;
+    }
+
+    async release(room, node) {
+        if (this.leases.get(room)?.node.id === node.id) this.leases.delete(room);
+    }
+}
+
+/**
+ * Snapshots and leases in Redis, shared by every instance pointed at it
+ *   <prefix>room:<name>   snapshot JSON
+ *   <prefix>rooms         hash of room name -> summary JSON, kept beside the snapshots so
+ *                         listing rooms reads neither every key nor every snapshot
+ *   <prefix>owner:<name>  { id, url } of the instance serving the room, expiring unless renewed
+ */
+class RedisRoomStore {
+    /**
+     * @param {import('./resp-client').RespClient} client
+     * @param {Object} [options]
+     * @param {string} [options.prefix]
+     */
+    constructor(client, { prefix = 'teamup:' } = {}) {
+        if (!client) {
+            throw new Error('Redis client is required');
+        }
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    roomKey(room) {
+        return `${this.prefix}room:${room}`;
+    }
+
+    ownerKey(room) {
+        return `${this.prefix}owner:${room}`;
+    }
+
+    indexKey() {
+        return `${this.prefix}rooms`;
+    }
+
+    async loadAll() {
+        const pattern = `${this.roomKey('').replace(/[*?[\]\\]/g, '\\$&')}*`;
+        const keys = await this.client.command('KEYS', pattern);
+        const rooms = {};
+        for (const key of keys) {
+            const room = key.slice(this.roomKey('').length);
+            try {
+                const snapshot = await this.load(room);
+                if (snapshot) rooms[room] = snapshot;
+            } catch (error) {
+                console.error(`❌ Could not read snapshot for room ${room}:`, error.message);
+            }
+        }
+        return rooms;
+    }
+
+    async load(room) {
+        const json = await this.client.command('GET', this.roomKey(room));
+        return json === null ? null : JSON.parse(json);
+    }
+
+    // Rooms saved before the index existed are listed once they are saved again
+    async list() {
+        const reply = await this.client.command('HGETALL', this.indexKey());
+        const rooms = {};
+        for (let i = 0; i < reply.length; i += 2) {
+            try {
+                rooms[reply[i]] = JSON.parse(reply[i + 1]);
+            } catch (error) {
+                console.error(`❌ Could not read the summary of room ${reply[i]}:`, error.message);
+            }
+        }
+        return rooms;
+    }
+
+    async save(room, snapshot) {
+        await this.client.command('SET', this.roomKey(room), JSON.stringify(snapshot));
+        await this.client.command('HSET', this.indexKey(), room, JSON.stringify(roomSummary(snapshot)));
+    }
+
+    async remove(room) {
+        await this.client.command('DEL', this.roomKey(room));
+        await this.client.command('HDEL', this.indexKey(), room);
+    }
+
+    async claim(room, node, ttlMs) {
+        const key = this.ownerKey(room);
+        const value = JSON.stringify({ id: node.id, url: node.url });
+        if (await this.client.command('SET', key, value, 'NX', 'PX', ttlMs) === 'OK') return node;
+
+        const current = await this.client.command('GET', key);
+        if (current === null) return this.claim(room, node, ttlMs); // Expired in between
+        const owner = JSON.parse(current);
+        if (owner.id === node.id) await this.client.command('SET', key, value, 'XX', 'PX', ttlMs);
+        return owner;
+    }
+
+    // Check-then-delete rather than a script, which the stand-in does not run; the lease
+    // could only change hands in between if it expired at that very moment
+    async release(room, node) {
+        const current = await this.client.command('GET', this.ownerKey(room));
+        if (current !== null && JSON.parse(current).id === node.id) {
+            await this.client.command('DEL', this.ownerKey(room));
+        }
+    }
+}
+
+/**
+ * Pick a store from configuration
+ * @param {Object} options
+ * @param {string} options.type - 'json' (default), 'memory' or 'redis'
+ * @param {string} options.dir - Data directory for the JSON store
+ * @param {import('./resp-client').RespClient} [options.client] - Connection for the Redis store
+ */
+function createRoomStore({ type = 'json', dir, client } = {}) {
+    switch (type) {
+        case 'json':
+            return new JsonFileRoomStore(dir);
+        case 'memory':
+            return new MemoryRoomStore();
+        case 'redis':
+            return new RedisRoomStore(client);
+        default:
+            throw new Error(`Unknown room store: ${type}`);
+    }
+}
+
+/**
+ * Debounces snapshot writes so a burst of edits becomes one write.
+ * A room that keeps changing is still saved at least every `maxDelay` ms.
+ */
+class RoomPersister {
+    /**
+     * @param {Object} store - Room store
+     * @param {Function} getRoom - room name -> roomData entry (or undefined if gone)
+     * @param {Object} options
+     * @param {number} options.delay - Quiet time before writing
+     * @param {number} options.maxDelay - Longest a change may wait
+     */
+    constructor(store, getRoom, { delay = 2000, maxDelay = 10000 } = {}) {
+        this.store = store;
+        this.getRoom = getRoom;
+        this.delay = delay;
+        this.maxDelay = maxDelay;
+        this.pending = new Map(); // room -> { timer, firstScheduledAt }
+        this.writing = new Map(); // room -> Promise of the last write started, so writes of a room run in order
+    }
+
+    schedule(room) {
+        const now = Date.now();
+        const existing = this.pending.get(room);
+        const firstScheduledAt = existing ? existing.firstScheduledAt : now;
+        if (existing) clearTimeout(existing.timer);
+
+        const wait = Math.max(0, Math.min(this.delay, firstScheduledAt + this.maxDelay - now));
+        const timer = setTimeout(() => {
+            this.flush(room).catch(err => console.error(`❌ Failed to persist room ${room}:`, err.message));
+        }, wait);
+        if (timer.unref) timer.unref();
+
+        this.pending.set(room, { timer, firstScheduledAt });
+    }
+
+    async flush(room) {
+        const entry = this.pending.get(room);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.pending.delete(room);
+        }
+
+        // Wait for a write still running (a timer's, when flushAll comes at shutdown),
+        // then save the room as it is by then
+        const save = async () => {
+            const info = this.getRoom(room);
+            if (info) await this.store.save(room, toSnapshot(info));
+        };
+        const running = this.writing.get(room);
+        const write = running ? running.catch(() => { }).then(save) : save();
+        this.writing.set(room, write);
+        try {
+            await write;
+        } finally {
+            if (this.writing.get(room) === write) this.writing.delete(room);
+        }
+    }
+
+    async flushAll() {
+        const rooms = Array.from(this.pending.keys());
+        const running = Array.from(this.writing.values());
+        await Promise.allSettled([...rooms.map(room => this.flush(room)), ...running]);
+    }
+
+    /**
+     * Forget a scheduled write without making it
+     * @returns {boolean} Whether one was scheduled
+     */
+    cancel(room) {
+        const entry = this.pending.get(room);
+        if (!entry) return false;
+        clearTimeout(entry.timer);
+        this.pending.delete(room);
+        return true;
+    }
+
+    async remove(room) {
+        this.cancel(room);
+        await this.writing.get(room)?.catch(() => { });
+        await this.store.remove(room);
+    }
+}
+
+module.exports = {
+    JsonFileRoomStore,
+    MemoryRoomStore,
+    RedisRoomStore,
+    RoomPersister,
+    createRoomStore,
+    roomSummary,
+    toSnapshot,
+    fromSnapshot,
+};
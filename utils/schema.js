@@ -0,0 +1,165 @@
+/**
+ * Payload Schemas
+ * Declarative checks for what clients send, over Socket.IO (see sockets/schemas.js)
+ * or HTTP (route params, query strings and bodies). A schema is a plain object:
+ *
+ *   { type: 'object', fields: {
+ *       room: { type: 'string', required: true, max: 100 },
+ *       limit: { type: 'integer', min: 1, coerce: true },
+ *   } }
+ *
+ * Types: string (min, max, pattern, oneOf), integer and number (min, max, oneOf),
+ * boolean, array (max, items), object (fields, or values for free-form keys, maxKeys)
+ * and any. Every type takes `required`, `nullable` and `default`; `coerce` reads
+ * integers, numbers and booleans from strings, for query strings.
+ *
+ * Objects with `fields` keep only the fields they declare, so a handler never sees
+ * keys it did not ask for.
+ */
+
+const INVALID_PAYLOAD = 'invalid-payload';
+
+function label(path) {
+    return path || 'Payload';
+}
+
+function describeType(schema) {
+    return {
+        string: 'text',
+        integer: 'a whole number',
+        number: 'a number',
+        boolean: 'true or false',
+        array: 'a list',
+        object: 'an object',
+    }[schema.type] || schema.type;
+}
+
+function coerce(schema, value) {
+    if (!schema.coerce || typeof value !== 'string' || value.trim() === '') return value;
+    if (schema.type === 'integer' || schema.type === 'number') return Number(value);
+    if (schema.type === 'boolean') {
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+    }
+    return value;
+}
+
+function hasType(schema, value) {
+    switch (schema.type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'any': return true;
+        default: throw new Error(`Unknown schema type: ${schema.type}`);
+    }
+}
+
+function checkRange(schema, value, path) {
+    const name = label(path);
+    if (schema.oneOf && !schema.oneOf.includes(value)) {
+        return `${name} must be one of: ${schema.oneOf.join(', ')}`;
+    }
+    if (schema.type === 'string') {
+        if (schema.min !== undefined && value.length < schema.min) {
+            return schema.min === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.min} characters`;
+        }
+        if (schema.max !== undefined && value.length > schema.max) return `${name} must be at most ${schema.max} characters`;
+        if (schema.pattern && !schema.pattern.test(value)) return `${name} is not valid`;
+    }
+    if (schema.type === 'integer' || schema.type === 'number') {
+        if (schema.min !== undefined && value < schema.min) return `${name} must be at least ${schema.min}`;
+        if (schema.max !== undefined && value > schema.max) return `${name} must be at most ${schema.max}`;
+    }
+    if (schema.type === 'array' && schema.max !== undefined && value.length > schema.max) {
+        return `${name} can have at most ${schema.max} items`;
+    }
+    return null;
+}
+
+function checkValue(schema, raw, path) {
+    const value = coerce(schema, raw === undefined ? schema.default : raw);
+    if (value === undefined) {
+        return schema.required ? { error: `${label(path)} is required`, field: path } : { value };
+    }
+    if (value === null) {
+        return schema.nullable ? { value } : { error: `${label(path)} must not be empty`, field: path };
+    }
+    if (!hasType(schema, value)) return { error: `${label(path)} must be ${describeType(schema)}`, field: path };
+
+    const error = checkRange(schema, value, path);
+    if (error) return { error, field: path };
+
+    if (schema.type === 'array' && schema.items) {
+        const items = [];
+        for (let i = 0; i < value.length; i++) {
+            const result = checkValue(schema.items, value[i], `${label(path)}[${i}]`);
+            if (result.error) return result;
+            items.push(result.value);
+        }
+        return { value: items };
+    }
+
+    if (schema.type === 'object') {
+        const keys = Object.keys(value);
+        if (schema.maxKeys !== undefined && keys.length > schema.maxKeys) {
+            return { error: `${label(path)} can have at most ${schema.maxKeys} entries`, field: path };
+        }
+        const out = {};
+        if (schema.fields) {
+            for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+                const result = checkValue(fieldSchema, value[key], path ? `${path}.${key}` : key);
+                if (result.error) return result;
+                if (result.value !== undefined) out[key] = result.value;
+            }
+        } else {
+            for (const key of keys) {
+                const result = schema.values ? checkValue(schema.values, value[key], path ? `${path}.${key}` : key) : { value: value[key] };
+                if (result.error) return result;
+                out[key] = result.value;
+            }
+        }
+        return { value: out };
+    }
+
+    return { value };
+}
+
+/**
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {{value?: *, error?: string, field?: string}} The checked value (objects
+ *   trimmed to their declared fields), or the first problem found and where
+ */
+function validate(schema, value) {
+    return checkValue(schema, value, '');
+}
+
+/**
+ * Express middleware checking a request's route params, query string and body.
+ * Each part is replaced by its checked value; a bad request gets a 400 with
+ * `{ success: false, error, code: 'invalid-payload', field }`.
+ * @param {{params?: Object, query?: Object, body?: Object}} schemas - Field maps per part
+ * @returns {Function}
+ */
+function validateRequest(schemas) {
+    const parts = Object.entries(schemas).map(([part, fields]) => [part, { type: 'object', fields, default: {} }]);
+    return (req, res, next) => {
+        for (const [part, schema] of parts) {
+            const result = validate(schema, req[part]);
+            if (result.error) {
+                return res.status(400).json({ success: false, error: result.error, code: INVALID_PAYLOAD, field: result.field });
+            }
+            req[part] = result.value;
+        }
+        next();
+    };
+}
+
+module.exports = {
+    INVALID_PAYLOAD,
+    validate,
+    validateRequest,
+};
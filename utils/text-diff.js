@@ -0,0 +1,138 @@
+/**
+ * Line-based text diff (Myers O(ND) algorithm)
+ * Used to compare notepad revisions
+ */
+
+const MAX_DIFF_LINES = 1000; // Changed lines diffed precisely; larger changes show as a replacement
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>} One entry per line
+ */
+function diffLines(oldText, newText) {
+    // An empty text has no lines rather than one empty line
+    const a = oldText === '' ? [] : oldText.split('\n');
+    const b = newText === '' ? [] : newText.split('\n');
+
+    // Edits are usually local: only run the diff on the changed middle
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    let middle;
+    if (midA.length === 0 || midB.length === 0 || midA.length + midB.length > MAX_DIFF_LINES) {
+        middle = [
+            ...midA.map(text => ({ type: 'delete', text })),
+            ...midB.map(text => ({ type: 'insert', text })),
+        ];
+    } else {
+        middle = backtrack(shortestEditTrace(midA, midB), midA, midB);
+    }
+
+    return [
+        ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+        ...middle,
+        ...a.slice(endA).map(text => ({ type: 'equal', text })),
+    ];
+}
+
+function shortestEditTrace(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max;
+    const v = new Array(2 * max + 2).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1]; // move down (insert)
+            } else {
+                x = v[offset + k - 1] + 1; // move right (delete)
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                trace.push(v.slice());
+                return trace;
+            }
+        }
+    }
+    return trace;
+}
+
+function backtrack(trace, a, b) {
+    const offset = a.length + b.length;
+    const result = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 2; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        let prevK;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+        const prevX = v[offset + prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            result.push({ type: 'equal', text: a[x - 1] });
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                result.push({ type: 'insert', text: b[y - 1] });
+            } else {
+                result.push({ type: 'delete', text: a[x - 1] });
+            }
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    return result.reverse();
+}
+
+/**
+ * Summarize a diff
+ * @param {Array} diff - Output of diffLines
+ * @returns {{added: number, removed: number}}
+ */
+function diffStats(diff) {
+    return diff.reduce((stats, line) => {
+        if (line.type === 'insert') stats.added++;
+        if (line.type === 'delete') stats.removed++;
+        return stats;
+    }, { added: 0, removed: 0 });
+}
+
+module.exports = {
+    diffLines,
+    diffStats,
+    MAX_DIFF_LINES,
+};